@@ -10,6 +10,7 @@ require('dotenv').config();
 const express = require('express');
 const puppeteerRouter = require('./src/index');
 const logger = require('./src/utils/logger');
+const { warmPool } = require('./src/services/browser-pool');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -60,7 +61,11 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/puppeteer/health',
       ready: '/puppeteer/ready',
-      fillRfq: 'POST /puppeteer/fill-rfq'
+      fillRfq: 'POST /puppeteer/fill-rfq',
+      inspectForm: 'POST /puppeteer/inspect-form',
+      jobStatus: 'GET /puppeteer/jobs/:id',
+      artifactUrl: 'GET /puppeteer/artifacts/:rfqId/:file',
+      admin: '/puppeteer/admin/idempotency'
     }
   });
 });
@@ -101,6 +106,11 @@ const server = app.listen(PORT, () => {
     environment: process.env.NODE_ENV || 'development',
     nodeVersion: process.version
   });
+
+  // Start warm browsers in the background so the first RFQ skips the launch cost
+  warmPool().catch((error) => {
+    logger.warn('Browser pool warm-up failed', { error: error.message });
+  });
 });
 
 // Graceful shutdown
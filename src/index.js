@@ -11,13 +11,19 @@
  *   GET  /puppeteer/health       - Health check
  *   GET  /puppeteer/ready        - Readiness probe
  *   POST /puppeteer/fill-rfq     - Fill RFQ form
+ *   POST /puppeteer/inspect-form - Report detected rows/fields without filling
+ *   GET  /puppeteer/jobs/:id     - Async fill-rfq job status
+ *   *    /puppeteer/admin/...     - Idempotency admin (bearer token)
  */
 
 const express = require('express');
 const router = express.Router();
 
 const logger = require('./utils/logger');
-const { closeAllBrowsers, setShuttingDown, getShuttingDown } = require('./services/browser');
+const { setShuttingDown, getShuttingDown } = require('./services/browser');
+const { closeAllBrowsers, getPoolStats } = require('./services/browser-pool');
+const { getQueueStats } = require('./services/session-queue');
+const { closeStore: closeIdempotencyStore } = require('./services/idempotency');
 
 // =============================================================================
 // HEALTH CHECK ENDPOINTS
@@ -49,6 +55,10 @@ const { closeAllBrowsers, setShuttingDown, getShuttingDown } = require('./servic
  *                   type: string
  *                 memory:
  *                   type: object
+ *                 browserPool:
+ *                   type: object
+ *                 sessionQueue:
+ *                   type: object
  */
 router.get('/health', (req, res) => {
   res.json({
@@ -62,7 +72,9 @@ router.get('/health', (req, res) => {
       heapUsed: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
       heapTotal: Math.round(process.memoryUsage().heapTotal / 1024 / 1024),
       unit: 'MB'
-    }
+    },
+    browserPool: getPoolStats(),
+    sessionQueue: getQueueStats()
   });
 });
 
@@ -90,6 +102,10 @@ router.get('/ready', (req, res) => {
 // =============================================================================
 
 router.use('/fill-rfq', require('./routes/fill-rfq'));
+router.use('/inspect-form', require('./routes/inspect-form'));
+router.use('/jobs', require('./routes/jobs'));
+router.use('/artifacts', require('./routes/artifacts'));
+router.use('/admin', require('./routes/admin'));
 
 // =============================================================================
 // ERROR HANDLING (Puppeteer-specific)
@@ -127,6 +143,7 @@ async function gracefulShutdown() {
   logger.info('Puppeteer service shutting down');
 
   await closeAllBrowsers();
+  await closeIdempotencyStore();
 }
 
 // Register shutdown handlers
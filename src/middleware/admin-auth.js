@@ -0,0 +1,110 @@
+/**
+ * Puppeteer Service - Admin Auth Middleware
+ * Bearer-token authentication for admin and artifact endpoints
+ *
+ * Tokens are configured as comma-separated name:token pairs in
+ * PUPPETEER_ADMIN_TOKENS (and PUPPETEER_ARTIFACT_TOKENS), e.g.
+ * "alice:s3cret,ops-bot:t0ken". The name identifies the caller in the
+ * audit log.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Parse the PUPPETEER_ADMIN_TOKENS value
+ * @param {string} value - Comma-separated name:token pairs
+ * @returns {Array<{name: string, token: string}>}
+ */
+function parseAdminTokens(value = '') {
+  return value
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const separator = pair.indexOf(':');
+      return separator > 0
+        ? { name: pair.slice(0, separator), token: pair.slice(separator + 1) }
+        : null;
+    })
+    .filter((entry) => entry && entry.token);
+}
+
+const ADMIN_TOKENS = parseAdminTokens(process.env.PUPPETEER_ADMIN_TOKENS);
+const ARTIFACT_TOKENS = parseAdminTokens(process.env.PUPPETEER_ARTIFACT_TOKENS);
+
+function tokensMatch(expected, provided) {
+  const a = crypto.createHash('sha256').update(expected).digest();
+  const b = crypto.createHash('sha256').update(provided).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Require a bearer token from the given list; sets req[property] to the
+ * token's name
+ * @param {Array<{name: string, token: string}>} tokens - Accepted tokens
+ * @param {Object} options
+ * @param {string} options.notConfigured - 503 message when no tokens are set
+ * @param {string} options.unauthorized - 401 message
+ * @param {string} options.logMessage - Warning logged on a failed attempt
+ * @param {string} options.property - Request property that receives the caller name
+ * @returns {Function} Express middleware
+ */
+function requireBearerToken(tokens, { notConfigured, unauthorized, logMessage, property }) {
+  return (req, res, next) => {
+    if (tokens.length === 0) {
+      return res.status(503).json({
+        success: false,
+        error: notConfigured
+      });
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    const provided = match ? match[1].trim() : '';
+    const caller = provided && tokens.find((entry) => tokensMatch(entry.token, provided));
+
+    if (!caller) {
+      logger.warn(logMessage, {
+        path: req.originalUrl,
+        ip: req.ip,
+        hasToken: Boolean(provided)
+      });
+      return res.status(401).json({
+        success: false,
+        error: unauthorized
+      });
+    }
+
+    req[property] = caller.name;
+    next();
+  };
+}
+
+/**
+ * Require a valid admin bearer token; sets req.adminUser to the token's name
+ * @returns {Function} Express middleware
+ */
+function requireAdmin() {
+  return requireBearerToken(ADMIN_TOKENS, {
+    notConfigured: 'Admin API not configured. Set PUPPETEER_ADMIN_TOKENS environment variable.',
+    unauthorized: 'Valid admin bearer token required',
+    logMessage: 'Admin authentication failed',
+    property: 'adminUser'
+  });
+}
+
+/**
+ * Require a token allowed to fetch artifact URLs: one from
+ * PUPPETEER_ARTIFACT_TOKENS, or any admin token. Sets req.artifactUser.
+ * @returns {Function} Express middleware
+ */
+function requireArtifactAccess() {
+  return requireBearerToken([...ARTIFACT_TOKENS, ...ADMIN_TOKENS], {
+    notConfigured: 'Artifact API not configured. Set PUPPETEER_ARTIFACT_TOKENS environment variable.',
+    unauthorized: 'Valid bearer token required',
+    logMessage: 'Artifact authentication failed',
+    property: 'artifactUser'
+  });
+}
+
+module.exports = { requireAdmin, requireArtifactAccess, parseAdminTokens };
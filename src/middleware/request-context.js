@@ -0,0 +1,61 @@
+/**
+ * Puppeteer Service - Request Context Middleware
+ * Request ID, request logging and shutdown check shared by the browser routes
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { getShuttingDown } = require('../services/browser');
+
+/**
+ * Use the caller's X-Request-ID (or a fresh UUID) as req.puppeteerId and
+ * echo it back in the response header
+ * @returns {Function} Express middleware
+ */
+function assignRequestId() {
+  return (req, res, next) => {
+    req.puppeteerId = req.get('X-Request-ID') || crypto.randomUUID();
+    res.set('X-Request-ID', req.puppeteerId);
+    next();
+  };
+}
+
+/**
+ * Log method, path, status and duration once the response is sent
+ * @returns {Function} Express middleware
+ */
+function logRequests() {
+  return (req, res, next) => {
+    const start = Date.now();
+
+    res.on('finish', () => {
+      logger.info('Request completed', {
+        requestId: req.puppeteerId,
+        method: req.method,
+        path: req.path,
+        statusCode: res.statusCode,
+        duration: Date.now() - start
+      });
+    });
+
+    next();
+  };
+}
+
+/**
+ * Refuse new work with 503 once graceful shutdown has started
+ * @returns {Function} Express middleware
+ */
+function rejectWhileShuttingDown() {
+  return (req, res, next) => {
+    if (getShuttingDown()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Puppeteer service is shutting down'
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { assignRequestId, logRequests, rejectWhileShuttingDown };
@@ -0,0 +1,432 @@
+/**
+ * Puppeteer Service - Portal Profiles
+ * Declarative descriptions of the RFQ forms the filler knows how to drive
+ *
+ * Each profile is a JSON file declaring:
+ *   hosts                - Hostnames (and their subdomains) served by the portal
+ *   defaultConditionCode - Condition code of the row every product starts with
+ *   rowDetection         - How to read the part number of each product row
+ *   rowFields            - Item field -> control type and id suffix ({code} is
+ *                          replaced by the item's condition code); select
+ *                          fields may add "aliases" (payload value -> option)
+ *   formFields           - Quote-level field -> control type and id suffix
+ *   expandConditions     - How to reveal extra condition rows (optional)
+ *   submit / cancel      - Button locators: selector, text and match mode
+ *   confirmation         - What the portal shows after Send: success/error
+ *                          text patterns and error element selectors (optional)
+ *   clientValidation     - Global validation routine to run before Send and
+ *                          the selector of its validation summary (optional)
+ *   redaction            - Fields, selectors and page regions to blur in the
+ *                          redacted screenshot copy (optional)
+ *   noQuote              - How a no_quote item's row is declared not quoted:
+ *                          a checkbox suffix to tick and/or sentinel row field
+ *                          values, plus the row field that takes the reason
+ *                          (optional; without it no_quote rows are left blank)
+ *
+ * Built-in profiles live next to this file. PUPPETEER_PORTAL_DIR adds (or
+ * overrides) profiles from another directory without touching the source.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { formatTagDate, validateRedactionSpec, VALID_CONDITION_CODES } = require('../utils/validation');
+
+const DEFAULT_PORTAL = process.env.PUPPETEER_DEFAULT_PORTAL || 'ils';
+const PORTAL_DIR = process.env.PUPPETEER_PORTAL_DIR || '';
+
+const ROW_CONTROLS = ['input', 'select', 'radio'];
+const FORM_CONTROLS = ['input', 'textarea'];
+
+// Value formatters a field can request via "format"
+const FORMATTERS = {
+  'tag-date': formatTagDate
+};
+const ROW_STRATEGIES = ['header-text'];
+const EXPAND_STRATEGIES = ['postback'];
+const MATCH_MODES = ['exact', 'contains'];
+
+function validateField(errors, scope, name, field, controls) {
+  if (!field || !controls.includes(field.control)) {
+    errors.push(`${scope}.${name}.control must be one of: ${controls.join(', ')}`);
+    return;
+  }
+  if (field.format !== undefined && !Object.keys(FORMATTERS).includes(field.format)) {
+    errors.push(`${scope}.${name}.format must be one of: ${Object.keys(FORMATTERS).join(', ')}`);
+  }
+  if (field.control === 'radio') {
+    if (!field.options || typeof field.options !== 'object' || Object.keys(field.options).length === 0) {
+      errors.push(`${scope}.${name}.options must map values to id suffixes`);
+    }
+  } else if (!field.suffix || typeof field.suffix !== 'string') {
+    errors.push(`${scope}.${name}.suffix is required`);
+  }
+  if (field.aliases !== undefined) {
+    const valid = field.control === 'select' && field.aliases && typeof field.aliases === 'object'
+      && !Array.isArray(field.aliases) && Object.values(field.aliases).every((target) => typeof target === 'string');
+    if (!valid) {
+      errors.push(`${scope}.${name}.aliases must map values to option values or text on a select field`);
+    }
+  }
+}
+
+function validatePatterns(errors, scope, patterns) {
+  if (patterns === undefined) return;
+  if (!Array.isArray(patterns)) {
+    errors.push(`${scope} must be an array`);
+    return;
+  }
+  for (const pattern of patterns) {
+    try {
+      new RegExp(pattern, 'i');
+    } catch {
+      errors.push(`${scope} contains an invalid regular expression: ${pattern}`);
+    }
+  }
+}
+
+function validateConfirmation(errors, confirmation) {
+  validatePatterns(errors, 'confirmation.successPatterns', confirmation.successPatterns);
+  validatePatterns(errors, 'confirmation.errorPatterns', confirmation.errorPatterns);
+  if (confirmation.errorSelectors !== undefined && !Array.isArray(confirmation.errorSelectors)) {
+    errors.push('confirmation.errorSelectors must be an array');
+  }
+  if (!(confirmation.successPatterns || []).length) {
+    errors.push('confirmation.successPatterns must be a non-empty array');
+  }
+  if (confirmation.timeoutMs !== undefined && !(Number.isInteger(confirmation.timeoutMs) && confirmation.timeoutMs > 0)) {
+    errors.push('confirmation.timeoutMs must be a positive integer');
+  }
+}
+
+function validateClientValidation(errors, clientValidation) {
+  if (typeof clientValidation.routine !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(clientValidation.routine)) {
+    errors.push('clientValidation.routine must be the name of a global function');
+  }
+  if (clientValidation.summarySelector !== undefined && typeof clientValidation.summarySelector !== 'string') {
+    errors.push('clientValidation.summarySelector must be a string');
+  }
+}
+
+function validateRedaction(errors, profile) {
+  const before = errors.length;
+  validateRedactionSpec(profile.redaction, 'redaction', errors);
+  if (errors.length > before) return;
+
+  const unknown = unknownFields(profile, profile.redaction.fields || []);
+  if (unknown.length > 0) {
+    errors.push(`redaction.fields contains unknown fields: ${unknown.join(', ')}`);
+  }
+}
+
+function validateNoQuote(errors, profile) {
+  const { checkbox, values, reasonField, defaultReason } = profile.noQuote || {};
+  const rowFields = profile.rowFields || {};
+
+  if (checkbox !== undefined && (typeof checkbox !== 'string' || !checkbox)) {
+    errors.push('noQuote.checkbox must be an id suffix');
+  }
+  if (values !== undefined) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      errors.push('noQuote.values must map row fields to values');
+    } else {
+      const unknown = Object.keys(values).filter((field) => !rowFields[field]);
+      if (unknown.length > 0) {
+        errors.push(`noQuote.values contains unknown row fields: ${unknown.join(', ')}`);
+      }
+    }
+  }
+  if (!checkbox && !values) {
+    errors.push('noQuote needs a checkbox or values');
+  }
+  if (reasonField !== undefined && (!rowFields[reasonField] || rowFields[reasonField].control !== 'input')) {
+    errors.push('noQuote.reasonField must be an input row field');
+  }
+  if (defaultReason !== undefined && typeof defaultReason !== 'string') {
+    errors.push('noQuote.defaultReason must be a string');
+  }
+}
+
+function unknownFields(profile, fields) {
+  return fields.filter((field) => !(profile.rowFields || {})[field] && !(profile.formFields || {})[field]);
+}
+
+function validateLocator(errors, scope, locator) {
+  if (!locator) {
+    errors.push(`${scope} is required`);
+    return;
+  }
+  if (!locator.selector) {
+    errors.push(`${scope}.selector is required`);
+  }
+  if (!Array.isArray(locator.text) || locator.text.length === 0) {
+    errors.push(`${scope}.text must be a non-empty array`);
+  }
+  if (!MATCH_MODES.includes(locator.match)) {
+    errors.push(`${scope}.match must be one of: ${MATCH_MODES.join(', ')}`);
+  }
+}
+
+/**
+ * Check a profile against the format described above
+ * @param {Object} profile - Parsed profile
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validatePortalProfile(profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== 'object') {
+    return ['profile must be an object'];
+  }
+
+  if (!profile.name || typeof profile.name !== 'string') {
+    errors.push('name is required');
+  }
+  if (!Array.isArray(profile.hosts)) {
+    errors.push('hosts must be an array');
+  }
+  if (!profile.defaultConditionCode) {
+    errors.push('defaultConditionCode is required');
+  }
+
+  const rowDetection = profile.rowDetection || {};
+  if (!ROW_STRATEGIES.includes(rowDetection.strategy)) {
+    errors.push(`rowDetection.strategy must be one of: ${ROW_STRATEGIES.join(', ')}`);
+  } else {
+    if (!rowDetection.selector) {
+      errors.push('rowDetection.selector is required');
+    }
+    try {
+      new RegExp(rowDetection.pattern, rowDetection.flags);
+    } catch {
+      errors.push('rowDetection.pattern must be a valid regular expression');
+    }
+  }
+
+  if (!profile.rowFields || typeof profile.rowFields !== 'object') {
+    errors.push('rowFields is required');
+  } else {
+    for (const [name, field] of Object.entries(profile.rowFields)) {
+      validateField(errors, 'rowFields', name, field, ROW_CONTROLS);
+    }
+  }
+
+  for (const [name, field] of Object.entries(profile.formFields || {})) {
+    validateField(errors, 'formFields', name, field, FORM_CONTROLS);
+  }
+
+  if (profile.expandConditions) {
+    const expand = profile.expandConditions;
+    if (!EXPAND_STRATEGIES.includes(expand.strategy)) {
+      errors.push(`expandConditions.strategy must be one of: ${EXPAND_STRATEGIES.join(', ')}`);
+    }
+    if (!expand.buttonSelector) {
+      errors.push('expandConditions.buttonSelector is required');
+    }
+    if (!Array.isArray(expand.buttonText) || expand.buttonText.length === 0) {
+      errors.push('expandConditions.buttonText must be a non-empty array');
+    }
+  }
+
+  validateLocator(errors, 'submit', profile.submit);
+  validateLocator(errors, 'cancel', profile.cancel);
+
+  if (profile.confirmation) {
+    validateConfirmation(errors, profile.confirmation);
+  }
+
+  if (profile.clientValidation) {
+    validateClientValidation(errors, profile.clientValidation);
+  }
+
+  if (profile.redaction !== undefined) {
+    validateRedaction(errors, profile);
+  }
+
+  if (profile.noQuote !== undefined) {
+    validateNoQuote(errors, profile);
+  }
+
+  return errors;
+}
+
+/**
+ * Read every *.json profile in a directory
+ * @param {string} dir - Directory to scan
+ * @returns {Object[]} Parsed profiles
+ * @throws {Error} If a profile cannot be parsed or is invalid
+ */
+function loadProfilesFrom(dir) {
+  return fs.readdirSync(dir)
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .map((file) => {
+      const filePath = path.join(dir, file);
+      let profile;
+      try {
+        profile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Invalid portal profile ${filePath}: ${error.message}`);
+      }
+
+      const errors = validatePortalProfile(profile);
+      if (errors.length > 0) {
+        throw new Error(`Invalid portal profile ${filePath}: ${errors.join('; ')}`);
+      }
+      return profile;
+    });
+}
+
+const profiles = new Map();
+for (const profile of [
+  ...loadProfilesFrom(__dirname),
+  ...(PORTAL_DIR ? loadProfilesFrom(PORTAL_DIR) : [])
+]) {
+  profiles.set(profile.name, profile);
+}
+
+if (!profiles.has(DEFAULT_PORTAL)) {
+  throw new Error(`Unknown default portal "${DEFAULT_PORTAL}". Available: ${Array.from(profiles.keys()).join(', ')}`);
+}
+
+/**
+ * @returns {string[]} Names of the loaded profiles
+ */
+function listPortals() {
+  return Array.from(profiles.keys());
+}
+
+/**
+ * @param {string} name - Profile name
+ * @returns {Object|null} Profile, or null if none is loaded under that name
+ */
+function getPortalProfile(name) {
+  return profiles.get(name) || null;
+}
+
+/**
+ * @returns {Object} The PUPPETEER_DEFAULT_PORTAL profile
+ */
+function getDefaultProfile() {
+  return profiles.get(DEFAULT_PORTAL);
+}
+
+/**
+ * Pick the profile for a request: the explicit portal name if given,
+ * otherwise the profile whose hosts match the form URL, otherwise the default.
+ *
+ * @param {Object} options
+ * @param {string} [options.portal] - Explicit profile name
+ * @param {string} options.url - Form URL
+ * @returns {{profile: Object|null, matchedBy: string}} profile is null for an unknown explicit name
+ */
+function resolvePortalProfile({ portal, url }) {
+  if (portal) {
+    return { profile: getPortalProfile(portal), matchedBy: 'portal' };
+  }
+
+  const hostname = new URL(url).hostname.toLowerCase();
+  for (const profile of profiles.values()) {
+    const matches = profile.hosts.some((host) => {
+      const expected = host.toLowerCase();
+      return hostname === expected || hostname.endsWith(`.${expected}`);
+    });
+    if (matches) {
+      return { profile, matchedBy: 'host' };
+    }
+  }
+
+  logger.debug('No portal profile matches host, using default', { hostname, portal: DEFAULT_PORTAL });
+  return { profile: getDefaultProfile(), matchedBy: 'default' };
+}
+
+/**
+ * Substitute the condition code into an id suffix template
+ * @param {string} template - e.g. "txt{code}Qty1"
+ * @param {string} code - Condition code
+ * @returns {string} e.g. "txtNEQty1"
+ */
+function resolveSuffix(template, code) {
+  return template.replace(/\{code\}/g, code);
+}
+
+/**
+ * Apply a field's declared format to the value about to be written
+ * @param {Object} spec - rowFields/formFields entry
+ * @param {*} value - Raw value from the request
+ * @returns {*} Formatted value
+ */
+function formatFieldValue(spec, value) {
+  return spec.format ? FORMATTERS[spec.format](value) : value;
+}
+
+/**
+ * Turn a request's redaction option into what to blur on the page. `true`
+ * uses the profile's own redaction block; an object replaces it. Field
+ * names become id-suffix selectors covering every row and condition code.
+ *
+ * @param {Object} profile - Portal profile
+ * @param {boolean|Object} [redact] - Request option
+ * @returns {{selectors: string[], regions: Object[]}|null} null when redaction is off or names nothing
+ * @throws {Error} If the spec names fields the profile does not have
+ */
+function resolveRedaction(profile, redact) {
+  const spec = redact === true ? profile.redaction : redact;
+  if (!spec) return null;
+
+  const fields = spec.fields || [];
+  const unknown = unknownFields(profile, fields);
+  if (unknown.length > 0) {
+    throw new Error(`redact.fields contains unknown fields for portal ${profile.name}: ${unknown.join(', ')}`);
+  }
+
+  const suffixes = new Set();
+  for (const field of fields) {
+    const fieldSpec = profile.rowFields[field] || profile.formFields[field];
+    const templates = fieldSpec.control === 'radio' ? Object.values(fieldSpec.options) : [fieldSpec.suffix];
+    for (const template of templates) {
+      for (const code of VALID_CONDITION_CODES) {
+        suffixes.add(resolveSuffix(template, code));
+      }
+    }
+  }
+
+  const selectors = [...[...suffixes].map((suffix) => `[id$="${suffix}"]`), ...(spec.selectors || [])];
+  const regions = spec.regions || [];
+  return selectors.length > 0 || regions.length > 0 ? { selectors, regions } : null;
+}
+
+/**
+ * The row values that declare a no_quote item not quoted: the profile's
+ * sentinel values and the reason (the item's no_quote_reason, else the
+ * profile's default) in its reason field. The checkbox, if any, is ticked
+ * separately.
+ *
+ * @param {Object} profile - Portal profile
+ * @param {Object} item - Payload item with no_quote set
+ * @returns {Object|null} Item-shaped values to write, or null if the profile cannot mark no-quotes
+ */
+function resolveNoQuoteItem(profile, item) {
+  const noQuote = profile.noQuote;
+  if (!noQuote) return null;
+
+  const marked = { part_no: item.part_no, conditionCode: item.conditionCode, ...(noQuote.values || {}) };
+  const reason = item.no_quote_reason || noQuote.defaultReason;
+  if (noQuote.reasonField && reason) {
+    marked[noQuote.reasonField] = reason;
+  }
+  return marked;
+}
+
+module.exports = {
+  listPortals,
+  getPortalProfile,
+  getDefaultProfile,
+  resolvePortalProfile,
+  resolveSuffix,
+  formatFieldValue,
+  resolveRedaction,
+  resolveNoQuoteItem,
+  validatePortalProfile,
+  DEFAULT_PORTAL
+};
@@ -0,0 +1,249 @@
+/**
+ * Puppeteer Service - Admin Route
+ * Inspect and clear idempotency records
+ *
+ *   GET    /puppeteer/admin/idempotency               - List records
+ *   GET    /puppeteer/admin/idempotency/stats         - Record counts by status
+ *   GET    /puppeteer/admin/idempotency/:key          - Single record with stored result
+ *   DELETE /puppeteer/admin/idempotency/:key          - Delete a record
+ *   POST   /puppeteer/admin/idempotency/:key/expire   - Force-expire a record
+ *
+ * Keys contain colons and the form URL, so clients must URL-encode them.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const logger = require('../utils/logger');
+const { requireAdmin } = require('../middleware/admin-auth');
+const {
+  parseIdempotencyKey,
+  getRecord,
+  listRecords,
+  removeKey,
+  expireKey,
+  getStats
+} = require('../services/idempotency');
+
+const VALID_STATUSES = ['processing', 'completed', 'failed', 'abandoned', 'unconfirmed'];
+const VALID_MODES = ['test', 'prod'];
+
+router.use(requireAdmin());
+
+/**
+ * Write an admin action to the structured log
+ * @param {Object} req - Express request (carries adminUser)
+ * @param {string} action - Action name
+ * @param {Object} [details] - Extra fields
+ */
+function audit(req, action, details = {}) {
+  logger.info('Admin action', {
+    admin: req.adminUser,
+    action,
+    ip: req.ip,
+    ...details
+  });
+}
+
+/**
+ * Shape a record for the API response
+ * @param {string} key - Idempotency key
+ * @param {Object} record - Stored record
+ * @param {boolean} includeResult - Include the cached response body
+ * @returns {Object} Serialized record
+ */
+function serializeRecord(key, record, includeResult) {
+  const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+  const serialized = {
+    key,
+    ...parseIdempotencyKey(key),
+    status: record.status,
+    createdAt: toIso(record.createdAt),
+    heartbeatAt: toIso(record.heartbeatAt),
+    ownerId: record.ownerId || null,
+    error: record.error || null,
+    submissionMayHaveOccurred: Boolean(record.submissionMayHaveOccurred),
+    hasResult: Boolean(record.result)
+  };
+
+  if (includeResult) {
+    serialized.result = record.result;
+  }
+
+  return serialized;
+}
+
+function notFound(res, key) {
+  return res.status(404).json({
+    success: false,
+    error: 'Idempotency record not found',
+    key
+  });
+}
+
+/**
+ * @swagger
+ * /puppeteer/admin/idempotency:
+ *   get:
+ *     summary: List idempotency records
+ *     tags: [Puppeteer Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: rfqId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [processing, completed, failed, abandoned, unconfirmed]
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [test, prod]
+ *     responses:
+ *       200:
+ *         description: Matching records, newest first (without stored results)
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Missing or invalid admin token
+ */
+router.get('/idempotency', async (req, res) => {
+  const { rfqId, status, mode } = req.query;
+
+  if (status && !VALID_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of: ${VALID_STATUSES.join(', ')}` });
+  }
+  if (mode && !VALID_MODES.includes(mode)) {
+    return res.status(400).json({ success: false, error: `mode must be one of: ${VALID_MODES.join(', ')}` });
+  }
+
+  const records = await listRecords({ rfqId, status, mode });
+  audit(req, 'list_idempotency', { filters: { rfqId, status, mode }, count: records.length });
+
+  res.json({
+    success: true,
+    count: records.length,
+    records: records.map(({ key, record }) => serializeRecord(key, record, false))
+  });
+});
+
+/**
+ * @swagger
+ * /puppeteer/admin/idempotency/stats:
+ *   get:
+ *     summary: Idempotency record counts by status
+ *     tags: [Puppeteer Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stats from the idempotency service
+ */
+router.get('/idempotency/stats', async (req, res) => {
+  const stats = await getStats();
+  audit(req, 'idempotency_stats');
+  res.json({ success: true, stats });
+});
+
+/**
+ * @swagger
+ * /puppeteer/admin/idempotency/{key}:
+ *   get:
+ *     summary: Get one idempotency record including its stored result
+ *     tags: [Puppeteer Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: URL-encoded idempotency key ({rfqId}:{mode}:{formUrl})
+ *     responses:
+ *       200:
+ *         description: Record found
+ *       404:
+ *         description: Record not found
+ *   delete:
+ *     summary: Delete an idempotency record so the RFQ can be processed again
+ *     tags: [Puppeteer Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Record deleted
+ *       404:
+ *         description: Record not found
+ */
+router.get('/idempotency/:key', async (req, res) => {
+  const { key } = req.params;
+  const record = await getRecord(key);
+  audit(req, 'get_idempotency', { key, found: Boolean(record) });
+
+  if (!record) {
+    return notFound(res, key);
+  }
+
+  res.json({ success: true, record: serializeRecord(key, record, true) });
+});
+
+router.delete('/idempotency/:key', async (req, res) => {
+  const { key } = req.params;
+  const record = await getRecord(key);
+
+  if (!record) {
+    audit(req, 'delete_idempotency', { key, found: false });
+    return notFound(res, key);
+  }
+
+  await removeKey(key);
+  audit(req, 'delete_idempotency', { key, found: true, previousStatus: record.status });
+
+  res.json({ success: true, key, deleted: true, previousStatus: record.status });
+});
+
+/**
+ * @swagger
+ * /puppeteer/admin/idempotency/{key}/expire:
+ *   post:
+ *     summary: Force an idempotency record past its TTL
+ *     tags: [Puppeteer Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Record expired; the next request for the key is processed as new
+ *       404:
+ *         description: Record not found
+ */
+router.post('/idempotency/:key/expire', async (req, res) => {
+  const { key } = req.params;
+  const expired = await expireKey(key);
+  audit(req, 'expire_idempotency', { key, found: expired });
+
+  if (!expired) {
+    return notFound(res, key);
+  }
+
+  res.json({ success: true, key, expired: true });
+});
+
+module.exports = router;
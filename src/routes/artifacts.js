@@ -0,0 +1,123 @@
+/**
+ * Puppeteer Service - Artifacts Route
+ * GET /puppeteer/artifacts/:rfqId/:file
+ *
+ * Artifact URLs returned with a run are signed and expire. This mints a
+ * fresh URL for an artifact uploaded earlier, for callers holding an
+ * artifact or admin token.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const logger = require('../utils/logger');
+const { requireArtifactAccess } = require('../middleware/admin-auth');
+const {
+  refreshArtifactUrl,
+  isConfigured: isStorageConfigured,
+  getConfigError: getStorageConfigError
+} = require('../services/screenshot');
+
+// One path segment: no separators, no leading dot ("..", hidden files)
+const SAFE_SEGMENT = /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+router.use(requireArtifactAccess());
+
+/**
+ * @swagger
+ * /puppeteer/artifacts/{rfqId}/{file}:
+ *   get:
+ *     summary: Get a fresh URL for a stored screenshot, archive or form snapshot
+ *     tags: [Puppeteer]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: rfqId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: file
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: File name from the artifact's storage_path, e.g. rfq-filled-1717171717171.png
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *         description: Upload date (YYYY-MM-DD), only for path templates containing {date}
+ *     responses:
+ *       200:
+ *         description: URL for the artifact; url_expires_at is null for public URLs
+ *       400:
+ *         description: Invalid RFQ ID, file name or date
+ *       401:
+ *         description: Missing or invalid token
+ *       404:
+ *         description: No artifact stored at that path
+ *       500:
+ *         description: The artifact store could not produce a URL
+ *       503:
+ *         description: Artifact storage or artifact tokens not configured
+ */
+router.get('/:rfqId/:file', async (req, res) => {
+  const { rfqId, file } = req.params;
+  const { date } = req.query;
+
+  if (!isStorageConfigured()) {
+    return res.status(503).json({
+      success: false,
+      error: getStorageConfigError()
+    });
+  }
+
+  if (!SAFE_SEGMENT.test(rfqId) || !SAFE_SEGMENT.test(file)) {
+    return res.status(400).json({
+      success: false,
+      error: 'rfqId and file must be plain names (letters, digits, ".", "_", "-")'
+    });
+  }
+
+  if (date !== undefined && !DATE_PATTERN.test(date)) {
+    return res.status(400).json({
+      success: false,
+      error: 'date must be YYYY-MM-DD'
+    });
+  }
+
+  try {
+    const artifact = await refreshArtifactUrl(rfqId, file, date);
+    if (!artifact) {
+      logger.warn('Artifact not found', { caller: req.artifactUser, rfqId, file, date });
+      return res.status(404).json({
+        success: false,
+        error: 'Artifact not found'
+      });
+    }
+
+    logger.info('Artifact URL issued', {
+      caller: req.artifactUser,
+      rfqId,
+      storagePath: artifact.storage_path,
+      expiresAt: artifact.url_expires_at
+    });
+
+    res.json({
+      success: true,
+      rfqId,
+      file,
+      ...artifact
+    });
+  } catch (error) {
+    logger.error('Failed to issue artifact URL', { rfqId, file, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
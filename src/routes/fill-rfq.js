@@ -5,61 +5,48 @@
 
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto');
 
 const logger = require('../utils/logger');
-const { validateRfqRequest } = require('../utils/validation');
+const { validateRfqRequest, validateOfferRows } = require('../utils/validation');
 const { rateLimit } = require('../middleware/rate-limiter');
-const { launchBrowser, setupPage, closeBrowser, getShuttingDown } = require('../services/browser');
-const { fillRfqForm, cancelFormSubmission, submitForm, delay } = require('../services/form-filler');
-const { captureAndUploadScreenshot, isConfigured: isSupabaseConfigured } = require('../services/screenshot');
+const { assignRequestId, logRequests, rejectWhileShuttingDown } = require('../middleware/request-context');
+const { acquireBrowserContext, releaseBrowserContext } = require('../services/browser-pool');
+const { fillRfqForm, cancelFormSubmission, submitForm, findMissingTargets } = require('../services/form-filler');
+const { openFormPage } = require('../services/navigation');
+const {
+  captureAndUploadScreenshot,
+  captureAndUploadArchives,
+  buildAnnotations,
+  captureAnnotatedScreenshot,
+  captureRedactedScreenshot,
+  isConfigured: isStorageConfigured,
+  getConfigError: getStorageConfigError
+} = require('../services/screenshot');
 const { validateAndCorrect } = require('../services/form-validator');
+const { captureFormSnapshot, diffFormSnapshots, uploadFormSnapshots } = require('../services/form-snapshot');
+const { confirmSubmission, readEvidence } = require('../services/submission-confirmation');
+const { resolvePortalProfile, resolveRedaction, listPortals } = require('../portals');
 const {
   generateIdempotencyKey,
   checkIdempotency,
   startProcessing,
   markCompleted,
   markFailed,
+  markUnconfirmed,
+  markSubmitting,
+  startHeartbeat,
   removeKey
 } = require('../services/idempotency');
+const { createJob, setJobPhase, completeJob } = require('../services/jobs');
+const { enqueueSession, isQueueFull, getRetryAfterSeconds } = require('../services/session-queue');
+const { deliverCallback, isConfigured: isWebhookConfigured } = require('../services/webhook');
 
 // Apply rate limiting to this route
 router.use(rateLimit());
 
-// Request ID middleware
-router.use((req, res, next) => {
-  req.puppeteerId = req.get('X-Request-ID') || crypto.randomUUID();
-  res.set('X-Request-ID', req.puppeteerId);
-  next();
-});
-
-// Request logging
-router.use((req, res, next) => {
-  const start = Date.now();
-
-  res.on('finish', () => {
-    logger.info('Request completed', {
-      requestId: req.puppeteerId,
-      method: req.method,
-      path: req.path,
-      statusCode: res.statusCode,
-      duration: Date.now() - start
-    });
-  });
-
-  next();
-});
-
-// Shutdown check
-router.use((req, res, next) => {
-  if (getShuttingDown()) {
-    return res.status(503).json({
-      success: false,
-      error: 'Puppeteer service is shutting down'
-    });
-  }
-  next();
-});
+router.use(assignRequestId());
+router.use(logRequests());
+router.use(rejectWhileShuttingDown());
 
 /**
  * @swagger
@@ -111,6 +98,11 @@ router.use((req, res, next) => {
  *                           description: Condition code determining which form row to fill
  *                         part_no:
  *                           type: string
+ *                         alt_part_numbers:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                           description: Other part numbers the product may be listed under on the form, tried after part_no
  *                         qty_available:
  *                           type: string
  *                         traceability:
@@ -132,6 +124,29 @@ router.use((req, res, next) => {
  *                           type: string
  *                         no_quote:
  *                           type: boolean
+ *                           description: Declare the item not quoted (marked on the form when the portal supports it)
+ *                         no_quote_reason:
+ *                           type: string
+ *                           description: Reason written to a no_quote row (defaults to the portal's)
+ *                         offers:
+ *                           type: array
+ *                           description: Price offers, each filled on the product's row for its conditionCode (default the item's); values override the item's own. Two offers for the same condition code are rejected with 400, as the form has one row per product and condition code
+ *                           items:
+ *                             type: object
+ *                             required: [price_usd]
+ *                             properties:
+ *                               price_usd:
+ *                                 type: string
+ *                               price_type:
+ *                                 type: string
+ *                                 enum: [OUTRIGHT, EXCHANGE]
+ *                               min_qty:
+ *                                 type: number
+ *                               lead_time:
+ *                                 type: string
+ *                               conditionCode:
+ *                                 type: string
+ *                                 enum: [NE, NS, OH, SV, AR]
  *                   supplier_comments:
  *                     type: string
  *                   quote_prepared_by:
@@ -140,9 +155,54 @@ router.use((req, res, next) => {
  *                 type: boolean
  *                 default: false
  *                 description: Keep browser open after filling (dev only)
+ *               async:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Return 202 with a job ID instead of holding the connection open
+ *               callback_url:
+ *                 type: string
+ *                 description: URL that receives the response body as a signed POST when the run ends
+ *               strict:
+ *                 type: boolean
+ *                 description: Abort with 422 before screenshots and submission if any item has no form row or any field cannot be found or written. Defaults to true when isTestMode is false
+ *               portal:
+ *                 type: string
+ *                 example: ils
+ *                 description: Portal profile to fill the form with. Defaults to the profile matching the URL host, then PUPPETEER_DEFAULT_PORTAL
+ *               annotate:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Add a copy of the filled screenshot with each filled field outlined by validator outcome (green match, amber corrected, red mismatch) and labelled with its part number
+ *               redact:
+ *                 oneOf:
+ *                   - type: boolean
+ *                   - type: object
+ *                     properties:
+ *                       fields:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       selectors:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       regions:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             x:
+ *                               type: number
+ *                             y:
+ *                               type: number
+ *                             width:
+ *                               type: number
+ *                             height:
+ *                               type: number
+ *                 description: Add a copy of the filled screenshot with fields, CSS selectors and page regions blurred. true uses the portal profile's redaction settings
  *     responses:
  *       200:
- *         description: Form filled successfully
+ *         description: Form filled and cancelled, or submitted and confirmed (or left unconfirmed) by the portal
  *         content:
  *           application/json:
  *             schema:
@@ -158,16 +218,62 @@ router.use((req, res, next) => {
  *                   type: object
  *                 screenshot_data:
  *                   type: array
+ *                 form_diff:
+ *                   type: object
+ *                   description: Fields changed, added and removed between the form snapshots taken after navigation and before submit/cancel
+ *                 form_snapshots:
+ *                   type: array
+ *                   description: Uploaded JSON snapshots (form-before, form-after)
+ *                 submission_confirmed:
+ *                   oneOf:
+ *                     - type: boolean
+ *                     - type: string
+ *                       enum: [unknown]
+ *                   description: Production only - whether the portal's response confirmed the submission
+ *                 confirmation:
+ *                   type: object
+ *                   description: Production only - evidence matched on the page after Send
+ *       202:
+ *         description: Form fill accepted (async mode); poll statusUrl for the result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 jobId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 statusUrl:
+ *                   type: string
  *       400:
  *         description: Validation error
+ *       422:
+ *         description: Strict mode - some items or fields could not be located on the form (listed in `missing`)
  *       429:
  *         description: Rate limit exceeded
  *       500:
- *         description: Server error
+ *         description: Server error, or the portal rejected the submission
+ *       503:
+ *         description: Session queue full (see Retry-After header), idempotency store unavailable, shutting down, or not configured
  */
 router.post('/', async (req, res) => {
   const requestId = req.puppeteerId;
-  const { rfq_details, quote_details, keepOpen = false, isTestMode = true } = req.body;
+  const {
+    rfq_details,
+    quote_details,
+    keepOpen = false,
+    isTestMode = true,
+    async: runAsync = false,
+    callback_url: callbackUrl,
+    portal,
+    annotate = false,
+    redact
+  } = req.body;
+  // Production runs fail loudly rather than submit a partially filled quote
+  const strict = req.body.strict ?? !isTestMode;
   const rfqId = req.header('X-RFQ-ID');
 
   // Log execution mode (Single Source of Truth: isTestMode flag from RFQ Ingest Service)
@@ -178,11 +284,11 @@ router.post('/', async (req, res) => {
     mode: isTestMode ? 'TEST_MODE' : 'PRODUCTION_MODE'
   });
 
-  // Check Supabase configuration (required)
-  if (!isSupabaseConfigured()) {
+  // Check artifact storage configuration (required)
+  if (!isStorageConfigured()) {
     return res.status(503).json({
       success: false,
-      error: 'Supabase not configured. Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables.',
+      error: getStorageConfigError(),
       requestId
     });
   }
@@ -206,13 +312,60 @@ router.post('/', async (req, res) => {
     });
   }
 
+  // Callbacks must be signed, so a secret is required to accept one
+  if (callbackUrl && !isWebhookConfigured()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Webhook callbacks not configured. Set PUPPETEER_WEBHOOK_SECRET environment variable.',
+      requestId
+    });
+  }
+
   const url = rfq_details.quote_submission_url;
 
+  // Pick the portal profile that describes this form's selectors
+  const { profile: portalProfile, matchedBy } = resolvePortalProfile({ portal, url });
+  if (!portalProfile) {
+    return res.status(400).json({
+      success: false,
+      errors: [`portal must be one of: ${listPortals().join(', ')}`],
+      requestId
+    });
+  }
+  logger.info('Portal profile selected', { requestId, rfqId, portal: portalProfile.name, matchedBy });
+
+  // Offers need a row each, and which row depends on the portal's default code
+  const offerErrors = validateOfferRows(quote_details.items, portalProfile.defaultConditionCode);
+  if (offerErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      errors: offerErrors,
+      requestId
+    });
+  }
+
+  let redaction;
+  try {
+    redaction = resolveRedaction(portalProfile, redact);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      errors: [error.message],
+      requestId
+    });
+  }
+
   // IDEMPOTENCY CHECK: Prevent duplicate form submissions in production mode
   const idempotencyKey = generateIdempotencyKey(rfqId, url, isTestMode);
 
   // Check for existing processing or completed request
-  const existingRecord = checkIdempotency(idempotencyKey);
+  let existingRecord;
+  try {
+    existingRecord = await checkIdempotency(idempotencyKey);
+  } catch (error) {
+    return respondStoreUnavailable(res, requestId, rfqId, error);
+  }
+
   if (existingRecord) {
     if (existingRecord.status === 'processing') {
       logger.warn('Duplicate request rejected - already processing', {
@@ -245,20 +398,69 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // For test mode or failed requests, allow retry (remove old key)
-    if (existingRecord.status === 'failed' || isTestMode) {
+    // A production run died after clicking Send, or the portal never confirmed
+    // it: the quote may already be with the buyer, so an operator must check
+    // the portal before anyone resubmits
+    if (existingRecord.submissionMayHaveOccurred && !isTestMode &&
+        (existingRecord.status === 'abandoned' || existingRecord.status === 'unconfirmed')) {
+      logger.error('Unverified production submission needs review - request rejected', {
+        requestId,
+        rfqId,
+        idempotencyKey,
+        status: existingRecord.status,
+        ownerId: existingRecord.ownerId
+      });
+      const reason = existingRecord.status === 'abandoned'
+        ? 'A previous attempt was abandoned after the form submission started. '
+        : 'A previous submission was not confirmed by the portal. ';
+      return res.status(409).json({
+        success: false,
+        error: reason + 'Verify the quote on the portal and clear the idempotency record before resubmitting.',
+        requestId,
+        idempotencyKey,
+        existingStatus: existingRecord.status,
+        submissionMayHaveOccurred: true
+      });
+    }
+
+    // For test mode, failed or safely abandoned requests, allow retry (remove old key)
+    if (existingRecord.status === 'failed' || existingRecord.status === 'abandoned' || isTestMode) {
       logger.info('Allowing retry for previous failed/test request', {
         requestId,
         rfqId,
         previousStatus: existingRecord.status,
         isTestMode
       });
-      removeKey(idempotencyKey);
+      try {
+        await removeKey(idempotencyKey);
+      } catch (error) {
+        return respondStoreUnavailable(res, requestId, rfqId, error);
+      }
     }
   }
 
+  // Backpressure: refuse new sessions once the queue is at its maximum depth
+  if (isQueueFull()) {
+    const retryAfter = getRetryAfterSeconds();
+    logger.warn('Session queue full - request rejected', { requestId, rfqId, retryAfter });
+    res.set('Retry-After', String(retryAfter));
+    return res.status(503).json({
+      success: false,
+      error: 'Too many browser sessions in progress. Please retry later.',
+      requestId,
+      retryAfter
+    });
+  }
+
   // Mark request as processing
-  if (!startProcessing(idempotencyKey)) {
+  let started;
+  try {
+    started = await startProcessing(idempotencyKey);
+  } catch (error) {
+    return respondStoreUnavailable(res, requestId, rfqId, error);
+  }
+
+  if (!started) {
     // Race condition - another request started between check and start
     return res.status(409).json({
       success: false,
@@ -267,71 +469,221 @@ router.post('/', async (req, res) => {
     });
   }
 
-  let browser = null;
+  const session = {
+    requestId,
+    rfqId,
+    url,
+    quoteDetails: quote_details,
+    isTestMode,
+    strict,
+    keepOpen,
+    idempotencyKey,
+    callbackUrl,
+    portalProfile,
+    annotate,
+    redaction
+  };
+
+  // Async mode: accept the job and let the caller poll GET /puppeteer/jobs/:id
+  if (runAsync) {
+    const job = createJob({ requestId, rfqId, isTestMode });
+    const statusUrl = `${req.baseUrl.replace(/\/fill-rfq$/, '')}/jobs/${job.id}`;
+
+    logger.info('Fill job accepted', { requestId, rfqId, jobId: job.id });
+
+    res.status(202).json({
+      success: true,
+      message: 'Form fill accepted. Poll the status URL for the result.',
+      requestId,
+      jobId: job.id,
+      status: job.status,
+      statusUrl
+    });
 
-  try {
-    logger.info('Starting form fill', { requestId, url, rfqId });
+    runQueuedSession(session, (phase) => setJobPhase(job.id, phase))
+      .then(({ statusCode, body }) => {
+        completeJob(job.id, statusCode, body);
+        notifyCallback(session, body);
+      })
+      .catch((error) => {
+        // runFillSession never throws, but the queue or the context release can
+        logger.error('Fill job crashed', { requestId, rfqId, jobId: job.id, error: error.message, stack: error.stack });
+        const body = { success: false, error: error.message || 'An unexpected error occurred', requestId };
+        completeJob(job.id, 500, body);
+        notifyCallback(session, body);
+      });
+    return;
+  }
 
-    browser = await launchBrowser(requestId);
-    let page = await setupPage(browser, requestId);
+  const { statusCode, body } = await runQueuedSession(session);
+  notifyCallback(session, body);
+  res.status(statusCode).json(body);
+});
 
-    logger.info('Navigating to URL', { requestId });
-    let navigationSuccess = false;
-    let lastError = null;
+/**
+ * Deliver the run's response body to the session's callback URL, if any.
+ * Delivery (including retries) runs in the background.
+ *
+ * @param {Object} session - Request context
+ * @param {Object} body - Response body of the run
+ */
+function notifyCallback(session, body) {
+  if (!session.callbackUrl) {
+    return;
+  }
 
-    for (let attempt = 1; attempt <= 3; attempt++) {
-      try {
-        const response = await page.goto(url, {
-          waitUntil: 'load',
-          timeout: 120000
-        });
+  const { requestId, rfqId } = session;
+  logger.info('Scheduling webhook callback', { requestId, rfqId, callbackUrl: session.callbackUrl });
+  deliverCallback(session.callbackUrl, body, { requestId, rfqId });
+}
 
-        if (response) {
-          logger.info('Navigation response', { requestId, status: response.status() });
-        }
+/**
+ * Reject a request because the idempotency store could not be reached.
+ * Fails closed: without the store we cannot rule out a duplicate submission.
+ */
+function respondStoreUnavailable(res, requestId, rfqId, error) {
+  logger.error('Idempotency store unavailable', { requestId, rfqId, error: error.message });
+  return res.status(503).json({
+    success: false,
+    error: 'Idempotency store unavailable. Please retry later.',
+    requestId
+  });
+}
 
-        await page.waitForNetworkIdle({ timeout: 60000 }).catch(() => {
-          logger.warn('Network idle timeout, continuing', { requestId });
-        });
-
-        navigationSuccess = true;
-        break;
-      } catch (navError) {
-        lastError = navError;
-        logger.warn(`Navigation attempt ${attempt} failed`, { requestId, error: navError.message });
-        if (attempt < 3) {
-          await page.close().catch(() => {});
-          page = await setupPage(browser, requestId);
-          await delay(3000);
-        }
-      }
+/**
+ * Wait for a session slot, then run the session. The processing record is
+ * heartbeated from the moment it is queued so the reaper leaves it alone.
+ *
+ * @param {Object} session - Validated request context
+ * @param {Function} [onPhase] - Called with the pipeline phase as it changes
+ * @returns {Promise<{statusCode: number, body: Object}>} Response to send
+ */
+async function runQueuedSession(session, onPhase) {
+  const stopHeartbeat = startHeartbeat(session.idempotencyKey);
+  try {
+    return await enqueueSession(session.requestId, () => runFillSession(session, onPhase));
+  } finally {
+    stopHeartbeat();
+  }
+}
+
+/**
+ * Screenshot a checkpoint and archive the page's HTML and MHTML with it.
+ * With the fill and validation reports, also capture the annotated and
+ * redacted copies the request asked for.
+ *
+ * @param {Page} page - Page with the form
+ * @param {Object} session - Request context
+ * @param {string} type - Checkpoint name (e.g. 'pre-validation')
+ * @param {Object} [reports] - { fillReport, validationReport }
+ * @returns {Promise<Array<Object>>} The screenshot, its copies and its archives, for screenshot_data
+ */
+async function captureCheckpoint(page, session, type, reports) {
+  const { requestId, rfqId, url } = session;
+  const screenshot = await captureAndUploadScreenshot(page, rfqId, type, requestId);
+  const copies = reports ? await captureOverlayCopies(page, session, type, reports) : [];
+  const archives = await captureAndUploadArchives(page, rfqId, type, requestId);
+  return [screenshot, ...copies, ...archives].map((artifact) => ({ ...artifact, form_url: url }));
+}
+
+/**
+ * Capture the annotated and redacted screenshot copies the request asked
+ * for. They are for sharing, not evidence: a failure is logged and the copy
+ * left out.
+ */
+async function captureOverlayCopies(page, { requestId, rfqId, annotate, redaction }, type, { fillReport, validationReport }) {
+  const copies = [];
+
+  if (annotate) {
+    try {
+      const annotations = buildAnnotations(fillReport, validationReport);
+      copies.push(await captureAnnotatedScreenshot(page, rfqId, type, requestId, annotations));
+    } catch (error) {
+      logger.warn('Failed to capture annotated screenshot', { requestId, rfqId, type, error: error.message });
     }
+  }
 
-    if (!navigationSuccess) {
-      throw new Error(`Failed to navigate after 3 attempts: ${lastError?.message}`);
+  if (redaction) {
+    try {
+      copies.push(await captureRedactedScreenshot(page, rfqId, type, requestId, redaction));
+    } catch (error) {
+      logger.warn('Failed to capture redacted screenshot', { requestId, rfqId, type, error: error.message });
     }
+  }
 
-    await delay(2000);
-    logger.info('Page loaded successfully', { requestId });
+  return copies;
+}
+
+/**
+ * Run the browser session for a fill-rfq request: navigate, fill, validate,
+ * screenshot and submit/cancel. Never throws; failures are returned as a
+ * 500 response body and recorded in the idempotency store.
+ *
+ * @param {Object} session - Validated request context
+ * @param {Function} [onPhase] - Called with the pipeline phase as it changes
+ * @returns {Promise<{statusCode: number, body: Object}>} Response to send
+ */
+async function runFillSession(session, onPhase = () => {}) {
+  const { requestId, rfqId, url, quoteDetails, isTestMode, strict, keepOpen, idempotencyKey, portalProfile } = session;
+  let lease = null;
+  let submitStarted = false;
+
+  try {
+    logger.info('Starting form fill', { requestId, url, rfqId });
+
+    onPhase('navigating');
+    lease = await acquireBrowserContext(requestId);
+    const page = await openFormPage(lease.context, url, requestId);
+    const formBefore = await captureFormSnapshot(page, requestId);
 
     logger.info('Starting form fill', { requestId });
-    await fillRfqForm(page, quote_details, requestId);
+    onPhase('filling');
+    const fillReport = await fillRfqForm(page, quoteDetails, requestId, portalProfile);
+    const unwritten = fillReport.fields.filter((f) => f.status === 'not_found' || f.status === 'error');
+    if (unwritten.length > 0) {
+      logger.warn('Some fields could not be filled', {
+        requestId, rfqId,
+        fields: unwritten.map((f) => ({ part: f.part_no, field: f.field, status: f.status, error: f.error }))
+      });
+    }
+
+    if (strict) {
+      const missing = findMissingTargets(fillReport);
+      if (missing.parts.length > 0 || missing.fields.length > 0) {
+        const error = `Strict fill aborted: ${missing.parts.length} part(s) without a form row, ` +
+          `${missing.fields.length} field(s) not filled`;
+        logger.error(error, { requestId, rfqId, missing });
+        await markFailed(idempotencyKey, error);
+
+        return {
+          statusCode: 422,
+          body: {
+            success: false,
+            error,
+            requestId,
+            missing,
+            fill_report: fillReport
+          }
+        };
+      }
+    }
 
     // Capture pre-validation screenshot
     logger.info('Capturing pre-validation screenshot', { requestId, rfqId });
-    const preValidationScreenshot = await captureAndUploadScreenshot(page, rfqId, 'pre-validation', requestId);
-    preValidationScreenshot.form_url = url;
+    onPhase('screenshotting');
+    const preValidationArtifacts = await captureCheckpoint(page, session, 'pre-validation');
 
     // Validate filled fields and auto-correct mismatches
     logger.info('Starting form validation', { requestId, rfqId });
-    const validationReport = await validateAndCorrect(page, quote_details, requestId);
+    onPhase('validating');
+    const validationReport = await validateAndCorrect(page, quoteDetails, requestId, undefined, portalProfile, fillReport.row_plan);
 
     // Capture post-correction screenshot if corrections were made
-    let postCorrectionScreenshot = null;
+    let postCorrectionArtifacts = [];
     if (validationReport.correction_attempts > 0) {
       logger.info('Capturing post-correction screenshot', { requestId, rfqId });
-      postCorrectionScreenshot = await captureAndUploadScreenshot(page, rfqId, 'post-correction', requestId);
-      postCorrectionScreenshot.form_url = url;
+      onPhase('screenshotting');
+      postCorrectionArtifacts = await captureCheckpoint(page, session, 'post-correction');
     }
 
     logger.info('Form validation complete', {
@@ -340,94 +692,193 @@ router.post('/', async (req, res) => {
       source: validationReport.source,
       mismatches: validationReport.mismatches_found.length,
       corrections: validationReport.correction_attempts,
+      clientErrors: validationReport.client_validation.errors.length,
       duration_ms: validationReport.duration_ms,
     });
 
+    // Nothing changes the form between here and submit/cancel: record what the run changed
+    const formAfter = await captureFormSnapshot(page, requestId);
+    const formDiff = formBefore && formAfter ? diffFormSnapshots(formBefore, formAfter) : null;
+    if (formDiff) {
+      logger.info('Form diff recorded', {
+        requestId, rfqId,
+        changed: formDiff.changed.length,
+        added: formDiff.added.length,
+        removed: formDiff.removed.length,
+        unchanged: formDiff.unchanged
+      });
+    }
+    const formSnapshots = await uploadFormSnapshots(rfqId, { 'form-before': formBefore, 'form-after': formAfter }, requestId);
+
     // Block submission if validation failed in production mode
     if (validationReport.status === 'fail' && !isTestMode) {
-      logger.error('Form validation FAILED - blocking submission', { requestId, rfqId });
-      markFailed(idempotencyKey, 'Form validation failed after correction attempts');
-
-      return res.status(500).json({
-        success: false,
-        error: 'Form validation failed - data mismatch could not be corrected',
-        requestId,
-        validation: validationReport,
-        screenshot_data: [preValidationScreenshot, postCorrectionScreenshot].filter(Boolean),
-      });
+      const { errors: clientErrors, summary } = validationReport.client_validation;
+      const error = clientErrors.length > 0 || summary.length > 0
+        ? 'Form validation failed - the form reported client-side validation errors'
+        : 'Form validation failed - data mismatch could not be corrected';
+      logger.error('Form validation FAILED - blocking submission', { requestId, rfqId, error });
+      await markFailed(idempotencyKey, error);
+
+      return {
+        statusCode: 500,
+        body: {
+          success: false,
+          error,
+          requestId,
+          fill_report: fillReport,
+          validation: validationReport,
+          form_diff: formDiff,
+          form_snapshots: formSnapshots,
+          screenshot_data: [...preValidationArtifacts, ...postCorrectionArtifacts],
+        }
+      };
     }
 
     // Capture final screenshot
     logger.info('Capturing final screenshot', { requestId, rfqId });
-    const finalScreenshot = await captureAndUploadScreenshot(page, rfqId, 'filled', requestId);
-    finalScreenshot.form_url = url;
+    onPhase('screenshotting');
+    const finalArtifacts = await captureCheckpoint(page, session, 'filled', { fillReport, validationReport });
 
     // Conditional form action based on isTestMode flag
     let finalAction;
     let submitSuccess = true;
+    let confirmation = null;
+    let postSubmitScreenshot = null;
 
+    onPhase('submitting');
     if (isTestMode) {
-      await cancelFormSubmission(page, requestId);
+      await cancelFormSubmission(page, requestId, portalProfile);
       finalAction = 'FORM_CANCELLED';
       logger.info('Final action: FORM_CANCELLED (test mode)', { requestId, rfqId });
     } else {
-      submitSuccess = await submitForm(page, requestId);
+      // Whatever already matches before Send cannot count as the portal's answer
+      const baseline = await readEvidence(page, portalProfile);
+      await markSubmitting(idempotencyKey);
+      submitStarted = true;
+      submitSuccess = await submitForm(page, requestId, portalProfile);
       finalAction = submitSuccess ? 'FORM_SUBMITTED' : 'FORM_SUBMISSION_FAILED';
       logger.info(`Final action: ${finalAction} (production mode)`, { requestId, rfqId, submitSuccess });
+
+      if (submitSuccess) {
+        onPhase('confirming');
+        confirmation = await confirmSubmission(page, requestId, portalProfile, baseline);
+
+        try {
+          postSubmitScreenshot = await captureAndUploadScreenshot(page, rfqId, 'post-submit', requestId);
+          postSubmitScreenshot.form_url = url;
+        } catch (error) {
+          logger.warn('Failed to capture post-submit screenshot', { requestId, rfqId, error: error.message });
+        }
+      }
     }
 
     // Collect all screenshots
-    const allScreenshots = [preValidationScreenshot, postCorrectionScreenshot, finalScreenshot].filter(Boolean);
+    const allScreenshots = [...preValidationArtifacts, ...postCorrectionArtifacts, ...finalArtifacts, postSubmitScreenshot]
+      .filter(Boolean);
 
     // If production mode submission failed, return error
     if (!isTestMode && !submitSuccess) {
-      markFailed(idempotencyKey, 'Form submission failed - submit button not found or submission error');
+      await markFailed(idempotencyKey, 'Form submission failed - submit button not found or submission error');
+
+      return {
+        statusCode: 500,
+        body: {
+          success: false,
+          error: 'Form submission failed - submit button not found or submission error',
+          requestId,
+          finalAction,
+          fill_report: fillReport,
+          validation: validationReport,
+          form_diff: formDiff,
+          form_snapshots: formSnapshots,
+          screenshot_data: allScreenshots,
+        }
+      };
+    }
 
-      return res.status(500).json({
-        success: false,
-        error: 'Form submission failed - submit button not found or submission error',
-        requestId,
-        finalAction,
-        validation: validationReport,
-        screenshot_data: allScreenshots,
-      });
+    // The portal answered the Send click with an error
+    if (confirmation && confirmation.submission_confirmed === false) {
+      finalAction = 'FORM_SUBMISSION_REJECTED';
+      await markFailed(idempotencyKey, 'Form submission rejected by the portal');
+
+      return {
+        statusCode: 500,
+        body: {
+          success: false,
+          error: 'Form submission rejected by the portal',
+          requestId,
+          finalAction,
+          submission_confirmed: false,
+          confirmation,
+          fill_report: fillReport,
+          validation: validationReport,
+          form_diff: formDiff,
+          form_snapshots: formSnapshots,
+          screenshot_data: allScreenshots,
+        }
+      };
+    }
+
+    const unconfirmed = confirmation && confirmation.submission_confirmed === 'unknown';
+    let message = 'Form filled and cancelled successfully';
+    if (!isTestMode) {
+      message = unconfirmed
+        ? 'Form submitted, but the portal did not confirm it. Verify the quote on the portal.'
+        : 'Form filled and submitted successfully';
     }
 
     // Build success response
     const successResponse = {
       success: true,
-      message: isTestMode ? 'Form filled and cancelled successfully' : 'Form filled and submitted successfully',
+      message,
       requestId,
       finalAction,
       isTestMode,
+      ...(confirmation && { submission_confirmed: confirmation.submission_confirmed, confirmation }),
+      fill_report: fillReport,
       validation: validationReport,
+      form_diff: formDiff,
+      form_snapshots: formSnapshots,
       screenshot_data: allScreenshots,
     };
 
-    // Mark as completed in idempotency store
-    markCompleted(idempotencyKey, successResponse);
+    // Only a confirmed submission is cached as completed; an unconfirmed one
+    // blocks resubmission until reviewed
+    if (unconfirmed) {
+      await markUnconfirmed(idempotencyKey, successResponse);
+    } else {
+      await markCompleted(idempotencyKey, successResponse);
+    }
 
-    res.json(successResponse);
+    return { statusCode: 200, body: successResponse };
 
   } catch (error) {
-    logger.error('Form fill failed', { requestId, error: error.message, stack: error.stack });
-
-    // Mark as failed in idempotency store (allows retry)
-    markFailed(idempotencyKey, error.message || 'An unexpected error occurred');
+    logger.error('Form fill failed', { requestId, error: error.message, stack: error.stack, submitStarted });
 
-    res.status(500).json({
+    const body = {
       success: false,
       error: error.message || 'An unexpected error occurred',
       requestId
-    });
+    };
+
+    // Once Send was clicked the quote may be with the buyer: a retry must wait
+    // for review instead of submitting again. Before that, failed allows retry.
+    if (submitStarted) {
+      body.submissionMayHaveOccurred = true;
+      await markUnconfirmed(idempotencyKey, body);
+    } else {
+      await markFailed(idempotencyKey, body.error);
+    }
+
+    return { statusCode: 500, body };
 
   } finally {
-    if (browser && !keepOpen) {
-      await closeBrowser(browser, requestId);
+    if (lease && !keepOpen) {
+      await releaseBrowserContext(lease);
     } else if (keepOpen) {
       logger.info('Browser kept open for inspection', { requestId });
     }
   }
-});
+}
 
 module.exports = router;
@@ -0,0 +1,179 @@
+/**
+ * Puppeteer Service - Inspect Form Route
+ * POST /puppeteer/inspect-form
+ *
+ * Dry run for a new RFQ URL: navigates like fill-rfq, fills nothing, and
+ * reports the rows, field suffixes and buttons the filler would find.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const logger = require('../utils/logger');
+const { validateInspectRequest } = require('../utils/validation');
+const { rateLimit } = require('../middleware/rate-limiter');
+const { assignRequestId, logRequests, rejectWhileShuttingDown } = require('../middleware/request-context');
+const { acquireBrowserContext, releaseBrowserContext } = require('../services/browser-pool');
+const { openFormPage } = require('../services/navigation');
+const { inspectForm } = require('../services/form-inspector');
+const {
+  captureAndUploadScreenshot,
+  isConfigured: isStorageConfigured,
+  getConfigError: getStorageConfigError
+} = require('../services/screenshot');
+const { enqueueSession, isQueueFull, getRetryAfterSeconds } = require('../services/session-queue');
+const { resolvePortalProfile, listPortals } = require('../portals');
+
+router.use(rateLimit());
+router.use(assignRequestId());
+router.use(logRequests());
+router.use(rejectWhileShuttingDown());
+
+/**
+ * @swagger
+ * /puppeteer/inspect-form:
+ *   post:
+ *     summary: Report the rows, fields and buttons detected on an RFQ form without filling it
+ *     tags: [Puppeteer]
+ *     parameters:
+ *       - in: header
+ *         name: X-RFQ-ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: RFQ ID for screenshot organization
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rfq_details
+ *             properties:
+ *               rfq_details:
+ *                 type: object
+ *                 required:
+ *                   - quote_submission_url
+ *                 properties:
+ *                   quote_submission_url:
+ *                     type: string
+ *               portal:
+ *                 type: string
+ *                 description: Portal profile to inspect with (defaults as for fill-rfq)
+ *     responses:
+ *       200:
+ *         description: Inspection report and screenshot
+ *       400:
+ *         description: Validation error or unknown portal
+ *       500:
+ *         description: Navigation or inspection failed
+ *       503:
+ *         description: Session queue full (see Retry-After header), artifact storage not configured, or shutting down
+ */
+router.post('/', async (req, res) => {
+  const requestId = req.puppeteerId;
+  const rfqId = req.header('X-RFQ-ID');
+
+  if (!isStorageConfigured()) {
+    return res.status(503).json({
+      success: false,
+      error: getStorageConfigError(),
+      requestId
+    });
+  }
+
+  if (!rfqId) {
+    return res.status(400).json({
+      success: false,
+      error: 'X-RFQ-ID header is required for screenshot uploads',
+      requestId
+    });
+  }
+
+  const validationErrors = validateInspectRequest(req.body);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      errors: validationErrors,
+      requestId
+    });
+  }
+
+  const url = req.body.rfq_details.quote_submission_url;
+  const { profile: portalProfile, matchedBy } = resolvePortalProfile({ portal: req.body.portal, url });
+  if (!portalProfile) {
+    return res.status(400).json({
+      success: false,
+      errors: [`portal must be one of: ${listPortals().join(', ')}`],
+      requestId
+    });
+  }
+
+  if (isQueueFull()) {
+    const retryAfter = getRetryAfterSeconds();
+    logger.warn('Session queue full - inspection rejected', { requestId, rfqId, retryAfter });
+    res.set('Retry-After', String(retryAfter));
+    return res.status(503).json({
+      success: false,
+      error: 'Too many browser sessions in progress. Please retry later.',
+      requestId,
+      retryAfter
+    });
+  }
+
+  const { statusCode, body } = await enqueueSession(requestId, () =>
+    runInspection({ requestId, rfqId, url, portalProfile, matchedBy }));
+  res.status(statusCode).json(body);
+});
+
+/**
+ * Navigate to the form, inspect it and capture a screenshot. Never throws;
+ * failures are returned as a 500 response body.
+ *
+ * @param {Object} session - Validated request context
+ * @returns {Promise<{statusCode: number, body: Object}>} Response to send
+ */
+async function runInspection({ requestId, rfqId, url, portalProfile, matchedBy }) {
+  let lease = null;
+
+  try {
+    logger.info('Starting form inspection', { requestId, rfqId, url, portal: portalProfile.name, matchedBy });
+
+    lease = await acquireBrowserContext(requestId);
+    const page = await openFormPage(lease.context, url, requestId);
+
+    const inspection = await inspectForm(page, requestId, portalProfile);
+
+    const screenshot = await captureAndUploadScreenshot(page, rfqId, 'inspection', requestId);
+    screenshot.form_url = url;
+
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        requestId,
+        matchedBy,
+        inspection,
+        screenshot_data: [screenshot]
+      }
+    };
+  } catch (error) {
+    logger.error('Form inspection failed', { requestId, error: error.message, stack: error.stack });
+
+    return {
+      statusCode: 500,
+      body: {
+        success: false,
+        error: error.message || 'An unexpected error occurred',
+        requestId
+      }
+    };
+  } finally {
+    if (lease) {
+      await releaseBrowserContext(lease);
+    }
+  }
+}
+
+module.exports = router;
@@ -0,0 +1,92 @@
+/**
+ * Puppeteer Service - Jobs Route
+ * GET /puppeteer/jobs/:id
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { getJob } = require('../services/jobs');
+
+/**
+ * Shape a job record for the API response
+ * @param {Object} job - Job record from the jobs service
+ * @returns {Object} Serialized job
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    requestId: job.requestId,
+    rfqId: job.rfqId,
+    isTestMode: job.isTestMode,
+    status: job.status,
+    phase: job.phase,
+    statusCode: job.statusCode,
+    result: job.result,
+    error: job.error,
+    createdAt: new Date(job.createdAt).toISOString(),
+    updatedAt: new Date(job.updatedAt).toISOString(),
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null
+  };
+}
+
+/**
+ * @swagger
+ * /puppeteer/jobs/{id}:
+ *   get:
+ *     summary: Get the status of an asynchronous fill-rfq job
+ *     tags: [Puppeteer]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID returned by POST /puppeteer/fill-rfq with async=true
+ *     responses:
+ *       200:
+ *         description: Job found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 job:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                       enum: [queued, running, succeeded, failed]
+ *                     phase:
+ *                       type: string
+ *                       enum: [queued, navigating, filling, validating, screenshotting, submitting, confirming]
+ *                     statusCode:
+ *                       type: integer
+ *                     result:
+ *                       type: object
+ *                       description: The body the synchronous fill-rfq call would have returned
+ *                     error:
+ *                       type: string
+ *       404:
+ *         description: Job not found or expired
+ */
+router.get('/:id', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      jobId: req.params.id
+    });
+  }
+
+  res.json({
+    success: true,
+    job: serializeJob(job)
+  });
+});
+
+module.exports = router;
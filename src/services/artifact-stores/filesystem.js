@@ -0,0 +1,58 @@
+/**
+ * Puppeteer Service - Filesystem Artifact Store
+ * Writes artifacts under a local directory, so the service runs end to end
+ * without any cloud storage (local development, air-gapped deployments)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+/**
+ * Create a filesystem backend
+ * @param {Object} options
+ * @param {string} options.root - Directory artifacts are written under
+ * @param {string} [options.publicUrl] - Base URL the directory is served from (defaults to file:// URLs)
+ * @returns {Object} Artifact store
+ */
+function createFilesystemStore({ root, publicUrl }) {
+  const rootDir = path.resolve(root);
+
+  // Storage paths carry the caller's RFQ ID; keep them inside the root
+  function resolve(storagePath) {
+    const target = path.resolve(rootDir, storagePath);
+    if (!target.startsWith(rootDir + path.sep)) {
+      throw new Error(`Artifact path escapes the storage directory: ${storagePath}`);
+    }
+    return target;
+  }
+
+  return {
+    name: 'filesystem',
+    configError: null,
+
+    async put(storagePath, body, _contentType) {
+      const target = resolve(storagePath);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, body);
+    },
+
+    async exists(storagePath) {
+      try {
+        return (await fs.promises.stat(resolve(storagePath))).isFile();
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    },
+
+    publicUrl(storagePath) {
+      if (publicUrl) {
+        return `${publicUrl.replace(/\/$/, '')}/${storagePath}`;
+      }
+      return pathToFileURL(resolve(storagePath)).toString();
+    }
+  };
+}
+
+module.exports = { createFilesystemStore };
@@ -0,0 +1,131 @@
+/**
+ * Puppeteer Service - Artifact Store Factory
+ * Selects where screenshots, archives and snapshots are stored
+ *
+ * Every backend implements:
+ *   name
+ *   configError                          -> null, or why the backend cannot be used
+ *   put(storagePath, body, contentType)  -> resolves once stored
+ *   exists(storagePath)                  -> resolves to true if the object is stored
+ *   publicUrl(storagePath)               -> URL the object is served from
+ *   signedUrl(storagePath, expiresIn)    -> resolves to an expiring URL (optional)
+ *
+ * The factory wraps the backend with the settings shared by all of them:
+ * the path template and whether returned URLs are public or signed. Signed
+ * is the default wherever the backend can sign, since screenshots show
+ * customer prices.
+ */
+
+const path = require('path');
+const { createSupabaseStore } = require('./supabase');
+const { createS3Store } = require('./s3');
+const { createFilesystemStore } = require('./filesystem');
+
+const STORE_TYPE = process.env.PUPPETEER_ARTIFACT_STORE || 'supabase';
+const BUCKET = process.env.PUPPETEER_ARTIFACT_BUCKET || 'rfq-artifacts';
+const PATH_TEMPLATE = process.env.PUPPETEER_ARTIFACT_PATH_TEMPLATE || 'screenshots/{rfqId}/{fileName}';
+const URL_MODE = process.env.PUPPETEER_ARTIFACT_URL_MODE;
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.PUPPETEER_ARTIFACT_SIGNED_URL_TTL_SECONDS, 10) || 3600;
+const ARTIFACT_DIR = process.env.PUPPETEER_ARTIFACT_DIR || path.join(process.cwd(), 'data', 'artifacts');
+
+/**
+ * Fill a path template. Supports {rfqId}, {fileName} and {date} (YYYY-MM-DD, UTC).
+ * @param {string} template - Path template
+ * @param {Object} values - { rfqId, fileName, date? }
+ * @returns {string} Storage path
+ */
+function renderPath(template, { rfqId, fileName, date }) {
+  const values = { rfqId, fileName, date: date || new Date().toISOString().slice(0, 10) };
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+function createBackend(type) {
+  switch (type) {
+    case 'supabase':
+      return createSupabaseStore({
+        url: process.env.SUPABASE_URL,
+        serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+        bucket: BUCKET
+      });
+    case 's3':
+      return createS3Store({
+        bucket: BUCKET,
+        endpoint: process.env.PUPPETEER_S3_ENDPOINT,
+        region: process.env.PUPPETEER_S3_REGION || 'us-east-1',
+        accessKeyId: process.env.PUPPETEER_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.PUPPETEER_S3_SECRET_ACCESS_KEY,
+        // Custom endpoints (MinIO and friends) rarely have per-bucket host names
+        forcePathStyle: process.env.PUPPETEER_S3_FORCE_PATH_STYLE
+          ? process.env.PUPPETEER_S3_FORCE_PATH_STYLE === 'true'
+          : Boolean(process.env.PUPPETEER_S3_ENDPOINT),
+        publicUrl: process.env.PUPPETEER_S3_PUBLIC_URL
+      });
+    case 'filesystem':
+      return createFilesystemStore({
+        root: ARTIFACT_DIR,
+        publicUrl: process.env.PUPPETEER_ARTIFACT_PUBLIC_URL
+      });
+    default:
+      throw new Error(`Unknown artifact store "${type}". Use supabase, s3 or filesystem.`);
+  }
+}
+
+/**
+ * Create the configured artifact store
+ * @param {string} [type] - 'supabase' | 's3' | 'filesystem'
+ * @param {Object} [options]
+ * @param {string} [options.pathTemplate] - Storage path template
+ * @param {string} [options.urlMode] - 'public' | 'signed' (default: signed if the backend can sign)
+ * @param {number} [options.signedUrlTtlSeconds] - Lifetime of signed URLs
+ * @returns {Object} Store with storagePath(rfqId, fileName, date), put(...), exists(storagePath) and url(storagePath)
+ */
+function createArtifactStore(type = STORE_TYPE, {
+  pathTemplate = PATH_TEMPLATE,
+  urlMode = URL_MODE,
+  signedUrlTtlSeconds = SIGNED_URL_TTL_SECONDS
+} = {}) {
+  const backend = createBackend(type);
+  const mode = urlMode || (backend.signedUrl ? 'signed' : 'public');
+
+  if (mode !== 'public' && mode !== 'signed') {
+    throw new Error(`Unknown artifact URL mode "${mode}". Use public or signed.`);
+  }
+  if (mode === 'signed' && !backend.signedUrl) {
+    throw new Error(`The ${type} artifact store cannot sign URLs. Set PUPPETEER_ARTIFACT_URL_MODE=public.`);
+  }
+  if (!pathTemplate.includes('{fileName}')) {
+    throw new Error('PUPPETEER_ARTIFACT_PATH_TEMPLATE must contain {fileName}');
+  }
+
+  return {
+    name: backend.name,
+    configError: backend.configError,
+    urlMode: mode,
+
+    storagePath(rfqId, fileName, date) {
+      return renderPath(pathTemplate, { rfqId, fileName, date });
+    },
+
+    put(storagePath, body, contentType) {
+      return backend.put(storagePath, body, contentType);
+    },
+
+    exists(storagePath) {
+      return backend.exists(storagePath);
+    },
+
+    /**
+     * URL for an object under the URL policy; expiresAt is null for public URLs
+     * @returns {Promise<{url: string, expiresAt: string|null}>}
+     */
+    async url(storagePath) {
+      if (mode === 'public') {
+        return { url: backend.publicUrl(storagePath), expiresAt: null };
+      }
+      const expiresAt = new Date(Date.now() + signedUrlTtlSeconds * 1000).toISOString();
+      return { url: await backend.signedUrl(storagePath, signedUrlTtlSeconds), expiresAt };
+    }
+  };
+}
+
+module.exports = { createArtifactStore, renderPath };
@@ -0,0 +1,170 @@
+/**
+ * Puppeteer Service - S3 Artifact Store
+ * Uploads to AWS S3 or any S3-compatible server (MinIO, R2, ...). Requests
+ * are signed with AWS Signature Version 4 built on node:crypto, so no AWS
+ * SDK is required.
+ */
+
+const crypto = require('crypto');
+
+const SERVICE = 's3';
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * URI-encode per RFC 3986, as SigV4 canonical requests require
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Format a date as the SigV4 timestamp (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date - Signing time
+ * @returns {string} Timestamp
+ */
+function toAmzDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Derive the SigV4 signature for a canonical request
+ * @param {Object} params
+ * @param {string} params.secretAccessKey - Secret key
+ * @param {string} params.region - Bucket region
+ * @param {string} params.amzDate - Signing timestamp
+ * @param {string} params.canonicalRequest - Canonical request string
+ * @returns {{signature: string, scope: string}} Hex signature and credential scope
+ */
+function signRequest({ secretAccessKey, region, amzDate, canonicalRequest }) {
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/${SERVICE}/aws4_request`;
+  const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), SERVICE), 'aws4_request');
+  return { signature: hmac(signingKey, stringToSign).toString('hex'), scope };
+}
+
+/**
+ * Create an S3 backend
+ * @param {Object} options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} [options.endpoint] - Server URL (defaults to AWS for the region)
+ * @param {string} options.region - Region used in signatures
+ * @param {string} options.accessKeyId - Access key
+ * @param {string} options.secretAccessKey - Secret key
+ * @param {boolean} [options.forcePathStyle] - Address the bucket in the path rather than the host name
+ * @param {string} [options.publicUrl] - Base URL objects are publicly served from (defaults to the object URL)
+ * @returns {Object} Artifact store
+ */
+function createS3Store({ bucket, endpoint, region, accessKeyId, secretAccessKey, forcePathStyle, publicUrl }) {
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  function objectUrl(storagePath) {
+    const key = storagePath.split('/').map(encodeRfc3986).join('/');
+    if (forcePathStyle) {
+      return new URL(`${base.origin}${base.pathname.replace(/\/$/, '')}/${bucket}/${key}`);
+    }
+    return new URL(`${base.protocol}//${bucket}.${base.host}${base.pathname.replace(/\/$/, '')}/${key}`);
+  }
+
+  /**
+   * Headers for a request signed with a SigV4 Authorization header (fetch
+   * sets Host itself, so it is signed but not returned)
+   */
+  function authorize(method, url, payloadHash, extraHeaders = {}) {
+    const amzDate = toAmzDate(new Date());
+    const amzHeaders = { 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    // Canonical headers must be sorted: content-type < host < x-amz-*
+    const headers = { ...extraHeaders, 'host': url.host, ...amzHeaders };
+    const signedHeaders = Object.keys(headers).join(';');
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      Object.entries(headers).map(([name, value]) => `${name}:${value}\n`).join(''),
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+    const { signature, scope } = signRequest({ secretAccessKey, region, amzDate, canonicalRequest });
+
+    return {
+      ...extraHeaders,
+      ...amzHeaders,
+      'Authorization': `${ALGORITHM} Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  }
+
+  return {
+    name: 's3',
+    configError: accessKeyId && secretAccessKey
+      ? null
+      : 'S3 not configured. Set PUPPETEER_S3_ACCESS_KEY_ID and PUPPETEER_S3_SECRET_ACCESS_KEY environment variables.',
+
+    async put(storagePath, body, contentType) {
+      const url = objectUrl(storagePath);
+      const response = await fetch(url.toString(), {
+        method: 'PUT',
+        headers: authorize('PUT', url, sha256Hex(body), { 'content-type': contentType }),
+        body
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`S3 upload failed: ${response.status} - ${errorText}`);
+      }
+    },
+
+    async exists(storagePath) {
+      const url = objectUrl(storagePath);
+      const response = await fetch(url.toString(), {
+        method: 'HEAD',
+        headers: authorize('HEAD', url, sha256Hex(''))
+      });
+
+      if (response.ok) return true;
+      if (response.status === 404) return false;
+      throw new Error(`S3 object lookup failed: ${response.status}`);
+    },
+
+    publicUrl(storagePath) {
+      if (publicUrl) {
+        return `${publicUrl.replace(/\/$/, '')}/${storagePath}`;
+      }
+      return objectUrl(storagePath).toString();
+    },
+
+    /**
+     * Presign a GET for the object (query-string authentication)
+     */
+    signedUrl(storagePath, expiresIn, now = new Date()) {
+      const url = objectUrl(storagePath);
+      const amzDate = toAmzDate(now);
+      const params = {
+        'X-Amz-Algorithm': ALGORITHM,
+        'X-Amz-Credential': `${accessKeyId}/${amzDate.slice(0, 8)}/${region}/${SERVICE}/aws4_request`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(expiresIn),
+        'X-Amz-SignedHeaders': 'host'
+      };
+      const query = Object.keys(params).sort()
+        .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(params[name])}`)
+        .join('&');
+      const canonicalRequest = ['GET', url.pathname, query, `host:${url.host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+      const { signature } = signRequest({ secretAccessKey, region, amzDate, canonicalRequest });
+
+      return Promise.resolve(`${url.origin}${url.pathname}?${query}&X-Amz-Signature=${signature}`);
+    }
+  };
+}
+
+module.exports = { createS3Store, encodeRfc3986, toAmzDate };
@@ -0,0 +1,78 @@
+/**
+ * Puppeteer Service - Supabase Artifact Store
+ * Uploads through the Supabase Storage REST API with the service role key
+ */
+
+/**
+ * Create a Supabase Storage backend
+ * @param {Object} options
+ * @param {string} options.url - Supabase project URL
+ * @param {string} options.serviceRoleKey - Service role key
+ * @param {string} options.bucket - Storage bucket
+ * @returns {Object} Artifact store
+ */
+function createSupabaseStore({ url, serviceRoleKey, bucket }) {
+  const baseUrl = (url || '').replace(/\/$/, '');
+  const authHeaders = {
+    'apikey': serviceRoleKey,
+    'Authorization': `Bearer ${serviceRoleKey}`
+  };
+
+  return {
+    name: 'supabase',
+    configError: url && serviceRoleKey
+      ? null
+      : 'Supabase not configured. Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables.',
+
+    async put(storagePath, body, contentType) {
+      const response = await fetch(`${baseUrl}/storage/v1/object/${bucket}/${storagePath}`, {
+        method: 'POST',
+        headers: {
+          ...authHeaders,
+          'Content-Type': contentType,
+          'x-upsert': 'true'
+        },
+        body
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Supabase upload failed: ${response.status} - ${errorText}`);
+      }
+    },
+
+    async exists(storagePath) {
+      const response = await fetch(`${baseUrl}/storage/v1/object/${bucket}/${storagePath}`, {
+        method: 'HEAD',
+        headers: authHeaders
+      });
+
+      if (response.ok) return true;
+      // Storage answers a missing object with 400 as well as 404
+      if (response.status === 400 || response.status === 404) return false;
+      throw new Error(`Supabase object lookup failed: ${response.status}`);
+    },
+
+    publicUrl(storagePath) {
+      return `${baseUrl}/storage/v1/object/public/${bucket}/${storagePath}`;
+    },
+
+    async signedUrl(storagePath, expiresIn) {
+      const response = await fetch(`${baseUrl}/storage/v1/object/sign/${bucket}/${storagePath}`, {
+        method: 'POST',
+        headers: { ...authHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ expiresIn })
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Supabase URL signing failed: ${response.status} - ${errorText}`);
+      }
+
+      const { signedURL } = await response.json();
+      return `${baseUrl}/storage/v1${signedURL}`;
+    }
+  };
+}
+
+module.exports = { createSupabaseStore };
@@ -0,0 +1,290 @@
+/**
+ * Puppeteer Service - Browser Pool
+ * Keeps warm Chrome instances and leases an isolated BrowserContext per request
+ */
+
+const fs = require('fs/promises');
+const logger = require('../utils/logger');
+const { launchBrowser, closeBrowser } = require('./browser');
+
+const POOL_SIZE = parseInt(process.env.PUPPETEER_POOL_SIZE, 10) || 1;
+const MAX_JOBS_PER_BROWSER = parseInt(process.env.PUPPETEER_POOL_MAX_JOBS_PER_BROWSER, 10) || 25;
+const MAX_BROWSER_MEMORY_MB = parseInt(process.env.PUPPETEER_POOL_MAX_BROWSER_MEMORY_MB, 10) || 350;
+
+/**
+ * Pool entry structure
+ * @typedef {Object} PoolEntry
+ * @property {number} id - Sequential browser ID (for logging)
+ * @property {Object} browser - Puppeteer Browser
+ * @property {number} jobs - Contexts served since launch
+ * @property {number} active - Contexts currently leased
+ * @property {boolean} retiring - No new leases; closed once active reaches 0
+ * @property {number} launchedAt - Launch timestamp
+ */
+
+/**
+ * Lease handed to a request
+ * @typedef {Object} BrowserLease
+ * @property {Object} context - Puppeteer BrowserContext (use for newPage)
+ * @property {Object} browser - Underlying Puppeteer Browser
+ * @property {number} browserId - Pool entry ID
+ * @property {string} requestId - Request holding the lease
+ */
+
+const pool = [];
+let nextBrowserId = 1;
+const pendingLaunches = new Set();
+let isDraining = false;
+
+function availableEntries() {
+  return pool.filter((entry) => !entry.retiring && entry.browser.connected !== false);
+}
+
+async function launchEntry(requestId) {
+  const browser = await launchBrowser(requestId);
+
+  // closeAllBrowsers() may have emptied the pool while Chrome was starting
+  if (isDraining) {
+    logger.info('Closing browser launched while the pool was draining', { requestId });
+    await closeBrowser(browser, requestId);
+    throw new Error('Browser pool is draining');
+  }
+
+  const entry = {
+    id: nextBrowserId++,
+    browser,
+    jobs: 0,
+    active: 0,
+    retiring: false,
+    launchedAt: Date.now()
+  };
+
+  browser.on('disconnected', () => {
+    const index = pool.indexOf(entry);
+    if (index >= 0) {
+      pool.splice(index, 1);
+      logger.warn('Pooled browser disconnected, removed from pool', { browserId: entry.id });
+    }
+  });
+
+  pool.push(entry);
+  logger.info('Browser added to pool', { requestId, browserId: entry.id, poolSize: pool.length });
+  return entry;
+}
+
+function addBrowser(requestId) {
+  const launch = launchEntry(requestId);
+  const settle = () => pendingLaunches.delete(launch);
+  pendingLaunches.add(launch);
+  launch.then(settle, settle);
+  return launch;
+}
+
+/**
+ * List every process in the tree under a process from /proc (Linux only).
+ * Each thread lists the children it forked in its own task/<tid>/children,
+ * and Chrome's renderers are grandchildren (forked by its zygote), so every
+ * thread of every process in the tree is read.
+ * @param {number} rootPid - Process at the top of the tree
+ * @returns {Promise<number[]>} The root's pid followed by its descendants'
+ */
+async function listProcessTree(rootPid) {
+  const pids = [];
+  const queue = [rootPid];
+
+  while (queue.length > 0) {
+    const pid = queue.shift();
+    if (pids.includes(pid)) continue;
+    pids.push(pid);
+
+    const threads = await fs.readdir(`/proc/${pid}/task`).catch(() => [String(pid)]);
+    for (const tid of threads) {
+      const children = await fs.readFile(`/proc/${pid}/task/${tid}/children`, 'utf8').catch(() => '');
+      queue.push(...children.split(/\s+/).filter(Boolean).map(Number));
+    }
+  }
+
+  return pids;
+}
+
+/**
+ * Read the resident memory of a browser's process tree from /proc (Linux only)
+ * @param {Object} browser - Puppeteer Browser
+ * @returns {Promise<number|null>} Resident memory in MB, or null if unavailable
+ */
+async function getBrowserMemoryMb(browser) {
+  const pid = browser.process?.()?.pid;
+  if (!pid) return null;
+
+  let totalKb = 0;
+  for (const processId of await listProcessTree(pid)) {
+    const status = await fs.readFile(`/proc/${processId}/status`, 'utf8').catch(() => '');
+    const match = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+    if (match) {
+      totalKb += parseInt(match[1], 10);
+    }
+  }
+
+  return totalKb > 0 ? Math.round(totalKb / 1024) : null;
+}
+
+async function retireEntry(entry, reason) {
+  entry.retiring = true;
+
+  if (entry.active > 0) {
+    logger.info('Pooled browser marked for recycling', { browserId: entry.id, reason, active: entry.active });
+    return;
+  }
+
+  const index = pool.indexOf(entry);
+  if (index >= 0) {
+    pool.splice(index, 1);
+  }
+
+  logger.info('Recycling pooled browser', { browserId: entry.id, reason, jobs: entry.jobs });
+  await closeBrowser(entry.browser, `pool-${entry.id}`);
+
+  if (!isDraining) {
+    warmPool().catch((error) => {
+      logger.warn('Failed to replace recycled browser', { error: error.message });
+    });
+  }
+}
+
+/**
+ * Launch browsers until the pool holds POOL_SIZE healthy instances
+ * @returns {Promise<void>}
+ */
+async function warmPool() {
+  const missing = POOL_SIZE - availableEntries().length - pendingLaunches.size;
+  for (let i = 0; i < missing; i++) {
+    if (isDraining) return;
+    await addBrowser('pool-warmup');
+  }
+}
+
+/**
+ * Lease a fresh incognito BrowserContext from the least busy pooled browser
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<BrowserLease>}
+ */
+async function acquireBrowserContext(requestId) {
+  let entry;
+  while (!entry) {
+    if (isDraining) {
+      throw new Error('Browser pool is draining');
+    }
+
+    const available = availableEntries();
+    if (available.length + pendingLaunches.size < POOL_SIZE) {
+      entry = await addBrowser(requestId);
+    } else if (available.length > 0) {
+      entry = available.sort((a, b) => a.active - b.active)[0];
+    } else {
+      // Every slot is taken by a launch still in flight: share its browser
+      // rather than growing the pool past POOL_SIZE
+      await Promise.race([...pendingLaunches].map((launch) => launch.catch(() => {})));
+    }
+  }
+
+  entry.active++;
+  entry.jobs++;
+
+  try {
+    const context = await entry.browser.createBrowserContext();
+    logger.debug('Browser context leased', { requestId, browserId: entry.id, active: entry.active, jobs: entry.jobs });
+    return { context, browser: entry.browser, browserId: entry.id, requestId };
+  } catch (error) {
+    entry.active--;
+    await retireEntry(entry, 'context_creation_failed');
+    throw error;
+  }
+}
+
+/**
+ * Close a leased context and recycle its browser if it is past its job or memory budget
+ * @param {BrowserLease} lease - Lease from acquireBrowserContext
+ * @returns {Promise<void>}
+ */
+async function releaseBrowserContext(lease) {
+  const { context, browserId, requestId } = lease;
+
+  try {
+    await context.close();
+  } catch (error) {
+    logger.warn('Error closing browser context', { requestId, browserId, error: error.message });
+  }
+
+  const entry = pool.find((e) => e.id === browserId);
+  if (!entry) {
+    return;
+  }
+
+  entry.active--;
+  logger.debug('Browser context released', { requestId, browserId, active: entry.active });
+
+  if (entry.retiring) {
+    await retireEntry(entry, 'retiring');
+    return;
+  }
+
+  if (entry.jobs >= MAX_JOBS_PER_BROWSER) {
+    await retireEntry(entry, 'max_jobs');
+    return;
+  }
+
+  const memoryMb = await getBrowserMemoryMb(entry.browser);
+  if (memoryMb !== null && memoryMb > MAX_BROWSER_MEMORY_MB) {
+    logger.info('Pooled browser over memory threshold', { browserId, memoryMb, thresholdMb: MAX_BROWSER_MEMORY_MB });
+    await retireEntry(entry, 'max_memory');
+  }
+}
+
+/**
+ * Close every pooled browser, busy or idle, and stop launching new ones
+ * @returns {Promise<void>}
+ */
+async function closeAllBrowsers() {
+  isDraining = true;
+  const entries = pool.splice(0, pool.length);
+  const launches = [...pendingLaunches];
+
+  await Promise.all(entries.map(async (entry) => {
+    try {
+      await entry.browser.close();
+    } catch (error) {
+      logger.warn('Error closing browser during shutdown', { browserId: entry.id, error: error.message });
+    }
+  }));
+
+  // Launches still in flight close their own browser once Chrome is up
+  await Promise.allSettled(launches);
+
+  logger.info('All puppeteer browsers closed', { closed: entries.length });
+}
+
+/**
+ * Get current pool stats for monitoring
+ * @returns {Object} Stats object
+ */
+function getPoolStats() {
+  return {
+    size: pool.length,
+    targetSize: POOL_SIZE,
+    busy: pool.filter((e) => e.active > 0).length,
+    idle: pool.filter((e) => e.active === 0 && !e.retiring).length,
+    retiring: pool.filter((e) => e.retiring).length,
+    activeContexts: pool.reduce((sum, e) => sum + e.active, 0),
+    maxJobsPerBrowser: MAX_JOBS_PER_BROWSER,
+    maxBrowserMemoryMb: MAX_BROWSER_MEMORY_MB
+  };
+}
+
+module.exports = {
+  warmPool,
+  acquireBrowserContext,
+  releaseBrowserContext,
+  closeAllBrowsers,
+  getPoolStats,
+  getBrowserMemoryMb
+};
@@ -1,6 +1,9 @@
 /**
  * Puppeteer Service - Browser Automation
  * Handles browser lifecycle management
+ *
+ * Browsers are launched and tracked by the pool in browser-pool.js;
+ * this module only knows how to start, configure and stop one.
  */
 
 const puppeteer = require('puppeteer');
@@ -14,8 +17,6 @@ const DEFAULT_TIMEOUT = 120000; // 2 minutes
 const PROTOCOL_TIMEOUT = 300000; // 5 minutes for CDP protocol
 const VIEWPORT = { width: 1920, height: 1080 };
 
-// Track active browsers for graceful shutdown
-const activeBrowsers = new Set();
 let isShuttingDown = false;
 
 async function launchBrowser(requestId) {
@@ -58,10 +59,8 @@ async function launchBrowser(requestId) {
 
   logger.info('Launching browser', { requestId, headless: HEADLESS });
   const browser = await puppeteer.launch(launchOptions);
-  activeBrowsers.add(browser);
 
   browser.on('disconnected', () => {
-    activeBrowsers.delete(browser);
     logger.warn('Browser disconnected', { requestId });
   });
 
@@ -95,7 +94,6 @@ async function setupPage(browser, requestId) {
 
 async function closeBrowser(browser, requestId) {
   try {
-    activeBrowsers.delete(browser);
     await browser.close();
     logger.info('Browser closed', { requestId });
   } catch (error) {
@@ -103,19 +101,6 @@ async function closeBrowser(browser, requestId) {
   }
 }
 
-async function closeAllBrowsers() {
-  const browserClosePromises = Array.from(activeBrowsers).map(async (browser) => {
-    try {
-      await browser.close();
-    } catch (error) {
-      logger.warn('Error closing browser during shutdown', { error: error.message });
-    }
-  });
-
-  await Promise.all(browserClosePromises);
-  logger.info('All puppeteer browsers closed');
-}
-
 function setShuttingDown(value) {
   isShuttingDown = value;
 }
@@ -128,7 +113,6 @@ module.exports = {
   launchBrowser,
   setupPage,
   closeBrowser,
-  closeAllBrowsers,
   setShuttingDown,
   getShuttingDown,
   DEFAULT_TIMEOUT,
@@ -1,32 +1,63 @@
 /**
  * Puppeteer Service - Form Filler
  * Handles RFQ form field population
+ *
+ * Selectors come from the portal profile (see src/portals); every entry point
+ * falls back to the default profile when none is given.
  */
 
 const logger = require('../utils/logger');
-const { formatTagDate } = require('../utils/validation');
 const { DEFAULT_TIMEOUT } = require('./browser');
+const { getDefaultProfile, resolveSuffix, formatFieldValue, resolveNoQuoteItem } = require('../portals');
+const { resolveSelectOption } = require('../utils/select-options');
+const { resolveRowPlan, resolveOfferItem, readFormRowPartNumbers, mapFormRows, findRow, matchPartNumber } = require('./row-mapping');
 
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 // =============================================================================
 // FORM FIELD HELPERS (suffix-based matching for ASP.NET forms)
 // =============================================================================
+//
+// Each helper reports what happened to the field instead of throwing:
+//   { status: 'filled', elementId, value }  - value written to elementId
+//   { status: 'skipped' }                   - no value to write
+//   { status: 'not_found', error }          - no element matched the suffix
+//   { status: 'error', elementId?, error }  - element found but writing failed
+
+/**
+ * Wait for an element matching the suffix; resolves false if none appears
+ * within the timeout instead of throwing.
+ */
+async function waitForSuffix(page, tagName, suffix, index, timeout) {
+  try {
+    await page.waitForFunction(({ tagName, suffix, index }) => {
+      const elements = Array.from(document.querySelectorAll(tagName))
+        .filter((el) => el.id && el.id.endsWith(suffix));
+      return Boolean(elements[index]);
+    }, { timeout }, { tagName, suffix, index });
+    return true;
+  } catch (error) {
+    logger.warn(`No ${tagName} found for ${suffix}[${index}]`, { error: error.message });
+    return false;
+  }
+}
+
+function notFound(tagName, suffix, index) {
+  return { status: 'not_found', error: `No ${tagName} with id ending in ${suffix} at index ${index}` };
+}
 
 async function fillRepeaterFieldBySuffix(page, suffix, index, value, options = {}) {
-  if (value === undefined || value === null) return;
+  if (value === undefined || value === null) return { status: 'skipped' };
 
   const stringValue = String(value);
-  if (stringValue.length === 0) return;
+  if (stringValue.length === 0) return { status: 'skipped' };
 
-  try {
-    await page.waitForFunction(({ suffix, index }) => {
-      const inputs = Array.from(document.querySelectorAll('input'))
-        .filter((el) => el.id && el.id.endsWith(suffix));
-      return Boolean(inputs[index]);
-    }, { timeout: DEFAULT_TIMEOUT }, { suffix, index });
+  if (!await waitForSuffix(page, 'input', suffix, index, DEFAULT_TIMEOUT)) {
+    return notFound('input', suffix, index);
+  }
 
-    await page.evaluate(({ suffix, index, value, removeReadonly }) => {
+  try {
+    const elementId = await page.evaluate(({ suffix, index, value, removeReadonly }) => {
       const inputs = Array.from(document.querySelectorAll('input'))
         .filter((el) => el.id && el.id.endsWith(suffix));
       const target = inputs[index];
@@ -43,6 +74,7 @@ async function fillRepeaterFieldBySuffix(page, suffix, index, value, options = {
       target.value = value;
       target.dispatchEvent(new Event('input', { bubbles: true }));
       target.dispatchEvent(new Event('change', { bubbles: true }));
+      return target.id;
     }, {
       suffix,
       index,
@@ -51,141 +83,213 @@ async function fillRepeaterFieldBySuffix(page, suffix, index, value, options = {
     });
 
     logger.debug(`Filled suffix ${suffix}[${index}]`, { value: stringValue });
+    return { status: 'filled', elementId: elementId || null, value: stringValue };
   } catch (error) {
     logger.warn(`Failed to fill suffix ${suffix}[${index}]`, { error: error.message });
+    return { status: 'error', error: error.message };
   }
 }
 
-async function selectDropdownBySuffix(page, suffix, index, value) {
-  if (!value) return;
+/**
+ * Select the option matching `value` in the index-th select ending with
+ * `suffix`. The value is resolved against the select's own options (see
+ * resolveSelectOption), so "FAA 8130-3" can land on the "8130" option.
+ *
+ * @param {Page} page - Puppeteer page
+ * @param {string} suffix - Element id suffix
+ * @param {number} index - Row index among the matching selects
+ * @param {*} value - Payload value
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.aliases] - Alias table from the portal profile
+ * @returns {Promise<Object>} Field result; when filled it also carries the
+ *   chosen `option` and match `method`, and an unresolvable value is an
+ *   `error` of `no_matching_option` with the select's `options`
+ */
+async function selectDropdownBySuffix(page, suffix, index, value, options = {}) {
+  if (!value) return { status: 'skipped' };
 
-  try {
-    await page.waitForFunction(({ suffix, index }) => {
-      const selects = Array.from(document.querySelectorAll('select'))
-        .filter((el) => el.id && el.id.endsWith(suffix));
-      return Boolean(selects[index]);
-    }, { timeout: 5000 }, { suffix, index });
+  if (!await waitForSuffix(page, 'select', suffix, index, 5000)) {
+    return { ...notFound('select', suffix, index), error: 'select_not_found', options: [] };
+  }
 
-    const actualId = await page.evaluate(({ suffix, index }) => {
-      const selects = Array.from(document.querySelectorAll('select'))
-        .filter((el) => el.id && el.id.endsWith(suffix));
-      return selects[index]?.id || null;
+  try {
+    const target = await page.evaluate(({ suffix, index }) => {
+      const select = Array.from(document.querySelectorAll('select'))
+        .filter((el) => el.id && el.id.endsWith(suffix))[index];
+      if (!select) return null;
+      return {
+        id: select.id,
+        options: Array.from(select.options || []).map((option) => ({
+          value: option.value,
+          text: (option.textContent || '').trim()
+        }))
+      };
     }, { suffix, index });
 
-    if (actualId) {
-      await page.select(`#${actualId}`, value);
-      logger.debug(`Selected ${suffix}[${index}]`, { value });
+    if (!target) {
+      logger.warn(`Dropdown ${suffix}[${index}] not found`, { value });
+      return { status: 'not_found', error: 'select_not_found', options: [] };
+    }
+
+    const match = resolveSelectOption(target.options, value, options.aliases);
+    if (!match) {
+      logger.warn(`No option matches dropdown value ${suffix}[${index}]`, {
+        value,
+        options: target.options.map((option) => option.value)
+      });
+      return { status: 'error', elementId: target.id, error: 'no_matching_option', options: target.options };
     }
+
+    await page.select(`#${target.id}`, match.option.value);
+    logger.debug(`Selected ${suffix}[${index}]`, { value, option: match.option.value, method: match.method });
+    return {
+      status: 'filled',
+      elementId: target.id,
+      value: match.option.value,
+      option: match.option,
+      method: match.method
+    };
   } catch (error) {
     logger.warn(`Failed to fill dropdown ${suffix}[${index}]`, { error: error.message });
+    return { status: 'error', error: 'select_failed', message: error.message, options: [] };
   }
 }
 
 async function clickElementBySuffix(page, suffix, index) {
-  try {
-    await page.waitForFunction(({ suffix, index }) => {
-      const elements = Array.from(document.querySelectorAll('input'))
-        .filter((el) => el.id && el.id.endsWith(suffix));
-      return Boolean(elements[index]);
-    }, { timeout: 5000 }, { suffix, index });
+  if (!await waitForSuffix(page, 'input', suffix, index, 5000)) {
+    return notFound('input', suffix, index);
+  }
 
-    await page.evaluate(({ suffix, index }) => {
+  try {
+    const elementId = await page.evaluate(({ suffix, index }) => {
       const elements = Array.from(document.querySelectorAll('input'))
         .filter((el) => el.id && el.id.endsWith(suffix));
       const target = elements[index];
       if (target) {
         target.click();
+        return target.id;
       }
+      return null;
     }, { suffix, index });
 
     logger.debug(`Clicked ${suffix}[${index}]`);
+    return { status: 'filled', elementId: elementId || null };
   } catch (error) {
     logger.warn(`Failed to click ${suffix}[${index}]`, { error: error.message });
+    return { status: 'error', error: error.message };
   }
 }
 
-async function fillTextareaBySuffix(page, suffix, value) {
-  if (!value) return;
+/**
+ * Tick the index-th checkbox ending with `suffix`. An unticked box is
+ * clicked rather than set, so the page's own handlers run; a ticked one is
+ * left alone.
+ */
+async function checkBoxBySuffix(page, suffix, index) {
+  if (!await waitForSuffix(page, 'input', suffix, index, 5000)) {
+    return notFound('input', suffix, index);
+  }
 
   try {
-    await page.waitForFunction((suffix) => {
-      const textareas = Array.from(document.querySelectorAll('textarea'))
-        .filter((el) => el.id && el.id.endsWith(suffix));
-      return textareas.length > 0;
-    }, { timeout: 5000 }, suffix);
+    const elementId = await page.evaluate(({ suffix, index }) => {
+      const target = Array.from(document.querySelectorAll('input'))
+        .filter((el) => el.id && el.id.endsWith(suffix))[index];
+      if (!target) return null;
+      if (!target.checked) target.click();
+      return target.id;
+    }, { suffix, index });
 
+    logger.debug(`Checked ${suffix}[${index}]`);
+    return { status: 'filled', elementId: elementId || null, value: 'checked' };
+  } catch (error) {
+    logger.warn(`Failed to check ${suffix}[${index}]`, { error: error.message });
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Write a value into the element with the given id
+ */
+function setValueById(page, id, value) {
+  return page.evaluate(({ id, value }) => {
+    const element = document.getElementById(id);
+    if (element) {
+      element.value = '';
+      element.value = value;
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+      element.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+  }, { id, value });
+}
+
+async function fillTextareaBySuffix(page, suffix, value) {
+  if (!value) return { status: 'skipped' };
+
+  if (!await waitForSuffix(page, 'textarea', suffix, 0, 5000)) {
+    return notFound('textarea', suffix, 0);
+  }
+
+  try {
     const actualId = await page.evaluate((suffix) => {
       const textareas = Array.from(document.querySelectorAll('textarea'))
         .filter((el) => el.id && el.id.endsWith(suffix));
       return textareas[0]?.id || null;
     }, suffix);
 
-    if (actualId) {
-      await page.evaluate(({ id, value }) => {
-        const element = document.getElementById(id);
-        if (element) {
-          element.value = '';
-          element.value = value;
-          element.dispatchEvent(new Event('input', { bubbles: true }));
-          element.dispatchEvent(new Event('change', { bubbles: true }));
-        }
-      }, { id: actualId, value: String(value) });
-      logger.debug(`Filled textarea ${suffix}`);
+    if (!actualId) {
+      return notFound('textarea', suffix, 0);
     }
+
+    const stringValue = String(value);
+    await setValueById(page, actualId, stringValue);
+    logger.debug(`Filled textarea ${suffix}`);
+    return { status: 'filled', elementId: actualId, value: stringValue };
   } catch (error) {
     logger.warn(`Failed to fill textarea ${suffix}`, { error: error.message });
+    return { status: 'error', error: error.message };
   }
 }
 
 async function fillInputBySuffix(page, suffix, value) {
-  if (value === undefined || value === null) return;
+  if (value === undefined || value === null) return { status: 'skipped' };
 
   const stringValue = String(value);
-  if (stringValue.length === 0) return;
+  if (stringValue.length === 0) return { status: 'skipped' };
 
   try {
     const hasExact = await page.evaluate((id) => !!document.getElementById(id), suffix);
 
     if (hasExact) {
-      await page.evaluate(({ id, value }) => {
-        const element = document.getElementById(id);
-        if (element) {
-          element.value = '';
-          element.value = value;
-          element.dispatchEvent(new Event('input', { bubbles: true }));
-          element.dispatchEvent(new Event('change', { bubbles: true }));
-        }
-      }, { id: suffix, value: stringValue });
+      await setValueById(page, suffix, stringValue);
       logger.debug(`Filled input ${suffix}`);
-      return;
+      return { status: 'filled', elementId: suffix, value: stringValue };
     }
+  } catch (error) {
+    logger.warn(`Failed to fill input ${suffix}`, { error: error.message });
+    return { status: 'error', error: error.message };
+  }
 
-    await page.waitForFunction((suffix) => {
-      const inputs = Array.from(document.querySelectorAll('input'))
-        .filter((el) => el.id && el.id.endsWith(suffix));
-      return inputs.length > 0;
-    }, { timeout: 5000 }, suffix);
+  if (!await waitForSuffix(page, 'input', suffix, 0, 5000)) {
+    return notFound('input', suffix, 0);
+  }
 
+  try {
     const actualId = await page.evaluate((suffix) => {
       const inputs = Array.from(document.querySelectorAll('input'))
         .filter((el) => el.id && el.id.endsWith(suffix));
       return inputs[0]?.id || null;
     }, suffix);
 
-    if (actualId) {
-      await page.evaluate(({ id, value }) => {
-        const element = document.getElementById(id);
-        if (element) {
-          element.value = '';
-          element.value = value;
-          element.dispatchEvent(new Event('input', { bubbles: true }));
-          element.dispatchEvent(new Event('change', { bubbles: true }));
-        }
-      }, { id: actualId, value: stringValue });
-      logger.debug(`Filled input ${suffix}`);
+    if (!actualId) {
+      return notFound('input', suffix, 0);
     }
+
+    await setValueById(page, actualId, stringValue);
+    logger.debug(`Filled input ${suffix}`);
+    return { status: 'filled', elementId: actualId, value: stringValue };
   } catch (error) {
     logger.warn(`Failed to fill input ${suffix}`, { error: error.message });
+    return { status: 'error', error: error.message };
   }
 }
 
@@ -194,173 +298,185 @@ async function fillInputBySuffix(page, suffix, value) {
 // =============================================================================
 
 /**
- * Fill a single item row using its conditionCode to determine DOM suffixes.
- * Defaults to 'NE' if conditionCode is not specified.
+ * Fill one row field as declared by the profile's rowFields entry.
+ * Radio fields click the option whose key matches the value (case-insensitive).
+ * Returns the helper's field result.
  */
-async function fillItemRow(page, item, index, requestId) {
-  const code = (item.conditionCode || 'NE').toUpperCase();
-  const formattedTagDate = formatTagDate(item.tag_date);
+async function fillRowField(page, spec, code, index, rawValue) {
+  const value = formatFieldValue(spec, rawValue);
 
-  logger.debug(`Filling item row ${index + 1} [${code}]`, { requestId, partNo: item.part_no || 'unknown' });
+  switch (spec.control) {
+    case 'select':
+      return selectDropdownBySuffix(page, resolveSuffix(spec.suffix, code), index, value, {
+        aliases: spec.aliases
+      });
+    case 'radio': {
+      if (!value) return { status: 'skipped' };
 
-  await fillRepeaterFieldBySuffix(page, `txt${code}Qty1`, index, item.qty_available);
-  await selectDropdownBySuffix(page, `ddl${code}Traceability1`, index, item.traceability);
-  await fillRepeaterFieldBySuffix(page, `txt${code}UnitMeasure1`, index, item.uom);
-  await fillRepeaterFieldBySuffix(page, `txt${code}Price1`, index, item.price_usd);
-
-  if (item.price_type) {
-    const priceTypeLower = item.price_type.toLowerCase();
-    if (priceTypeLower === 'outright') {
-      await clickElementBySuffix(page, `rbOutright${code}1`, index);
-    } else if (priceTypeLower === 'exchange') {
-      await clickElementBySuffix(page, `rbExchange${code}1`, index);
+      const key = String(value).toLowerCase();
+      const option = spec.options[key];
+      if (!option) {
+        return { status: 'error', error: 'no_matching_option' };
+      }
+      const result = await clickElementBySuffix(page, resolveSuffix(option, code), index);
+      return result.status === 'filled' ? { ...result, value: key } : result;
     }
+    default:
+      return fillRepeaterFieldBySuffix(page, resolveSuffix(spec.suffix, code), index, value, {
+        removeReadonly: spec.removeReadonly
+      });
   }
+}
 
-  await fillRepeaterFieldBySuffix(page, `txt${code}Lead1`, index, item.lead_time);
-  await fillRepeaterFieldBySuffix(page, `txt${code}Date1`, index, formattedTagDate, { removeReadonly: true });
-  await fillRepeaterFieldBySuffix(page, `txt${code}MinQuantity1`, index, item.min_qty);
+/**
+ * Add a field result to the fill report's ledger
+ */
+function recordField(report, entry, result, startedAt) {
+  const record = {
+    ...entry,
+    element_id: result.elementId || null,
+    value: result.value ?? null,
+    status: result.status,
+    duration_ms: Date.now() - startedAt
+  };
+  if (result.error) {
+    record.error = result.message ? `${result.error}: ${result.message}` : result.error;
+  }
+  report.fields.push(record);
+}
 
-  if (item.comments) {
-    await fillRepeaterFieldBySuffix(page, `txt${code}Comments1`, index, item.comments);
+/**
+ * Fill a single item row using its conditionCode to determine DOM suffixes.
+ * Defaults to the profile's defaultConditionCode if conditionCode is not
+ * specified. Every field lands in the report's ledger; dropdown resolutions
+ * also in its dropdowns/errors lists.
+ */
+async function fillItemRow(page, item, index, requestId, profile, report) {
+  const code = (item.conditionCode || profile.defaultConditionCode).toUpperCase();
+
+  logger.debug(`Filling item row ${index + 1} [${code}]`, { requestId, partNo: item.part_no || 'unknown' });
+
+  for (const [field, spec] of Object.entries(profile.rowFields)) {
+    const startedAt = Date.now();
+    const result = await fillRowField(page, spec, code, index, item[field]);
+
+    const entry = {
+      part_no: item.part_no || null,
+      condition_code: code,
+      row_index: index,
+      field
+    };
+    recordField(report, entry, result, startedAt);
+
+    if (spec.control !== 'select' || result.status === 'skipped') continue;
+    if (result.status === 'filled') {
+      report.dropdowns.push({ ...entry, requested: item[field], option: result.option, method: result.method });
+    } else {
+      report.errors.push({ ...entry, requested: item[field], error: result.error, available_options: result.options });
+    }
   }
 
   logger.debug(`Completed item row ${index + 1} [${code}]`, { requestId });
 }
 
 /**
- * Read the part numbers from each row on the ILS form by scraping the
- * "Requested: <part_number>" header labels. Returns an ordered array of
- * part numbers matching the form's visual row order.
+ * Declare a no_quote item's row not quoted, as the profile's noQuote block
+ * says: tick its checkbox and write its sentinel values and reason. Each
+ * write lands in the report's ledger; the checkbox as field "no_quote".
  */
-async function readFormRowPartNumbers(page, requestId) {
-  try {
-    /* eslint-disable no-undef -- document exists in browser context (page.evaluate) */
-    /* istanbul ignore next -- browser-context code */
-    const partNumbers = await page.evaluate(() => {
-      const headers = Array.from(document.querySelectorAll('td, th, span, div, b, strong'));
-      const results = [];
-      for (const el of headers) {
-        const text = (el.textContent || '').trim();
-        const match = text.match(/^Requested:\s*(.+)$/i);
-        if (match) {
-          results.push(match[1].trim());
-        }
-      }
-      return results;
-    });
-    /* eslint-enable no-undef */
+async function markNoQuote(page, item, index, requestId, profile, report) {
+  const code = (item.conditionCode || profile.defaultConditionCode).toUpperCase();
+  const entry = { part_no: item.part_no || null, condition_code: code, row_index: index };
+
+  if (profile.noQuote.checkbox) {
+    const startedAt = Date.now();
+    const result = await checkBoxBySuffix(page, resolveSuffix(profile.noQuote.checkbox, code), index);
+    recordField(report, { ...entry, field: 'no_quote' }, result, startedAt);
+  }
 
-    logger.info('Form row part numbers detected', { requestId, partNumbers });
-    return partNumbers || [];
-  } catch (error) {
-    logger.warn('Failed to read form row part numbers', { requestId, error: error.message });
-    return [];
+  const marked = resolveNoQuoteItem(profile, item);
+  for (const [field, value] of Object.entries(marked)) {
+    const spec = profile.rowFields[field];
+    if (!spec) continue;
+    const startedAt = Date.now();
+    const result = await fillRowField(page, spec, code, index, value);
+    recordField(report, { ...entry, field }, result, startedAt);
   }
+
+  logger.info('Marked item as not quoted', { requestId, partNo: item.part_no, conditionCode: code, formRowIndex: index });
 }
 
-async function fillRfqForm(page, quoteDetails, requestId) {
-  const { items, supplier_comments, quote_prepared_by } = quoteDetails;
+/**
+ * Fill the form from the quote payload.
+ *
+ * @returns {Promise<{fields: Array<Object>, dropdowns: Array<Object>, errors: Array<Object>, unmatched_items: Array<Object>, row_plan: Object|null}>}
+ *   Fill report: a ledger entry per attempted field (part_no, condition code,
+ *   field, element id, value written, status and timing), the option chosen
+ *   for each dropdown (and how it matched), one error per dropdown value
+ *   that could not be applied, the payload items no form row matched, and
+ *   the row plan the items were filled by (null without items). An item
+ *   with offers is filled once per offer, on the offer's row with the offer
+ *   laid over it. Rows of no_quote items are marked not quoted when the
+ *   profile has a noQuote block; those writes are in the ledger too.
+ */
+async function fillRfqForm(page, quoteDetails, requestId, profile = getDefaultProfile()) {
+  const { items } = quoteDetails;
+  const report = { fields: [], dropdowns: [], errors: [], unmatched_items: [], row_plan: null };
 
   if (items && items.length > 0) {
-    logger.info(`Filling ${items.length} item(s)`, { requestId });
-
-    // Only open "Quote Other Conditions" for products that have non-NE variants
-    await openOtherConditionsForProducts(page, items, requestId);
-
-    // Read part numbers from the form DOM to match payload items to correct rows
-    const formPartNumbers = await readFormRowPartNumbers(page, requestId);
-
-    if (formPartNumbers.length > 0) {
-      // Part-number matching: match each payload item to its form row by part_no
-      logger.info('Using part-number matching for form fill', { requestId, formRows: formPartNumbers.length });
-
-      // Build mapping: part_no → form row index (per condition code)
-      // The form rows are in visual order, and each NE row gets a sequential index
-      const codeIndexCounter = {};
-      const partToFormIndex = {};
-
-      for (const formPartNo of formPartNumbers) {
-        const code = 'NE'; // default condition code for row counting
-        if (!codeIndexCounter[code]) codeIndexCounter[code] = 0;
-        // Keep the FIRST occurrence only — the editable input row
-        // ILS forms show each part twice (TH header + SPAN child), but
-        // editable fields only exist once per unique part number.
-        // Only increment counter for unique parts so indices stay sequential.
-        if (!partToFormIndex[formPartNo]) {
-          partToFormIndex[formPartNo] = { code, index: codeIndexCounter[code] };
-          codeIndexCounter[code]++;
-        }
-      }
+    logger.info(`Filling ${items.length} item(s)`, { requestId, portal: profile.name });
 
-      logger.info('Part-to-row mapping built', { requestId, mapping: partToFormIndex });
+    // Only open "Quote Other Conditions" for products that have non-default variants
+    await openOtherConditionsForProducts(page, items, requestId, profile);
 
-      for (let i = 0; i < items.length; i++) {
-        const item = items[i];
-        const partNo = item.part_no || '';
+    // Decide every item's row once; the validator reads back the same rows
+    report.row_plan = await resolveRowPlan(page, items, requestId, profile);
 
-        if (item.no_quote) {
-          logger.info('Skipping item (no_quote: true)', { requestId, partNo });
-          continue;
-        }
-
-        const formRow = partToFormIndex[partNo];
+    for (const entry of report.row_plan.items) {
+      const { item_index, offer_index, part_no, condition_code, row_index, skip_reason } = entry;
 
-        if (!formRow) {
-          logger.warn('No matching form row found for part', { requestId, partNo, availableRows: Object.keys(partToFormIndex) });
-          continue;
+      if (skip_reason === 'no_quote') {
+        if (profile.noQuote && row_index !== null) {
+          await markNoQuote(page, items[item_index], row_index, requestId, profile, report);
+        } else {
+          logger.info('Skipping item (no_quote: true)', { requestId, partNo: part_no, formRowIndex: row_index });
         }
-
-        logger.info('Matched part to form row', { requestId, partNo, formIndex: formRow.index });
-        await fillItemRow(page, item, formRow.index, requestId);
+        continue;
       }
-    } else {
-      // Fallback: sequential index filling (if form row detection fails)
-      logger.warn('Could not detect form row part numbers, falling back to sequential fill', { requestId });
-
-      const sortedItems = [...items].sort((a, b) => {
-        const aNum = a.item_number || '';
-        const bNum = b.item_number || '';
-        return aNum.localeCompare(bNum);
-      });
-
-      const codeIndexMap = {};
-      for (let i = 0; i < sortedItems.length; i++) {
-        const item = sortedItems[i];
-        const code = (item.conditionCode || 'NE').toUpperCase();
-
-        if (!codeIndexMap[code]) codeIndexMap[code] = 0;
-
-        if (item.no_quote) {
-          logger.info('Skipping item (no_quote: true), advancing form row index', { requestId, index: i, code, formRowIndex: codeIndexMap[code] });
-          codeIndexMap[code]++;
-          continue;
-        }
 
-        await fillItemRow(page, item, codeIndexMap[code], requestId);
-        codeIndexMap[code]++;
+      if (skip_reason) {
+        logger.warn('No matching form row found for part', { requestId, partNo: part_no, conditionCode: condition_code, reason: skip_reason });
+        report.unmatched_items.push({ item_index, ...(Number.isInteger(offer_index) && { offer_index }), part_no, condition_code });
+        continue;
       }
-    }
-  }
 
-  if (supplier_comments) {
-    logger.debug('Filling supplier comments', { requestId });
-    await fillTextareaBySuffix(page, 'txtComments', supplier_comments);
+      logger.info('Matched part to form row', { requestId, partNo: part_no, conditionCode: condition_code, formIndex: row_index, offerIndex: offer_index });
+      await fillItemRow(page, resolveOfferItem(items[item_index], offer_index), row_index, requestId, profile, report);
+    }
   }
 
-  if (quote_prepared_by) {
-    logger.debug('Filling quote prepared by', { requestId });
-    await fillInputBySuffix(page, 'quotePreparedBy', quote_prepared_by);
+  // Quote-level fields (supplier comments, prepared by, ...)
+  for (const [field, spec] of Object.entries(profile.formFields || {})) {
+    const value = quoteDetails[field];
+    if (value) {
+      logger.debug(`Filling ${field}`, { requestId });
+    }
+    const startedAt = Date.now();
+    const result = spec.control === 'textarea'
+      ? await fillTextareaBySuffix(page, spec.suffix, value)
+      : await fillInputBySuffix(page, spec.suffix, value);
+    recordField(report, { part_no: null, condition_code: null, row_index: null, field }, result, startedAt);
   }
 
   await delay(2000);
 
   // Verify that data was actually populated in the form
   const filledCount = await page.evaluate(() => {
-    const inputs = Array.from(document.querySelectorAll('input[type="text"], textarea, select'));
+    // A ticked no-quote checkbox counts: a form of no-quotes may have nothing else
+    const inputs = Array.from(document.querySelectorAll('input[type="text"], textarea, select, input[type="checkbox"]:checked'));
     let filled = 0;
     for (const el of inputs) {
-      if (el.value && el.value.trim().length > 0 && el.type !== 'hidden') {
+      if (el.type === 'checkbox' || (el.value && el.value.trim().length > 0 && el.type !== 'hidden')) {
         filled++;
       }
     }
@@ -372,38 +488,73 @@ async function fillRfqForm(page, quoteDetails, requestId) {
     throw new Error('Form fill verification failed — no fields were populated. The form selectors may not match the page.');
   }
 
-  logger.info(`Form fill complete (${filledCount} field(s) verified populated)`, { requestId });
+  logger.info(`Form fill complete (${filledCount} field(s) verified populated)`, {
+    requestId,
+    fields: report.fields.length,
+    notFilled: report.fields.filter((f) => f.status === 'not_found' || f.status === 'error').length,
+    dropdowns: report.dropdowns.length,
+    fieldErrors: report.errors.length
+  });
+  return report;
 }
 
-async function cancelFormSubmission(page, requestId) {
+/**
+ * What a strict fill would refuse to submit: payload items without a form
+ * row, and fields whose element was not found or could not be written.
+ *
+ * @param {Object} report - Report returned by fillRfqForm
+ * @returns {{parts: Array<Object>, fields: Array<Object>}} Missing parts and fields (both empty when complete)
+ */
+function findMissingTargets(report) {
+  return {
+    parts: report.unmatched_items.map(({ part_no, condition_code }) => ({ part_no, condition_code })),
+    fields: report.fields
+      .filter((f) => f.status === 'not_found' || f.status === 'error')
+      .map(({ part_no, condition_code, field, status, error }) => ({ part_no, condition_code, field, status, error }))
+  };
+}
+
+/**
+ * Lowercase a profile button locator's text so the browser-side match is
+ * case-insensitive.
+ */
+function toButtonLocator({ selector, text, match }) {
+  return { selector, text: text.map((t) => t.toLowerCase()), match };
+}
+
+async function cancelFormSubmission(page, requestId, profile = getDefaultProfile()) {
   logger.info('Cancelling form submission (TEST_MODE)', { requestId });
 
   try {
-    const cancelled = await page.evaluate(() => {
-      const buttons = Array.from(
-        document.querySelectorAll('button, a, input[type="button"], input[type="submit"]')
-      );
+    const cancelled = await page.evaluate(({ selector, text, match }) => {
+      const buttons = Array.from(document.querySelectorAll(selector));
 
-      const cancelBtn = buttons.find((btn) =>
-        btn.textContent?.toLowerCase().includes('cancel') ||
-        btn.value?.toLowerCase().includes('cancel')
-      );
+      const cancelBtn = buttons.find((btn) => [btn.textContent, btn.value].some((raw) => {
+        const label = (raw || '').trim().toLowerCase();
+        return match === 'exact' ? text.includes(label) : text.some((t) => label.includes(t));
+      }));
 
       if (cancelBtn) {
         cancelBtn.click();
         return true;
       }
       return false;
-    });
+    }, toButtonLocator(profile.cancel));
 
     if (cancelled) {
       logger.info('FORM_CANCELLED: Cancel button clicked', { requestId });
       return;
     }
 
-    logger.info('No cancel button found, pressing Escape', { requestId });
-    await page.keyboard.press('Escape');
-    logger.info('FORM_CANCELLED: Escape key pressed', { requestId });
+    const { fallbackKey } = profile.cancel;
+    if (!fallbackKey) {
+      logger.warn('No cancel button found and portal has no fallback key', { requestId, portal: profile.name });
+      return;
+    }
+
+    logger.info(`No cancel button found, pressing ${fallbackKey}`, { requestId });
+    await page.keyboard.press(fallbackKey);
+    logger.info(`FORM_CANCELLED: ${fallbackKey} key pressed`, { requestId });
 
   } catch (error) {
     if (error.message?.includes('Execution context was destroyed') ||
@@ -428,62 +579,106 @@ async function cancelFormSubmission(page, requestId) {
  * (repeater item). Clicking it triggers a server postback that re-renders the
  * page with additional condition rows for that product. A hidden field
  * (hdnClickId2) accepts comma-separated button IDs so the server can expand
- * multiple products in a single round-trip.
+ * multiple products in a single round-trip. The button text, hidden field and
+ * timeouts come from the profile's expandConditions block.
  *
  * Strategy:
- * 1. Group payload items by part_no to find which products have non-NE variants.
+ * 1. Collect the payload items with a non-default condition code, their own
+ *    or one of their offers'.
  * 2. If none need it, skip entirely (zero postbacks).
- * 3. Otherwise, find all "Quote Other Conditions" buttons on the page, set the
- *    hidden field with the IDs of buttons for the relevant product indices,
- *    click one button, and wait for the page to reload.
+ * 3. Otherwise, match each such item to a product on the form the way the
+ *    row plan does (exact, normalized or alt_part_numbers) and take that
+ *    product's index from the row map (its default-condition row; every
+ *    product has one button in that order). Without part numbers on the
+ *    form, fall back to the order the products appear in the payload.
+ * 4. Find all "Quote Other Conditions" buttons on the page, set the hidden
+ *    field with the IDs of buttons for those product indices, click one
+ *    button, and wait for the page to reload.
  */
-async function openOtherConditionsForProducts(page, items, requestId) {
-  // Determine which product indices need "other conditions" opened.
-  // Items are ordered by product: group by part_no to find per-product indices.
+async function openOtherConditionsForProducts(page, items, requestId, profile) {
   const productOrder = [];
-  const productsNeedingOther = new Set();
+  const itemsNeedingOther = [];
 
   for (const item of items) {
-    if (item.no_quote) continue;
+    // No-quote rows are only touched when the portal can mark them
+    if (item.no_quote && !profile.noQuote) continue;
     const partNo = item.part_no || '';
-    const code = (item.conditionCode || 'NE').toUpperCase();
+    const offers = !item.no_quote && Array.isArray(item.offers) && item.offers.length > 0 ? item.offers : [{}];
+    const codes = offers.map((offer) => (
+      offer.conditionCode || item.conditionCode || profile.defaultConditionCode
+    ).toUpperCase());
 
     if (!productOrder.includes(partNo)) {
       productOrder.push(partNo);
     }
 
-    if (code !== 'NE') {
-      productsNeedingOther.add(partNo);
+    if (codes.some((code) => code !== profile.defaultConditionCode)) {
+      itemsNeedingOther.push(item);
     }
   }
 
-  if (productsNeedingOther.size === 0) {
-    logger.debug('All items are NE condition — skipping "Quote Other Conditions"', { requestId });
+  if (itemsNeedingOther.length === 0) {
+    logger.debug(`All items are ${profile.defaultConditionCode} condition — skipping "Quote Other Conditions"`, { requestId });
     return true;
   }
 
-  // Map part numbers to product indices (0-based order on the form)
+  const expand = profile.expandConditions;
+  if (!expand) {
+    logger.warn('Portal profile cannot expand other conditions', { requestId, portal: profile.name });
+    return false;
+  }
+
+  // Map items to product indices (0-based order on the form), matching part
+  // numbers the same way the row plan does
+  const partNumbers = await readFormRowPartNumbers(page, requestId, profile);
+  const rowMap = await mapFormRows(page, partNumbers, requestId, profile);
+  if (!rowMap) {
+    logger.warn('Could not detect form row part numbers, expanding products in payload order', { requestId });
+  }
+
   const targetIndices = [];
-  for (const partNo of productsNeedingOther) {
-    const idx = productOrder.indexOf(partNo);
-    if (idx >= 0) targetIndices.push(idx);
+  for (const item of itemsNeedingOther) {
+    const partNo = item.part_no || '';
+    let idx;
+    if (rowMap) {
+      const match = matchPartNumber(rowMap, item);
+      if (match.match_method === 'ambiguous') {
+        logger.warn('Part matches several products on the form, not expanding its other conditions', {
+          requestId, partNo, candidates: match.candidates
+        });
+        continue;
+      }
+      idx = match.form_part_no === null ? null : findRow(rowMap, match.form_part_no, rowMap.defaultCode);
+    } else {
+      idx = productOrder.indexOf(partNo);
+    }
+    if (idx === null) {
+      logger.warn('No product on the form for part, not expanding its other conditions', { requestId, partNo });
+    } else if (!targetIndices.includes(idx)) {
+      targetIndices.push(idx);
+    }
+  }
+
+  if (targetIndices.length === 0) {
+    logger.warn('Could not open "Quote Other Conditions"', { requestId, reason: 'no products on the form to expand' });
+    return false;
   }
 
   logger.info(`Opening "Quote Other Conditions" for ${targetIndices.length} product(s)`, {
     requestId,
     targetIndices,
-    parts: Array.from(productsNeedingOther),
+    parts: [...new Set(itemsNeedingOther.map((item) => item.part_no || ''))],
   });
 
   try {
     // Find all "Quote Other Conditions" buttons, set the hidden field with
     // the IDs for targeted products, then click one to trigger the postback.
-    const result = await page.evaluate((targetIndices) => {
+    const result = await page.evaluate(({ targetIndices, buttonSelector, buttonText, hiddenFieldId }) => {
       const buttons = Array.from(
-        document.querySelectorAll('input[type="submit"]')
+        document.querySelectorAll(buttonSelector)
       ).filter((el) => {
         const val = (el.value || '').toLowerCase();
-        return val.includes('quote other condition') || val.includes('other condition');
+        return buttonText.some((text) => val.includes(text));
       });
 
       if (buttons.length === 0) {
@@ -502,9 +697,9 @@ async function openOtherConditionsForProducts(page, items, requestId) {
         return { clicked: false, reason: 'no matching buttons for target indices' };
       }
 
-      // Set hdnClickId2 with comma-separated button IDs so the server
-      // expands all targeted products in one postback.
-      const hdnField = document.getElementById('hdnClickId2');
+      // Set the hidden field (hdnClickId2 on ILS) with comma-separated button
+      // IDs so the server expands all targeted products in one postback.
+      const hdnField = hiddenFieldId ? document.getElementById(hiddenFieldId) : null;
       if (hdnField) {
         hdnField.value = targetIds.join(',');
       }
@@ -513,7 +708,12 @@ async function openOtherConditionsForProducts(page, items, requestId) {
       buttons[targetIndices[0]].click();
 
       return { clicked: true, count: targetIds.length, ids: targetIds };
-    }, targetIndices);
+    }, {
+      targetIndices,
+      buttonSelector: expand.buttonSelector,
+      buttonText: expand.buttonText.map((text) => text.toLowerCase()),
+      hiddenFieldId: expand.hiddenFieldId || null
+    });
 
     if (!result.clicked) {
       logger.warn('Could not open "Quote Other Conditions"', { requestId, reason: result.reason });
@@ -527,12 +727,12 @@ async function openOtherConditionsForProducts(page, items, requestId) {
 
     // Wait for the postback to complete (page reload)
     try {
-      await page.waitForNavigation({ timeout: 30000, waitUntil: 'load' });
+      await page.waitForNavigation({ timeout: expand.navigationTimeoutMs || 30000, waitUntil: 'load' });
     } catch {
       logger.debug('No navigation detected after postback, waiting for network idle', { requestId });
     }
 
-    await page.waitForNetworkIdle({ timeout: 15000 }).catch(() => {
+    await page.waitForNetworkIdle({ timeout: expand.networkIdleTimeoutMs || 15000 }).catch(() => {
       logger.warn('Network idle timeout after "Quote Other Conditions" postback', { requestId });
     });
 
@@ -553,27 +753,26 @@ async function openOtherConditionsForProducts(page, items, requestId) {
  * This is intentionally simple and synchronous (fire-and-forget click)
  * to avoid race conditions with async navigation handling.
  *
- * The function finds the specific "Submit Quote" button (not generic
- * type="submit" buttons which include postback triggers like
- * "Quote Other Conditions"), clicks it, and returns immediately.
+ * The function finds the specific submit button named by the profile's
+ * submit locator ("Send" on ILS, not generic type="submit" buttons which
+ * include postback triggers like "Quote Other Conditions"), clicks it, and
+ * returns immediately.
  */
-function submitForm(page, requestId) {
+function submitForm(page, requestId, profile = getDefaultProfile()) {
   logger.info('Submitting form (PRODUCTION_MODE)', { requestId });
 
   // Use Promise chain instead of async/await — fire the click and
   // treat navigation destruction as success.
-  return page.evaluate(() => {
+  return page.evaluate(({ selector, text, match }) => {
     // First, try to find the exact submit button by value/text.
     // Be specific to avoid clicking ASP.NET postback buttons
     // (e.g. "Quote Other Conditions") which would reload & wipe data.
-    const buttons = Array.from(
-      document.querySelectorAll('input[type="submit"], input[type="button"], button')
-    );
+    const buttons = Array.from(document.querySelectorAll(selector));
 
-    const submitBtn = buttons.find((btn) => {
-      const text = (btn.textContent || btn.value || '').trim().toLowerCase();
-      return text === 'send';
-    });
+    const submitBtn = buttons.find((btn) => [btn.textContent, btn.value].some((raw) => {
+      const label = (raw || '').trim().toLowerCase();
+      return match === 'exact' ? text.includes(label) : text.some((t) => label.includes(t));
+    }));
 
     if (!submitBtn) {
       return { success: false, reason: 'No submit button found' };
@@ -581,7 +780,7 @@ function submitForm(page, requestId) {
 
     submitBtn.click();
     return { success: true, buttonText: submitBtn.textContent || submitBtn.value };
-  }).then((result) => {
+  }, toButtonLocator(profile.submit)).then((result) => {
     if (result.success) {
       logger.info('FORM_SUBMITTED: Submit button clicked', {
         requestId,
@@ -612,5 +811,7 @@ module.exports = {
   fillRepeaterFieldBySuffix,
   selectDropdownBySuffix,
   clickElementBySuffix,
-  readFormRowPartNumbers,
+  checkBoxBySuffix,
+  toButtonLocator,
+  findMissingTargets,
 };
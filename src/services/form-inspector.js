@@ -0,0 +1,171 @@
+/**
+ * Puppeteer Service - Form Inspector
+ * Reports what the filler would detect on a form, without filling anything
+ */
+
+const logger = require('../utils/logger');
+const { VALID_CONDITION_CODES } = require('../utils/validation');
+const { getDefaultProfile, resolveSuffix } = require('../portals');
+const { toButtonLocator } = require('./form-filler');
+const { readFormRowPartNumbers } = require('./row-mapping');
+
+/**
+ * Expand the profile's row fields into the id suffixes to look for under
+ * every condition code. Radio fields contribute one suffix per option.
+ *
+ * @param {Object} profile - Portal profile
+ * @returns {Object<string, Array<{field: string, tagName: string, suffix: string}>>} Suffixes by condition code
+ */
+function buildSuffixTable(profile) {
+  const table = {};
+
+  for (const code of VALID_CONDITION_CODES) {
+    table[code] = [];
+    for (const [field, spec] of Object.entries(profile.rowFields)) {
+      if (spec.control === 'radio') {
+        for (const template of Object.values(spec.options)) {
+          table[code].push({ field, tagName: 'input', suffix: resolveSuffix(template, code) });
+        }
+      } else {
+        const tagName = spec.control === 'select' ? 'select' : 'input';
+        table[code].push({ field, tagName, suffix: resolveSuffix(spec.suffix, code) });
+      }
+    }
+  }
+
+  return table;
+}
+
+/**
+ * Scan the loaded form the way fillRfqForm would see it.
+ *
+ * Rows are indexed like the filler indexes them: by position among the
+ * elements sharing a suffix. Under the default condition code that is the
+ * product order; other condition codes only have rows for products whose
+ * "Quote Other Conditions" section is already open, indexed among themselves.
+ *
+ * @param {Page} page - Page with the form loaded
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} [profile] - Portal profile (defaults to PUPPETEER_DEFAULT_PORTAL)
+ * @returns {Promise<Object>} Inspection report
+ */
+async function inspectForm(page, requestId, profile = getDefaultProfile()) {
+  const partNumbers = await readFormRowPartNumbers(page, requestId, profile);
+  const suffixTable = buildSuffixTable(profile);
+  const defaultCode = profile.defaultConditionCode;
+
+  const selectSuffixes = {};
+  for (const [field, spec] of Object.entries(profile.rowFields)) {
+    if (spec.control === 'select') {
+      selectSuffixes[field] = resolveSuffix(spec.suffix, defaultCode);
+    }
+  }
+
+  const expand = profile.expandConditions
+    ? {
+      buttonSelector: profile.expandConditions.buttonSelector,
+      buttonText: profile.expandConditions.buttonText.map((text) => text.toLowerCase())
+    }
+    : null;
+
+  /* eslint-disable no-undef -- document exists in browser context (page.evaluate) */
+  /* istanbul ignore next -- browser-context code, not instrumentable by Node.js coverage */
+  const dom = await page.evaluate(({ suffixTable, selectSuffixes, expand, submit, cancel }) => {
+    function bySuffix(tagName, suffix) {
+      return Array.from(document.querySelectorAll(tagName))
+        .filter((el) => el.id && el.id.endsWith(suffix));
+    }
+
+    function findButton({ selector, text, match }) {
+      const button = Array.from(document.querySelectorAll(selector)).find((btn) =>
+        [btn.textContent, btn.value].some((raw) => {
+          const label = (raw || '').trim().toLowerCase();
+          return match === 'exact' ? text.includes(label) : text.some((t) => label.includes(t));
+        }));
+      return button
+        ? { found: true, id: button.id || null, text: (button.textContent || button.value || '').trim() }
+        : { found: false, id: null, text: null };
+    }
+
+    const counts = {};
+    for (const [code, entries] of Object.entries(suffixTable)) {
+      counts[code] = entries.map((entry) => bySuffix(entry.tagName, entry.suffix).length);
+    }
+
+    const dropdownOptions = {};
+    for (const [field, suffix] of Object.entries(selectSuffixes)) {
+      const select = bySuffix('select', suffix)[0];
+      dropdownOptions[field] = select
+        ? Array.from(select.options).map((option) => ({ value: option.value, text: (option.textContent || '').trim() }))
+        : [];
+    }
+
+    const otherConditionsButtons = expand
+      ? Array.from(document.querySelectorAll(expand.buttonSelector))
+        .filter((el) => expand.buttonText.some((text) => (el.value || '').toLowerCase().includes(text)))
+        .map((el) => ({ id: el.id || null, value: el.value }))
+      : [];
+
+    return {
+      counts,
+      dropdownOptions,
+      otherConditionsButtons,
+      submitButton: findButton(submit),
+      cancelButton: findButton(cancel)
+    };
+  }, {
+    suffixTable,
+    selectSuffixes,
+    expand,
+    submit: toButtonLocator(profile.submit),
+    cancel: toButtonLocator(profile.cancel)
+  });
+  /* eslint-enable no-undef */
+
+  // ILS repeats each part number in two header elements; rows follow the first occurrence
+  const uniqueParts = [...new Set(partNumbers)];
+  const rowCount = Math.max(uniqueParts.length, ...Object.values(dom.counts).flat());
+
+  const rows = [];
+  for (let index = 0; index < rowCount; index++) {
+    const conditions = {};
+    for (const code of VALID_CONDITION_CODES) {
+      const present = suffixTable[code]
+        .filter((entry, i) => dom.counts[code][i] > index)
+        .map((entry) => entry.suffix);
+      if (present.length > 0) {
+        conditions[code] = present;
+      }
+    }
+
+    const missingFields = [...new Set(suffixTable[defaultCode]
+      .filter((entry, i) => dom.counts[defaultCode][i] <= index)
+      .map((entry) => entry.field))];
+
+    rows.push({ index, part_no: uniqueParts[index] || null, conditions, missingFields });
+  }
+
+  const report = {
+    portal: profile.name,
+    partNumbers,
+    rows,
+    dropdownOptions: dom.dropdownOptions,
+    otherConditionsButtons: dom.otherConditionsButtons,
+    submitButton: dom.submitButton,
+    cancelButton: dom.cancelButton
+  };
+
+  logger.info('Form inspected', {
+    requestId,
+    portal: profile.name,
+    rows: rows.length,
+    partNumbers: uniqueParts.length,
+    otherConditionsButtons: report.otherConditionsButtons.length,
+    submitFound: report.submitButton.found,
+    cancelFound: report.cancelButton.found
+  });
+
+  return report;
+}
+
+module.exports = { inspectForm, buildSuffixTable };
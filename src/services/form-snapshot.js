@@ -0,0 +1,136 @@
+/**
+ * Puppeteer Service - Form Snapshots
+ * Records every form control's state so a run can show exactly which DOM
+ * fields the automation changed and which it left alone
+ *
+ * ASP.NET state fields (__VIEWSTATE, __EVENTVALIDATION, ...) are left out:
+ * they change on every postback and say nothing about the quote.
+ */
+
+const logger = require('../utils/logger');
+const { uploadArtifact } = require('./screenshot');
+
+// Properties compared between snapshots
+const SNAPSHOT_PROPERTIES = ['value', 'checked', 'disabled', 'readonly'];
+
+/**
+ * Read the state of every input, select and textarea on the page.
+ * Controls without an id are keyed by name and position. Never throws.
+ *
+ * @param {Page} page - Page with the form loaded
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<{captured_at: string, url: string|null, fields: Array<Object>}|null>} Snapshot, or null if the page could not be read
+ */
+async function captureFormSnapshot(page, requestId) {
+  try {
+    /* eslint-disable no-undef -- document exists in browser context (page.evaluate) */
+    /* istanbul ignore next -- browser-context code, not instrumentable by Node.js coverage */
+    const fields = await page.evaluate(() => {
+      const seen = {};
+      return Array.from(document.querySelectorAll('input, select, textarea'))
+        .filter((el) => !(el.name || '').startsWith('__'))
+        .map((el) => {
+          const tag = el.tagName.toLowerCase();
+          const type = tag === 'input' ? (el.type || 'text').toLowerCase() : tag;
+          const base = el.id || el.name || tag;
+          seen[base] = (seen[base] || 0) + 1;
+          const key = el.id ? el.id : `${base}#${seen[base] - 1}`;
+          return {
+            key,
+            id: el.id || null,
+            name: el.name || null,
+            tag,
+            type,
+            value: el.value ?? '',
+            checked: type === 'checkbox' || type === 'radio' ? Boolean(el.checked) : null,
+            disabled: Boolean(el.disabled),
+            readonly: Boolean(el.readOnly)
+          };
+        });
+    });
+    /* eslint-enable no-undef */
+
+    return {
+      captured_at: new Date().toISOString(),
+      url: page.url(),
+      fields: fields || []
+    };
+  } catch (error) {
+    logger.warn('Failed to capture form snapshot', { requestId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Compare two snapshots field by field.
+ *
+ * @param {Object} before - Snapshot taken after navigation
+ * @param {Object} after - Snapshot taken before submit/cancel
+ * @returns {{changed: Array<Object>, added: Array<Object>, removed: Array<Object>, unchanged: number}} Field-level diff
+ */
+function diffFormSnapshots(before, after) {
+  const beforeByKey = new Map(before.fields.map((field) => [field.key, field]));
+  const afterKeys = new Set(after.fields.map((field) => field.key));
+  const diff = { changed: [], added: [], removed: [], unchanged: 0 };
+
+  for (const field of after.fields) {
+    const previous = beforeByKey.get(field.key);
+    if (!previous) {
+      diff.added.push(field);
+      continue;
+    }
+
+    const changes = {};
+    for (const property of SNAPSHOT_PROPERTIES) {
+      if (previous[property] !== field[property]) {
+        changes[property] = { before: previous[property], after: field[property] };
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      diff.changed.push({ key: field.key, id: field.id, name: field.name, type: field.type, changes });
+    } else {
+      diff.unchanged++;
+    }
+  }
+
+  diff.removed = before.fields.filter((field) => !afterKeys.has(field.key));
+  return diff;
+}
+
+/**
+ * Upload snapshots as JSON next to the RFQ's screenshots. A failed upload is
+ * logged and left out of the result.
+ *
+ * @param {string} rfqId - RFQ identifier
+ * @param {Object<string, Object|null>} snapshots - Snapshots by type (e.g. 'form-before'); nulls are skipped
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Array<{type: string, url: string, url_expires_at: string|null, captured_at: string, storage_path: string, field_count: number, pending_upload?: boolean}>>} Uploaded snapshots
+ */
+async function uploadFormSnapshots(rfqId, snapshots, requestId) {
+  const uploaded = [];
+
+  for (const [type, snapshot] of Object.entries(snapshots)) {
+    if (!snapshot) continue;
+
+    try {
+      const fileName = `rfq-${type}-${Date.now()}.json`;
+      const result = await uploadArtifact(rfqId, fileName, JSON.stringify(snapshot), 'application/json', requestId);
+      uploaded.push({
+        type,
+        url: result.url,
+        url_expires_at: result.url_expires_at,
+        captured_at: snapshot.captured_at,
+        storage_path: result.storage_path,
+        field_count: snapshot.fields.length,
+        ...(result.pending_upload && { pending_upload: true })
+      });
+    } catch (error) {
+      logger.warn('Failed to upload form snapshot', { requestId, rfqId, type, error: error.message });
+    }
+  }
+
+  return uploaded;
+}
+
+module.exports = { captureFormSnapshot, diffFormSnapshots, uploadFormSnapshots };
@@ -7,12 +7,16 @@
 
 const logger = require('../utils/logger');
 const { formatTagDate } = require('../utils/validation');
+const { getDefaultProfile, resolveSuffix, formatFieldValue, resolveNoQuoteItem } = require('../portals');
+const { resolveSelectOption } = require('../utils/select-options');
 const {
   fillRepeaterFieldBySuffix,
   selectDropdownBySuffix,
   clickElementBySuffix,
-  readFormRowPartNumbers,
+  checkBoxBySuffix,
 } = require('./form-filler');
+const { buildSuffixTable } = require('./form-inspector');
+const { resolveRowPlan, resolveOfferItem, mapFormRows, findRow } = require('./row-mapping');
 
 const VALIDATE_QUOTE_URL = process.env.VALIDATE_QUOTE_URL || 'http://localhost:8000/api/v1/validate-quote';
 
@@ -81,53 +85,72 @@ async function fetchValidatedQuoteData(items, requestId) {
 // DOM READBACK
 // =============================================================================
 
+// Readback keys that differ from the item field they verify
+const READBACK_KEYS = {
+  qty_available: 'qty',
+  price_usd: 'price',
+};
+
 /**
  * Read back all field values for a single item row from the form DOM.
- * Single page.evaluate per row for minimal IPC overhead.
+ * Single page.evaluate per row for minimal IPC overhead. Radio fields read
+ * back as the upper-cased key of the checked option (e.g. 'OUTRIGHT'); the
+ * profile's no-quote checkbox, if any, as no_quote (true/false).
  */
-function readbackItemRow(page, conditionCode, index) {
+function readbackItemRow(page, conditionCode, index, profile = getDefaultProfile()) {
   const code = conditionCode.toUpperCase();
+  const fields = {};
+
+  for (const [field, spec] of Object.entries(profile.rowFields)) {
+    const key = READBACK_KEYS[field] || field;
+    if (spec.control === 'radio') {
+      const options = {};
+      for (const [option, template] of Object.entries(spec.options)) {
+        options[option.toUpperCase()] = resolveSuffix(template, code);
+      }
+      fields[key] = { control: 'radio', options };
+    } else {
+      fields[key] = { control: spec.control, suffix: resolveSuffix(spec.suffix, code) };
+    }
+  }
+  if (profile.noQuote?.checkbox) {
+    fields.no_quote = { control: 'checkbox', suffix: resolveSuffix(profile.noQuote.checkbox, code) };
+  }
 
   /* eslint-disable no-undef -- document exists in browser context (page.evaluate) */
   /* istanbul ignore next -- browser-context code, not instrumentable by Node.js coverage */
-  return page.evaluate(({ code: c, index: idx }) => {
-    function getInputValue(suffix, i) {
-      const inputs = Array.from(document.querySelectorAll('input'))
-        .filter((el) => el.id && el.id.endsWith(suffix));
-      const target = inputs[i];
-      return target ? target.value.trim() : null;
-    }
-
-    function getSelectValue(suffix, i) {
-      const selects = Array.from(document.querySelectorAll('select'))
+  return page.evaluate(({ index: idx, fields: rowFields }) => {
+    function findBySuffix(tagName, suffix) {
+      const elements = Array.from(document.querySelectorAll(tagName))
         .filter((el) => el.id && el.id.endsWith(suffix));
-      const target = selects[i];
-      return target ? target.value.trim() : null;
+      return elements[idx];
     }
 
-    function getRadioState(suffixOutright, suffixExchange, i) {
-      const outrightInputs = Array.from(document.querySelectorAll('input'))
-        .filter((el) => el.id && el.id.endsWith(suffixOutright));
-      const exchangeInputs = Array.from(document.querySelectorAll('input'))
-        .filter((el) => el.id && el.id.endsWith(suffixExchange));
-      if (outrightInputs[i]?.checked) return 'OUTRIGHT';
-      if (exchangeInputs[i]?.checked) return 'EXCHANGE';
-      return null;
+    const values = {};
+    const selectOptions = {};
+    for (const [key, field] of Object.entries(rowFields)) {
+      if (field.control === 'radio') {
+        const checked = Object.entries(field.options)
+          .find(([, suffix]) => findBySuffix('input', suffix)?.checked);
+        values[key] = checked ? checked[0] : null;
+      } else if (field.control === 'checkbox') {
+        const target = findBySuffix('input', field.suffix);
+        values[key] = target ? Boolean(target.checked) : null;
+      } else {
+        const target = findBySuffix(field.control === 'select' ? 'select' : 'input', field.suffix);
+        values[key] = target ? target.value.trim() : null;
+        if (target && field.control === 'select') {
+          selectOptions[key] = Array.from(target.options || []).map((option) => ({
+            value: option.value,
+            text: (option.textContent || '').trim()
+          }));
+        }
+      }
     }
-
-    return {
-      qty: getInputValue(`txt${c}Qty1`, idx),
-      traceability: getSelectValue(`ddl${c}Traceability1`, idx),
-      uom: getInputValue(`txt${c}UnitMeasure1`, idx),
-      price: getInputValue(`txt${c}Price1`, idx),
-      price_type: getRadioState(`rbOutright${c}1`, `rbExchange${c}1`, idx),
-      lead_time: getInputValue(`txt${c}Lead1`, idx),
-      tag_date: getInputValue(`txt${c}Date1`, idx),
-      min_qty: getInputValue(`txt${c}MinQuantity1`, idx),
-      comments: getInputValue(`txt${c}Comments1`, idx),
-    };
+    values.selectOptions = selectOptions;
+    return values;
     /* eslint-enable no-undef */
-  }, { code, index });
+  }, { index, fields });
 }
 
 // =============================================================================
@@ -142,11 +165,25 @@ function normalizePrice(value) {
   return num.toString();
 }
 
+/**
+ * The option value a select should hold for the expected payload value:
+ * resolved against the options read back from the row, the same way the
+ * filler picked it. Falls back to the raw value when no options were read
+ * or none match (which then shows up as a mismatch).
+ */
+function expectedSelectValue(field, expected, actualValues, profile) {
+  const options = actualValues.selectOptions?.[field];
+  if (!expected || !options) return expected;
+
+  const match = resolveSelectOption(options, expected, profile.rowFields[field]?.aliases);
+  return match ? match.option.value : expected;
+}
+
 /**
  * Compare expected item against actual DOM values.
  * Returns array of mismatch objects. Empty = all match.
  */
-function compareFields(expectedItem, actualValues) {
+function compareFields(expectedItem, actualValues, profile = getDefaultProfile()) {
   const mismatches = [];
   const formattedTagDate = formatTagDate(expectedItem.tag_date);
 
@@ -156,7 +193,11 @@ function compareFields(expectedItem, actualValues) {
     { field: 'lead_time', expected: String(expectedItem.lead_time || ''), actual: actualValues.lead_time },
     { field: 'tag_date', expected: formattedTagDate || '', actual: actualValues.tag_date },
     { field: 'min_qty', expected: String(expectedItem.min_qty || ''), actual: actualValues.min_qty },
-    { field: 'traceability', expected: expectedItem.traceability || '', actual: actualValues.traceability },
+    {
+      field: 'traceability',
+      expected: expectedSelectValue('traceability', expectedItem.traceability || '', actualValues, profile),
+      actual: actualValues.traceability
+    },
     { field: 'price_usd', expected: normalizePrice(expectedItem.price_usd), actual: normalizePrice(actualValues.price) },
   ];
 
@@ -179,15 +220,35 @@ function compareFields(expectedItem, actualValues) {
   return mismatches;
 }
 
+/**
+ * Compare a no_quote row against the values that mark it not quoted, plus
+ * the profile's no-quote checkbox.
+ */
+function compareNoQuote(markedItem, actualValues, profile) {
+  const mismatches = compareFields(markedItem, actualValues, profile);
+  if (profile.noQuote.checkbox && actualValues.no_quote !== true) {
+    mismatches.push({ field: 'no_quote', expected: 'checked', actual: '(unchecked)' });
+  }
+  return mismatches;
+}
+
 // =============================================================================
 // CORRECTION
 // =============================================================================
 
-async function correctMismatchedFields(page, item, index, mismatches, requestId) {
-  const code = (item.conditionCode || 'NE').toUpperCase();
-  const formattedTagDate = formatTagDate(item.tag_date);
+async function correctMismatchedFields(page, item, index, mismatches, requestId, profile) {
+  const code = (item.conditionCode || profile.defaultConditionCode).toUpperCase();
 
   for (const mismatch of mismatches) {
+    if (mismatch.field === 'no_quote') {
+      logger.info('Correcting no-quote checkbox', { requestId, partNo: item.part_no });
+      await checkBoxBySuffix(page, resolveSuffix(profile.noQuote.checkbox, code), index);
+      continue;
+    }
+
+    const spec = profile.rowFields[mismatch.field];
+    if (!spec) continue;
+
     logger.info('Correcting field', {
       requestId,
       partNo: item.part_no,
@@ -196,41 +257,188 @@ async function correctMismatchedFields(page, item, index, mismatches, requestId)
       actual: mismatch.actual,
     });
 
-    switch (mismatch.field) {
-      case 'qty_available':
-        await fillRepeaterFieldBySuffix(page, `txt${code}Qty1`, index, item.qty_available);
-        break;
-      case 'uom':
-        await fillRepeaterFieldBySuffix(page, `txt${code}UnitMeasure1`, index, item.uom);
-        break;
-      case 'price_usd':
-        await fillRepeaterFieldBySuffix(page, `txt${code}Price1`, index, item.price_usd);
-        break;
-      case 'lead_time':
-        await fillRepeaterFieldBySuffix(page, `txt${code}Lead1`, index, item.lead_time);
-        break;
-      case 'tag_date':
-        await fillRepeaterFieldBySuffix(page, `txt${code}Date1`, index, formattedTagDate, { removeReadonly: true });
-        break;
-      case 'min_qty':
-        await fillRepeaterFieldBySuffix(page, `txt${code}MinQuantity1`, index, item.min_qty);
-        break;
-      case 'comments':
-        await fillRepeaterFieldBySuffix(page, `txt${code}Comments1`, index, item.comments);
-        break;
-      case 'traceability':
-        await selectDropdownBySuffix(page, `ddl${code}Traceability1`, index, item.traceability);
+    const value = formatFieldValue(spec, item[mismatch.field]);
+
+    switch (spec.control) {
+      case 'select':
+        await selectDropdownBySuffix(page, resolveSuffix(spec.suffix, code), index, value, { aliases: spec.aliases });
         break;
-      case 'price_type': {
-        const suffix = item.price_type.toLowerCase() === 'exchange'
-          ? `rbExchange${code}1` : `rbOutright${code}1`;
-        await clickElementBySuffix(page, suffix, index);
+      case 'radio': {
+        const option = spec.options[String(value).toLowerCase()];
+        if (option) {
+          await clickElementBySuffix(page, resolveSuffix(option, code), index);
+        }
         break;
       }
+      default:
+        if (spec.removeReadonly) {
+          await fillRepeaterFieldBySuffix(page, resolveSuffix(spec.suffix, code), index, value, { removeReadonly: true });
+        } else {
+          await fillRepeaterFieldBySuffix(page, resolveSuffix(spec.suffix, code), index, value);
+        }
     }
   }
 }
 
+// =============================================================================
+// CLIENT-SIDE VALIDATORS
+// =============================================================================
+
+/**
+ * Run the page's validation routine and collect what its validators and
+ * validation summaries show. Runs in the browser.
+ */
+/* eslint-disable no-undef -- window/document exist in browser context (page.evaluate) */
+/* istanbul ignore next -- browser-context code, not instrumentable by Node.js coverage */
+function collectValidatorMessages({ routine, summarySelector, suffixes }) {
+  function visible(el) {
+    if (el.getClientRects && el.getClientRects().length === 0) return false;
+    return typeof getComputedStyle !== 'function' || getComputedStyle(el).visibility !== 'hidden';
+  }
+
+  let ran = false;
+  if (routine && typeof window[routine] === 'function') {
+    try {
+      window[routine]();
+      ran = true;
+    } catch {
+      // A throwing routine still leaves whatever it managed to display
+    }
+  }
+
+  const validators = Array.isArray(window.Page_Validators)
+    ? window.Page_Validators
+    : Array.from(document.querySelectorAll('span[controltovalidate]'));
+
+  const errors = [];
+  for (const validator of validators) {
+    const attr = (name) => validator[name] ?? (validator.getAttribute ? validator.getAttribute(name) : null);
+    const message = String(attr('errormessage') || validator.textContent || '').trim();
+    if (!message || !(validator.isvalid === false || visible(validator))) continue;
+
+    const elementId = attr('controltovalidate') || null;
+    const match = elementId ? suffixes.find((entry) => elementId.endsWith(entry.suffix)) : null;
+    const index = match
+      ? Array.from(document.querySelectorAll(match.tagName))
+        .filter((el) => el.id && el.id.endsWith(match.suffix))
+        .findIndex((el) => el.id === elementId)
+      : -1;
+
+    errors.push({ message, validator_id: validator.id || null, element_id: elementId, suffix: match ? match.suffix : null, index });
+  }
+
+  const summary = [];
+  for (const el of summarySelector ? Array.from(document.querySelectorAll(summarySelector)) : []) {
+    if (!visible(el)) continue;
+    const items = Array.from(el.querySelectorAll('li'));
+    for (const line of items.length > 0 ? items : [el]) {
+      const text = (line.textContent || '').trim();
+      if (text && !summary.includes(text)) summary.push(text);
+    }
+  }
+
+  return { ran, errors, summary };
+}
+/* eslint-enable no-undef */
+
+/**
+ * Every id suffix the profile fills, with the row field and condition code it
+ * belongs to. Longest first, so a suffix that ends another cannot claim its
+ * element.
+ */
+function buildValidatorSuffixes(profile) {
+  const suffixes = [];
+
+  for (const [code, entries] of Object.entries(buildSuffixTable(profile))) {
+    for (const entry of entries) {
+      suffixes.push({ ...entry, condition_code: code });
+    }
+  }
+  for (const [field, spec] of Object.entries(profile.formFields || {})) {
+    suffixes.push({ field, tagName: spec.control, suffix: spec.suffix, condition_code: null });
+  }
+
+  return suffixes.sort((a, b) => b.suffix.length - a.suffix.length);
+}
+
+/**
+ * The form product a condition-code row belongs to, from the row map the
+ * filler used. A positional map only knows the default code's rows.
+ *
+ * @param {Object|null} rowMap - From mapFormRows
+ * @param {string} code - Condition code
+ * @param {number} index - Row index among the code's rows
+ * @returns {string|null} Form part number, or null if the row is not mapped
+ */
+function partAtRow(rowMap, code, index) {
+  if (!rowMap || (rowMap.source !== 'dom' && code !== rowMap.defaultCode)) return null;
+
+  for (const partNo of Object.keys(rowMap.rows)) {
+    const repeated = ((rowMap.repeatedRows[partNo] || {})[code]) || [];
+    if (findRow(rowMap, partNo, code) === index || repeated.includes(index)) return partNo;
+  }
+  return null;
+}
+
+/**
+ * Trigger the portal's client-side validation (Page_ClientValidate on
+ * ASP.NET) and report the messages it displays. Each validator message is
+ * mapped back to the field and row it validates, and the row to its product
+ * through the same row map the filler resolves rows with.
+ *
+ * @param {Page} page - Page with the filled form
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} [profile] - Portal profile (defaults to PUPPETEER_DEFAULT_PORTAL)
+ * @param {string[]} [partNumbers] - Form row part numbers, as read by readFormRowPartNumbers
+ * @returns {Promise<{ran: boolean, errors: Array<Object>, summary: string[]}>} Client validation result
+ */
+async function readClientValidationErrors(page, requestId, profile = getDefaultProfile(), partNumbers = []) {
+  const result = { ran: false, errors: [], summary: [] };
+  if (!profile.clientValidation) return result;
+
+  const suffixes = buildValidatorSuffixes(profile);
+  let dom;
+  try {
+    dom = await page.evaluate(collectValidatorMessages, {
+      routine: profile.clientValidation.routine,
+      summarySelector: profile.clientValidation.summarySelector || null,
+      suffixes: suffixes.map(({ tagName, suffix }) => ({ tagName, suffix }))
+    });
+  } catch (error) {
+    logger.warn('Client-side validation check failed', { requestId, error: error.message });
+    return result;
+  }
+
+  const rowMap = await mapFormRows(page, partNumbers, requestId, profile);
+  result.ran = Boolean(dom?.ran);
+  result.summary = Array.isArray(dom?.summary) ? dom.summary : [];
+  result.errors = (Array.isArray(dom?.errors) ? dom.errors : []).map((error) => {
+    const target = suffixes.find((entry) => entry.suffix === error.suffix);
+    const rowIndex = target && target.condition_code && error.index >= 0 ? error.index : null;
+    return {
+      message: error.message,
+      validator_id: error.validator_id,
+      element_id: error.element_id,
+      field: target ? target.field : null,
+      suffix: error.suffix,
+      condition_code: target ? target.condition_code : null,
+      row_index: rowIndex,
+      part_no: rowIndex !== null ? partAtRow(rowMap, target.condition_code, rowIndex) : null
+    };
+  });
+
+  if (result.errors.length > 0 || result.summary.length > 0) {
+    logger.warn('Client-side validation errors on form', {
+      requestId,
+      ran: result.ran,
+      errors: result.errors.map((e) => ({ part: e.part_no, field: e.field, message: e.message })),
+      summary: result.summary
+    });
+  }
+
+  return result;
+}
+
 // =============================================================================
 // ORCHESTRATOR
 // =============================================================================
@@ -241,11 +449,23 @@ async function correctMismatchedFields(page, item, index, mismatches, requestId)
  * Flow:
  * 1. Call ingest service validate-quote to get freshly computed source of truth
  * 2. If endpoint fails, fall back to validating against original payload
- * 3. Read back every field from the DOM
+ * 3. Read back every field from the DOM (no_quote rows: their no-quote marking)
  * 4. Compare and correct (up to maxAttempts retries)
- * 5. Return validation report
+ * 5. Run the page's own client-side validators; any message fails the report
+ * 6. Return validation report
+ *
+ * Selectors come from the portal profile, the same one used to fill the form,
+ * and rows come from the fill's row plan, so both touch the same rows.
+ *
+ * @param {Page} page - Page with the filled form
+ * @param {Object} quoteDetails - Quote payload
+ * @param {string} requestId - Request ID for logging
+ * @param {number} [maxAttempts] - Correction attempts before failing
+ * @param {Object} [profile] - Portal profile (defaults to PUPPETEER_DEFAULT_PORTAL)
+ * @param {Object} [rowPlan] - Row plan from the fill report; resolved from the form when omitted
+ * @returns {Promise<Object>} Validation report
  */
-async function validateAndCorrect(page, quoteDetails, requestId, maxAttempts = 2) {
+async function validateAndCorrect(page, quoteDetails, requestId, maxAttempts = 2, profile = getDefaultProfile(), rowPlan = null) {
   const startTime = Date.now();
   const { items } = quoteDetails;
   const report = {
@@ -255,6 +475,7 @@ async function validateAndCorrect(page, quoteDetails, requestId, maxAttempts = 2
     fields_checked: 0,
     mismatches_found: [],
     correction_attempts: 0,
+    client_validation: { ran: false, errors: [], summary: [] },
     duration_ms: 0,
   };
 
@@ -289,103 +510,48 @@ async function validateAndCorrect(page, quoteDetails, requestId, maxAttempts = 2
     logger.warn('Falling back to payload as validation source', { requestId });
   }
 
-  // Step 2: Build index map using same part-number matching as fillRfqForm
-  const formPartNumbers = await readFormRowPartNumbers(page, requestId);
-  const partToFormIndex = {};
-
-  if (formPartNumbers.length > 0) {
-    const codeIndexCounter = {};
-    for (const formPartNo of formPartNumbers) {
-      const code = 'NE';
-      if (!codeIndexCounter[code]) codeIndexCounter[code] = 0;
-      if (!partToFormIndex[formPartNo]) {
-        partToFormIndex[formPartNo] = { code, index: codeIndexCounter[code] };
-        codeIndexCounter[code]++;
-      }
+  // Step 2: Check the rows the form was filled into
+  if (!rowPlan) {
+    rowPlan = await resolveRowPlan(page, items, requestId, profile);
+  }
+  // Quoted rows must hold the item (or the offer filled there); no_quote rows the portal's no-quote marking
+  const targets = [];
+  for (const entry of rowPlan.items) {
+    const item = validationSource[entry.item_index];
+    if (!entry.skip_reason) {
+      targets.push({ entry, expected: resolveOfferItem(item, entry.offer_index), noQuote: false });
+    } else if (entry.skip_reason !== 'no_quote') {
+      logger.warn('Validator: no form row for part', { requestId, partNo: entry.part_no, conditionCode: entry.condition_code });
+    } else if (profile.noQuote && entry.row_index !== null) {
+      targets.push({ entry, expected: resolveNoQuoteItem(profile, item), noQuote: true });
     }
   }
 
-  const usePartMatching = formPartNumbers.length > 0;
-  // Filter to quotable items only
-  const quotableItems = validationSource.filter((item) => !item.no_quote);
-
   // Step 3: Readback, compare, correct loop
   for (let attempt = 0; attempt <= maxAttempts; attempt++) {
     const currentMismatches = [];
 
-    if (usePartMatching) {
-      // Part-number matching: same strategy as fillRfqForm
-      for (let i = 0; i < quotableItems.length; i++) {
-        const item = quotableItems[i];
-        const partNo = item.part_no || '';
-        const formRow = partToFormIndex[partNo];
-
-        if (!formRow) {
-          logger.warn('Validator: no form row for part', { requestId, partNo });
-          continue;
-        }
-
-        const actualValues = await readbackItemRow(page, formRow.code, formRow.index);
-        const itemMismatches = compareFields(item, actualValues);
-
-        report.items_validated = Math.max(report.items_validated, i + 1);
-        report.fields_checked += 9;
-
-        if (itemMismatches.length > 0) {
-          for (const m of itemMismatches) {
-            currentMismatches.push({
-              item_index: i,
-              part_no: partNo,
-              field: m.field,
-              expected: m.expected,
-              actual: m.actual,
-              corrected: false,
-            });
-          }
-        }
-      }
-    } else {
-      // Fallback: sequential index (when DOM part detection fails)
-      const sortedItems = [...validationSource].sort((a, b) => {
-        const aNum = a.item_number || '';
-        const bNum = b.item_number || '';
-        return aNum.localeCompare(bNum);
-      });
-      const codeIndexMap = {};
-
-      for (let i = 0; i < sortedItems.length; i++) {
-        const item = sortedItems[i];
-        const code = (item.conditionCode || 'NE').toUpperCase();
-        if (!codeIndexMap[code]) codeIndexMap[code] = 0;
-
-        if (item.no_quote) {
-          codeIndexMap[code]++;
-          continue;
-        }
-
-        const formIndex = codeIndexMap[code];
-        const actualValues = await readbackItemRow(page, code, formIndex);
-        const itemMismatches = compareFields(item, actualValues);
-
-        report.items_validated = Math.max(report.items_validated, i + 1);
-        report.fields_checked += 9;
-
-        if (itemMismatches.length > 0) {
-          for (const m of itemMismatches) {
-            currentMismatches.push({
-              item_index: i,
-              part_no: item.part_no || 'unknown',
-              field: m.field,
-              expected: m.expected,
-              actual: m.actual,
-              corrected: false,
-            });
-          }
-        }
-
-        codeIndexMap[code]++;
+    for (const { entry, expected: item, noQuote } of targets) {
+      const actualValues = await readbackItemRow(page, entry.condition_code, entry.row_index, profile);
+      const itemMismatches = noQuote
+        ? compareNoQuote(item, actualValues, profile)
+        : compareFields(item, actualValues, profile);
+
+      report.fields_checked += Object.keys(profile.rowFields).length;
+
+      for (const m of itemMismatches) {
+        currentMismatches.push({
+          item_index: entry.item_index,
+          ...(Number.isInteger(entry.offer_index) && { offer_index: entry.offer_index }),
+          part_no: item.part_no || 'unknown',
+          field: m.field,
+          expected: m.expected,
+          actual: m.actual,
+          corrected: false,
+        });
       }
     }
+    report.items_validated = targets.length;
 
     // Record mismatches from first pass
     if (attempt === 0 && currentMismatches.length > 0) {
@@ -407,8 +573,7 @@ async function validateAndCorrect(page, quoteDetails, requestId, maxAttempts = 2
         logger.info('Validation passed on first check', { requestId });
       }
       report.status = 'pass';
-      report.duration_ms = Date.now() - startTime;
-      return report;
+      break;
     }
 
     // Max attempts reached
@@ -418,58 +583,31 @@ async function validateAndCorrect(page, quoteDetails, requestId, maxAttempts = 2
         remaining: currentMismatches.length,
       });
       report.status = 'fail';
-      report.duration_ms = Date.now() - startTime;
-      return report;
+      break;
     }
 
     // Correct mismatched fields
     report.correction_attempts++;
     logger.info(`Correction attempt ${report.correction_attempts}`, { requestId });
 
-    if (usePartMatching) {
-      // Part-number matching correction
-      for (let i = 0; i < quotableItems.length; i++) {
-        const item = quotableItems[i];
-        const partNo = item.part_no || '';
-        const formRow = partToFormIndex[partNo];
-        if (!formRow) continue;
-
-        const itemMismatches = currentMismatches.filter((m) => m.item_index === i);
-        if (itemMismatches.length > 0) {
-          await correctMismatchedFields(page, item, formRow.index, itemMismatches, requestId);
-        }
-      }
-    } else {
-      // Fallback: sequential correction
-      const sortedForCorrection = [...validationSource].sort((a, b) => {
-        const aNum = a.item_number || '';
-        const bNum = b.item_number || '';
-        return aNum.localeCompare(bNum);
-      });
-      const codeIndexMapCorrect = {};
-      for (let i = 0; i < sortedForCorrection.length; i++) {
-        const item = sortedForCorrection[i];
-        const code = (item.conditionCode || 'NE').toUpperCase();
-        if (!codeIndexMapCorrect[code]) codeIndexMapCorrect[code] = 0;
-
-        if (item.no_quote) {
-          codeIndexMapCorrect[code]++;
-          continue;
-        }
-
-        const formIndex = codeIndexMapCorrect[code];
-        const itemMismatches = currentMismatches.filter((m) => m.item_index === i);
-        if (itemMismatches.length > 0) {
-          await correctMismatchedFields(page, item, formIndex, itemMismatches, requestId);
-        }
-
-        codeIndexMapCorrect[code]++;
+    for (const { entry, expected } of targets) {
+      const itemMismatches = currentMismatches.filter((m) => (
+        m.item_index === entry.item_index && (m.offer_index ?? null) === (entry.offer_index ?? null)
+      ));
+      if (itemMismatches.length > 0) {
+        await correctMismatchedFields(page, expected, entry.row_index, itemMismatches, requestId, profile);
       }
     }
 
     await new Promise((resolve) => setTimeout(resolve, 500));
   }
 
+  // Step 4: The portal's validators would block the postback, so check them too
+  report.client_validation = await readClientValidationErrors(page, requestId, profile, rowPlan.part_numbers);
+  if (report.client_validation.errors.length > 0 || report.client_validation.summary.length > 0) {
+    report.status = 'fail';
+  }
+
   report.duration_ms = Date.now() - startTime;
   return report;
 }
@@ -480,4 +618,5 @@ module.exports = {
   readbackItemRow,
   compareFields,
   normalizePrice,
+  readClientValidationErrors,
 };
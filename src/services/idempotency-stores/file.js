@@ -0,0 +1,156 @@
+/**
+ * Puppeteer Service - File-Backed Idempotency Store
+ * Append-only JSON log replayed on startup, so records survive restarts
+ *
+ * Each line is one operation: {"op":"set","key":...,"record":...} or
+ * {"op":"del","key":...}. The log is compacted on startup and whenever
+ * it grows well past the number of live records.
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+// Compact once this many operations have been appended...
+const COMPACT_MIN_OPERATIONS = 1000;
+// ...and the log holds at least this many operations per live record
+const COMPACT_RATIO = 2;
+
+function readLog(filePath) {
+  const records = new Map();
+
+  if (!fs.existsSync(filePath)) {
+    return records;
+  }
+
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  let skipped = 0;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      // A crash mid-append can leave a truncated last line
+      skipped++;
+      continue;
+    }
+
+    if (entry.op === 'set') {
+      records.set(entry.key, entry.record);
+    } else if (entry.op === 'del') {
+      records.delete(entry.key);
+    }
+  }
+
+  if (skipped > 0) {
+    logger.warn('Skipped unreadable idempotency log lines', { filePath, skipped });
+  }
+
+  return records;
+}
+
+function serialize(records) {
+  return Array.from(records.entries())
+    .map(([key, record]) => JSON.stringify({ op: 'set', key, record }) + '\n')
+    .join('');
+}
+
+/**
+ * Create a file-backed idempotency store
+ * @param {string} filePath - Path of the JSON log
+ * @returns {Object} Store implementing the idempotency store interface
+ */
+function createFileStore(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const records = readLog(filePath);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, serialize(records));
+  fs.renameSync(tempPath, filePath);
+
+  logger.info('Idempotency log loaded', { filePath, records: records.size });
+
+  let operations = records.size;
+  let writeChain = Promise.resolve();
+
+  // Writes are serialized so the log order matches the in-memory order
+  function enqueueWrite(write) {
+    const result = writeChain.then(write);
+    writeChain = result.catch(() => {});
+    return result;
+  }
+
+  function compact() {
+    const snapshot = serialize(records);
+    operations = records.size;
+    return enqueueWrite(async () => {
+      await fsp.writeFile(tempPath, snapshot);
+      await fsp.rename(tempPath, filePath);
+      logger.debug('Idempotency log compacted', { filePath, records: records.size });
+    });
+  }
+
+  function append(entry) {
+    operations++;
+    const line = JSON.stringify(entry) + '\n';
+    const write = enqueueWrite(() => fsp.appendFile(filePath, line));
+
+    if (operations >= COMPACT_MIN_OPERATIONS && operations >= records.size * COMPACT_RATIO) {
+      return write.then(compact);
+    }
+    return write;
+  }
+
+  return {
+    name: 'file',
+
+    get(key) {
+      return Promise.resolve(records.get(key) || null);
+    },
+
+    async add(key, record) {
+      if (records.has(key)) {
+        return false;
+      }
+      records.set(key, record);
+      await append({ op: 'set', key, record });
+      return true;
+    },
+
+    async set(key, record) {
+      records.set(key, record);
+      await append({ op: 'set', key, record });
+    },
+
+    async compareAndSet(key, expected, record) {
+      // Checked and swapped before the first await, so no other write interleaves
+      const current = records.get(key);
+      if (!current || JSON.stringify(current) !== JSON.stringify(expected)) {
+        return false;
+      }
+      records.set(key, record);
+      await append({ op: 'set', key, record });
+      return true;
+    },
+
+    async delete(key) {
+      if (!records.has(key)) return;
+      records.delete(key);
+      await append({ op: 'del', key });
+    },
+
+    entries() {
+      return Promise.resolve(Array.from(records.entries()));
+    },
+
+    close() {
+      return writeChain;
+    }
+  };
+}
+
+module.exports = { createFileStore };
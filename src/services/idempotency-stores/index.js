@@ -0,0 +1,47 @@
+/**
+ * Puppeteer Service - Idempotency Store Factory
+ * Selects the storage backend for idempotency records
+ *
+ * Every store implements the same async interface:
+ *   get(key)                      -> record | null
+ *   add(key, record, expiresAt)   -> true if stored, false if the key exists
+ *   set(key, record, expiresAt)   -> overwrite the record
+ *   compareAndSet(key, expected, record, expiresAt)
+ *                                 -> write only if the stored record still
+ *                                    equals expected; true if written
+ *   delete(key)
+ *   entries()                     -> [[key, record], ...]
+ *   close()
+ *
+ * expiresAt lets stores with native expiry (Redis) drop records on their
+ * own; TTL checks in idempotency.js apply to every backend regardless.
+ */
+
+const path = require('path');
+const { createMemoryStore } = require('./memory');
+const { createFileStore } = require('./file');
+const { createRedisStore } = require('./redis');
+
+const STORE_TYPE = process.env.PUPPETEER_IDEMPOTENCY_STORE || 'memory';
+const FILE_PATH = process.env.PUPPETEER_IDEMPOTENCY_FILE || path.join(process.cwd(), 'data', 'idempotency.log');
+const REDIS_URL = process.env.PUPPETEER_REDIS_URL || 'redis://127.0.0.1:6379';
+
+/**
+ * Create the configured idempotency store
+ * @param {string} [type] - 'memory' | 'file' | 'redis'
+ * @returns {Object} Store instance
+ */
+function createStore(type = STORE_TYPE) {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore(FILE_PATH);
+    case 'redis':
+      return createRedisStore(REDIS_URL);
+    default:
+      throw new Error(`Unknown idempotency store "${type}". Use memory, file or redis.`);
+  }
+}
+
+module.exports = { createStore };
@@ -0,0 +1,57 @@
+/**
+ * Puppeteer Service - In-Memory Idempotency Store
+ * Map-backed store; state is lost when the process restarts
+ */
+
+/**
+ * Create an in-memory idempotency store
+ * @returns {Object} Store implementing the idempotency store interface
+ */
+function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    name: 'memory',
+
+    get(key) {
+      return Promise.resolve(records.get(key) || null);
+    },
+
+    add(key, record) {
+      if (records.has(key)) {
+        return Promise.resolve(false);
+      }
+      records.set(key, record);
+      return Promise.resolve(true);
+    },
+
+    set(key, record) {
+      records.set(key, record);
+      return Promise.resolve();
+    },
+
+    compareAndSet(key, expected, record) {
+      const current = records.get(key);
+      if (!current || JSON.stringify(current) !== JSON.stringify(expected)) {
+        return Promise.resolve(false);
+      }
+      records.set(key, record);
+      return Promise.resolve(true);
+    },
+
+    delete(key) {
+      records.delete(key);
+      return Promise.resolve();
+    },
+
+    entries() {
+      return Promise.resolve(Array.from(records.entries()));
+    },
+
+    close() {
+      return Promise.resolve();
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
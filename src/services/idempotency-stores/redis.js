@@ -0,0 +1,284 @@
+/**
+ * Puppeteer Service - Redis Idempotency Store
+ * Shares idempotency records across instances through any server that
+ * speaks the Redis protocol (RESP2). Uses a minimal built-in client so
+ * no Redis package is required.
+ */
+
+const net = require('net');
+const logger = require('../../utils/logger');
+
+const KEY_PREFIX = 'puppeteer:idempotency:';
+const CONNECT_TIMEOUT_MS = 5000;
+const COMMAND_TIMEOUT_MS = parseInt(process.env.PUPPETEER_REDIS_COMMAND_TIMEOUT_MS, 10) || 5000;
+const SCAN_BATCH_SIZE = 100;
+
+// Replace a value only if it is still the one the caller read
+const COMPARE_AND_SET_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+  return 1
+end
+return 0`;
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string|number>} args - Command name and arguments
+ * @returns {string} Encoded command
+ */
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one RESP reply from a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @param {number} offset - Position to start parsing at
+ * @returns {{value: *, offset: number}|null} Parsed reply, or null if incomplete
+ */
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type: ${type}`);
+  }
+}
+
+/**
+ * Create a lazily connecting Redis client.
+ * Commands are pipelined over a single socket; the connection is
+ * re-established on the next command after it drops. A command without a
+ * reply within the timeout rejects and drops the connection, as a late
+ * reply would otherwise be taken for the next command's.
+ * @param {string} url - redis://[[user]:password@]host[:port][/db]
+ * @param {Object} [options]
+ * @param {number} [options.commandTimeoutMs] - Time to wait for each reply
+ * @returns {{command: Function, quit: Function}}
+ */
+function createRedisClient(url, { commandTimeoutMs = COMMAND_TIMEOUT_MS } = {}) {
+  const { hostname, port, username, password, pathname } = new URL(url);
+  const db = pathname.replace('/', '');
+
+  let socket = null;
+  let ready = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  function write(args) {
+    // The connection can drop between connect() resolving and this call
+    const sock = socket;
+    if (!sock || sock.destroyed) {
+      return Promise.reject(new Error('Redis connection closed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const entry = {
+        resolve: (value) => { clearTimeout(timer); resolve(value); },
+        reject: (error) => { clearTimeout(timer); reject(error); }
+      };
+      pending.push(entry);
+      try {
+        sock.write(encodeCommand(args));
+      } catch (error) {
+        pending.splice(pending.indexOf(entry), 1);
+        entry.reject(error);
+        return;
+      }
+
+      timer = setTimeout(() => {
+        const index = pending.indexOf(entry);
+        if (index >= 0) pending.splice(index, 1);
+        reject(new Error(`Redis command ${args[0]} timed out after ${commandTimeoutMs}ms`));
+        sock.destroy();
+      }, commandTimeoutMs);
+    });
+  }
+
+  function onData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    let reply;
+    while (pending.length > 0 && (reply = parseReply(buffer))) {
+      buffer = buffer.subarray(reply.offset);
+      const { resolve, reject } = pending.shift();
+      if (reply.value instanceof Error) {
+        reject(reply.value);
+      } else {
+        resolve(reply.value);
+      }
+    }
+  }
+
+  function onClose() {
+    socket = null;
+    ready = null;
+    buffer = Buffer.alloc(0);
+    while (pending.length > 0) {
+      pending.shift().reject(new Error('Redis connection closed'));
+    }
+  }
+
+  function connect() {
+    if (ready) return ready;
+
+    ready = new Promise((resolve, reject) => {
+      const sock = net.createConnection({ host: hostname, port: parseInt(port, 10) || 6379 });
+      socket = sock;
+
+      sock.setTimeout(CONNECT_TIMEOUT_MS, () => {
+        sock.destroy(new Error('Redis connection timed out'));
+      });
+      sock.once('connect', () => {
+        sock.setTimeout(0);
+        resolve();
+      });
+      sock.on('data', onData);
+      sock.on('error', (error) => {
+        logger.warn('Redis connection error', { error: error.message });
+        reject(error);
+      });
+      sock.on('close', onClose);
+    }).then(async () => {
+      if (password) {
+        const auth = username ? [username, decodeURIComponent(password)] : [decodeURIComponent(password)];
+        await write(['AUTH', ...auth]);
+      }
+      if (db) {
+        await write(['SELECT', db]);
+      }
+    });
+
+    ready.catch(() => {
+      ready = null;
+    });
+
+    return ready;
+  }
+
+  return {
+    async command(...args) {
+      await connect();
+      return write(args);
+    },
+
+    async quit() {
+      if (!socket) return;
+      await write(['QUIT']).catch(() => {});
+      socket?.destroy();
+    }
+  };
+}
+
+/**
+ * Create a Redis-backed idempotency store.
+ * Records are stored as JSON strings and expire natively at expiresAt.
+ * @param {string} url - Redis connection URL
+ * @param {Object} [options] - Client options (see createRedisClient)
+ * @returns {Object} Store implementing the idempotency store interface
+ */
+function createRedisStore(url, options) {
+  const client = createRedisClient(url, options);
+  const ttlArgs = (expiresAt) => ['PX', Math.max(1, expiresAt - Date.now())];
+
+  async function scanKeys() {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [nextCursor, batch] = await client.command('SCAN', cursor, 'MATCH', `${KEY_PREFIX}*`, 'COUNT', SCAN_BATCH_SIZE);
+      keys.push(...batch);
+      cursor = nextCursor;
+    } while (cursor !== '0');
+    return keys;
+  }
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const value = await client.command('GET', KEY_PREFIX + key);
+      return value === null ? null : JSON.parse(value);
+    },
+
+    async add(key, record, expiresAt) {
+      const reply = await client.command('SET', KEY_PREFIX + key, JSON.stringify(record), ...ttlArgs(expiresAt), 'NX');
+      return reply === 'OK';
+    },
+
+    async set(key, record, expiresAt) {
+      await client.command('SET', KEY_PREFIX + key, JSON.stringify(record), ...ttlArgs(expiresAt));
+    },
+
+    async compareAndSet(key, expected, record, expiresAt) {
+      // Records are written with JSON.stringify, so the stored string is what
+      // stringifying the record as read gives back
+      const [, ttl] = ttlArgs(expiresAt);
+      const reply = await client.command('EVAL', COMPARE_AND_SET_SCRIPT, 1, KEY_PREFIX + key,
+        JSON.stringify(expected), JSON.stringify(record), ttl);
+      return reply === 1;
+    },
+
+    async delete(key) {
+      await client.command('DEL', KEY_PREFIX + key);
+    },
+
+    async entries() {
+      const keys = await scanKeys();
+      if (keys.length === 0) return [];
+
+      const values = await client.command('MGET', ...keys);
+      return keys
+        .map((key, index) => [key.slice(KEY_PREFIX.length), values[index]])
+        .filter(([, value]) => value !== null)
+        .map(([key, value]) => [key, JSON.parse(value)]);
+    },
+
+    close() {
+      return client.quit();
+    }
+  };
+}
+
+module.exports = {
+  createRedisStore,
+  createRedisClient,
+  encodeCommand,
+  parseReply,
+  KEY_PREFIX
+};
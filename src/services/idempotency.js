@@ -3,11 +3,14 @@
  * Prevents duplicate form submissions in production mode
  */
 
+const crypto = require('crypto');
+const os = require('os');
 const logger = require('../utils/logger');
+const { createStore } = require('./idempotency-stores');
 
-// In-memory store for idempotency keys
-// In production, consider using Redis or similar for distributed deployments
-const idempotencyStore = new Map();
+// Backend selected by PUPPETEER_IDEMPOTENCY_STORE (memory | file | redis).
+// Use file or redis in production so a restart cannot forget a submission.
+const idempotencyStore = createStore();
 
 // TTL for idempotency keys (24 hours)
 const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
@@ -15,15 +18,45 @@ const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
 // Cleanup interval (1 hour)
 const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
 
+// Processing records are refreshed on this interval while their session runs...
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.PUPPETEER_HEARTBEAT_INTERVAL_MS, 10) || 30000;
+// ...and reaped as abandoned once no heartbeat has arrived for this long
+const STALE_PROCESSING_MS = parseInt(process.env.PUPPETEER_STALE_PROCESSING_MS, 10) || 120000;
+const REAPER_INTERVAL_MS = parseInt(process.env.PUPPETEER_REAPER_INTERVAL_MS, 10) || 60000;
+// Compare-and-set attempts for markSubmitting when heartbeats race it
+const SUBMITTING_ATTEMPTS = 3;
+
+// Identifies this process as the owner of the records it creates
+const INSTANCE_ID = process.env.PUPPETEER_INSTANCE_ID ||
+  `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
 /**
  * Idempotency record structure
  * @typedef {Object} IdempotencyRecord
- * @property {string} status - 'processing' | 'completed' | 'failed'
+ * @property {string} status - 'processing' | 'completed' | 'failed' | 'abandoned' | 'unconfirmed'
  * @property {number} createdAt - Timestamp when record was created
  * @property {Object|null} result - Stored result if completed
- * @property {string|null} error - Error message if failed
+ * @property {string|null} error - Error message if failed or abandoned
+ * @property {string} ownerId - Instance that created the record
+ * @property {number} heartbeatAt - Last heartbeat from the owner while processing
+ * @property {number|null} submittingAt - When the production Send click started
+ * @property {number} [abandonedAt] - When the reaper gave up on the owner
+ * @property {boolean} [submissionMayHaveOccurred] - Abandoned after the Send click started, or unconfirmed
  */
 
+function isExpired(record) {
+  return Date.now() - record.createdAt > IDEMPOTENCY_TTL_MS;
+}
+
+function isStale(record) {
+  const lastSeen = record.heartbeatAt || record.createdAt;
+  return record.status === 'processing' && Date.now() - lastSeen > STALE_PROCESSING_MS;
+}
+
+function expiresAt(record) {
+  return record.createdAt + IDEMPOTENCY_TTL_MS;
+}
+
 /**
  * Generate idempotency key from RFQ ID and form URL
  * @param {string} rfqId - The RFQ UUID
@@ -37,34 +70,49 @@ function generateIdempotencyKey(rfqId, formUrl, isTestMode) {
   return `${rfqId}:${mode}:${formUrl}`;
 }
 
+/**
+ * Split an idempotency key back into its parts
+ * @param {string} key - Idempotency key
+ * @returns {{rfqId: string, mode: string, formUrl: string}}
+ */
+function parseIdempotencyKey(key) {
+  const [rfqId, mode, ...urlParts] = key.split(':');
+  return { rfqId, mode, formUrl: urlParts.join(':') };
+}
+
 /**
  * Check if a request is already being processed or was completed
  * @param {string} key - Idempotency key
- * @returns {IdempotencyRecord|null} Existing record or null
+ * @returns {Promise<IdempotencyRecord|null>} Existing record or null
  */
-function checkIdempotency(key) {
-  const record = idempotencyStore.get(key);
+async function checkIdempotency(key) {
+  const record = await idempotencyStore.get(key);
 
   if (!record) {
     return null;
   }
 
   // Check if record has expired
-  if (Date.now() - record.createdAt > IDEMPOTENCY_TTL_MS) {
-    idempotencyStore.delete(key);
+  if (isExpired(record)) {
+    await idempotencyStore.delete(key);
     return null;
   }
 
+  if (isStale(record)) {
+    // Another instance may have changed or abandoned it meanwhile
+    return (await abandonRecord(key, record)) || idempotencyStore.get(key);
+  }
+
   return record;
 }
 
 /**
  * Start processing a request (mark as in-progress)
  * @param {string} key - Idempotency key
- * @returns {boolean} True if successfully started, false if already exists
+ * @returns {Promise<boolean>} True if successfully started, false if already exists
  */
-function startProcessing(key) {
-  const existing = checkIdempotency(key);
+async function startProcessing(key) {
+  const existing = await checkIdempotency(key);
 
   if (existing) {
     logger.warn('Idempotency check failed - request already exists', {
@@ -75,29 +123,59 @@ function startProcessing(key) {
     return false;
   }
 
-  idempotencyStore.set(key, {
+  const now = Date.now();
+  const record = {
     status: 'processing',
-    createdAt: Date.now(),
+    createdAt: now,
     result: null,
-    error: null
-  });
+    error: null,
+    ownerId: INSTANCE_ID,
+    heartbeatAt: now,
+    submittingAt: null
+  };
+
+  // add() is atomic within a process in every store, but only redis makes it
+  // atomic across instances; the file store serializes through a per-process
+  // Map, so two instances sharing its log could both start
+  if (!(await idempotencyStore.add(key, record, expiresAt(record)))) {
+    logger.warn('Idempotency check failed - key created concurrently', { key });
+    return false;
+  }
 
   logger.debug('Idempotency key created', { key });
   return true;
 }
 
+/**
+ * Update a record's status. Store errors are logged, not thrown: the record
+ * then stays 'processing' and keeps blocking duplicates until its heartbeats
+ * stop and the reaper abandons it after STALE_PROCESSING_MS.
+ * @param {string} key - Idempotency key
+ * @param {Object} changes - Fields to merge into the record
+ * @returns {Promise<boolean>} True if the update was stored
+ */
+async function updateRecord(key, changes) {
+  try {
+    const record = await idempotencyStore.get(key);
+    if (!record) return false;
+
+    Object.assign(record, changes);
+    await idempotencyStore.set(key, record, expiresAt(record));
+    return true;
+  } catch (error) {
+    logger.error('Failed to update idempotency record', { key, status: changes.status, error: error.message });
+    return false;
+  }
+}
+
 /**
  * Mark a request as completed with result
  * @param {string} key - Idempotency key
  * @param {Object} result - The result to store
+ * @returns {Promise<void>}
  */
-function markCompleted(key, result) {
-  const record = idempotencyStore.get(key);
-
-  if (record) {
-    record.status = 'completed';
-    record.result = result;
-    idempotencyStore.set(key, record);
+async function markCompleted(key, result) {
+  if (await updateRecord(key, { status: 'completed', result })) {
     logger.debug('Idempotency key marked completed', { key });
   }
 }
@@ -106,71 +184,298 @@ function markCompleted(key, result) {
  * Mark a request as failed
  * @param {string} key - Idempotency key
  * @param {string} error - Error message
+ * @returns {Promise<void>}
  */
-function markFailed(key, error) {
-  const record = idempotencyStore.get(key);
-
-  if (record) {
-    record.status = 'failed';
-    record.error = error;
-    idempotencyStore.set(key, record);
+async function markFailed(key, error) {
+  if (await updateRecord(key, { status: 'failed', error })) {
     logger.debug('Idempotency key marked failed', { key, error });
   }
 }
 
+/**
+ * Mark a production submission the portal neither confirmed nor rejected.
+ * Like an abandoned submission, it needs an operator to check the portal
+ * before anyone resubmits.
+ * @param {string} key - Idempotency key
+ * @param {Object} result - The response body, kept for review
+ * @returns {Promise<void>}
+ */
+async function markUnconfirmed(key, result) {
+  const changes = {
+    status: 'unconfirmed',
+    result,
+    submissionMayHaveOccurred: true,
+    error: 'Form submitted but the portal did not confirm it - manual review required'
+  };
+  if (await updateRecord(key, changes)) {
+    logger.debug('Idempotency key marked unconfirmed', { key });
+  }
+}
+
+/**
+ * Replace the stored response body without changing the record's status,
+ * e.g. once a spooled artifact has been uploaded and has a URL
+ * @param {string} key - Idempotency key
+ * @param {Object} result - Updated response body
+ * @returns {Promise<void>}
+ */
+async function updateStoredResult(key, result) {
+  if (await updateRecord(key, { result })) {
+    logger.debug('Idempotency result updated', { key });
+  }
+}
+
+/**
+ * Record that the production Send click is about to happen. If the process
+ * dies after this point the reaper flags the record for operator review.
+ * Throws unless the mark was stored on a record this instance still owns:
+ * without it a crash after Send would leave the record retryable. The write
+ * is a compare-and-set, retried when a heartbeat lands in between.
+ * @param {string} key - Idempotency key
+ * @returns {Promise<void>}
+ */
+async function markSubmitting(key) {
+  for (let attempt = 0; attempt < SUBMITTING_ATTEMPTS; attempt++) {
+    const record = await idempotencyStore.get(key);
+    if (!record || record.status !== 'processing' || record.ownerId !== INSTANCE_ID) {
+      throw new Error(`Idempotency record is no longer processing on this instance (${record ? record.status : 'missing'}) - not submitting`);
+    }
+
+    const now = Date.now();
+    const updated = { ...record, submittingAt: now, heartbeatAt: now };
+    if (await idempotencyStore.compareAndSet(key, record, updated, expiresAt(record))) {
+      logger.debug('Idempotency key marked submitting', { key });
+      return;
+    }
+  }
+  throw new Error('Idempotency record kept changing - could not mark it submitting, not submitting');
+}
+
+/**
+ * Refresh the heartbeat of a processing record owned by this instance.
+ * The write is a compare-and-set against the record as read, so a heartbeat
+ * racing markSubmitting or a status change never writes back the older
+ * record; it is skipped instead and the next one catches up.
+ * @param {string} key - Idempotency key
+ * @returns {Promise<void>}
+ */
+async function heartbeat(key) {
+  try {
+    const record = await idempotencyStore.get(key);
+    if (!record || record.status !== 'processing' || record.ownerId !== INSTANCE_ID) return;
+
+    const updated = { ...record, heartbeatAt: Date.now() };
+    if (!(await idempotencyStore.compareAndSet(key, record, updated, expiresAt(record)))) {
+      logger.debug('Idempotency heartbeat skipped - record changed', { key });
+    }
+  } catch (error) {
+    logger.warn('Idempotency heartbeat failed', { key, error: error.message });
+  }
+}
+
+/**
+ * Keep a processing record alive for the duration of a session
+ * @param {string} key - Idempotency key
+ * @returns {Function} Stops the heartbeat
+ */
+function startHeartbeat(key) {
+  const timer = setInterval(() => heartbeat(key), HEARTBEAT_INTERVAL_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Move a stale processing record to 'abandoned'. The write is a
+ * compare-and-set against the stale record as read, so a reaper never
+ * overwrites a record its owner completed or marked submitting meanwhile.
+ * @param {string} key - Idempotency key
+ * @param {IdempotencyRecord} record - The stale record
+ * @returns {Promise<IdempotencyRecord|null>} The abandoned record, or null if the record changed
+ */
+async function abandonRecord(key, record) {
+  const submissionMayHaveOccurred = Boolean(record.submittingAt);
+
+  const abandoned = {
+    ...record,
+    status: 'abandoned',
+    abandonedAt: Date.now(),
+    submissionMayHaveOccurred,
+    error: submissionMayHaveOccurred
+      ? 'Processing abandoned after the form submission started - manual review required'
+      : 'Processing abandoned - owner stopped sending heartbeats'
+  };
+  if (!(await idempotencyStore.compareAndSet(key, record, abandoned, expiresAt(abandoned)))) {
+    logger.info('Idempotency record not abandoned - changed since it was read', { key });
+    return null;
+  }
+
+  logger.warn('Idempotency record abandoned', {
+    key,
+    ownerId: record.ownerId,
+    heartbeatAt: new Date(record.heartbeatAt || record.createdAt).toISOString(),
+    submissionMayHaveOccurred
+  });
+
+  return abandoned;
+}
+
+/**
+ * Abandon every processing record whose owner stopped sending heartbeats
+ * @returns {Promise<number>} Number of records abandoned
+ */
+async function reapStale() {
+  const entries = await idempotencyStore.entries();
+  let reaped = 0;
+
+  for (const [key, record] of entries) {
+    if (isStale(record) && (await abandonRecord(key, record))) {
+      reaped++;
+    }
+  }
+
+  return reaped;
+}
+
 /**
  * Remove an idempotency key (for allowing retries after failure)
  * @param {string} key - Idempotency key
+ * @returns {Promise<void>}
  */
-function removeKey(key) {
-  idempotencyStore.delete(key);
+async function removeKey(key) {
+  await idempotencyStore.delete(key);
   logger.debug('Idempotency key removed', { key });
 }
 
+/**
+ * Read a record as stored, without applying TTL or reaping side effects
+ * @param {string} key - Idempotency key
+ * @returns {Promise<IdempotencyRecord|null>}
+ */
+function getRecord(key) {
+  return idempotencyStore.get(key);
+}
+
+/**
+ * List records, optionally filtered by RFQ ID, status and mode
+ * @param {Object} [filters]
+ * @param {string} [filters.rfqId] - RFQ UUID
+ * @param {string} [filters.status] - Record status
+ * @param {string} [filters.mode] - 'test' | 'prod'
+ * @returns {Promise<Array<{key: string, record: IdempotencyRecord}>>}
+ */
+async function listRecords({ rfqId, status, mode } = {}) {
+  const entries = await idempotencyStore.entries();
+
+  return entries
+    .filter(([key, record]) => {
+      const parts = parseIdempotencyKey(key);
+      return (!rfqId || parts.rfqId === rfqId) &&
+        (!mode || parts.mode === mode) &&
+        (!status || record.status === status);
+    })
+    .sort(([, a], [, b]) => b.createdAt - a.createdAt)
+    .map(([key, record]) => ({ key, record }));
+}
+
+/**
+ * Force a record past its TTL so the next check treats the key as new
+ * @param {string} key - Idempotency key
+ * @returns {Promise<boolean>} False if the key does not exist
+ */
+async function expireKey(key) {
+  const record = await idempotencyStore.get(key);
+  if (!record) return false;
+
+  record.createdAt = Date.now() - IDEMPOTENCY_TTL_MS - 1;
+  record.expiredAt = Date.now();
+  // Keep the record visible to admins until the next check or cleanup removes it
+  await idempotencyStore.set(key, record, Date.now() + IDEMPOTENCY_TTL_MS);
+  logger.debug('Idempotency key force-expired', { key });
+  return true;
+}
+
 /**
  * Get current stats for monitoring
- * @returns {Object} Stats object
+ * @returns {Promise<Object>} Stats object
  */
-function getStats() {
+async function getStats() {
+  const records = (await idempotencyStore.entries()).map(([, record]) => record);
   return {
-    totalKeys: idempotencyStore.size,
-    processing: Array.from(idempotencyStore.values()).filter(r => r.status === 'processing').length,
-    completed: Array.from(idempotencyStore.values()).filter(r => r.status === 'completed').length,
-    failed: Array.from(idempotencyStore.values()).filter(r => r.status === 'failed').length
+    store: idempotencyStore.name,
+    totalKeys: records.length,
+    processing: records.filter(r => r.status === 'processing').length,
+    completed: records.filter(r => r.status === 'completed').length,
+    failed: records.filter(r => r.status === 'failed').length,
+    abandoned: records.filter(r => r.status === 'abandoned').length,
+    unconfirmed: records.filter(r => r.status === 'unconfirmed').length
   };
 }
 
 /**
  * Cleanup expired keys
+ * @returns {Promise<void>}
  */
-function cleanup() {
-  const now = Date.now();
+async function cleanup() {
+  const entries = await idempotencyStore.entries();
   let removed = 0;
 
-  for (const [key, record] of idempotencyStore.entries()) {
-    if (now - record.createdAt > IDEMPOTENCY_TTL_MS) {
-      idempotencyStore.delete(key);
+  for (const [key, record] of entries) {
+    if (isExpired(record)) {
+      await idempotencyStore.delete(key);
       removed++;
     }
   }
 
   if (removed > 0) {
-    logger.info('Idempotency cleanup completed', { removed, remaining: idempotencyStore.size });
+    logger.info('Idempotency cleanup completed', { removed, remaining: entries.length - removed });
   }
 }
 
+/**
+ * Flush pending writes and close the store connection
+ * @returns {Promise<void>}
+ */
+function closeStore() {
+  return idempotencyStore.close();
+}
+
 // Start cleanup interval
-const cleanupInterval = setInterval(cleanup, CLEANUP_INTERVAL_MS);
+const cleanupInterval = setInterval(() => {
+  cleanup().catch((error) => {
+    logger.error('Idempotency cleanup failed', { error: error.message });
+  });
+}, CLEANUP_INTERVAL_MS);
 
 // Ensure cleanup interval doesn't prevent process exit
 cleanupInterval.unref();
 
+// Start reaper interval
+const reaperInterval = setInterval(() => {
+  reapStale().catch((error) => {
+    logger.error('Idempotency reaper failed', { error: error.message });
+  });
+}, REAPER_INTERVAL_MS);
+
+reaperInterval.unref();
+
 module.exports = {
   generateIdempotencyKey,
+  parseIdempotencyKey,
   checkIdempotency,
   startProcessing,
   markCompleted,
   markFailed,
+  markUnconfirmed,
+  updateStoredResult,
+  markSubmitting,
+  startHeartbeat,
+  reapStale,
   removeKey,
-  getStats
+  getRecord,
+  listRecords,
+  expireKey,
+  getStats,
+  cleanup,
+  closeStore,
+  INSTANCE_ID
 };
@@ -0,0 +1,187 @@
+/**
+ * Puppeteer Service - Job Registry
+ * Tracks asynchronous fill-rfq runs so callers can poll for their outcome
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// In-memory store for jobs (same lifetime semantics as the idempotency store)
+const jobStore = new Map();
+
+// TTL for finished jobs (default 24 hours)
+const JOB_TTL_MS = parseInt(process.env.PUPPETEER_JOB_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+
+// Cleanup interval (1 hour)
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Phases a job moves through, in pipeline order
+ */
+const JOB_PHASES = ['queued', 'navigating', 'filling', 'validating', 'screenshotting', 'submitting', 'confirming'];
+
+/**
+ * Job record structure
+ * @typedef {Object} JobRecord
+ * @property {string} id - Job identifier returned to the caller
+ * @property {string} requestId - Request ID of the accepting HTTP request
+ * @property {string} rfqId - RFQ identifier from the X-RFQ-ID header
+ * @property {boolean} isTestMode - Execution mode of the run
+ * @property {string} status - 'queued' | 'running' | 'succeeded' | 'failed'
+ * @property {string} phase - Last pipeline phase entered (see JOB_PHASES)
+ * @property {number|null} statusCode - HTTP status the synchronous route would have returned
+ * @property {Object|null} result - Response body the synchronous route would have returned
+ * @property {string|null} error - Error message if the run failed
+ * @property {number} createdAt - Timestamp when the job was accepted
+ * @property {number} updatedAt - Timestamp of the last status or phase change
+ * @property {number|null} finishedAt - Timestamp when the job reached a terminal status
+ */
+
+/**
+ * Register a new job in the 'queued' state
+ * @param {Object} details - Job details
+ * @param {string} details.requestId - Request ID
+ * @param {string} details.rfqId - RFQ ID
+ * @param {boolean} details.isTestMode - Execution mode
+ * @returns {JobRecord} The created job
+ */
+function createJob({ requestId, rfqId, isTestMode }) {
+  const now = Date.now();
+  const job = {
+    id: crypto.randomUUID(),
+    requestId,
+    rfqId,
+    isTestMode,
+    status: 'queued',
+    phase: 'queued',
+    statusCode: null,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null
+  };
+
+  jobStore.set(job.id, job);
+  logger.debug('Job created', { jobId: job.id, requestId, rfqId });
+  return job;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @returns {JobRecord|null} Job or null if unknown or expired
+ */
+function getJob(id) {
+  const job = jobStore.get(id);
+
+  if (!job) {
+    return null;
+  }
+
+  if (job.finishedAt && Date.now() - job.finishedAt > JOB_TTL_MS) {
+    jobStore.delete(id);
+    return null;
+  }
+
+  return job;
+}
+
+/**
+ * Record that a job entered a new pipeline phase
+ * @param {string} id - Job ID
+ * @param {string} phase - One of JOB_PHASES
+ */
+function setJobPhase(id, phase) {
+  const job = jobStore.get(id);
+
+  if (!job || job.finishedAt) {
+    return;
+  }
+
+  job.status = 'running';
+  job.phase = phase;
+  job.updatedAt = Date.now();
+  logger.debug('Job phase changed', { jobId: id, requestId: job.requestId, phase });
+}
+
+/**
+ * Store the final outcome of a job
+ * @param {string} id - Job ID
+ * @param {number} statusCode - HTTP status of the run
+ * @param {Object} body - Response body of the run
+ */
+function completeJob(id, statusCode, body) {
+  const job = jobStore.get(id);
+
+  if (!job) {
+    return;
+  }
+
+  const now = Date.now();
+  job.status = body && body.success ? 'succeeded' : 'failed';
+  job.statusCode = statusCode;
+  job.result = body;
+  job.error = job.status === 'failed' ? (body?.error || 'An unexpected error occurred') : null;
+  job.updatedAt = now;
+  job.finishedAt = now;
+
+  logger.info('Job finished', {
+    jobId: id,
+    requestId: job.requestId,
+    rfqId: job.rfqId,
+    status: job.status,
+    phase: job.phase,
+    statusCode
+  });
+}
+
+/**
+ * Get current stats for monitoring
+ * @returns {Object} Stats object
+ */
+function getJobStats() {
+  const jobs = Array.from(jobStore.values());
+  return {
+    totalJobs: jobs.length,
+    queued: jobs.filter(j => j.status === 'queued').length,
+    running: jobs.filter(j => j.status === 'running').length,
+    succeeded: jobs.filter(j => j.status === 'succeeded').length,
+    failed: jobs.filter(j => j.status === 'failed').length
+  };
+}
+
+/**
+ * Cleanup finished jobs past their TTL
+ */
+function cleanup() {
+  const now = Date.now();
+  let removed = 0;
+
+  for (const [id, job] of jobStore.entries()) {
+    if (job.finishedAt && now - job.finishedAt > JOB_TTL_MS) {
+      jobStore.delete(id);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    logger.info('Job cleanup completed', { removed, remaining: jobStore.size });
+  }
+}
+
+// Start cleanup interval
+const cleanupInterval = setInterval(cleanup, CLEANUP_INTERVAL_MS);
+
+// Ensure cleanup interval doesn't prevent process exit
+cleanupInterval.unref();
+
+module.exports = {
+  createJob,
+  getJob,
+  setJobPhase,
+  completeJob,
+  getJobStats,
+  cleanup,
+  JOB_PHASES
+};
@@ -0,0 +1,60 @@
+/**
+ * Puppeteer Service - Form Navigation
+ * Opens an RFQ form URL in a leased browser context, with retries
+ */
+
+const logger = require('../utils/logger');
+const { setupPage } = require('./browser');
+const { delay } = require('./form-filler');
+
+const NAVIGATION_ATTEMPTS = 3;
+
+/**
+ * Open a fresh page in the context and navigate to the form. Each failed
+ * attempt closes its page and retries on a new one after a short pause.
+ *
+ * @param {BrowserContext} context - Leased incognito context
+ * @param {string} url - Form URL
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Page>} Page with the form loaded
+ * @throws {Error} If every attempt fails
+ */
+async function openFormPage(context, url, requestId) {
+  let page = await setupPage(context, requestId);
+
+  logger.info('Navigating to URL', { requestId });
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= NAVIGATION_ATTEMPTS; attempt++) {
+    try {
+      const response = await page.goto(url, {
+        waitUntil: 'load',
+        timeout: 120000
+      });
+
+      if (response) {
+        logger.info('Navigation response', { requestId, status: response.status() });
+      }
+
+      await page.waitForNetworkIdle({ timeout: 60000 }).catch(() => {
+        logger.warn('Network idle timeout, continuing', { requestId });
+      });
+
+      await delay(2000);
+      logger.info('Page loaded successfully', { requestId });
+      return page;
+    } catch (navError) {
+      lastError = navError;
+      logger.warn(`Navigation attempt ${attempt} failed`, { requestId, error: navError.message });
+      if (attempt < NAVIGATION_ATTEMPTS) {
+        await page.close().catch(() => {});
+        page = await setupPage(context, requestId);
+        await delay(3000);
+      }
+    }
+  }
+
+  throw new Error(`Failed to navigate after ${NAVIGATION_ATTEMPTS} attempts: ${lastError?.message}`);
+}
+
+module.exports = { openFormPage };
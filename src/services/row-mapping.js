@@ -0,0 +1,406 @@
+/**
+ * Puppeteer Service - Row Mapping
+ * Works out which form row holds each product's fields for each condition
+ * code, and resolves the row plan the filler and the validator both follow
+ *
+ * Repeater fields are addressed by id suffix and index: the Nth element whose
+ * id ends in "txtOHQty1" is the Nth OH row on the page. Only the products
+ * whose "other conditions" were expanded have OH/SV/AR/NS rows, so a
+ * product's OH index is not its position on the form. The mapping finds every
+ * condition code's rows in the DOM and assigns each one to the product header
+ * that precedes it. The filler and the validator both resolve rows through it.
+ *
+ * An item with price offers gets a plan entry per offer, each on the
+ * product's row for the offer's condition code, with the offer laid over the
+ * item. A product the form lists more than once keeps its first rows; the
+ * later ones are mapped apart (repeatedRows) and nothing is filled there.
+ */
+
+const logger = require('../utils/logger');
+const { getDefaultProfile, resolveSuffix } = require('../portals');
+const { VALID_CONDITION_CODES } = require('../utils/validation');
+
+/**
+ * Read the part numbers from each row on the form using the profile's
+ * rowDetection strategy. For ILS this scrapes the "Requested: <part_number>"
+ * header labels. Returns an ordered array of part numbers matching the
+ * form's visual row order.
+ */
+async function readFormRowPartNumbers(page, requestId, profile = getDefaultProfile()) {
+  const { selector, pattern, flags } = profile.rowDetection;
+
+  try {
+    /* eslint-disable no-undef -- document exists in browser context (page.evaluate) */
+    /* istanbul ignore next -- browser-context code */
+    const partNumbers = await page.evaluate(({ selector, pattern, flags }) => {
+      const headers = Array.from(document.querySelectorAll(selector));
+      const regex = new RegExp(pattern, flags);
+      const results = [];
+      for (const el of headers) {
+        const text = (el.textContent || '').trim();
+        const match = text.match(regex);
+        if (match) {
+          results.push(match[1].trim());
+        }
+      }
+      return results;
+    }, { selector, pattern, flags });
+    /* eslint-enable no-undef */
+
+    logger.info('Form row part numbers detected', { requestId, partNumbers });
+    return Array.isArray(partNumbers) ? partNumbers : [];
+  } catch (error) {
+    logger.warn('Failed to read form row part numbers', { requestId, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * The row field used to find a code's rows: the first one addressed by a
+ * single suffix (radios have one per option)
+ */
+function probeField(profile) {
+  return Object.values(profile.rowFields).find((spec) => spec.control !== 'radio') || null;
+}
+
+/**
+ * Find every condition-code row on the page and the product it belongs to
+ *
+ * @param {Page} page - Page with the form, after other conditions were expanded
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} profile - Portal profile
+ * @returns {Promise<Array<{code: string, index: number, part_no: string|null}>>} One entry per row, per code in document order
+ */
+async function readConditionRows(page, requestId, profile) {
+  const probe = probeField(profile);
+  if (!probe) return [];
+
+  const { selector, pattern, flags } = profile.rowDetection;
+  const codes = [...new Set([profile.defaultConditionCode, ...VALID_CONDITION_CODES])];
+  const probes = codes.map((code) => ({ code, suffix: resolveSuffix(probe.suffix, code) }));
+
+  try {
+    /* eslint-disable no-undef -- document exists in browser context (page.evaluate) */
+    /* istanbul ignore next -- browser-context code */
+    const rows = await page.evaluate(({ selector, pattern, flags, tagName, probes }) => {
+      const regex = new RegExp(pattern, flags);
+      const headers = [];
+      for (const el of document.querySelectorAll(selector)) {
+        const match = (el.textContent || '').trim().match(regex);
+        if (match) headers.push({ el, part: match[1].trim() });
+      }
+
+      const found = [];
+      for (const { code, suffix } of probes) {
+        const fields = Array.from(document.querySelectorAll(tagName))
+          .filter((el) => el.id && el.id.endsWith(suffix));
+        fields.forEach((field, index) => {
+          // The row's product is the last header before it (4 = DOCUMENT_POSITION_FOLLOWING)
+          let owner = null;
+          for (const header of headers) {
+            if (!(header.el.compareDocumentPosition(field) & 4)) break;
+            owner = header;
+          }
+          found.push({ code, index, part_no: owner ? owner.part : null });
+        });
+      }
+      return found;
+    }, { selector, pattern, flags, tagName: probe.control, probes });
+    /* eslint-enable no-undef */
+
+    return Array.isArray(rows) ? rows : [];
+  } catch (error) {
+    logger.warn('Failed to read condition rows', { requestId, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Build the row map from the form's part numbers and its condition rows.
+ * Without condition rows (none detected), every product is assumed to have
+ * one row per code at its position on the form, as older forms did.
+ *
+ * @param {string[]} partNumbers - Part numbers in form order, from readFormRowPartNumbers
+ * @param {Array<Object>} conditionRows - From readConditionRows
+ * @param {Object} profile - Portal profile
+ * @returns {{source: string, defaultCode: string, rows: Object, repeatedRows: Object}}
+ *   rows: part_no -> { code: index } (the product's first row per code);
+ *   repeatedRows: part_no -> { code: [index, ...] } (rows of the product's
+ *   later listings on the form, never filled); source 'dom' or 'positional'
+ */
+function buildRowMap(partNumbers, conditionRows, profile) {
+  const defaultCode = profile.defaultConditionCode;
+  const rows = {};
+  const repeatedRows = {};
+  const owned = conditionRows.filter((row) => row.part_no);
+
+  if (owned.length > 0) {
+    for (const { part_no, code, index } of owned) {
+      rows[part_no] = rows[part_no] || {};
+      if (rows[part_no][code] === undefined) {
+        rows[part_no][code] = index;
+      } else {
+        // The form lists the product again: its first rows stay the product's
+        repeatedRows[part_no] = repeatedRows[part_no] || {};
+        repeatedRows[part_no][code] = [...(repeatedRows[part_no][code] || []), index];
+      }
+    }
+    return { source: 'dom', defaultCode, rows, repeatedRows };
+  }
+
+  // ILS shows each part twice (TH header + SPAN child); only the first
+  // occurrence counts, so positions stay sequential
+  let position = 0;
+  for (const partNo of partNumbers) {
+    if (!rows[partNo]) rows[partNo] = { [defaultCode]: position++ };
+  }
+  return { source: 'positional', defaultCode, rows, repeatedRows };
+}
+
+/**
+ * Read the form's condition rows and build the row map
+ *
+ * @param {Page} page - Page with the form
+ * @param {string[]} partNumbers - Part numbers in form order (empty: no map)
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} profile - Portal profile
+ * @returns {Promise<Object|null>} Row map, or null when the form has no detectable rows
+ */
+async function mapFormRows(page, partNumbers, requestId, profile) {
+  if (partNumbers.length === 0) return null;
+
+  const rowMap = buildRowMap(partNumbers, await readConditionRows(page, requestId, profile), profile);
+  if (rowMap.source === 'positional') {
+    logger.warn('Condition rows not detected, assuming one row per product for every code', { requestId });
+  }
+  logger.info('Row map built', { requestId, source: rowMap.source, rows: rowMap.rows, repeatedRows: rowMap.repeatedRows });
+  return rowMap;
+}
+
+/**
+ * Index of a product's row for a condition code
+ *
+ * @param {Object} rowMap - From mapFormRows
+ * @param {string} partNo - Payload part number
+ * @param {string} code - Condition code
+ * @returns {number|null} Row index among the code's rows, or null if the form has no such row
+ */
+function findRow(rowMap, partNo, code) {
+  const product = rowMap.rows[partNo];
+  if (!product) return null;
+
+  const index = rowMap.source === 'dom' ? product[code] : product[rowMap.defaultCode];
+  return index === undefined ? null : index;
+}
+
+/**
+ * Reduce a part number to the form it is compared in: upper case, without
+ * whitespace, dashes or slashes, and without leading zeros
+ *
+ * @param {string} partNo - Part number as written in the payload or on the form
+ * @returns {string} Normalized part number
+ */
+function normalizePartNumber(partNo) {
+  return String(partNo || '')
+    .toUpperCase()
+    .replace(/[\s\-/]+/g, '')
+    .replace(/^0+(?=.)/, '');
+}
+
+/**
+ * Find the form product a payload item refers to. The item's part_no is tried
+ * first, then each of its alt_part_numbers; each is looked up exactly, then
+ * normalized. A normalized part number shared by several form products is
+ * ambiguous and matches none of them.
+ *
+ * @param {Object} rowMap - From mapFormRows
+ * @param {Object} item - Payload item
+ * @returns {{form_part_no: string|null, match_method: string|null, candidates: string[]}}
+ *   match_method: 'exact', 'normalized', 'alternate', 'alternate_normalized',
+ *   'ambiguous' or null (no match); candidates lists the form part numbers
+ *   of an ambiguous match
+ */
+function matchPartNumber(rowMap, item) {
+  const formParts = Object.keys(rowMap.rows);
+  const wanted = [item.part_no, ...(item.alt_part_numbers || [])]
+    .map((partNo) => (typeof partNo === 'string' ? partNo.trim() : ''));
+
+  for (let i = 0; i < wanted.length; i++) {
+    const partNo = wanted[i];
+    if (!partNo) continue;
+    const prefix = i === 0 ? '' : 'alternate_';
+
+    if (rowMap.rows[partNo]) {
+      return { form_part_no: partNo, match_method: i === 0 ? 'exact' : 'alternate', candidates: [] };
+    }
+
+    const normalized = normalizePartNumber(partNo);
+    const matches = formParts.filter((formPart) => normalizePartNumber(formPart) === normalized);
+    if (matches.length === 1) {
+      return { form_part_no: matches[0], match_method: `${prefix}normalized`, candidates: [] };
+    }
+    if (matches.length > 1) {
+      return { form_part_no: null, match_method: 'ambiguous', candidates: matches };
+    }
+  }
+
+  return { form_part_no: null, match_method: null, candidates: [] };
+}
+
+/**
+ * Mark items that landed on the same row as another item. Neither is filled:
+ * one would overwrite the other.
+ *
+ * @param {Array<Object>} entries - Row plan entries (modified in place)
+ * @returns {Array<{condition_code: string, row_index: number, item_indexes: number[]}>} One entry per contested row
+ */
+function markRowConflicts(entries) {
+  const byRow = new Map();
+  for (const entry of entries.filter((e) => e.row_index !== null)) {
+    const key = `${entry.condition_code}:${entry.row_index}`;
+    byRow.set(key, [...(byRow.get(key) || []), entry]);
+  }
+
+  const conflicts = [];
+  for (const shared of byRow.values()) {
+    if (shared.length < 2) continue;
+    for (const entry of shared) entry.skip_reason = 'row_conflict';
+    conflicts.push({
+      condition_code: shared[0].condition_code,
+      row_index: shared[0].row_index,
+      item_indexes: shared.map((entry) => entry.item_index)
+    });
+  }
+  return conflicts;
+}
+
+/**
+ * The item as written to the row of one of its offers: the item with the
+ * offer's price_usd, price_type, min_qty, lead_time and conditionCode in
+ * place of its own
+ *
+ * @param {Object} item - Payload item
+ * @param {number|null} offerIndex - Plan entry's offer_index (null: the item has no offers)
+ * @returns {Object} Item to fill and verify
+ */
+function resolveOfferItem(item, offerIndex) {
+  return Number.isInteger(offerIndex) ? { ...item, ...item.offers[offerIndex] } : item;
+}
+
+/**
+ * Decide which form row each payload item belongs to.
+ *
+ * With a row map, items are matched to form products by part number (see
+ * matchPartNumber) and then to the product's row for their condition code.
+ * Without one (no part numbers on the form), items take rows in item_number
+ * order, one row per item per condition code. A no_quote item keeps the row
+ * it would have had but is marked skipped. An item with offers has one entry
+ * per offer, for the offer's conditionCode (else the item's); a no_quote
+ * item's offers are ignored.
+ *
+ * @param {Array<Object>} items - Payload items
+ * @param {string[]} partNumbers - Part numbers in form order
+ * @param {Object|null} rowMap - From mapFormRows
+ * @param {Object} profile - Portal profile
+ * @returns {{strategy: string, row_source: string|null, part_numbers: string[], conflicts: Array<Object>, items: Array<Object>}}
+ *   Row plan; one entry per payload item or offer, in payload order: {
+ *   item_index, offer_index (null for an item without offers), part_no,
+ *   form_part_no, match_method, candidates, condition_code, row_index,
+ *   skip_reason }
+ */
+function buildRowPlan(items, partNumbers, rowMap, profile) {
+  const entries = items.flatMap((item, index) => {
+    const offers = !item.no_quote && Array.isArray(item.offers) ? item.offers : [];
+    const targets = offers.length > 0
+      ? offers.map((offer, offerIndex) => ({ offerIndex, code: offer.conditionCode || item.conditionCode }))
+      : [{ offerIndex: null, code: item.conditionCode }];
+
+    return targets.map(({ offerIndex, code }) => ({
+      item_index: index,
+      offer_index: offerIndex,
+      part_no: item.part_no || null,
+      form_part_no: null,
+      match_method: rowMap ? null : 'sequential',
+      candidates: [],
+      condition_code: (code || profile.defaultConditionCode).toUpperCase(),
+      row_index: null,
+      skip_reason: null
+    }));
+  });
+
+  if (rowMap) {
+    for (const entry of entries) {
+      Object.assign(entry, matchPartNumber(rowMap, items[entry.item_index]));
+      if (entry.form_part_no) {
+        entry.row_index = findRow(rowMap, entry.form_part_no, entry.condition_code);
+      }
+      if (items[entry.item_index].no_quote) {
+        entry.skip_reason = 'no_quote';
+      } else if (entry.match_method === 'ambiguous') {
+        entry.skip_reason = 'ambiguous_match';
+      } else if (entry.row_index === null) {
+        entry.skip_reason = entry.form_part_no ? 'no_condition_row' : 'no_form_row';
+      }
+    }
+    const conflicts = markRowConflicts(entries);
+    return { strategy: 'part_number', row_source: rowMap.source, part_numbers: partNumbers, conflicts, items: entries };
+  }
+
+  const order = [...entries].sort((a, b) => (
+    (items[a.item_index].item_number || '').localeCompare(items[b.item_index].item_number || '')
+  ));
+  const nextRow = {};
+  for (const entry of order) {
+    nextRow[entry.condition_code] = nextRow[entry.condition_code] || 0;
+    entry.row_index = nextRow[entry.condition_code]++;
+    if (items[entry.item_index].no_quote) entry.skip_reason = 'no_quote';
+  }
+  return { strategy: 'sequential', row_source: null, part_numbers: partNumbers, conflicts: [], items: entries };
+}
+
+/**
+ * Read the form and resolve the row plan for the payload items
+ *
+ * @param {Page} page - Page with the form, after other conditions were expanded
+ * @param {Array<Object>} items - Payload items
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} [profile] - Portal profile (defaults to PUPPETEER_DEFAULT_PORTAL)
+ * @returns {Promise<Object>} Row plan (see buildRowPlan)
+ */
+async function resolveRowPlan(page, items, requestId, profile = getDefaultProfile()) {
+  const partNumbers = await readFormRowPartNumbers(page, requestId, profile);
+  const rowMap = await mapFormRows(page, partNumbers, requestId, profile);
+  if (!rowMap) {
+    logger.warn('Could not detect form row part numbers, falling back to sequential fill', { requestId });
+  }
+
+  const plan = buildRowPlan(items, partNumbers, rowMap, profile);
+  if (plan.conflicts.length > 0) {
+    logger.error('Payload items resolve to the same form row, not filling them', { requestId, conflicts: plan.conflicts });
+  }
+  logger.info('Row plan resolved', {
+    requestId,
+    strategy: plan.strategy,
+    rowSource: plan.row_source,
+    inexact: plan.items
+      .filter((entry) => entry.form_part_no && entry.form_part_no !== entry.part_no)
+      .map(({ part_no, form_part_no, match_method }) => ({ part_no, form_part_no, match_method })),
+    skipped: plan.items.filter((entry) => entry.skip_reason).map(({ part_no, condition_code, skip_reason }) => ({
+      part_no, condition_code, skip_reason
+    }))
+  });
+  return plan;
+}
+
+module.exports = {
+  readFormRowPartNumbers,
+  readConditionRows,
+  buildRowMap,
+  mapFormRows,
+  findRow,
+  resolveOfferItem,
+  normalizePartNumber,
+  matchPartNumber,
+  buildRowPlan,
+  resolveRowPlan
+};
@@ -1,118 +1,470 @@
 /**
  * Puppeteer Service - Screenshot Management
- * Handles screenshot capture and direct upload to Supabase
+ * Handles screenshot capture and upload to the configured artifact store, plus
+ * the HTML and MHTML archives that record the form values behind each screenshot
  *
- * REQUIRED: Supabase credentials must be configured in environment variables
+ * REQUIRED: the artifact store must be configured (Supabase credentials by
+ * default; see artifact-stores/ for S3 and filesystem)
+ *
+ * Uploads are retried with exponential backoff. If the store stays
+ * unreachable the artifact is spooled to disk and returned as
+ * `pending_upload`; the spool worker uploads it later.
+ *
+ * Annotated and redacted copies are drawn as a temporary overlay layer on
+ * the page, captured, and the layer removed again before anything else runs.
  */
 
 const logger = require('../utils/logger');
+const { createArtifactStore } = require('./artifact-stores');
+const { spoolArtifact, startSpoolWorker } = require('./upload-spool');
+
+const artifactStore = createArtifactStore();
 
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
-const STORAGE_BUCKET = 'rfq-artifacts';
+const UPLOAD_MAX_ATTEMPTS = parseInt(process.env.PUPPETEER_UPLOAD_MAX_ATTEMPTS, 10) || 3;
+const UPLOAD_RETRY_DELAY_MS = parseInt(process.env.PUPPETEER_UPLOAD_RETRY_DELAY_MS, 10) || 1000;
+
+// Outline color per validator outcome in annotated screenshots
+const ANNOTATION_COLORS = {
+  match: '#16a34a',
+  corrected: '#d97706',
+  mismatch: '#dc2626'
+};
+const REDACTION_BLUR_PX = 12;
+const OVERLAY_ATTRIBUTE = 'data-rfq-overlay';
 
-// Validate Supabase credentials on module load
-function validateSupabaseConfig() {
-  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-    logger.error('MISSING REQUIRED CONFIG: SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set');
+// Validate the artifact store on module load
+function validateStorageConfig() {
+  if (artifactStore.configError) {
+    logger.error(`MISSING REQUIRED CONFIG: ${artifactStore.configError}`);
     return false;
   }
-  logger.info('Supabase configuration validated successfully');
+  logger.info('Artifact storage configured', { store: artifactStore.name, urlMode: artifactStore.urlMode });
   return true;
 }
 
-const isSupabaseConfigured = validateSupabaseConfig();
+const isStorageConfigured = validateStorageConfig();
 
 /**
- * Check if Supabase is properly configured
+ * Check if the artifact store is properly configured
  * @returns {boolean}
  */
 function isConfigured() {
-  return isSupabaseConfigured;
+  return isStorageConfigured;
 }
 
 /**
- * Upload screenshot buffer directly to Supabase storage
- * @param {string} rfqId - RFQ identifier for organizing screenshots
- * @param {Buffer} screenshotBuffer - Screenshot image buffer
- * @param {string} screenshotType - Type of screenshot (e.g., 'filled', 'before', 'after')
+ * Why the artifact store cannot be used, for 503 responses
+ * @returns {string|null} Error message, or null when configured
+ */
+function getConfigError() {
+  return artifactStore.configError;
+}
+
+/**
+ * Store an object and get its URL
+ * @returns {Promise<{url: string, url_expires_at: string|null}>}
+ */
+async function storeArtifact(storagePath, body, contentType) {
+  await artifactStore.put(storagePath, body, contentType);
+  const { url, expiresAt } = await artifactStore.url(storagePath);
+  return { url, url_expires_at: expiresAt };
+}
+
+async function storeWithRetry(storagePath, body, contentType, requestId) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await storeArtifact(storagePath, body, contentType);
+    } catch (error) {
+      if (attempt >= UPLOAD_MAX_ATTEMPTS) throw error;
+
+      const delayMs = UPLOAD_RETRY_DELAY_MS * 2 ** (attempt - 1);
+      logger.warn('Artifact upload failed, retrying', { requestId, storagePath, attempt, delayMs, error: error.message });
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+/**
+ * Upload an artifact to the artifact store, next to the RFQ's screenshots.
+ * When every attempt fails the artifact is spooled to disk instead and
+ * returned with `pending_upload: true` and no URL; only a failure to spool
+ * is thrown.
+ * @param {string} rfqId - RFQ identifier for organizing artifacts
+ * @param {string} fileName - File name within the RFQ's folder
+ * @param {Buffer|string} body - File contents
+ * @param {string} contentType - MIME type of the contents
  * @param {string} requestId - Request ID for logging
- * @returns {Promise<Object|null>} Upload result with URL or null on failure
+ * @returns {Promise<{url: string|null, url_expires_at: string|null, captured_at: string, storage_path: string, pending_upload?: boolean}>} Upload result
  */
-async function uploadScreenshotToSupabase(rfqId, screenshotBuffer, screenshotType, requestId) {
-  if (!isSupabaseConfigured) {
-    throw new Error('Supabase credentials not configured. Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables.');
+async function uploadArtifact(rfqId, fileName, body, contentType, requestId) {
+  if (!isStorageConfigured) {
+    throw new Error(artifactStore.configError);
   }
 
-  const fileName = `rfq-${screenshotType}-${Date.now()}.png`;
-  const storagePath = `screenshots/${rfqId}/${fileName}`;
-  const uploadUrl = `${SUPABASE_URL.replace(/\/$/, '')}/storage/v1/object/${STORAGE_BUCKET}/${storagePath}`;
+  const storagePath = artifactStore.storagePath(rfqId, fileName);
+  const capturedAt = new Date().toISOString();
 
   try {
-    const response = await fetch(uploadUrl, {
-      method: 'POST',
-      headers: {
-        'apikey': SUPABASE_SERVICE_ROLE_KEY,
-        'Authorization': `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
-        'Content-Type': 'image/png',
-        'x-upsert': 'true'
-      },
-      body: screenshotBuffer
-    });
+    const stored = await storeWithRetry(storagePath, body, contentType, requestId);
+    logger.info('Artifact uploaded', { requestId, store: artifactStore.name, storagePath });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      logger.error('Screenshot upload failed', { requestId, status: response.status, error: errorText });
-      throw new Error(`Supabase upload failed: ${response.status} - ${errorText}`);
-    }
+    return { ...stored, captured_at: capturedAt, storage_path: storagePath };
+  } catch (error) {
+    logger.error('Artifact upload error', { requestId, fileName, attempts: UPLOAD_MAX_ATTEMPTS, error: error.message });
 
-    const publicUrl = `${SUPABASE_URL.replace(/\/$/, '')}/storage/v1/object/public/${STORAGE_BUCKET}/${storagePath}`;
-    logger.info('Screenshot uploaded to Supabase', { requestId, url: publicUrl });
+    try {
+      await spoolArtifact({ rfqId, fileName, storagePath, contentType, requestId }, body);
+    } catch (spoolError) {
+      logger.error('Failed to spool artifact', { requestId, fileName, error: spoolError.message });
+      throw error;
+    }
 
     return {
-      url: publicUrl,
-      type: screenshotType,
-      captured_at: new Date().toISOString(),
-      storage_path: storagePath
+      url: null,
+      url_expires_at: null,
+      captured_at: capturedAt,
+      storage_path: storagePath,
+      pending_upload: true
     };
-  } catch (error) {
-    logger.error('Screenshot upload error', { requestId, error: error.message });
-    throw error;
   }
 }
 
 /**
- * Capture screenshot from page and upload directly to Supabase
- * @param {Object} page - Puppeteer page object
- * @param {string} rfqId - RFQ identifier
- * @param {string} screenshotType - Type of screenshot
+ * Upload a screenshot buffer to the artifact store
+ * @param {string} rfqId - RFQ identifier for organizing screenshots
+ * @param {Buffer} screenshotBuffer - Screenshot image buffer
+ * @param {string} screenshotType - Type of screenshot (e.g., 'filled', 'before', 'after')
  * @param {string} requestId - Request ID for logging
- * @returns {Promise<Object>} Upload result with URL
+ * @returns {Promise<Object>} Upload result with URL, or `pending_upload` if spooled
  */
-async function captureAndUploadScreenshot(page, rfqId, screenshotType, requestId) {
-  if (!isSupabaseConfigured) {
-    throw new Error('Supabase credentials not configured. Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables.');
+async function uploadScreenshot(rfqId, screenshotBuffer, screenshotType, requestId) {
+  const fileName = `rfq-${screenshotType}-${Date.now()}.png`;
+  const uploaded = await uploadArtifact(rfqId, fileName, screenshotBuffer, 'image/png', requestId);
+
+  return { ...uploaded, type: screenshotType };
+}
+
+/**
+ * Mint a fresh URL for an artifact uploaded earlier, e.g. once the signed
+ * URL returned with the run has expired. The object is looked up first, as
+ * the store would sign a path that holds nothing.
+ * @param {string} rfqId - RFQ identifier
+ * @param {string} fileName - File name within the RFQ's folder
+ * @param {string} [date] - Upload date (YYYY-MM-DD) for path templates using {date}
+ * @returns {Promise<{url: string, url_expires_at: string|null, storage_path: string}|null>} Fresh URL, or null if no such artifact is stored
+ */
+async function refreshArtifactUrl(rfqId, fileName, date) {
+  if (!isStorageConfigured) {
+    throw new Error(artifactStore.configError);
   }
 
+  const storagePath = artifactStore.storagePath(rfqId, fileName, date);
+  if (!(await artifactStore.exists(storagePath))) return null;
+
+  const { url, expiresAt } = await artifactStore.url(storagePath);
+  return { url, url_expires_at: expiresAt, storage_path: storagePath };
+}
+
+async function takeScreenshot(page) {
   // Scroll to top before capturing
   await page.evaluate(() => window.scrollTo(0, 0));
   await new Promise(resolve => setTimeout(resolve, 500));
 
   // Capture screenshot as buffer (no local file)
-  const screenshotBuffer = await page.screenshot({
+  return await page.screenshot({
     fullPage: true,
     captureBeyondViewport: true,
     type: 'png'
   });
+}
+
+/**
+ * Capture screenshot from page and upload it to the artifact store
+ * @param {Object} page - Puppeteer page object
+ * @param {string} rfqId - RFQ identifier
+ * @param {string} screenshotType - Type of screenshot
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Object>} Upload result with URL
+ */
+async function captureAndUploadScreenshot(page, rfqId, screenshotType, requestId) {
+  if (!isStorageConfigured) {
+    throw new Error(artifactStore.configError);
+  }
+
+  const screenshotBuffer = await takeScreenshot(page);
 
   logger.info('Screenshot captured', { requestId, type: screenshotType });
 
-  // Upload directly to Supabase
-  return await uploadScreenshotToSupabase(rfqId, screenshotBuffer, screenshotType, requestId);
+  return await uploadScreenshot(rfqId, screenshotBuffer, screenshotType, requestId);
+}
+
+/**
+ * Pair each field the filler wrote with the validator's verdict on it.
+ * A field is a mismatch if the validator's last readback disagreed, corrected
+ * if a later pass fixed it, otherwise a match. Mismatches name their item
+ * (and offer); the fill report's row plan gives that item's row, so a part
+ * quoted on several rows is judged row by row. Quote-level fields have no
+ * row and are left out.
+ * @param {Object} fillReport - fill_report from fillRfqForm
+ * @param {Object} [validation] - Report from validateAndCorrect
+ * @returns {Array<{element_id: string, part_no: string, field: string, outcome: string}>} Fields to outline
+ */
+function buildAnnotations(fillReport, validation) {
+  const planEntries = (fillReport.row_plan && fillReport.row_plan.items) || [];
+  const outcomes = new Map();
+  for (const mismatch of (validation && validation.mismatches_found) || []) {
+    const entry = planEntries.find((e) => (
+      e.item_index === mismatch.item_index && (e.offer_index ?? null) === (mismatch.offer_index ?? null)
+    ));
+    if (!entry || entry.row_index === null) continue;
+    outcomes.set(`${entry.condition_code}|${entry.row_index}|${mismatch.field}`, mismatch.corrected ? 'corrected' : 'mismatch');
+  }
+
+  return fillReport.fields
+    .filter((entry) => entry.status === 'filled' && entry.element_id && entry.row_index !== null)
+    .map(({ element_id, part_no, condition_code, row_index, field }) => ({
+      element_id,
+      part_no,
+      field,
+      outcome: outcomes.get(`${condition_code}|${row_index}|${field}`) || 'match'
+    }));
+}
+
+/**
+ * Draw boxes over the page in one overlay layer. A box covers an element
+ * (`id`), every element matching `selector`, or a page region (`rect`, in
+ * CSS pixels from the top-left of the document); it is outlined in `color`
+ * with an optional `label`, or blurred when `blur` is set.
+ * @param {Object} page - Puppeteer page object
+ * @param {Array<Object>} boxes - Boxes to draw
+ * @returns {Promise<number>} Number of boxes drawn
+ */
+function drawOverlay(page, boxes) {
+  /* eslint-disable no-undef -- document exists in browser context (page.evaluate) */
+  /* istanbul ignore next -- browser-context code, not instrumentable by Node.js coverage */
+  return page.evaluate(({ boxes, attribute, blurPx }) => {
+    const layer = document.createElement('div');
+    layer.setAttribute(attribute, '');
+    layer.style.cssText = 'position:absolute;left:0;top:0;width:0;height:0;z-index:2147483647;pointer-events:none;';
+    let drawn = 0;
+
+    const draw = (rect, box) => {
+      const div = document.createElement('div');
+      div.style.cssText = `position:absolute;left:${rect.x}px;top:${rect.y}px;`
+        + `width:${rect.width}px;height:${rect.height}px;box-sizing:border-box;`;
+      if (box.blur) {
+        div.style.backdropFilter = `blur(${blurPx}px)`;
+        div.style.background = 'rgba(128, 128, 128, 0.6)';
+      } else {
+        div.style.outline = `3px solid ${box.color}`;
+      }
+      if (box.label) {
+        const label = document.createElement('span');
+        label.textContent = box.label;
+        label.style.cssText = 'position:absolute;left:0;bottom:100%;padding:0 4px;white-space:nowrap;'
+          + `font:bold 11px sans-serif;color:#fff;background:${box.color};`;
+        div.appendChild(label);
+      }
+      layer.appendChild(div);
+      drawn++;
+    };
+
+    for (const box of boxes) {
+      if (box.rect) {
+        draw(box.rect, box);
+        continue;
+      }
+      const elements = box.id
+        ? [document.getElementById(box.id)].filter(Boolean)
+        : Array.from(document.querySelectorAll(box.selector));
+      for (const el of elements) {
+        const rect = el.getBoundingClientRect();
+        if (rect.width === 0 && rect.height === 0) continue;
+        draw({ x: rect.left + window.scrollX, y: rect.top + window.scrollY, width: rect.width, height: rect.height }, box);
+      }
+    }
+
+    document.documentElement.appendChild(layer);
+    return drawn;
+  }, { boxes, attribute: OVERLAY_ATTRIBUTE, blurPx: REDACTION_BLUR_PX });
+  /* eslint-enable no-undef */
+}
+
+function clearOverlay(page) {
+  /* eslint-disable no-undef -- document exists in browser context (page.evaluate) */
+  /* istanbul ignore next -- browser-context code, not instrumentable by Node.js coverage */
+  return page.evaluate((attribute) => {
+    document.querySelectorAll(`[${attribute}]`).forEach((layer) => layer.remove());
+  }, OVERLAY_ATTRIBUTE);
+  /* eslint-enable no-undef */
+}
+
+/**
+ * Screenshot the page with an overlay drawn on it and upload the copy next
+ * to the plain screenshot. The overlay is removed whether or not the
+ * capture succeeds; nothing is uploaded if drawing fails.
+ * @returns {Promise<Object>} Upload result with `variant` and the number of boxes drawn
+ */
+async function captureOverlayScreenshot(page, rfqId, screenshotType, variant, requestId, boxes) {
+  if (!isStorageConfigured) {
+    throw new Error(artifactStore.configError);
+  }
+
+  let screenshotBuffer;
+  let drawn;
+  try {
+    drawn = await drawOverlay(page, boxes);
+    screenshotBuffer = await takeScreenshot(page);
+  } finally {
+    await clearOverlay(page).catch((error) => {
+      logger.warn('Failed to remove screenshot overlay', { requestId, variant, error: error.message });
+    });
+  }
+
+  logger.info('Screenshot captured', { requestId, type: screenshotType, variant, boxes: drawn });
+
+  const fileName = `rfq-${screenshotType}-${variant}-${Date.now()}.png`;
+  const uploaded = await uploadArtifact(rfqId, fileName, screenshotBuffer, 'image/png', requestId);
+  return { ...uploaded, type: screenshotType, variant, overlays: drawn };
+}
+
+/**
+ * Capture a copy of the screenshot with each filled field outlined in its
+ * validator outcome's color and labelled with its part number
+ * @param {Object} page - Puppeteer page object
+ * @param {string} rfqId - RFQ identifier
+ * @param {string} screenshotType - Checkpoint name, as used for the plain screenshot
+ * @param {string} requestId - Request ID for logging
+ * @param {Array<Object>} annotations - From buildAnnotations
+ * @returns {Promise<Object>} Upload result with `variant: 'annotated'`
+ */
+function captureAnnotatedScreenshot(page, rfqId, screenshotType, requestId, annotations) {
+  const boxes = annotations.map(({ element_id, part_no, outcome }) => ({
+    id: element_id,
+    color: ANNOTATION_COLORS[outcome],
+    label: part_no
+  }));
+  return captureOverlayScreenshot(page, rfqId, screenshotType, 'annotated', requestId, boxes);
+}
+
+/**
+ * Capture a copy of the screenshot with the given elements and page regions
+ * blurred, for sharing outside the sales team
+ * @param {Object} page - Puppeteer page object
+ * @param {string} rfqId - RFQ identifier
+ * @param {string} screenshotType - Checkpoint name, as used for the plain screenshot
+ * @param {string} requestId - Request ID for logging
+ * @param {{selectors: string[], regions: Object[]}} redaction - From resolveRedaction
+ * @returns {Promise<Object>} Upload result with `variant: 'redacted'`
+ */
+function captureRedactedScreenshot(page, rfqId, screenshotType, requestId, { selectors, regions }) {
+  const boxes = [
+    ...selectors.map((selector) => ({ selector, blur: true })),
+    ...regions.map((rect) => ({ rect, blur: true }))
+  ];
+  return captureOverlayScreenshot(page, rfqId, screenshotType, 'redacted', requestId, boxes);
+}
+
+/**
+ * Serialize the page with the current form values written into the markup,
+ * so the HTML shows what the fields held rather than what they loaded with.
+ * Works on a clone; the live form is not touched.
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<string>} HTML document
+ */
+function captureHtmlArchive(page) {
+  /* eslint-disable no-undef -- document exists in browser context (page.evaluate) */
+  /* istanbul ignore next -- browser-context code, not instrumentable by Node.js coverage */
+  return page.evaluate(() => {
+    const selector = 'input, select, textarea';
+    const live = Array.from(document.querySelectorAll(selector));
+    const clone = document.documentElement.cloneNode(true);
+    const copies = Array.from(clone.querySelectorAll(selector));
+
+    live.forEach((el, i) => {
+      const copy = copies[i];
+      if (!copy) return;
+      const tag = el.tagName.toLowerCase();
+      if (tag === 'select') {
+        Array.from(copy.options).forEach((option, j) => {
+          option.toggleAttribute('selected', el.options[j] ? el.options[j].selected : false);
+        });
+      } else if (tag === 'textarea') {
+        copy.textContent = el.value;
+      } else if (el.type === 'checkbox' || el.type === 'radio') {
+        copy.toggleAttribute('checked', el.checked);
+      } else {
+        copy.setAttribute('value', el.value);
+      }
+    });
+
+    const doctype = document.doctype ? `<!DOCTYPE ${document.doctype.name}>\n` : '';
+    return doctype + clone.outerHTML;
+  });
+  /* eslint-enable no-undef */
+}
+
+/**
+ * Capture an MHTML snapshot (page plus its resources) over CDP
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<string>} MHTML document
+ */
+async function captureMhtmlArchive(page) {
+  const session = await page.createCDPSession();
+  try {
+    const { data } = await session.send('Page.captureSnapshot', { format: 'mhtml' });
+    return data;
+  } finally {
+    await session.detach().catch(() => {});
+  }
+}
+
+/**
+ * Capture HTML and MHTML archives of the page and upload them next to the
+ * screenshot of the same checkpoint. Archives are supporting evidence: a
+ * failed capture or upload is logged and left out, never thrown.
+ * @param {Object} page - Puppeteer page object
+ * @param {string} rfqId - RFQ identifier
+ * @param {string} archiveType - Checkpoint name, as used for the screenshot
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Array<Object>>} Upload results with `format` 'html' or 'mhtml'
+ */
+async function captureAndUploadArchives(page, rfqId, archiveType, requestId) {
+  const archives = [
+    { format: 'html', capture: captureHtmlArchive, contentType: 'text/html; charset=utf-8' },
+    { format: 'mhtml', capture: captureMhtmlArchive, contentType: 'multipart/related' }
+  ];
+  const uploaded = [];
+
+  for (const { format, capture, contentType } of archives) {
+    try {
+      const body = await capture(page);
+      const fileName = `rfq-${archiveType}-${Date.now()}.${format}`;
+      const result = await uploadArtifact(rfqId, fileName, body, contentType, requestId);
+      uploaded.push({ ...result, type: archiveType, format });
+    } catch (error) {
+      logger.warn('Failed to archive page', { requestId, rfqId, type: archiveType, format, error: error.message });
+    }
+  }
+
+  return uploaded;
+}
+
+if (isStorageConfigured) {
+  startSpoolWorker((entry, body) => storeArtifact(entry.storagePath, body, entry.contentType));
 }
 
 module.exports = {
   isConfigured,
-  uploadScreenshotToSupabase,
-  captureAndUploadScreenshot
+  getConfigError,
+  uploadArtifact,
+  uploadScreenshot,
+  refreshArtifactUrl,
+  captureAndUploadScreenshot,
+  buildAnnotations,
+  captureAnnotatedScreenshot,
+  captureRedactedScreenshot,
+  captureHtmlArchive,
+  captureMhtmlArchive,
+  captureAndUploadArchives
 };
@@ -0,0 +1,133 @@
+/**
+ * Puppeteer Service - Session Queue
+ * Bounds the number of concurrent browser sessions and queues the rest
+ */
+
+const logger = require('../utils/logger');
+
+const MAX_CONCURRENT_SESSIONS = parseInt(process.env.PUPPETEER_MAX_CONCURRENT_SESSIONS, 10) || 1;
+const MAX_QUEUE_DEPTH = parseInt(process.env.PUPPETEER_MAX_QUEUE_DEPTH, 10) || 5;
+
+// Used for Retry-After until enough sessions have finished to measure
+const DEFAULT_SESSION_DURATION_MS = 60000;
+
+// Number of recent sessions kept for duration and wait-time averages
+const STATS_WINDOW = 20;
+
+/**
+ * Queued session structure
+ * @typedef {Object} QueuedSession
+ * @property {string} requestId - Request ID (for logging)
+ * @property {Function} task - Async function that runs the browser session
+ * @property {Function} resolve - Settles the enqueueSession promise
+ * @property {Function} reject - Rejects the enqueueSession promise
+ * @property {number} enqueuedAt - Timestamp when the session was queued
+ */
+
+const waiting = [];
+let activeSessions = 0;
+const recentDurations = [];
+const recentWaits = [];
+
+function pushSample(samples, value) {
+  samples.push(value);
+  if (samples.length > STATS_WINDOW) {
+    samples.shift();
+  }
+}
+
+function average(samples) {
+  if (samples.length === 0) return null;
+  return Math.round(samples.reduce((sum, value) => sum + value, 0) / samples.length);
+}
+
+function drain() {
+  while (activeSessions < MAX_CONCURRENT_SESSIONS && waiting.length > 0) {
+    const entry = waiting.shift();
+    const waitMs = Date.now() - entry.enqueuedAt;
+    const startedAt = Date.now();
+
+    activeSessions++;
+    pushSample(recentWaits, waitMs);
+    logger.info('Browser session started', {
+      requestId: entry.requestId,
+      waitMs,
+      activeSessions,
+      queueDepth: waiting.length
+    });
+
+    Promise.resolve()
+      .then(entry.task)
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        activeSessions--;
+        pushSample(recentDurations, Date.now() - startedAt);
+        drain();
+      });
+  }
+}
+
+/**
+ * Check whether a new session would exceed the queue depth
+ * @returns {boolean} True if new sessions must be rejected
+ */
+function isQueueFull() {
+  return activeSessions >= MAX_CONCURRENT_SESSIONS && waiting.length >= MAX_QUEUE_DEPTH;
+}
+
+/**
+ * Estimate how long a rejected caller should wait before retrying
+ * @returns {number} Seconds until a queue slot is likely to free up
+ */
+function getRetryAfterSeconds() {
+  const durationMs = average(recentDurations) || DEFAULT_SESSION_DURATION_MS;
+  const sessionsAhead = waiting.length + 1;
+  return Math.max(1, Math.ceil((durationMs * sessionsAhead) / MAX_CONCURRENT_SESSIONS / 1000));
+}
+
+/**
+ * Run a browser session once a slot is free.
+ * Callers must check isQueueFull() first; the queue itself never rejects.
+ * @param {string} requestId - Request ID for logging
+ * @param {Function} task - Async function that runs the session
+ * @returns {Promise<*>} Resolves with the task's result
+ */
+function enqueueSession(requestId, task) {
+  return new Promise((resolve, reject) => {
+    waiting.push({ requestId, task, resolve, reject, enqueuedAt: Date.now() });
+
+    if (activeSessions >= MAX_CONCURRENT_SESSIONS) {
+      logger.info('Browser session queued', {
+        requestId,
+        queueDepth: waiting.length,
+        activeSessions
+      });
+    }
+
+    drain();
+  });
+}
+
+/**
+ * Get current queue stats for monitoring
+ * @returns {Object} Stats object
+ */
+function getQueueStats() {
+  const now = Date.now();
+  return {
+    activeSessions,
+    maxConcurrentSessions: MAX_CONCURRENT_SESSIONS,
+    queueDepth: waiting.length,
+    maxQueueDepth: MAX_QUEUE_DEPTH,
+    oldestWaitMs: waiting.length > 0 ? now - waiting[0].enqueuedAt : 0,
+    averageWaitMs: average(recentWaits),
+    averageSessionMs: average(recentDurations)
+  };
+}
+
+module.exports = {
+  enqueueSession,
+  isQueueFull,
+  getRetryAfterSeconds,
+  getQueueStats
+};
@@ -0,0 +1,157 @@
+/**
+ * Puppeteer Service - Submission Confirmation
+ * Decides from what the portal shows after the Send click whether a
+ * production submission went through
+ *
+ * Evidence comes from the portal profile's `confirmation` block: text
+ * patterns that mean success (a thank-you page) or failure, and selectors of
+ * error elements (ASP.NET validation summaries, error labels). Anything
+ * already on the page before Send is ignored, so a form that happens to say
+ * "thank you" does not confirm itself.
+ */
+
+const logger = require('../utils/logger');
+const { getDefaultProfile } = require('../portals');
+
+const DEFAULT_TIMEOUT_MS = 20000;
+
+/**
+ * Collect success/error evidence from the page, minus anything in
+ * `ignore`. Runs in the browser.
+ */
+/* eslint-disable no-undef -- document exists in browser context (page.evaluate) */
+/* istanbul ignore next -- browser-context code, not instrumentable by Node.js coverage */
+function collectEvidence({ successPatterns, errorPatterns, errorSelectors, ignore }) {
+  const evidence = [];
+  const bodyText = document.body ? (document.body.innerText || document.body.textContent || '') : '';
+
+  for (const selector of errorSelectors) {
+    for (const el of Array.from(document.querySelectorAll(selector))) {
+      const text = (el.innerText || el.textContent || '').trim();
+      const visible = el.getClientRects ? el.getClientRects().length > 0 : true;
+      if (text && visible) {
+        evidence.push({ type: 'error', source: 'selector', pattern: selector, text: text.slice(0, 500) });
+      }
+    }
+  }
+
+  for (const [type, patterns] of [['error', errorPatterns], ['success', successPatterns]]) {
+    for (const pattern of patterns) {
+      const match = bodyText.match(new RegExp(pattern, 'i'));
+      if (match) {
+        evidence.push({ type, source: 'text', pattern, text: match[0] });
+      }
+    }
+  }
+
+  const fresh = evidence.filter((e) => !ignore.includes(`${e.type}|${e.pattern}|${e.text}`));
+  return fresh.length > 0 ? fresh : null;
+}
+/* eslint-enable no-undef */
+
+function evidenceKey(e) {
+  return `${e.type}|${e.pattern}|${e.text}`;
+}
+
+function patternsFor(profile, ignore = []) {
+  const confirmation = profile.confirmation;
+  return {
+    successPatterns: confirmation.successPatterns,
+    errorPatterns: confirmation.errorPatterns || [],
+    errorSelectors: confirmation.errorSelectors || [],
+    ignore
+  };
+}
+
+/**
+ * Read the confirmation evidence already on the page. Call before the Send
+ * click and pass the result to confirmSubmission as its baseline.
+ *
+ * @param {Page} page - Page with the filled form
+ * @param {Object} [profile] - Portal profile (defaults to PUPPETEER_DEFAULT_PORTAL)
+ * @returns {Promise<Array<Object>>} Evidence present before submission
+ */
+async function readEvidence(page, profile = getDefaultProfile()) {
+  if (!profile.confirmation) return [];
+
+  try {
+    return (await page.evaluate(collectEvidence, patternsFor(profile))) || [];
+  } catch (error) {
+    logger.warn('Failed to read pre-submit evidence', { error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Wait for the portal's response to the Send click - a navigation or new
+ * success/error content - and classify it.
+ *
+ * Errors win over success. No new evidence within the profile's timeoutMs
+ * (or a profile without a confirmation block) is 'unknown'.
+ *
+ * @param {Page} page - Page the form was submitted from
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} [profile] - Portal profile (defaults to PUPPETEER_DEFAULT_PORTAL)
+ * @param {Array<Object>} [baseline] - Evidence from readEvidence before Send
+ * @returns {Promise<{submission_confirmed: boolean|'unknown', evidence: Array<Object>, url: string|null, duration_ms: number}>}
+ */
+async function confirmSubmission(page, requestId, profile = getDefaultProfile(), baseline = []) {
+  const startTime = Date.now();
+  const result = (confirmed, evidence) => ({
+    submission_confirmed: confirmed,
+    evidence,
+    url: safeUrl(page),
+    duration_ms: Date.now() - startTime
+  });
+
+  if (!profile.confirmation) {
+    logger.warn('Portal has no confirmation patterns - submission unconfirmed', { requestId, portal: profile.name });
+    return result('unknown', []);
+  }
+
+  const timeout = profile.confirmation.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const args = patternsFor(profile, baseline.map(evidenceKey));
+
+  // Either the postback navigates, or the page updates in place
+  await Promise.race([
+    page.waitForNavigation({ waitUntil: 'load', timeout }),
+    page.waitForFunction(collectEvidence, { timeout, polling: 500 }, args)
+  ]).catch(() => {
+    logger.debug('No navigation or confirmation content before timeout', { requestId, timeout });
+  });
+
+  let evidence;
+  try {
+    evidence = (await page.evaluate(collectEvidence, args)) || [];
+  } catch (error) {
+    // Navigation still in flight - let it land and look once more
+    logger.debug('Confirmation read interrupted, retrying after navigation', { requestId, error: error.message });
+    await page.waitForNavigation({ waitUntil: 'load', timeout }).catch(() => {});
+    evidence = (await page.evaluate(collectEvidence, args).catch(() => null)) || [];
+  }
+
+  let confirmed = 'unknown';
+  if (evidence.some((e) => e.type === 'error')) {
+    confirmed = false;
+  } else if (evidence.some((e) => e.type === 'success')) {
+    confirmed = true;
+  }
+
+  if (confirmed === true) {
+    logger.info('Submission confirmed by portal', { requestId, evidence });
+  } else {
+    logger.warn(`Submission confirmation: ${confirmed}`, { requestId, evidence });
+  }
+
+  return result(confirmed, evidence);
+}
+
+function safeUrl(page) {
+  try {
+    return page.url();
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { confirmSubmission, readEvidence };
@@ -0,0 +1,196 @@
+/**
+ * Puppeteer Service - Upload Spool
+ * Keeps artifacts whose upload failed on local disk and retries them in the
+ * background, so a storage outage does not fail an otherwise good run
+ *
+ * Each entry is a pair of files in the spool directory: {id}.bin holds the
+ * contents and {id}.json says where they belong. Once uploaded, the body is
+ * dropped and the entry waits until no run for its RFQ is still processing;
+ * then the stored idempotency results get the artifact's URL (replacing
+ * `pending_upload`) and the entry is removed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { listRecords, updateStoredResult } = require('./idempotency');
+
+const SPOOL_DIR = process.env.PUPPETEER_UPLOAD_SPOOL_DIR || path.join(process.cwd(), 'data', 'upload-spool');
+const DRAIN_INTERVAL_MS = parseInt(process.env.PUPPETEER_UPLOAD_SPOOL_INTERVAL_MS, 10) || 60000;
+
+let drainTimer = null;
+let draining = false;
+
+function entryPath(id, extension) {
+  return path.join(SPOOL_DIR, `${id}.${extension}`);
+}
+
+function writeEntry(entry) {
+  return fs.promises.writeFile(entryPath(entry.id, 'json'), JSON.stringify(entry));
+}
+
+/**
+ * Write an artifact to the spool. The body is written before its metadata,
+ * so a crash in between leaves no entry pointing at a missing body.
+ * @param {Object} artifact - { rfqId, fileName, storagePath, contentType, requestId }
+ * @param {Buffer|string} body - File contents
+ * @returns {Promise<string>} Spool entry ID
+ */
+async function spoolArtifact(artifact, body) {
+  await fs.promises.mkdir(SPOOL_DIR, { recursive: true });
+
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  await fs.promises.writeFile(entryPath(id, 'bin'), body);
+  await writeEntry({ id, ...artifact, spooledAt: new Date().toISOString(), attempts: 0, lastError: null, uploaded: null });
+
+  logger.warn('Artifact spooled for later upload', { requestId: artifact.requestId, storagePath: artifact.storagePath, id });
+  return id;
+}
+
+/**
+ * Read all spool entries, oldest first. Unreadable entries are logged and skipped.
+ * @returns {Promise<Array<Object>>} Spool entries
+ */
+async function listSpooled() {
+  let files;
+  try {
+    files = await fs.promises.readdir(SPOOL_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = [];
+  for (const file of files.filter((name) => name.endsWith('.json')).sort()) {
+    try {
+      entries.push(JSON.parse(await fs.promises.readFile(path.join(SPOOL_DIR, file), 'utf8')));
+    } catch (error) {
+      logger.warn('Skipping unreadable spool entry', { file, error: error.message });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Give pending artifacts in a stored response body their URLs
+ * @param {Object} result - Response body stored on an idempotency record (modified in place)
+ * @param {Map<string, Object>} uploaded - storage_path -> { url, url_expires_at }
+ * @returns {boolean} True if anything changed
+ */
+function applyUploads(result, uploaded) {
+  let changed = false;
+
+  for (const value of Object.values(result)) {
+    if (!Array.isArray(value)) continue;
+
+    for (const artifact of value) {
+      const upload = artifact && artifact.pending_upload && uploaded.get(artifact.storage_path);
+      if (upload) {
+        artifact.url = upload.url;
+        artifact.url_expires_at = upload.url_expires_at;
+        delete artifact.pending_upload;
+        changed = true;
+      }
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Upload what is spooled, then resolve uploaded entries into the stored
+ * idempotency results of their RFQ.
+ * @param {Function} upload - (entry, body) => Promise<{url, url_expires_at}>
+ * @returns {Promise<{uploaded: number, failed: number, resolved: number}>} Drain counts
+ */
+async function drainSpool(upload) {
+  const stats = { uploaded: 0, failed: 0, resolved: 0 };
+  const entries = await listSpooled();
+
+  for (const entry of entries.filter((e) => !e.uploaded)) {
+    try {
+      const body = await fs.promises.readFile(entryPath(entry.id, 'bin'));
+      const { url, url_expires_at } = await upload(entry, body);
+      entry.uploaded = { url, url_expires_at };
+      await writeEntry(entry);
+      await fs.promises.rm(entryPath(entry.id, 'bin'), { force: true });
+      stats.uploaded++;
+      logger.info('Spooled artifact uploaded', { requestId: entry.requestId, storagePath: entry.storagePath });
+    } catch (error) {
+      entry.attempts++;
+      entry.lastError = error.message;
+      await writeEntry(entry).catch(() => {});
+      stats.failed++;
+      logger.warn('Spooled artifact upload failed', {
+        requestId: entry.requestId,
+        storagePath: entry.storagePath,
+        attempts: entry.attempts,
+        error: error.message
+      });
+    }
+  }
+
+  const byRfq = new Map();
+  for (const entry of entries.filter((e) => e.uploaded)) {
+    byRfq.set(entry.rfqId, [...(byRfq.get(entry.rfqId) || []), entry]);
+  }
+
+  for (const [rfqId, rfqEntries] of byRfq) {
+    const records = await listRecords({ rfqId });
+    // The run may still be going; its result is stored when it finishes
+    if (records.some(({ record }) => record.status === 'processing')) continue;
+
+    const uploaded = new Map(rfqEntries.map((entry) => [entry.storagePath, entry.uploaded]));
+    for (const { key, record } of records) {
+      if (record.result && applyUploads(record.result, uploaded)) {
+        await updateStoredResult(key, record.result);
+      }
+    }
+
+    for (const entry of rfqEntries) {
+      await fs.promises.rm(entryPath(entry.id, 'json'), { force: true });
+      stats.resolved++;
+    }
+  }
+
+  if (stats.uploaded || stats.failed || stats.resolved) {
+    logger.info('Upload spool drained', stats);
+  }
+  return stats;
+}
+
+/**
+ * Drain the spool on an interval. Safe to call more than once.
+ * @param {Function} upload - (entry, body) => Promise<{url, url_expires_at}>
+ */
+function startSpoolWorker(upload) {
+  if (drainTimer) return;
+
+  drainTimer = setInterval(() => {
+    if (draining) return;
+    draining = true;
+    drainSpool(upload)
+      .catch((error) => logger.error('Upload spool drain failed', { error: error.message }))
+      .finally(() => {
+        draining = false;
+      });
+  }, DRAIN_INTERVAL_MS);
+
+  // Ensure the worker doesn't prevent process exit
+  drainTimer.unref();
+}
+
+function stopSpoolWorker() {
+  clearInterval(drainTimer);
+  drainTimer = null;
+}
+
+module.exports = {
+  spoolArtifact,
+  listSpooled,
+  drainSpool,
+  applyUploads,
+  startSpoolWorker,
+  stopSpoolWorker
+};
@@ -0,0 +1,120 @@
+/**
+ * Puppeteer Service - Webhook Callbacks
+ * Delivers signed fill-rfq results to a caller-supplied callback URL
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const WEBHOOK_SECRET = process.env.PUPPETEER_WEBHOOK_SECRET;
+const MAX_ATTEMPTS = parseInt(process.env.PUPPETEER_WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.PUPPETEER_WEBHOOK_RETRY_BASE_MS, 10) || 2000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+const SIGNATURE_HEADER = 'X-Puppeteer-Signature';
+const TIMESTAMP_HEADER = 'X-Puppeteer-Timestamp';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Check if a signing secret is configured
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return Boolean(WEBHOOK_SECRET);
+}
+
+/**
+ * Compute the HMAC signature for a callback body.
+ * The signed string is `${timestamp}.${body}` so receivers can reject replays.
+ * @param {string} body - Serialized JSON body
+ * @param {string} timestamp - Unix timestamp (seconds) sent in the timestamp header
+ * @returns {string} Signature header value (`sha256=<hex>`)
+ */
+function signPayload(body, timestamp) {
+  const digest = crypto
+    .createHmac('sha256', WEBHOOK_SECRET)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Whether a failed delivery is worth retrying
+ * @param {number|null} status - HTTP status, or null for network errors
+ * @returns {boolean}
+ */
+function isRetryable(status) {
+  return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * POST a fill-rfq result to the callback URL, retrying with exponential backoff.
+ * Never throws; the outcome is logged and returned.
+ * @param {string} callbackUrl - Caller-supplied callback URL
+ * @param {Object} payload - Response body of the fill-rfq run
+ * @param {Object} context - Logging context
+ * @param {string} context.requestId - Request ID
+ * @param {string} context.rfqId - RFQ ID
+ * @returns {Promise<{delivered: boolean, attempts: number, status: number|null}>}
+ */
+async function deliverCallback(callbackUrl, payload, { requestId, rfqId }) {
+  if (!isConfigured()) {
+    logger.error('Webhook callback skipped - PUPPETEER_WEBHOOK_SECRET not configured', { requestId, rfqId });
+    return { delivered: false, attempts: 0, status: null };
+  }
+
+  const body = JSON.stringify(payload);
+  let status = null;
+  let attempts = 0;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    attempts = attempt;
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    status = null;
+
+    try {
+      const response = await fetch(callbackUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Request-ID': requestId,
+          'X-RFQ-ID': rfqId,
+          [TIMESTAMP_HEADER]: timestamp,
+          [SIGNATURE_HEADER]: signPayload(body, timestamp)
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      status = response.status;
+
+      if (response.ok) {
+        logger.info('Webhook callback delivered', { requestId, rfqId, attempt, status });
+        return { delivered: true, attempts: attempt, status };
+      }
+
+      logger.warn('Webhook callback rejected', { requestId, rfqId, attempt, status });
+    } catch (error) {
+      logger.warn('Webhook callback attempt failed', { requestId, rfqId, attempt, error: error.message });
+    }
+
+    if (!isRetryable(status)) {
+      break;
+    }
+
+    if (attempt < MAX_ATTEMPTS) {
+      await delay(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+
+  logger.error('Webhook callback delivery failed', { requestId, rfqId, callbackUrl, attempts, status });
+  return { delivered: false, attempts, status };
+}
+
+module.exports = {
+  isConfigured,
+  signPayload,
+  deliverCallback,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER
+};
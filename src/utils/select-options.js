@@ -0,0 +1,55 @@
+/**
+ * Puppeteer Service - Select Option Resolution
+ * Maps a payload value onto one of a <select>'s options
+ */
+
+/**
+ * Lowercase and drop all whitespace, so "FAA 8130-3", "faa8130-3" and
+ * " FAA  8130-3 " compare equal.
+ *
+ * @param {*} value - Value to normalize
+ * @returns {string} Normalized string
+ */
+function normalizeOptionText(value) {
+  return String(value ?? '').toLowerCase().replace(/\s+/g, '');
+}
+
+function findOption(options, target) {
+  const normalized = normalizeOptionText(target);
+  const byValue = options.find((option) => normalizeOptionText(option.value) === normalized);
+  if (byValue) return { option: byValue, method: 'value' };
+
+  const byText = options.find((option) => normalizeOptionText(option.text) === normalized);
+  if (byText) return { option: byText, method: 'text' };
+
+  return null;
+}
+
+/**
+ * Resolve a payload value to a select option. Tries option values, then
+ * option text, then the alias table (alias -> option value or text), all
+ * case- and whitespace-insensitively. Options with an empty value (the
+ * "-- Select --" placeholder) are never chosen.
+ *
+ * @param {Array<{value: string, text: string}>} options - Options read from the page
+ * @param {*} value - Payload value
+ * @param {Object<string, string>} [aliases] - Alias table from the portal profile
+ * @returns {{option: {value: string, text: string}, method: 'value'|'text'|'alias'}|null} Match, or null if unresolvable
+ */
+function resolveSelectOption(options, value, aliases = {}) {
+  const candidates = (options || []).filter((option) => option.value !== '');
+
+  const direct = findOption(candidates, value);
+  if (direct) return direct;
+
+  const normalized = normalizeOptionText(value);
+  const alias = Object.keys(aliases).find((key) => normalizeOptionText(key) === normalized);
+  if (alias) {
+    const viaAlias = findOption(candidates, aliases[alias]);
+    if (viaAlias) return { option: viaAlias.option, method: 'alias' };
+  }
+
+  return null;
+}
+
+module.exports = { normalizeOptionText, resolveSelectOption };
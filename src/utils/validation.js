@@ -4,15 +4,9 @@
  */
 
 const VALID_CONDITION_CODES = ['NE', 'NS', 'OH', 'SV', 'AR'];
+const OFFER_FIELDS = ['price_usd', 'price_type', 'min_qty', 'lead_time', 'conditionCode'];
 
-function validateRfqRequest(body) {
-  const errors = [];
-
-  if (!body) {
-    errors.push('Request body is required');
-    return errors;
-  }
-
+function validateFormUrl(body, errors) {
   if (!body.rfq_details) {
     errors.push('rfq_details is required');
   } else if (!body.rfq_details.quote_submission_url) {
@@ -27,13 +21,128 @@ function validateRfqRequest(body) {
       errors.push('rfq_details.quote_submission_url must be a valid URL');
     }
   }
+}
+
+function validatePortal(body, errors) {
+  if (body.portal !== undefined && (typeof body.portal !== 'string' || body.portal.trim() === '')) {
+    errors.push('portal must be a non-empty string');
+  }
+}
+
+/**
+ * Check the shape of a redaction spec: field names, CSS selectors and page
+ * regions ({x, y, width, height} in CSS pixels) to blur. Field names are
+ * checked against the portal profile when the spec is resolved.
+ */
+function validateRedactionSpec(spec, scope, errors) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    errors.push(`${scope} must be an object`);
+    return;
+  }
+
+  for (const key of ['fields', 'selectors']) {
+    const list = spec[key];
+    if (list !== undefined && (!Array.isArray(list) || !list.every((v) => typeof v === 'string' && v.trim() !== ''))) {
+      errors.push(`${scope}.${key} must be an array of non-empty strings`);
+    }
+  }
+
+  if (spec.regions !== undefined) {
+    const isRegion = (r) => r && ['x', 'y', 'width', 'height'].every((k) => Number.isFinite(r[k]) && r[k] >= 0)
+      && r.width > 0 && r.height > 0;
+    if (!Array.isArray(spec.regions) || !spec.regions.every(isRegion)) {
+      errors.push(`${scope}.regions must be an array of { x, y, width, height } with a positive width and height`);
+    }
+  }
+}
+
+function validateScreenshotOptions(body, errors) {
+  if (body.annotate !== undefined && typeof body.annotate !== 'boolean') {
+    errors.push('annotate must be a boolean');
+  }
+
+  if (body.redact !== undefined && typeof body.redact !== 'boolean') {
+    validateRedactionSpec(body.redact, 'redact', errors);
+  }
+}
+
+/**
+ * Validate an item's price offers: a non-empty array of objects, each with a
+ * price_usd and otherwise only the fields an offer may set
+ */
+function validateOffers(offers, path, errors) {
+  if (!Array.isArray(offers) || offers.length === 0) {
+    errors.push(`${path} must be a non-empty array`);
+    return;
+  }
+
+  offers.forEach((offer, index) => {
+    if (!offer || typeof offer !== 'object' || Array.isArray(offer)) {
+      errors.push(`${path}[${index}] must be an object`);
+      return;
+    }
+    if (offer.price_usd === undefined || offer.price_usd === null || offer.price_usd === '') {
+      errors.push(`${path}[${index}].price_usd is required`);
+    }
+    if (offer.conditionCode !== undefined && (typeof offer.conditionCode !== 'string' ||
+      !VALID_CONDITION_CODES.includes(offer.conditionCode.toUpperCase()))) {
+      errors.push(`${path}[${index}].conditionCode must be one of: ${VALID_CONDITION_CODES.join(', ')}`);
+    }
+    const unknown = Object.keys(offer).filter((field) => !OFFER_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      errors.push(`${path}[${index}] has unknown fields: ${unknown.join(', ')} (allowed: ${OFFER_FIELDS.join(', ')})`);
+    }
+  });
+}
+
+/**
+ * Check that an item's offers land on different rows. Each offer is filled on
+ * the product's row for its conditionCode (else the item's, else the portal's
+ * default), and the form has one row per product and condition code, so two
+ * offers for the same code are refused here rather than left unfilled. Runs
+ * once the portal profile is known; items must already pass validateRfqRequest.
+ *
+ * @param {Array<Object>} items - Payload items
+ * @param {string} defaultConditionCode - The portal profile's default code
+ * @returns {string[]} Errors (empty when every offer has its own row)
+ */
+function validateOfferRows(items, defaultConditionCode) {
+  const errors = [];
+
+  (items || []).forEach((item, index) => {
+    if (item.no_quote || !Array.isArray(item.offers)) return;
+
+    const offerByCode = {};
+    item.offers.forEach((offer, offerIndex) => {
+      const code = (offer.conditionCode || item.conditionCode || defaultConditionCode).toUpperCase();
+      if (offerByCode[code] !== undefined) {
+        errors.push(`quote_details.items[${index}].offers[${offerIndex}] is for the same ${code} row as offers[${offerByCode[code]}]: ` +
+          'the form has one row per product and condition code, so give each offer its own conditionCode');
+      } else {
+        offerByCode[code] = offerIndex;
+      }
+    });
+  });
+
+  return errors;
+}
+
+function validateRfqRequest(body) {
+  const errors = [];
+
+  if (!body) {
+    errors.push('Request body is required');
+    return errors;
+  }
+
+  validateFormUrl(body, errors);
 
   if (!body.quote_details) {
     errors.push('quote_details is required');
   } else if (body.quote_details.items && !Array.isArray(body.quote_details.items)) {
     errors.push('quote_details.items must be an array');
   } else if (Array.isArray(body.quote_details.items)) {
-    // Validate conditionCode on each item if present
+    // Validate conditionCode, alt_part_numbers, no_quote_reason and offers on each item if present
     body.quote_details.items.forEach((item, index) => {
       if (item.conditionCode !== undefined) {
         if (typeof item.conditionCode !== 'string' || item.conditionCode.trim() === '') {
@@ -42,9 +151,61 @@ function validateRfqRequest(body) {
           errors.push(`quote_details.items[${index}].conditionCode must be one of: ${VALID_CONDITION_CODES.join(', ')}`);
         }
       }
+
+      if (item.alt_part_numbers !== undefined && (!Array.isArray(item.alt_part_numbers) ||
+        !item.alt_part_numbers.every((partNo) => typeof partNo === 'string' && partNo.trim() !== ''))) {
+        errors.push(`quote_details.items[${index}].alt_part_numbers must be an array of non-empty strings`);
+      }
+
+      if (item.no_quote_reason !== undefined && (typeof item.no_quote_reason !== 'string' || item.no_quote_reason.trim() === '')) {
+        errors.push(`quote_details.items[${index}].no_quote_reason must be a non-empty string`);
+      }
+
+      if (item.offers !== undefined) {
+        validateOffers(item.offers, `quote_details.items[${index}].offers`, errors);
+      }
     });
   }
 
+  if (body.callback_url !== undefined) {
+    try {
+      const callbackUrl = new URL(body.callback_url);
+      if (!['http:', 'https:'].includes(callbackUrl.protocol)) {
+        errors.push('callback_url must use http or https protocol');
+      }
+    } catch {
+      errors.push('callback_url must be a valid URL');
+    }
+  }
+
+  if (body.async !== undefined && typeof body.async !== 'boolean') {
+    errors.push('async must be a boolean');
+  }
+
+  if (body.strict !== undefined && typeof body.strict !== 'boolean') {
+    errors.push('strict must be a boolean');
+  }
+
+  validatePortal(body, errors);
+  validateScreenshotOptions(body, errors);
+
+  return errors;
+}
+
+/**
+ * Validate an inspect-form request: the form URL and optional portal only
+ */
+function validateInspectRequest(body) {
+  const errors = [];
+
+  if (!body) {
+    errors.push('Request body is required');
+    return errors;
+  }
+
+  validateFormUrl(body, errors);
+  validatePortal(body, errors);
+
   return errors;
 }
 
@@ -73,6 +234,9 @@ function formatTagDate(value) {
 
 module.exports = {
   validateRfqRequest,
+  validateInspectRequest,
+  validateRedactionSpec,
+  validateOfferRows,
   formatTagDate,
   VALID_CONDITION_CODES
 };
@@ -6,23 +6,35 @@
  * 2. Duplicate request prevention
  * 3. Test mode vs production mode keys
  * 4. Cache expiration
+ * 5. Crash recovery (heartbeats and abandoned records)
+ * 6. Admin helpers (list, inspect, expire)
  */
 
 const {
   generateIdempotencyKey,
+  parseIdempotencyKey,
   checkIdempotency,
   startProcessing,
   markCompleted,
   markFailed,
+  markUnconfirmed,
+  updateStoredResult,
+  markSubmitting,
+  startHeartbeat,
+  reapStale,
   removeKey,
-  getStats
+  getRecord,
+  listRecords,
+  expireKey,
+  getStats,
+  INSTANCE_ID
 } = require('../src/services/idempotency');
 
 describe('Idempotency Service', () => {
   // Clear state before each test
-  beforeEach(() => {
+  beforeEach(async () => {
     // Reset internal state by removing all keys
-    const _stats = getStats();
+    const _stats = await getStats();
     // Note: In a real test, we'd want a reset function
   });
 
@@ -51,88 +63,126 @@ describe('Idempotency Service', () => {
   });
 
   describe('startProcessing', () => {
-    test('returns true for new key', () => {
+    test('returns true for new key', async () => {
       const key = generateIdempotencyKey('unique-rfq-' + Date.now(), 'https://form.com', true);
-      const result = startProcessing(key);
+      const result = await startProcessing(key);
       expect(result).toBe(true);
     });
 
-    test('returns false for duplicate key', () => {
+    test('returns false for duplicate key', async () => {
       const key = generateIdempotencyKey('duplicate-rfq-' + Date.now(), 'https://form.com', true);
-      startProcessing(key);
-      const result = startProcessing(key);
+      await startProcessing(key);
+      const result = await startProcessing(key);
       expect(result).toBe(false);
     });
   });
 
   describe('checkIdempotency', () => {
-    test('returns null for non-existent key', () => {
-      const result = checkIdempotency('non-existent-key');
+    test('returns null for non-existent key', async () => {
+      const result = await checkIdempotency('non-existent-key');
       expect(result).toBeNull();
     });
 
-    test('returns record for existing key', () => {
+    test('returns record for existing key', async () => {
       const key = generateIdempotencyKey('check-rfq-' + Date.now(), 'https://form.com', true);
-      startProcessing(key);
-      const result = checkIdempotency(key);
+      await startProcessing(key);
+      const result = await checkIdempotency(key);
       expect(result).not.toBeNull();
       expect(result.status).toBe('processing');
     });
   });
 
   describe('markCompleted', () => {
-    test('updates status to completed', () => {
+    test('updates status to completed', async () => {
       const key = generateIdempotencyKey('complete-rfq-' + Date.now(), 'https://form.com', true);
-      startProcessing(key);
+      await startProcessing(key);
 
       const mockResult = { success: true, message: 'Form submitted' };
-      markCompleted(key, mockResult);
+      await markCompleted(key, mockResult);
 
-      const record = checkIdempotency(key);
+      const record = await checkIdempotency(key);
       expect(record.status).toBe('completed');
       expect(record.result).toEqual(mockResult);
     });
   });
 
   describe('markFailed', () => {
-    test('updates status to failed', () => {
+    test('updates status to failed', async () => {
       const key = generateIdempotencyKey('failed-rfq-' + Date.now(), 'https://form.com', true);
-      startProcessing(key);
+      await startProcessing(key);
 
-      markFailed(key, 'Form submission failed');
+      await markFailed(key, 'Form submission failed');
 
-      const record = checkIdempotency(key);
+      const record = await checkIdempotency(key);
       expect(record.status).toBe('failed');
       expect(record.error).toBe('Form submission failed');
     });
   });
 
+  describe('markUnconfirmed', () => {
+    test('keeps the result and flags the record for review', async () => {
+      const key = generateIdempotencyKey('unconfirmed-rfq-' + Date.now(), 'https://form.com', false);
+      await startProcessing(key);
+
+      await markUnconfirmed(key, { success: true, submission_confirmed: 'unknown' });
+
+      const record = await checkIdempotency(key);
+      expect(record.status).toBe('unconfirmed');
+      expect(record.result.submission_confirmed).toBe('unknown');
+      expect(record.submissionMayHaveOccurred).toBe(true);
+      expect(record.error).toContain('manual review required');
+    });
+
+    test('still blocks a new start', async () => {
+      const key = generateIdempotencyKey('unconfirmed-block-' + Date.now(), 'https://form.com', false);
+      await startProcessing(key);
+      await markUnconfirmed(key, { success: true });
+
+      expect(await startProcessing(key)).toBe(false);
+      expect((await getStats()).unconfirmed).toBeGreaterThanOrEqual(1);
+    });
+  });
+
+  describe('updateStoredResult', () => {
+    test('replaces the result and keeps the status', async () => {
+      const key = generateIdempotencyKey('update-result-' + Date.now(), 'https://form.com', false);
+      await startProcessing(key);
+      await markUnconfirmed(key, { screenshot_data: [{ url: null, pending_upload: true }] });
+
+      await updateStoredResult(key, { screenshot_data: [{ url: 'https://storage/a.png' }] });
+
+      const record = await getRecord(key);
+      expect(record.status).toBe('unconfirmed');
+      expect(record.result.screenshot_data[0].url).toBe('https://storage/a.png');
+    });
+  });
+
   describe('removeKey', () => {
-    test('removes existing key', () => {
+    test('removes existing key', async () => {
       const key = generateIdempotencyKey('remove-rfq-' + Date.now(), 'https://form.com', true);
-      startProcessing(key);
+      await startProcessing(key);
 
-      removeKey(key);
+      await removeKey(key);
 
-      const result = checkIdempotency(key);
+      const result = await checkIdempotency(key);
       expect(result).toBeNull();
     });
 
-    test('allows reprocessing after removal', () => {
+    test('allows reprocessing after removal', async () => {
       const key = generateIdempotencyKey('reprocess-rfq-' + Date.now(), 'https://form.com', true);
-      startProcessing(key);
-      markFailed(key, 'First attempt failed');
+      await startProcessing(key);
+      await markFailed(key, 'First attempt failed');
 
-      removeKey(key);
+      await removeKey(key);
 
-      const canStart = startProcessing(key);
+      const canStart = await startProcessing(key);
       expect(canStart).toBe(true);
     });
   });
 
   describe('getStats', () => {
-    test('returns stats object', () => {
-      const stats = getStats();
+    test('returns stats object', async () => {
+      const stats = await getStats();
       expect(stats).toHaveProperty('totalKeys');
       expect(stats).toHaveProperty('processing');
       expect(stats).toHaveProperty('completed');
@@ -141,59 +191,218 @@ describe('Idempotency Service', () => {
   });
 
   describe('Production mode protection', () => {
-    test('completed production requests return cached result', () => {
+    test('completed production requests return cached result', async () => {
       const key = generateIdempotencyKey('prod-rfq-' + Date.now(), 'https://form.com', false);
-      startProcessing(key);
+      await startProcessing(key);
 
       const mockResult = { success: true, finalAction: 'FORM_SUBMITTED' };
-      markCompleted(key, mockResult);
+      await markCompleted(key, mockResult);
 
-      const record = checkIdempotency(key);
+      const record = await checkIdempotency(key);
       expect(record.status).toBe('completed');
       expect(record.result).toEqual(mockResult);
 
       // Attempting to start processing again should fail
-      const canStart = startProcessing(key);
+      const canStart = await startProcessing(key);
       expect(canStart).toBe(false);
     });
 
-    test('test mode allows retry after completion', () => {
+    test('test mode allows retry after completion', async () => {
       const key = generateIdempotencyKey('test-retry-' + Date.now(), 'https://form.com', true);
-      startProcessing(key);
-      markCompleted(key, { success: true });
+      await startProcessing(key);
+      await markCompleted(key, { success: true });
 
       // For test mode, we allow removal and retry
-      removeKey(key);
+      await removeKey(key);
 
-      const canStart = startProcessing(key);
+      const canStart = await startProcessing(key);
       expect(canStart).toBe(true);
     });
   });
 
   describe('TTL expiry', () => {
-    test('expired records are removed by checkIdempotency', () => {
+    test('expired records are removed by checkIdempotency', async () => {
       const key = generateIdempotencyKey('ttl-rfq-' + Date.now(), 'https://form.com', true);
-      startProcessing(key);
+      await startProcessing(key);
 
       // Manually expire the record by manipulating createdAt
-      const record = checkIdempotency(key);
+      const record = await checkIdempotency(key);
       expect(record).not.toBeNull();
 
       // Force expiry by setting createdAt to >24h ago
       record.createdAt = Date.now() - (25 * 60 * 60 * 1000);
 
       // Now checkIdempotency should return null (expired)
-      const expired = checkIdempotency(key);
+      const expired = await checkIdempotency(key);
       expect(expired).toBeNull();
     });
 
-    test('non-expired records are returned normally', () => {
+    test('non-expired records are returned normally', async () => {
       const key = generateIdempotencyKey('fresh-rfq-' + Date.now(), 'https://form.com', true);
-      startProcessing(key);
+      await startProcessing(key);
 
-      const record = checkIdempotency(key);
+      const record = await checkIdempotency(key);
       expect(record).not.toBeNull();
       expect(record.status).toBe('processing');
     });
   });
+
+  describe('Crash recovery', () => {
+    const STALE_MS = 120000;
+
+    afterEach(() => {
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    });
+
+    function advanceClock(ms) {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + ms);
+    }
+
+    test('processing records carry owner and heartbeat', async () => {
+      const key = generateIdempotencyKey('owner-rfq-' + Date.now(), 'https://form.com', false);
+      await startProcessing(key);
+
+      const record = await checkIdempotency(key);
+      expect(record.ownerId).toBe(INSTANCE_ID);
+      expect(record.heartbeatAt).toBe(record.createdAt);
+      expect(record.submittingAt).toBeNull();
+    });
+
+    test('stale processing records are abandoned on check', async () => {
+      const key = generateIdempotencyKey('stale-rfq-' + Date.now(), 'https://form.com', false);
+      await startProcessing(key);
+
+      advanceClock(STALE_MS + 1);
+      const record = await checkIdempotency(key);
+
+      expect(record.status).toBe('abandoned');
+      expect(record.submissionMayHaveOccurred).toBe(false);
+      expect(record.abandonedAt).toBeDefined();
+    });
+
+    test('abandoned records flag a possible submission after markSubmitting', async () => {
+      const key = generateIdempotencyKey('submitting-rfq-' + Date.now(), 'https://form.com', false);
+      await startProcessing(key);
+      await markSubmitting(key);
+
+      advanceClock(STALE_MS + 1);
+      const record = await checkIdempotency(key);
+
+      expect(record.status).toBe('abandoned');
+      expect(record.submissionMayHaveOccurred).toBe(true);
+      expect(record.error).toContain('manual review');
+    });
+
+    test('markSubmitting refuses a record this instance no longer processes', async () => {
+      const missing = generateIdempotencyKey('submit-missing-' + Date.now(), 'https://form.com', false);
+      await expect(markSubmitting(missing)).rejects.toThrow('no longer processing on this instance (missing)');
+
+      const key = generateIdempotencyKey('submit-abandoned-' + Date.now(), 'https://form.com', false);
+      await startProcessing(key);
+      advanceClock(STALE_MS + 1);
+      await reapStale();
+
+      await expect(markSubmitting(key)).rejects.toThrow('(abandoned) - not submitting');
+      expect((await getRecord(key)).submittingAt).toBeNull();
+    });
+
+    test('heartbeats keep a long session from being abandoned', async () => {
+      jest.useFakeTimers();
+      const key = generateIdempotencyKey('heartbeat-rfq-' + Date.now(), 'https://form.com', false);
+      await startProcessing(key);
+      const stopHeartbeat = startHeartbeat(key);
+
+      await jest.advanceTimersByTimeAsync(STALE_MS * 2);
+      expect((await checkIdempotency(key)).status).toBe('processing');
+
+      stopHeartbeat();
+      await jest.advanceTimersByTimeAsync(STALE_MS + 1);
+      expect((await checkIdempotency(key)).status).toBe('abandoned');
+    });
+
+    test('heartbeats stop touching finished records', async () => {
+      jest.useFakeTimers();
+      const key = generateIdempotencyKey('finished-rfq-' + Date.now(), 'https://form.com', false);
+      await startProcessing(key);
+      const stopHeartbeat = startHeartbeat(key);
+      await markCompleted(key, { success: true });
+      const { heartbeatAt } = await checkIdempotency(key);
+
+      await jest.advanceTimersByTimeAsync(60000);
+
+      expect((await checkIdempotency(key)).heartbeatAt).toBe(heartbeatAt);
+      stopHeartbeat();
+    });
+
+    test('reapStale abandons only stale processing records', async () => {
+      const stale = generateIdempotencyKey('reap-stale-' + Date.now(), 'https://form.com', false);
+      const done = generateIdempotencyKey('reap-done-' + Date.now(), 'https://form.com', false);
+      await startProcessing(stale);
+      await startProcessing(done);
+      await markCompleted(done, { success: true });
+
+      advanceClock(STALE_MS + 1);
+      const reaped = await reapStale();
+
+      expect(reaped).toBeGreaterThanOrEqual(1);
+      expect((await checkIdempotency(stale)).status).toBe('abandoned');
+      expect((await checkIdempotency(done)).status).toBe('completed');
+    });
+
+    test('stats count abandoned records', async () => {
+      const stats = await getStats();
+      expect(stats).toHaveProperty('abandoned');
+    });
+  });
+
+  describe('Admin helpers', () => {
+    test('parseIdempotencyKey splits a key with a URL', () => {
+      expect(parseIdempotencyKey('rfq-1:prod:https://form.com:8443/a?b=c')).toEqual({
+        rfqId: 'rfq-1',
+        mode: 'prod',
+        formUrl: 'https://form.com:8443/a?b=c'
+      });
+    });
+
+    test('listRecords filters by rfqId, mode and status', async () => {
+      const rfqId = 'list-rfq-' + Date.now();
+      const testKey = generateIdempotencyKey(rfqId, 'https://form.com', true);
+      const prodKey = generateIdempotencyKey(rfqId, 'https://form.com', false);
+      await startProcessing(testKey);
+      await startProcessing(prodKey);
+      await markCompleted(prodKey, { success: true });
+
+      expect((await listRecords({ rfqId })).map(({ key }) => key).sort()).toEqual([prodKey, testKey].sort());
+      expect((await listRecords({ rfqId, mode: 'prod' })).map(({ key }) => key)).toEqual([prodKey]);
+      expect((await listRecords({ rfqId, status: 'processing' })).map(({ key }) => key)).toEqual([testKey]);
+    });
+
+    test('getRecord returns the stored record without side effects', async () => {
+      const key = generateIdempotencyKey('get-rfq-' + Date.now(), 'https://form.com', false);
+      await startProcessing(key);
+      await markCompleted(key, { success: true, finalAction: 'FORM_SUBMITTED' });
+
+      const record = await getRecord(key);
+      expect(record.result.finalAction).toBe('FORM_SUBMITTED');
+      expect(await getRecord('missing-key')).toBeNull();
+    });
+
+    test('expireKey lets the key be processed again', async () => {
+      const key = generateIdempotencyKey('expire-rfq-' + Date.now(), 'https://form.com', false);
+      await startProcessing(key);
+      await markCompleted(key, { success: true });
+
+      expect(await expireKey(key)).toBe(true);
+
+      expect((await getRecord(key)).expiredAt).toBeDefined();
+      expect(await checkIdempotency(key)).toBeNull();
+      expect(await startProcessing(key)).toBe(true);
+    });
+
+    test('expireKey returns false for unknown keys', async () => {
+      expect(await expireKey('missing-key')).toBe(false);
+    });
+  });
 });
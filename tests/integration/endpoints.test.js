@@ -8,26 +8,34 @@ const express = require('express');
 // Store original mocks
 let mockGetShuttingDown = jest.fn().mockReturnValue(false);
 let mockIsConfigured = jest.fn().mockReturnValue(true);
-let mockLaunchBrowser = jest.fn();
+let mockAcquireBrowserContext = jest.fn();
 let mockSetupPage = jest.fn();
-let mockCloseBrowser = jest.fn();
+let mockReleaseBrowserContext = jest.fn();
 let mockFillRfqForm = jest.fn();
 let mockCancelFormSubmission = jest.fn();
 let mockCaptureAndUploadScreenshot = jest.fn();
+let mockInspectForm = jest.fn();
+let mockConfirmSubmission = jest.fn();
 
-// Mock the browser and screenshot services before requiring the app
+// Mock the browser, browser pool and screenshot services before requiring the app
 jest.mock('../../src/services/browser', () => ({
-  launchBrowser: (...args) => mockLaunchBrowser(...args),
   setupPage: (...args) => mockSetupPage(...args),
-  closeBrowser: (...args) => mockCloseBrowser(...args),
-  closeAllBrowsers: jest.fn(),
   setShuttingDown: jest.fn(),
   getShuttingDown: () => mockGetShuttingDown()
 }));
 
+jest.mock('../../src/services/browser-pool', () => ({
+  acquireBrowserContext: (...args) => mockAcquireBrowserContext(...args),
+  releaseBrowserContext: (...args) => mockReleaseBrowserContext(...args),
+  closeAllBrowsers: jest.fn(),
+  getPoolStats: jest.fn().mockReturnValue({ size: 0, busy: 0, idle: 0 })
+}));
+
 jest.mock('../../src/services/screenshot', () => ({
   captureAndUploadScreenshot: (...args) => mockCaptureAndUploadScreenshot(...args),
-  isConfigured: () => mockIsConfigured()
+  captureAndUploadArchives: jest.fn().mockResolvedValue([]),
+  isConfigured: () => mockIsConfigured(),
+  getConfigError: () => 'Supabase not configured. Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables.'
 }));
 
 jest.mock('../../src/middleware/rate-limiter', () => ({
@@ -38,9 +46,25 @@ jest.mock('../../src/services/form-filler', () => ({
   fillRfqForm: (...args) => mockFillRfqForm(...args),
   cancelFormSubmission: (...args) => mockCancelFormSubmission(...args),
   submitForm: jest.fn().mockResolvedValue(true),
+  findMissingTargets: jest.fn().mockReturnValue({ parts: [], fields: [] }),
   delay: jest.fn().mockResolvedValue(undefined)
 }));
 
+jest.mock('../../src/services/submission-confirmation', () => ({
+  confirmSubmission: (...args) => mockConfirmSubmission(...args),
+  readEvidence: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../src/services/form-inspector', () => ({
+  inspectForm: (...args) => mockInspectForm(...args)
+}));
+
+jest.mock('../../src/services/form-snapshot', () => ({
+  captureFormSnapshot: jest.fn().mockResolvedValue({ captured_at: '2026-01-01T00:00:00.000Z', url: 'https://example.com', fields: [] }),
+  diffFormSnapshots: jest.requireActual('../../src/services/form-snapshot').diffFormSnapshots,
+  uploadFormSnapshots: jest.fn().mockResolvedValue([])
+}));
+
 jest.mock('../../src/services/form-validator', () => ({
   validateAndCorrect: jest.fn().mockResolvedValue({
     status: 'pass',
@@ -49,6 +73,7 @@ jest.mock('../../src/services/form-validator', () => ({
     fields_checked: 9,
     mismatches_found: [],
     correction_attempts: 0,
+    client_validation: { ran: true, errors: [], summary: [] },
     duration_ms: 50,
   }),
 }));
@@ -78,7 +103,8 @@ function createApp() {
       endpoints: {
         health: '/puppeteer/health',
         ready: '/puppeteer/ready',
-        fillRfq: 'POST /puppeteer/fill-rfq'
+        fillRfq: 'POST /puppeteer/fill-rfq',
+        inspectForm: 'POST /puppeteer/inspect-form'
       }
     });
   });
@@ -106,12 +132,14 @@ describe('API Endpoints', () => {
     // Reset all mocks
     mockGetShuttingDown = jest.fn().mockReturnValue(false);
     mockIsConfigured = jest.fn().mockReturnValue(true);
-    mockLaunchBrowser = jest.fn();
+    mockAcquireBrowserContext = jest.fn();
     mockSetupPage = jest.fn();
-    mockCloseBrowser = jest.fn();
+    mockReleaseBrowserContext = jest.fn();
     mockFillRfqForm = jest.fn();
     mockCancelFormSubmission = jest.fn();
     mockCaptureAndUploadScreenshot = jest.fn();
+    mockInspectForm = jest.fn();
+    mockConfirmSubmission = jest.fn();
 
     jest.clearAllMocks();
     app = createApp();
@@ -130,7 +158,8 @@ describe('API Endpoints', () => {
         endpoints: {
           health: '/puppeteer/health',
           ready: '/puppeteer/ready',
-          fillRfq: 'POST /puppeteer/fill-rfq'
+          fillRfq: 'POST /puppeteer/fill-rfq',
+          inspectForm: 'POST /puppeteer/inspect-form'
         }
       });
     });
@@ -337,14 +366,15 @@ describe('API Endpoints', () => {
           close: jest.fn().mockResolvedValue(undefined)
         };
 
-        const mockBrowser = {
-          close: jest.fn().mockResolvedValue(undefined)
+        const mockLease = {
+          context: { newPage: jest.fn() },
+          browserId: 1
         };
 
-        mockLaunchBrowser.mockResolvedValue(mockBrowser);
+        mockAcquireBrowserContext.mockResolvedValue(mockLease);
         mockSetupPage.mockResolvedValue(mockPage);
-        mockCloseBrowser.mockResolvedValue(undefined);
-        mockFillRfqForm.mockResolvedValue(undefined);
+        mockReleaseBrowserContext.mockResolvedValue(undefined);
+        mockFillRfqForm.mockResolvedValue({ fields: [], dropdowns: [], errors: [], unmatched_items: [] });
         mockCancelFormSubmission.mockResolvedValue(undefined);
         mockCaptureAndUploadScreenshot.mockResolvedValue({
           url: 'https://test.supabase.co/storage/v1/object/public/rfq-artifacts/screenshots/test.png',
@@ -405,7 +435,7 @@ describe('API Endpoints', () => {
 
     describe('error handling', () => {
       it('should return 500 when browser launch fails', async () => {
-        mockLaunchBrowser.mockRejectedValue(new Error('Failed to launch browser'));
+        mockAcquireBrowserContext.mockRejectedValue(new Error('Failed to launch browser'));
 
         const response = await request(app)
           .post('/puppeteer/fill-rfq')
@@ -423,13 +453,14 @@ describe('API Endpoints', () => {
           close: jest.fn().mockResolvedValue(undefined)
         };
 
-        const mockBrowser = {
-          close: jest.fn().mockResolvedValue(undefined)
+        const mockLease = {
+          context: { newPage: jest.fn() },
+          browserId: 1
         };
 
-        mockLaunchBrowser.mockResolvedValue(mockBrowser);
+        mockAcquireBrowserContext.mockResolvedValue(mockLease);
         mockSetupPage.mockResolvedValue(mockPage);
-        mockCloseBrowser.mockResolvedValue(undefined);
+        mockReleaseBrowserContext.mockResolvedValue(undefined);
 
         const response = await request(app)
           .post('/puppeteer/fill-rfq')
@@ -448,13 +479,14 @@ describe('API Endpoints', () => {
           close: jest.fn().mockResolvedValue(undefined)
         };
 
-        const mockBrowser = {
-          close: jest.fn().mockResolvedValue(undefined)
+        const mockLease = {
+          context: { newPage: jest.fn() },
+          browserId: 1
         };
 
-        mockLaunchBrowser.mockResolvedValue(mockBrowser);
+        mockAcquireBrowserContext.mockResolvedValue(mockLease);
         mockSetupPage.mockResolvedValue(mockPage);
-        mockCloseBrowser.mockResolvedValue(undefined);
+        mockReleaseBrowserContext.mockResolvedValue(undefined);
         mockFillRfqForm.mockRejectedValue(new Error('Form fill failed'));
 
         const response = await request(app)
@@ -467,20 +499,55 @@ describe('API Endpoints', () => {
         expect(response.body.error).toBe('Form fill failed');
       });
 
-      it('should close browser even when error occurs', async () => {
+      it('should reject a retry after a production run failed past the Send click', async () => {
         const mockPage = {
           goto: jest.fn().mockResolvedValue({ status: () => 200 }),
           waitForNetworkIdle: jest.fn().mockResolvedValue(undefined),
           close: jest.fn().mockResolvedValue(undefined)
         };
 
-        const mockBrowser = {
+        mockAcquireBrowserContext.mockResolvedValue({ context: { newPage: jest.fn() }, browserId: 1 });
+        mockSetupPage.mockResolvedValue(mockPage);
+        mockReleaseBrowserContext.mockResolvedValue(undefined);
+        mockFillRfqForm.mockResolvedValue({ fields: [], dropdowns: [], errors: [], unmatched_items: [] });
+        mockCaptureAndUploadScreenshot.mockResolvedValue({ url: 'https://test.supabase.co/screenshot.png', type: 'filled' });
+        mockConfirmSubmission.mockRejectedValue(new Error('Execution context was destroyed'));
+
+        const payload = { ...validPayload, isTestMode: false };
+        const headers = { ...validHeaders, 'X-RFQ-ID': 'test-rfq-after-send' };
+
+        const response = await request(app)
+          .post('/puppeteer/fill-rfq')
+          .set(headers)
+          .send(payload)
+          .expect(500);
+
+        expect(response.body.submissionMayHaveOccurred).toBe(true);
+
+        const retry = await request(app)
+          .post('/puppeteer/fill-rfq')
+          .set(headers)
+          .send(payload)
+          .expect(409);
+
+        expect(retry.body).toMatchObject({ existingStatus: 'unconfirmed', submissionMayHaveOccurred: true });
+      });
+
+      it('should release the browser context even when error occurs', async () => {
+        const mockPage = {
+          goto: jest.fn().mockResolvedValue({ status: () => 200 }),
+          waitForNetworkIdle: jest.fn().mockResolvedValue(undefined),
           close: jest.fn().mockResolvedValue(undefined)
         };
 
-        mockLaunchBrowser.mockResolvedValue(mockBrowser);
+        const mockLease = {
+          context: { newPage: jest.fn() },
+          browserId: 1
+        };
+
+        mockAcquireBrowserContext.mockResolvedValue(mockLease);
         mockSetupPage.mockResolvedValue(mockPage);
-        mockCloseBrowser.mockResolvedValue(undefined);
+        mockReleaseBrowserContext.mockResolvedValue(undefined);
         mockFillRfqForm.mockRejectedValue(new Error('Form fill failed'));
 
         await request(app)
@@ -489,7 +556,7 @@ describe('API Endpoints', () => {
           .send(validPayload)
           .expect(500);
 
-        expect(mockCloseBrowser).toHaveBeenCalledWith(mockBrowser, expect.any(String));
+        expect(mockReleaseBrowserContext).toHaveBeenCalledWith(mockLease);
       });
     });
 
@@ -509,6 +576,57 @@ describe('API Endpoints', () => {
     });
   });
 
+  describe('POST /puppeteer/inspect-form', () => {
+    const validHeaders = {
+      'Content-Type': 'application/json',
+      'X-RFQ-ID': 'test-rfq-123'
+    };
+
+    const validPayload = {
+      rfq_details: { quote_submission_url: 'https://example.com/rfq-form' }
+    };
+
+    it('should inspect the form without filling it', async () => {
+      const mockPage = {
+        goto: jest.fn().mockResolvedValue({ status: () => 200 }),
+        waitForNetworkIdle: jest.fn().mockResolvedValue(undefined),
+        close: jest.fn().mockResolvedValue(undefined)
+      };
+      const mockLease = { context: { newPage: jest.fn() }, browserId: 1 };
+
+      mockAcquireBrowserContext.mockResolvedValue(mockLease);
+      mockSetupPage.mockResolvedValue(mockPage);
+      mockReleaseBrowserContext.mockResolvedValue(undefined);
+      mockInspectForm.mockResolvedValue({ portal: 'ils', partNumbers: ['ABC-1'], rows: [] });
+      mockCaptureAndUploadScreenshot.mockResolvedValue({
+        url: 'https://test.supabase.co/storage/v1/object/public/rfq-artifacts/screenshots/test.png',
+        type: 'inspection'
+      });
+
+      const response = await request(app)
+        .post('/puppeteer/inspect-form')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.inspection.partNumbers).toEqual(['ABC-1']);
+      expect(response.body.screenshot_data[0].type).toBe('inspection');
+      expect(mockFillRfqForm).not.toHaveBeenCalled();
+      expect(mockReleaseBrowserContext).toHaveBeenCalledWith(mockLease);
+    });
+
+    it('should not require quote_details', async () => {
+      const response = await request(app)
+        .post('/puppeteer/inspect-form')
+        .set(validHeaders)
+        .send({})
+        .expect(400);
+
+      expect(response.body.errors).toEqual(['rfq_details is required']);
+    });
+  });
+
   describe('404 Not Found', () => {
     it('should return 404 for unknown endpoints', async () => {
       const response = await request(app)
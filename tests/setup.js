@@ -4,6 +4,7 @@
 process.env.NODE_ENV = 'test';
 process.env.PORT = '3001';
 process.env.PUPPETEER_LOG_LEVEL = 'error'; // Suppress logs during tests
+process.env.PUPPETEER_IDEMPOTENCY_STORE = 'memory';
 
 // Mock Supabase credentials for tests that need them
 process.env.SUPABASE_URL = 'https://test-project.supabase.co';
@@ -0,0 +1,152 @@
+/**
+ * Unit tests for admin auth middleware
+ */
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Admin Auth Middleware', () => {
+  const originalEnv = process.env;
+  let mockRes;
+  let mockNext;
+
+  function loadMiddleware(tokens, artifactTokens = '') {
+    jest.resetModules();
+    process.env = { ...originalEnv, PUPPETEER_ADMIN_TOKENS: tokens, PUPPETEER_ARTIFACT_TOKENS: artifactTokens };
+    return require('../../src/middleware/admin-auth');
+  }
+
+  function mockReq(authorization) {
+    return {
+      ip: '127.0.0.1',
+      originalUrl: '/puppeteer/admin/idempotency',
+      get: (name) => (name === 'Authorization' ? authorization : undefined)
+    };
+  }
+
+  beforeEach(() => {
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    mockNext = jest.fn();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('parseAdminTokens', () => {
+    it('should parse name:token pairs', () => {
+      const { parseAdminTokens } = loadMiddleware('');
+
+      expect(parseAdminTokens('alice:abc, ops-bot:def:ghi')).toEqual([
+        { name: 'alice', token: 'abc' },
+        { name: 'ops-bot', token: 'def:ghi' }
+      ]);
+    });
+
+    it('should ignore malformed entries', () => {
+      const { parseAdminTokens } = loadMiddleware('');
+
+      expect(parseAdminTokens('no-separator,:missing-name,missing-token:,,')).toEqual([]);
+      expect(parseAdminTokens()).toEqual([]);
+    });
+  });
+
+  describe('requireAdmin', () => {
+    it('should return 503 when no tokens are configured', () => {
+      const { requireAdmin } = loadMiddleware('');
+
+      requireAdmin()(mockReq('Bearer anything'), mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(503);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 without an Authorization header', () => {
+      const { requireAdmin } = loadMiddleware('alice:s3cret');
+
+      requireAdmin()(mockReq(undefined), mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 for an unknown token', () => {
+      const { requireAdmin } = loadMiddleware('alice:s3cret');
+
+      requireAdmin()(mockReq('Bearer wrong'), mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should log failed attempts', () => {
+      const { requireAdmin } = loadMiddleware('alice:s3cret');
+      const logger = require('../../src/utils/logger');
+
+      requireAdmin()(mockReq('Bearer wrong'), mockRes, mockNext);
+
+      expect(logger.warn).toHaveBeenCalledWith('Admin authentication failed',
+        expect.objectContaining({ ip: '127.0.0.1', hasToken: true }));
+    });
+
+    it('should accept a valid token and identify the caller', () => {
+      const { requireAdmin } = loadMiddleware('alice:s3cret,bob:t0ken');
+      const req = mockReq('Bearer t0ken');
+
+      requireAdmin()(req, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(req.adminUser).toBe('bob');
+    });
+
+    it('should accept a case-insensitive Bearer scheme', () => {
+      const { requireAdmin } = loadMiddleware('alice:s3cret');
+      const req = mockReq('bearer s3cret');
+
+      requireAdmin()(req, mockRes, mockNext);
+
+      expect(req.adminUser).toBe('alice');
+    });
+  });
+  describe('requireArtifactAccess', () => {
+    it('should return 503 when neither artifact nor admin tokens are configured', () => {
+      const { requireArtifactAccess } = loadMiddleware('', '');
+
+      requireArtifactAccess()(mockReq('Bearer anything'), mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(503);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: 'Artifact API not configured. Set PUPPETEER_ARTIFACT_TOKENS environment variable.'
+      }));
+    });
+
+    it('should accept artifact tokens and admin tokens', () => {
+      const { requireArtifactAccess } = loadMiddleware('alice:s3cret', 'ingest:t0ken');
+      const ingest = mockReq('Bearer t0ken');
+      const admin = mockReq('Bearer s3cret');
+
+      requireArtifactAccess()(ingest, mockRes, mockNext);
+      requireArtifactAccess()(admin, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledTimes(2);
+      expect(ingest.artifactUser).toBe('ingest');
+      expect(admin.artifactUser).toBe('alice');
+    });
+
+    it('should return 401 for an unknown token', () => {
+      const { requireArtifactAccess } = loadMiddleware('', 'ingest:t0ken');
+      const logger = require('../../src/utils/logger');
+
+      requireArtifactAccess()(mockReq('Bearer wrong'), mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(logger.warn).toHaveBeenCalledWith('Artifact authentication failed', expect.objectContaining({ hasToken: true }));
+    });
+  });
+});
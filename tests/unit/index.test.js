@@ -17,11 +17,21 @@ const mockSetShuttingDown = jest.fn();
 const mockGetShuttingDown = jest.fn().mockReturnValue(false);
 
 jest.mock('../../src/services/browser', () => ({
-  closeAllBrowsers: (...args) => mockCloseAllBrowsers(...args),
   setShuttingDown: (...args) => mockSetShuttingDown(...args),
   getShuttingDown: () => mockGetShuttingDown()
 }));
 
+jest.mock('../../src/services/browser-pool', () => ({
+  closeAllBrowsers: (...args) => mockCloseAllBrowsers(...args),
+  getPoolStats: () => ({ size: 1, targetSize: 1, busy: 0, idle: 1, retiring: 0, activeContexts: 0 })
+}));
+
+const mockCloseIdempotencyStore = jest.fn().mockResolvedValue(undefined);
+
+jest.mock('../../src/services/idempotency', () => ({
+  closeStore: (...args) => mockCloseIdempotencyStore(...args)
+}));
+
 jest.mock('../../src/routes/fill-rfq', () => {
   const router = require('express').Router();
   router.post('/', (req, res) => res.json({ success: true }));
@@ -66,6 +76,26 @@ describe('Puppeteer Router (src/index.js)', () => {
       expect(response.body.memory.unit).toBe('MB');
     });
 
+    it('should report browser pool stats', async () => {
+      const response = await request(app)
+        .get('/puppeteer/health')
+        .expect(200);
+
+      expect(response.body.browserPool).toEqual(expect.objectContaining({ size: 1, idle: 1, busy: 0 }));
+    });
+
+    it('should report session queue stats', async () => {
+      const response = await request(app)
+        .get('/puppeteer/health')
+        .expect(200);
+
+      expect(response.body.sessionQueue).toEqual(expect.objectContaining({
+        activeSessions: 0,
+        queueDepth: 0,
+        averageWaitMs: null
+      }));
+    });
+
     it('should report environment correctly', async () => {
       const response = await request(app)
         .get('/puppeteer/health')
@@ -136,6 +166,7 @@ describe('Puppeteer Router (src/index.js)', () => {
 
       expect(mockSetShuttingDown).toHaveBeenCalledWith(true);
       expect(mockCloseAllBrowsers).toHaveBeenCalled();
+      expect(mockCloseIdempotencyStore).toHaveBeenCalled();
     });
 
     it('should skip shutdown if already shutting down', async () => {
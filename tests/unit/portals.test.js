@@ -0,0 +1,366 @@
+/**
+ * Unit tests for portal profiles
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Portal Profiles', () => {
+  const originalEnv = process.env;
+  const ilsProfile = require('../../src/portals/ils.json');
+  let tmpDir;
+
+  function loadPortals(env = {}) {
+    jest.resetModules();
+    process.env = { ...originalEnv, ...env };
+    return require('../../src/portals');
+  }
+
+  function writeProfile(name, profile) {
+    fs.writeFileSync(path.join(tmpDir, name), typeof profile === 'string' ? profile : JSON.stringify(profile));
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'portals-'));
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('built-in profiles', () => {
+    it('should ship a valid ILS profile', () => {
+      const { validatePortalProfile, listPortals, getDefaultProfile } = loadPortals();
+
+      expect(validatePortalProfile(ilsProfile)).toEqual([]);
+      expect(listPortals()).toEqual(['ils']);
+      expect(getDefaultProfile().name).toBe('ils');
+    });
+
+    it('should return null for an unknown profile name', () => {
+      const { getPortalProfile } = loadPortals();
+
+      expect(getPortalProfile('ils').hosts).toContain('ilsmart.com');
+      expect(getPortalProfile('missing')).toBeNull();
+    });
+  });
+
+  describe('resolvePortalProfile', () => {
+    it('should prefer an explicit portal name', () => {
+      const { resolvePortalProfile } = loadPortals();
+
+      const { profile, matchedBy } = resolvePortalProfile({ portal: 'ils', url: 'https://example.com/rfq' });
+
+      expect(profile.name).toBe('ils');
+      expect(matchedBy).toBe('portal');
+    });
+
+    it('should return a null profile for an unknown explicit name', () => {
+      const { resolvePortalProfile } = loadPortals();
+
+      expect(resolvePortalProfile({ portal: 'nope', url: 'https://www.ilsmart.com/' }).profile).toBeNull();
+    });
+
+    it('should match the URL host and its subdomains', () => {
+      const { resolvePortalProfile } = loadPortals();
+
+      expect(resolvePortalProfile({ url: 'https://ilsmart.com/rfq' }).matchedBy).toBe('host');
+      expect(resolvePortalProfile({ url: 'https://WWW.ILSmart.com/rfq' }).matchedBy).toBe('host');
+    });
+
+    it('should not match look-alike hosts', () => {
+      const { resolvePortalProfile } = loadPortals();
+
+      expect(resolvePortalProfile({ url: 'https://notilsmart.com/rfq' }).matchedBy).toBe('default');
+    });
+
+    it('should fall back to the default profile', () => {
+      const { resolvePortalProfile } = loadPortals();
+
+      const { profile, matchedBy } = resolvePortalProfile({ url: 'https://example.com/rfq' });
+
+      expect(profile.name).toBe('ils');
+      expect(matchedBy).toBe('default');
+    });
+  });
+
+  describe('field helpers', () => {
+    it('should substitute the condition code into suffix templates', () => {
+      const { resolveSuffix } = loadPortals();
+
+      expect(resolveSuffix('txt{code}Qty1', 'SV')).toBe('txtSVQty1');
+      expect(resolveSuffix('quotePreparedBy', 'SV')).toBe('quotePreparedBy');
+    });
+
+    it('should apply declared formats', () => {
+      const { formatFieldValue } = loadPortals();
+
+      expect(formatFieldValue({ format: 'tag-date' }, '2024-01-15')).toBe('JAN-15-2024');
+      expect(formatFieldValue({}, '2024-01-15')).toBe('2024-01-15');
+    });
+  });
+
+  describe('resolveNoQuoteItem', () => {
+    it('should give the sentinel values and the item\'s reason, else the default', () => {
+      const { resolveNoQuoteItem } = loadPortals();
+
+      expect(resolveNoQuoteItem(ilsProfile, { part_no: 'A', conditionCode: 'OH', no_quote: true, no_quote_reason: 'Obsolete' }))
+        .toEqual({ part_no: 'A', conditionCode: 'OH', qty_available: '0', comments: 'Obsolete' });
+      expect(resolveNoQuoteItem(ilsProfile, { part_no: 'A', no_quote: true }))
+        .toEqual({ part_no: 'A', conditionCode: undefined, qty_available: '0', comments: 'No Quote' });
+    });
+
+    it('should need a noQuote block', () => {
+      const { resolveNoQuoteItem } = loadPortals();
+
+      expect(resolveNoQuoteItem({ ...ilsProfile, noQuote: undefined }, { no_quote: true })).toBeNull();
+      expect(resolveNoQuoteItem({ ...ilsProfile, noQuote: { checkbox: 'chk{code}NoQuote1' } }, { part_no: 'A', no_quote: true }))
+        .toEqual({ part_no: 'A', conditionCode: undefined });
+    });
+  });
+
+  describe('resolveRedaction', () => {
+    it('should be off unless asked for', () => {
+      const { resolveRedaction, getPortalProfile } = loadPortals();
+
+      expect(resolveRedaction(getPortalProfile('ils'), undefined)).toBeNull();
+      expect(resolveRedaction(getPortalProfile('ils'), false)).toBeNull();
+      expect(resolveRedaction({ ...ilsProfile, redaction: undefined }, true)).toBeNull();
+      expect(resolveRedaction(ilsProfile, { fields: [] })).toBeNull();
+    });
+
+    it('should use the profile\'s redaction block for true', () => {
+      const { resolveRedaction } = loadPortals();
+
+      expect(resolveRedaction(ilsProfile, true)).toEqual({ selectors: ['[id$="quotePreparedBy"]'], regions: [] });
+    });
+
+    it('should expand row fields to every condition code and radio option', () => {
+      const { resolveRedaction } = loadPortals();
+
+      const { selectors, regions } = resolveRedaction(ilsProfile, {
+        fields: ['price_usd', 'price_type'],
+        selectors: ['#contact'],
+        regions: [{ x: 0, y: 0, width: 10, height: 10 }]
+      });
+
+      expect(selectors).toHaveLength(16);
+      expect(selectors).toEqual(expect.arrayContaining(['[id$="txtNEPrice1"]', '[id$="txtARPrice1"]', '[id$="rbExchangeSV1"]', '#contact']));
+      expect(regions).toEqual([{ x: 0, y: 0, width: 10, height: 10 }]);
+    });
+
+    it('should reject fields the profile does not have', () => {
+      const { resolveRedaction } = loadPortals();
+
+      expect(() => resolveRedaction(ilsProfile, { fields: ['buyer_email'] }))
+        .toThrow('redact.fields contains unknown fields for portal ils: buyer_email');
+    });
+  });
+
+  describe('validatePortalProfile', () => {
+    it('should reject non-objects', () => {
+      const { validatePortalProfile } = loadPortals();
+
+      expect(validatePortalProfile(null)).toEqual(['profile must be an object']);
+    });
+
+    it('should report missing top-level sections', () => {
+      const { validatePortalProfile } = loadPortals();
+
+      const errors = validatePortalProfile({});
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'name is required',
+        'hosts must be an array',
+        'defaultConditionCode is required',
+        'rowDetection.strategy must be one of: header-text',
+        'rowFields is required',
+        'submit is required',
+        'cancel is required'
+      ]));
+    });
+
+    it('should report invalid fields, locators and expand settings', () => {
+      const { validatePortalProfile } = loadPortals();
+
+      const errors = validatePortalProfile({
+        ...ilsProfile,
+        rowDetection: { strategy: 'header-text', pattern: '(' },
+        rowFields: {
+          qty_available: { control: 'textarea', suffix: 'qty' },
+          price_type: { control: 'radio', options: {} },
+          lead_time: { control: 'input' },
+          tag_date: { control: 'input', suffix: 'date', format: 'iso' }
+        },
+        formFields: { supplier_comments: { control: 'select', suffix: 'c' } },
+        redaction: undefined,
+        noQuote: undefined,
+        expandConditions: { strategy: 'ajax', buttonText: [] },
+        submit: { text: 'send', match: 'fuzzy' }
+      });
+
+      expect(errors).toEqual([
+        'rowDetection.selector is required',
+        'rowDetection.pattern must be a valid regular expression',
+        'rowFields.qty_available.control must be one of: input, select, radio',
+        'rowFields.price_type.options must map values to id suffixes',
+        'rowFields.lead_time.suffix is required',
+        'rowFields.tag_date.format must be one of: tag-date',
+        'formFields.supplier_comments.control must be one of: input, textarea',
+        'expandConditions.strategy must be one of: postback',
+        'expandConditions.buttonSelector is required',
+        'expandConditions.buttonText must be a non-empty array',
+        'submit.selector is required',
+        'submit.text must be a non-empty array',
+        'submit.match must be one of: exact, contains'
+      ]);
+    });
+
+    it('should only accept string alias tables on select fields', () => {
+      const { validatePortalProfile } = loadPortals();
+
+      const errors = validatePortalProfile({
+        ...ilsProfile,
+        rowFields: {
+          traceability: { control: 'select', suffix: 'ddl', aliases: { '8130-3': 8130 } },
+          uom: { control: 'input', suffix: 'txt', aliases: { EA: 'Each' } },
+          qty_available: { control: 'select', suffix: 'qty', aliases: { one: '1' } }
+        },
+        noQuote: undefined
+      });
+
+      expect(errors).toEqual([
+        'rowFields.traceability.aliases must map values to option values or text on a select field',
+        'rowFields.uom.aliases must map values to option values or text on a select field'
+      ]);
+    });
+
+    it('should validate the confirmation block', () => {
+      const { validatePortalProfile } = loadPortals();
+
+      const errors = validatePortalProfile({
+        ...ilsProfile,
+        confirmation: { successPatterns: [], errorPatterns: ['(unclosed'], errorSelectors: '.error', timeoutMs: 0 }
+      });
+
+      expect(errors).toEqual([
+        'confirmation.errorPatterns contains an invalid regular expression: (unclosed',
+        'confirmation.errorSelectors must be an array',
+        'confirmation.successPatterns must be a non-empty array',
+        'confirmation.timeoutMs must be a positive integer'
+      ]);
+    });
+
+    it('should validate the client validation block', () => {
+      const { validatePortalProfile } = loadPortals();
+
+      const errors = validatePortalProfile({
+        ...ilsProfile,
+        clientValidation: { routine: 'window.alert()', summarySelector: ['.summary'] }
+      });
+
+      expect(errors).toEqual([
+        'clientValidation.routine must be the name of a global function',
+        'clientValidation.summarySelector must be a string'
+      ]);
+    });
+
+    it('should validate the redaction block', () => {
+      const { validatePortalProfile } = loadPortals();
+
+      expect(validatePortalProfile({ ...ilsProfile, redaction: { fields: ['buyer_email', 'price_usd'] } }))
+        .toEqual(['redaction.fields contains unknown fields: buyer_email']);
+      expect(validatePortalProfile({ ...ilsProfile, redaction: { selectors: '#contact', regions: [{ x: 0, y: 0, width: 0, height: 5 }] } }))
+        .toEqual([
+          'redaction.selectors must be an array of non-empty strings',
+          'redaction.regions must be an array of { x, y, width, height } with a positive width and height'
+        ]);
+    });
+
+    it('should validate the noQuote block', () => {
+      const { validatePortalProfile } = loadPortals();
+
+      expect(validatePortalProfile({ ...ilsProfile, noQuote: { checkbox: 'chk{code}NoQuote1' } })).toEqual([]);
+      expect(validatePortalProfile({ ...ilsProfile, noQuote: { values: { qty: '0' }, reasonField: 'traceability', defaultReason: 1 } }))
+        .toEqual([
+          'noQuote.values contains unknown row fields: qty',
+          'noQuote.reasonField must be an input row field',
+          'noQuote.defaultReason must be a string'
+        ]);
+      expect(validatePortalProfile({ ...ilsProfile, noQuote: { checkbox: '', values: [] } }))
+        .toEqual([
+          'noQuote.checkbox must be an id suffix',
+          'noQuote.values must map row fields to values'
+        ]);
+      expect(validatePortalProfile({ ...ilsProfile, noQuote: {} })).toEqual(['noQuote needs a checkbox or values']);
+    });
+
+    it('should treat expandConditions, formFields, redaction and noQuote as optional', () => {
+      const { validatePortalProfile } = loadPortals();
+      const {
+        expandConditions: _expand, formFields: _formFields, redaction: _redaction, noQuote: _noQuote, ...minimal
+      } = ilsProfile;
+
+      expect(validatePortalProfile(minimal)).toEqual([]);
+    });
+  });
+
+  describe('PUPPETEER_PORTAL_DIR', () => {
+    it('should load additional profiles from the directory', () => {
+      writeProfile('acme.json', { ...ilsProfile, name: 'acme', hosts: ['rfq.acme.example'] });
+      writeProfile('notes.txt', 'ignored');
+
+      const { listPortals, resolvePortalProfile } = loadPortals({ PUPPETEER_PORTAL_DIR: tmpDir });
+
+      expect(listPortals()).toEqual(['ils', 'acme']);
+      expect(resolvePortalProfile({ url: 'https://rfq.acme.example/q/1' }).profile.name).toBe('acme');
+    });
+
+    it('should let the directory override a built-in profile', () => {
+      writeProfile('ils.json', { ...ilsProfile, hosts: ['ils.example'] });
+
+      const { getPortalProfile } = loadPortals({ PUPPETEER_PORTAL_DIR: tmpDir });
+
+      expect(getPortalProfile('ils').hosts).toEqual(['ils.example']);
+    });
+
+    it('should fail to load when a profile is invalid', () => {
+      writeProfile('broken.json', { name: 'broken' });
+
+      expect(() => loadPortals({ PUPPETEER_PORTAL_DIR: tmpDir })).toThrow(/Invalid portal profile .*broken\.json: hosts must be an array/);
+    });
+
+    it('should fail to load when a profile is not valid JSON', () => {
+      writeProfile('truncated.json', '{"name": ');
+
+      expect(() => loadPortals({ PUPPETEER_PORTAL_DIR: tmpDir })).toThrow(/Invalid portal profile .*truncated\.json/);
+    });
+  });
+
+  describe('PUPPETEER_DEFAULT_PORTAL', () => {
+    it('should use the configured default profile', () => {
+      writeProfile('acme.json', { ...ilsProfile, name: 'acme', hosts: [] });
+
+      const { getDefaultProfile, DEFAULT_PORTAL } = loadPortals({
+        PUPPETEER_PORTAL_DIR: tmpDir,
+        PUPPETEER_DEFAULT_PORTAL: 'acme'
+      });
+
+      expect(DEFAULT_PORTAL).toBe('acme');
+      expect(getDefaultProfile().name).toBe('acme');
+    });
+
+    it('should fail to load when the default profile does not exist', () => {
+      expect(() => loadPortals({ PUPPETEER_DEFAULT_PORTAL: 'missing' })).toThrow('Unknown default portal "missing". Available: ils');
+    });
+  });
+});
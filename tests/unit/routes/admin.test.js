@@ -0,0 +1,230 @@
+/**
+ * Unit tests for admin route
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockGetRecord = jest.fn();
+const mockListRecords = jest.fn();
+const mockRemoveKey = jest.fn();
+const mockExpireKey = jest.fn();
+const mockGetStats = jest.fn();
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/middleware/admin-auth', () => ({
+  requireAdmin: () => (req, res, next) => {
+    if (req.get('Authorization') !== 'Bearer valid-token') {
+      return res.status(401).json({ success: false, error: 'Valid admin bearer token required' });
+    }
+    req.adminUser = 'alice';
+    next();
+  }
+}));
+
+jest.mock('../../../src/services/idempotency', () => ({
+  parseIdempotencyKey: jest.requireActual('../../../src/services/idempotency').parseIdempotencyKey,
+  getRecord: (...args) => mockGetRecord(...args),
+  listRecords: (...args) => mockListRecords(...args),
+  removeKey: (...args) => mockRemoveKey(...args),
+  expireKey: (...args) => mockExpireKey(...args),
+  getStats: (...args) => mockGetStats(...args)
+}));
+
+function createApp() {
+  const app = express();
+  app.use('/admin', require('../../../src/routes/admin'));
+  return app;
+}
+
+describe('Admin Route', () => {
+  let app;
+  const logger = require('../../../src/utils/logger');
+  const auth = { Authorization: 'Bearer valid-token' };
+  const key = 'rfq-123:prod:https://portal.example.com/rfq?id=9';
+  const encodedKey = encodeURIComponent(key);
+  const completedRecord = {
+    status: 'completed',
+    createdAt: Date.UTC(2024, 0, 1),
+    heartbeatAt: Date.UTC(2024, 0, 1, 0, 1),
+    ownerId: 'host-a:123:abcd',
+    result: { success: true, finalAction: 'FORM_SUBMITTED' },
+    error: null
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRemoveKey.mockResolvedValue(undefined);
+    app = createApp();
+  });
+
+  it('should require admin authentication', async () => {
+    await request(app).get('/admin/idempotency').expect(401);
+
+    expect(mockListRecords).not.toHaveBeenCalled();
+  });
+
+  describe('GET /admin/idempotency', () => {
+    it('should list records without stored results', async () => {
+      mockListRecords.mockResolvedValue([{ key, record: completedRecord }]);
+
+      const response = await request(app)
+        .get('/admin/idempotency')
+        .set(auth)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.records[0]).toEqual({
+        key,
+        rfqId: 'rfq-123',
+        mode: 'prod',
+        formUrl: 'https://portal.example.com/rfq?id=9',
+        status: 'completed',
+        createdAt: '2024-01-01T00:00:00.000Z',
+        heartbeatAt: '2024-01-01T00:01:00.000Z',
+        ownerId: 'host-a:123:abcd',
+        error: null,
+        submissionMayHaveOccurred: false,
+        hasResult: true
+      });
+    });
+
+    it('should pass filters to the service', async () => {
+      mockListRecords.mockResolvedValue([]);
+
+      await request(app)
+        .get('/admin/idempotency?rfqId=rfq-123&status=completed&mode=prod')
+        .set(auth)
+        .expect(200);
+
+      expect(mockListRecords).toHaveBeenCalledWith({ rfqId: 'rfq-123', status: 'completed', mode: 'prod' });
+    });
+
+    it('should reject an unknown status filter', async () => {
+      const response = await request(app)
+        .get('/admin/idempotency?status=done')
+        .set(auth)
+        .expect(400);
+
+      expect(response.body.error).toContain('status must be one of');
+    });
+
+    it('should reject an unknown mode filter', async () => {
+      await request(app)
+        .get('/admin/idempotency?mode=staging')
+        .set(auth)
+        .expect(400);
+    });
+  });
+
+  describe('GET /admin/idempotency/stats', () => {
+    it('should return idempotency stats', async () => {
+      const stats = { store: 'memory', totalKeys: 2, processing: 1, completed: 1, failed: 0, abandoned: 0 };
+      mockGetStats.mockResolvedValue(stats);
+
+      const response = await request(app)
+        .get('/admin/idempotency/stats')
+        .set(auth)
+        .expect(200);
+
+      expect(response.body.stats).toEqual(stats);
+    });
+  });
+
+  describe('GET /admin/idempotency/:key', () => {
+    it('should return the record with its stored result', async () => {
+      mockGetRecord.mockResolvedValue(completedRecord);
+
+      const response = await request(app)
+        .get(`/admin/idempotency/${encodedKey}`)
+        .set(auth)
+        .expect(200);
+
+      expect(mockGetRecord).toHaveBeenCalledWith(key);
+      expect(response.body.record.result).toEqual(completedRecord.result);
+    });
+
+    it('should return 404 for an unknown key', async () => {
+      mockGetRecord.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get(`/admin/idempotency/${encodedKey}`)
+        .set(auth)
+        .expect(404);
+
+      expect(response.body.key).toBe(key);
+    });
+  });
+
+  describe('DELETE /admin/idempotency/:key', () => {
+    it('should delete an existing record', async () => {
+      mockGetRecord.mockResolvedValue(completedRecord);
+
+      const response = await request(app)
+        .delete(`/admin/idempotency/${encodedKey}`)
+        .set(auth)
+        .expect(200);
+
+      expect(mockRemoveKey).toHaveBeenCalledWith(key);
+      expect(response.body.previousStatus).toBe('completed');
+    });
+
+    it('should return 404 for an unknown key', async () => {
+      mockGetRecord.mockResolvedValue(null);
+
+      await request(app)
+        .delete(`/admin/idempotency/${encodedKey}`)
+        .set(auth)
+        .expect(404);
+
+      expect(mockRemoveKey).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /admin/idempotency/:key/expire', () => {
+    it('should force-expire an existing record', async () => {
+      mockExpireKey.mockResolvedValue(true);
+
+      const response = await request(app)
+        .post(`/admin/idempotency/${encodedKey}/expire`)
+        .set(auth)
+        .expect(200);
+
+      expect(mockExpireKey).toHaveBeenCalledWith(key);
+      expect(response.body.expired).toBe(true);
+    });
+
+    it('should return 404 for an unknown key', async () => {
+      mockExpireKey.mockResolvedValue(false);
+
+      await request(app)
+        .post(`/admin/idempotency/${encodedKey}/expire`)
+        .set(auth)
+        .expect(404);
+    });
+  });
+
+  describe('audit logging', () => {
+    it('should log each action with the caller identity', async () => {
+      mockGetRecord.mockResolvedValue(completedRecord);
+
+      await request(app)
+        .delete(`/admin/idempotency/${encodedKey}`)
+        .set(auth)
+        .expect(200);
+
+      expect(logger.info).toHaveBeenCalledWith('Admin action', expect.objectContaining({
+        admin: 'alice',
+        action: 'delete_idempotency',
+        key,
+        previousStatus: 'completed'
+      }));
+    });
+  });
+});
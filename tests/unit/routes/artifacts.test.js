@@ -0,0 +1,121 @@
+/**
+ * Unit tests for artifacts route
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockRefreshArtifactUrl = jest.fn();
+const mockIsConfigured = jest.fn();
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/middleware/admin-auth', () => ({
+  requireArtifactAccess: () => (req, res, next) => {
+    if (req.get('Authorization') !== 'Bearer valid-token') {
+      return res.status(401).json({ success: false, error: 'Valid bearer token required' });
+    }
+    req.artifactUser = 'ingest';
+    next();
+  }
+}));
+
+jest.mock('../../../src/services/screenshot', () => ({
+  refreshArtifactUrl: (...args) => mockRefreshArtifactUrl(...args),
+  isConfigured: () => mockIsConfigured(),
+  getConfigError: () => 'Supabase not configured. Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables.'
+}));
+
+function createApp() {
+  const app = express();
+  app.use('/artifacts', require('../../../src/routes/artifacts'));
+  return app;
+}
+
+describe('Artifacts Route', () => {
+  let app;
+  const logger = require('../../../src/utils/logger');
+  const auth = { Authorization: 'Bearer valid-token' };
+  const fresh = {
+    url: 'https://test-project.supabase.co/storage/v1/object/sign/rfq-artifacts/screenshots/rfq-123/rfq-filled-1.png?token=t',
+    url_expires_at: '2026-01-01T01:00:00.000Z',
+    storage_path: 'screenshots/rfq-123/rfq-filled-1.png'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockIsConfigured.mockReturnValue(true);
+    mockRefreshArtifactUrl.mockResolvedValue(fresh);
+    app = createApp();
+  });
+
+  it('should require a token', async () => {
+    await request(app).get('/artifacts/rfq-123/rfq-filled-1.png').expect(401);
+
+    expect(mockRefreshArtifactUrl).not.toHaveBeenCalled();
+  });
+
+  it('should mint a fresh URL for the artifact', async () => {
+    const response = await request(app)
+      .get('/artifacts/rfq-123/rfq-filled-1.png')
+      .set(auth)
+      .expect(200);
+
+    expect(mockRefreshArtifactUrl).toHaveBeenCalledWith('rfq-123', 'rfq-filled-1.png', undefined);
+    expect(response.body).toEqual({ success: true, rfqId: 'rfq-123', file: 'rfq-filled-1.png', ...fresh });
+    expect(logger.info).toHaveBeenCalledWith('Artifact URL issued', expect.objectContaining({ caller: 'ingest' }));
+  });
+
+  it('should pass the upload date through for dated path templates', async () => {
+    await request(app).get('/artifacts/rfq-123/a.png?date=2026-01-02').set(auth).expect(200);
+
+    expect(mockRefreshArtifactUrl).toHaveBeenCalledWith('rfq-123', 'a.png', '2026-01-02');
+  });
+
+  it.each([
+    ['/artifacts/..%2Fsecrets/a.png', 'rfqId'],
+    ['/artifacts/rfq-123/.hidden', 'file'],
+    ['/artifacts/rfq-123/a%20b.png', 'file']
+  ])('should reject %s', async (path) => {
+    const response = await request(app).get(path).set(auth).expect(400);
+
+    expect(response.body.error).toContain('must be plain names');
+    expect(mockRefreshArtifactUrl).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 for an artifact that is not stored', async () => {
+    mockRefreshArtifactUrl.mockResolvedValue(null);
+
+    const response = await request(app).get('/artifacts/rfq-123/rfq-filled-9.png').set(auth).expect(404);
+
+    expect(response.body).toEqual({ success: false, error: 'Artifact not found' });
+    expect(logger.info).not.toHaveBeenCalledWith('Artifact URL issued', expect.anything());
+  });
+
+  it('should reject a malformed date', async () => {
+    const response = await request(app).get('/artifacts/rfq-123/a.png?date=yesterday').set(auth).expect(400);
+
+    expect(response.body.error).toBe('date must be YYYY-MM-DD');
+  });
+
+  it('should return 503 when storage is not configured', async () => {
+    mockIsConfigured.mockReturnValue(false);
+
+    const response = await request(app).get('/artifacts/rfq-123/a.png').set(auth).expect(503);
+
+    expect(response.body.error).toContain('Supabase not configured');
+  });
+
+  it('should return 500 when the store cannot produce a URL', async () => {
+    mockRefreshArtifactUrl.mockRejectedValue(new Error('Supabase URL signing failed: 400 - Object not found'));
+
+    const response = await request(app).get('/artifacts/rfq-123/a.png').set(auth).expect(500);
+
+    expect(response.body).toEqual({ success: false, error: 'Supabase URL signing failed: 400 - Object not found' });
+  });
+});
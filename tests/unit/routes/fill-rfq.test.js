@@ -6,22 +6,31 @@ const express = require('express');
 const request = require('supertest');
 
 // Mocks
-const mockLaunchBrowser = jest.fn();
+const mockAcquireBrowserContext = jest.fn();
 const mockSetupPage = jest.fn();
-const mockCloseBrowser = jest.fn();
+const mockReleaseBrowserContext = jest.fn();
 const mockGetShuttingDown = jest.fn().mockReturnValue(false);
 const mockFillRfqForm = jest.fn().mockResolvedValue(undefined);
 const mockCancelFormSubmission = jest.fn().mockResolvedValue(undefined);
 const mockSubmitForm = jest.fn().mockResolvedValue(true);
+const mockFindMissingTargets = jest.fn();
 const mockDelay = jest.fn().mockResolvedValue(undefined);
 const mockCaptureAndUploadScreenshot = jest.fn();
+const mockCaptureAndUploadArchives = jest.fn();
+const mockBuildAnnotations = jest.fn();
+const mockCaptureAnnotatedScreenshot = jest.fn();
+const mockCaptureRedactedScreenshot = jest.fn();
 const mockIsConfigured = jest.fn().mockReturnValue(true);
 const mockGenerateIdempotencyKey = jest.fn().mockReturnValue('test-key');
 const mockCheckIdempotency = jest.fn().mockReturnValue(null);
 const mockStartProcessing = jest.fn().mockReturnValue(true);
 const mockMarkCompleted = jest.fn();
 const mockMarkFailed = jest.fn();
+const mockMarkUnconfirmed = jest.fn();
 const mockRemoveKey = jest.fn();
+const mockMarkSubmitting = jest.fn();
+const mockStartHeartbeat = jest.fn();
+const mockStopHeartbeat = jest.fn();
 
 jest.mock('../../../src/utils/logger', () => ({
   info: jest.fn(),
@@ -31,7 +40,10 @@ jest.mock('../../../src/utils/logger', () => ({
 }));
 
 jest.mock('../../../src/utils/validation', () => ({
-  validateRfqRequest: jest.requireActual('../../../src/utils/validation').validateRfqRequest
+  validateRfqRequest: jest.requireActual('../../../src/utils/validation').validateRfqRequest,
+  validateRedactionSpec: jest.requireActual('../../../src/utils/validation').validateRedactionSpec,
+  validateOfferRows: jest.requireActual('../../../src/utils/validation').validateOfferRows,
+  VALID_CONDITION_CODES: jest.requireActual('../../../src/utils/validation').VALID_CONDITION_CODES
 }));
 
 jest.mock('../../../src/middleware/rate-limiter', () => ({
@@ -39,24 +51,33 @@ jest.mock('../../../src/middleware/rate-limiter', () => ({
 }));
 
 jest.mock('../../../src/services/browser', () => ({
-  launchBrowser: (...args) => mockLaunchBrowser(...args),
   setupPage: (...args) => mockSetupPage(...args),
-  closeBrowser: (...args) => mockCloseBrowser(...args),
   getShuttingDown: () => mockGetShuttingDown(),
   DEFAULT_TIMEOUT: 120000,
   VIEWPORT: { width: 1920, height: 1080 }
 }));
 
+jest.mock('../../../src/services/browser-pool', () => ({
+  acquireBrowserContext: (...args) => mockAcquireBrowserContext(...args),
+  releaseBrowserContext: (...args) => mockReleaseBrowserContext(...args)
+}));
+
 jest.mock('../../../src/services/form-filler', () => ({
   fillRfqForm: (...args) => mockFillRfqForm(...args),
   cancelFormSubmission: (...args) => mockCancelFormSubmission(...args),
   submitForm: (...args) => mockSubmitForm(...args),
+  findMissingTargets: (...args) => mockFindMissingTargets(...args),
   delay: (...args) => mockDelay(...args)
 }));
 
 jest.mock('../../../src/services/screenshot', () => ({
   captureAndUploadScreenshot: (...args) => mockCaptureAndUploadScreenshot(...args),
-  isConfigured: () => mockIsConfigured()
+  captureAndUploadArchives: (...args) => mockCaptureAndUploadArchives(...args),
+  buildAnnotations: (...args) => mockBuildAnnotations(...args),
+  captureAnnotatedScreenshot: (...args) => mockCaptureAnnotatedScreenshot(...args),
+  captureRedactedScreenshot: (...args) => mockCaptureRedactedScreenshot(...args),
+  isConfigured: () => mockIsConfigured(),
+  getConfigError: () => 'Supabase not configured. Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables.'
 }));
 
 const mockValidateAndCorrect = jest.fn();
@@ -65,15 +86,53 @@ jest.mock('../../../src/services/form-validator', () => ({
   validateAndCorrect: (...args) => mockValidateAndCorrect(...args),
 }));
 
+const mockCaptureFormSnapshot = jest.fn();
+const mockUploadFormSnapshots = jest.fn();
+
+jest.mock('../../../src/services/form-snapshot', () => ({
+  captureFormSnapshot: (...args) => mockCaptureFormSnapshot(...args),
+  diffFormSnapshots: jest.requireActual('../../../src/services/form-snapshot').diffFormSnapshots,
+  uploadFormSnapshots: (...args) => mockUploadFormSnapshots(...args)
+}));
+
+const mockConfirmSubmission = jest.fn();
+const mockReadEvidence = jest.fn();
+
+jest.mock('../../../src/services/submission-confirmation', () => ({
+  confirmSubmission: (...args) => mockConfirmSubmission(...args),
+  readEvidence: (...args) => mockReadEvidence(...args)
+}));
+
 jest.mock('../../../src/services/idempotency', () => ({
   generateIdempotencyKey: (...args) => mockGenerateIdempotencyKey(...args),
   checkIdempotency: (...args) => mockCheckIdempotency(...args),
   startProcessing: (...args) => mockStartProcessing(...args),
   markCompleted: (...args) => mockMarkCompleted(...args),
   markFailed: (...args) => mockMarkFailed(...args),
+  markUnconfirmed: (...args) => mockMarkUnconfirmed(...args),
+  markSubmitting: (...args) => mockMarkSubmitting(...args),
+  startHeartbeat: (...args) => mockStartHeartbeat(...args),
   removeKey: (...args) => mockRemoveKey(...args)
 }));
 
+const mockDeliverCallback = jest.fn();
+const mockIsWebhookConfigured = jest.fn().mockReturnValue(true);
+
+jest.mock('../../../src/services/webhook', () => ({
+  deliverCallback: (...args) => mockDeliverCallback(...args),
+  isConfigured: () => mockIsWebhookConfigured()
+}));
+
+const mockEnqueueSession = jest.fn();
+const mockIsQueueFull = jest.fn().mockReturnValue(false);
+const mockGetRetryAfterSeconds = jest.fn();
+
+jest.mock('../../../src/services/session-queue', () => ({
+  enqueueSession: (...args) => mockEnqueueSession(...args),
+  isQueueFull: () => mockIsQueueFull(),
+  getRetryAfterSeconds: () => mockGetRetryAfterSeconds()
+}));
+
 function createApp() {
   const app = express();
   app.use(express.json());
@@ -84,7 +143,7 @@ function createApp() {
 describe('Fill RFQ Route', () => {
   let app;
   let mockPage;
-  let mockBrowser;
+  let mockLease;
 
   const validPayload = {
     rfq_details: { quote_submission_url: 'https://example.com/rfq-form' },
@@ -107,26 +166,43 @@ describe('Fill RFQ Route', () => {
       waitForNetworkIdle: jest.fn().mockResolvedValue(undefined),
       close: jest.fn().mockResolvedValue(undefined)
     };
-    mockBrowser = { close: jest.fn().mockResolvedValue(undefined) };
+    mockLease = { context: { newPage: jest.fn() }, browserId: 1, requestId: 'lease-request' };
 
     mockGetShuttingDown.mockReturnValue(false);
     mockIsConfigured.mockReturnValue(true);
     mockGenerateIdempotencyKey.mockReturnValue('test-key');
-    mockLaunchBrowser.mockResolvedValue(mockBrowser);
+    mockAcquireBrowserContext.mockResolvedValue(mockLease);
     mockSetupPage.mockResolvedValue(mockPage);
-    mockCloseBrowser.mockResolvedValue(undefined);
-    mockFillRfqForm.mockResolvedValue(undefined);
+    mockReleaseBrowserContext.mockResolvedValue(undefined);
+    mockFillRfqForm.mockResolvedValue({ fields: [], dropdowns: [], errors: [], unmatched_items: [], row_plan: null });
+    mockFindMissingTargets.mockReturnValue({ parts: [], fields: [] });
     mockCancelFormSubmission.mockResolvedValue(undefined);
     mockSubmitForm.mockResolvedValue(true);
+    mockReadEvidence.mockResolvedValue([]);
+    mockCaptureFormSnapshot.mockResolvedValue({ captured_at: new Date().toISOString(), url: 'https://example.com/rfq-form', fields: [] });
+    mockUploadFormSnapshots.mockResolvedValue([]);
+    mockConfirmSubmission.mockResolvedValue({
+      submission_confirmed: true,
+      evidence: [{ type: 'success', source: 'text', pattern: 'thank you', text: 'Thank you' }],
+      url: 'https://example.com/thanks',
+      duration_ms: 800
+    });
     mockDelay.mockResolvedValue(undefined);
     mockCheckIdempotency.mockReturnValue(null);
     mockStartProcessing.mockReturnValue(true);
+    mockStartHeartbeat.mockReturnValue(mockStopHeartbeat);
     mockCaptureAndUploadScreenshot.mockResolvedValue({
       url: 'https://test.supabase.co/screenshot.png',
       type: 'filled',
       captured_at: new Date().toISOString(),
       storage_path: 'screenshots/test.png'
     });
+    mockCaptureAndUploadArchives.mockResolvedValue([]);
+    mockIsWebhookConfigured.mockReturnValue(true);
+    mockDeliverCallback.mockResolvedValue({ delivered: true, attempts: 1, status: 200 });
+    mockEnqueueSession.mockImplementation((requestId, task) => task());
+    mockIsQueueFull.mockReturnValue(false);
+    mockGetRetryAfterSeconds.mockReturnValue(120);
     mockValidateAndCorrect.mockResolvedValue({
       status: 'pass',
       source: 'payload',
@@ -134,6 +210,7 @@ describe('Fill RFQ Route', () => {
       fields_checked: 9,
       mismatches_found: [],
       correction_attempts: 0,
+      client_validation: { ran: true, errors: [], summary: [] },
       duration_ms: 50,
     });
   });
@@ -263,6 +340,138 @@ describe('Fill RFQ Route', () => {
       expect(mockRemoveKey).toHaveBeenCalled();
     });
 
+    it('should reject abandoned production runs that may have submitted', async () => {
+      mockCheckIdempotency.mockReturnValue({
+        status: 'abandoned',
+        submissionMayHaveOccurred: true,
+        ownerId: 'host-a:123:abcd'
+      });
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: false })
+        .expect(409);
+
+      expect(response.body.existingStatus).toBe('abandoned');
+      expect(response.body.submissionMayHaveOccurred).toBe(true);
+      expect(mockRemoveKey).not.toHaveBeenCalled();
+      expect(mockAcquireBrowserContext).not.toHaveBeenCalled();
+    });
+
+    it('should reject production runs the portal did not confirm', async () => {
+      mockCheckIdempotency.mockReturnValue({ status: 'unconfirmed', submissionMayHaveOccurred: true });
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: false })
+        .expect(409);
+
+      expect(response.body.existingStatus).toBe('unconfirmed');
+      expect(response.body.error).toContain('not confirmed by the portal');
+      expect(mockRemoveKey).not.toHaveBeenCalled();
+      expect(mockAcquireBrowserContext).not.toHaveBeenCalled();
+    });
+
+    it('should retry abandoned production runs that never reached submit', async () => {
+      mockCheckIdempotency.mockReturnValue({ status: 'abandoned', submissionMayHaveOccurred: false });
+
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: false })
+        .expect(200);
+
+      expect(mockRemoveKey).toHaveBeenCalledWith('test-key');
+    });
+
+    it('should retry abandoned test mode runs', async () => {
+      mockCheckIdempotency.mockReturnValue({ status: 'abandoned', submissionMayHaveOccurred: true });
+
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: true })
+        .expect(200);
+
+      expect(mockRemoveKey).toHaveBeenCalledWith('test-key');
+    });
+
+    it('should heartbeat the processing record for the whole session', async () => {
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(200);
+
+      expect(mockStartHeartbeat).toHaveBeenCalledWith('test-key');
+      expect(mockStopHeartbeat).toHaveBeenCalled();
+    });
+
+    it('should mark the record as submitting before the production Send click', async () => {
+      mockSubmitForm.mockImplementation(async () => {
+        expect(mockMarkSubmitting).toHaveBeenCalledWith('test-key');
+        return true;
+      });
+
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: false })
+        .expect(200);
+
+      expect(mockSubmitForm).toHaveBeenCalled();
+    });
+
+    it('should not mark test mode runs as submitting', async () => {
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(200);
+
+      expect(mockMarkSubmitting).not.toHaveBeenCalled();
+    });
+
+    it('should return 503 when the idempotency store is unreachable', async () => {
+      mockCheckIdempotency.mockRejectedValue(new Error('Redis connection closed'));
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(503);
+
+      expect(response.body.error).toContain('Idempotency store unavailable');
+      expect(mockAcquireBrowserContext).not.toHaveBeenCalled();
+    });
+
+    it('should return 503 when removing a stale key fails', async () => {
+      mockCheckIdempotency.mockResolvedValue({ status: 'failed' });
+      mockRemoveKey.mockRejectedValue(new Error('Redis connection closed'));
+
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(503);
+
+      expect(mockStartProcessing).not.toHaveBeenCalled();
+    });
+
+    it('should return 503 when the processing record cannot be written', async () => {
+      mockStartProcessing.mockRejectedValue(new Error('Redis connection closed'));
+
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(503);
+
+      expect(mockAcquireBrowserContext).not.toHaveBeenCalled();
+    });
+
     it('should return 409 on race condition', async () => {
       mockStartProcessing.mockReturnValue(false);
 
@@ -304,216 +513,1087 @@ describe('Fill RFQ Route', () => {
       expect(response.body.validation).toBeDefined();
       expect(response.body.validation.status).toBe('pass');
     });
-  });
 
-  describe('successful form fill - production mode', () => {
-    it('should fill form and submit in production mode', async () => {
+    it('should include the fill report with the field ledger, dropdown resolutions and field errors', async () => {
+      const fillReport = {
+        fields: [
+          {
+            part_no: 'TEST-001', condition_code: 'NE', row_index: 0, field: 'qty_available',
+            element_id: 'ctl00_txtNEQty1', value: '100', status: 'filled', duration_ms: 12
+          },
+          {
+            part_no: 'TEST-002', condition_code: 'NE', row_index: 1, field: 'traceability',
+            element_id: 'ctl00_ddlNETraceability1', value: null, status: 'error', duration_ms: 8, error: 'no_matching_option'
+          }
+        ],
+        dropdowns: [{
+          part_no: 'TEST-001', condition_code: 'NE', row_index: 0, field: 'traceability',
+          requested: 'FAA 8130-3', option: { value: '8130', text: '8130' }, method: 'alias'
+        }],
+        errors: [{
+          part_no: 'TEST-002', condition_code: 'NE', row_index: 1, field: 'traceability',
+          requested: 'EASA Form 1', error: 'no_matching_option', available_options: [{ value: '8130', text: '8130' }]
+        }]
+      };
+      mockFillRfqForm.mockResolvedValue(fillReport);
+
       const response = await request(app)
         .post('/fill-rfq')
         .set(validHeaders)
-        .send({ ...validPayload, isTestMode: false })
+        .send(validPayload)
         .expect(200);
 
-      expect(response.body.success).toBe(true);
-      expect(response.body.finalAction).toBe('FORM_SUBMITTED');
-      expect(response.body.isTestMode).toBe(false);
-      expect(mockSubmitForm).toHaveBeenCalled();
-      expect(mockCancelFormSubmission).not.toHaveBeenCalled();
+      expect(response.body.fill_report).toEqual(fillReport);
+      expect(mockMarkCompleted).toHaveBeenCalledWith('test-key', expect.objectContaining({ fill_report: fillReport }));
     });
 
-    it('should return 500 when submit fails in production', async () => {
-      mockSubmitForm.mockResolvedValue(false);
+    it('should validate the rows the fill resolved', async () => {
+      const rowPlan = {
+        strategy: 'part_number',
+        row_source: 'dom',
+        part_numbers: ['TEST-001'],
+        items: [{ item_index: 0, part_no: 'TEST-001', condition_code: 'NE', row_index: 0, skip_reason: null }]
+      };
+      mockFillRfqForm.mockResolvedValue({ fields: [], dropdowns: [], errors: [], unmatched_items: [], row_plan: rowPlan });
 
       const response = await request(app)
         .post('/fill-rfq')
         .set(validHeaders)
-        .send({ ...validPayload, isTestMode: false })
-        .expect(500);
+        .send(validPayload)
+        .expect(200);
 
-      expect(response.body.finalAction).toBe('FORM_SUBMISSION_FAILED');
-      expect(mockMarkFailed).toHaveBeenCalled();
+      expect(mockValidateAndCorrect).toHaveBeenCalledWith(
+        mockPage, validPayload.quote_details, expect.any(String), undefined, expect.any(Object), rowPlan
+      );
+      expect(response.body.fill_report.row_plan).toEqual(rowPlan);
     });
   });
 
-  describe('navigation', () => {
-    it('should retry navigation on failure', async () => {
-      mockPage.goto
-        .mockRejectedValueOnce(new Error('Nav failed'))
-        .mockRejectedValueOnce(new Error('Nav failed'))
-        .mockResolvedValueOnce({ status: () => 200 });
-
-      const response = await request(app)
-        .post('/fill-rfq')
-        .set(validHeaders)
-        .send(validPayload)
-        .expect(200);
+  describe('strict mode', () => {
+    const missing = {
+      parts: [{ part_no: 'TEST-002', condition_code: 'NE' }],
+      fields: [{ part_no: 'TEST-001', condition_code: 'NE', field: 'min_qty', status: 'not_found', error: 'No input' }]
+    };
 
-      expect(response.body.success).toBe(true);
-      expect(mockSetupPage).toHaveBeenCalledTimes(3); // initial + 2 retries
+    beforeEach(() => {
+      mockFindMissingTargets.mockReturnValue(missing);
     });
 
-    it('should fail after 3 navigation attempts', async () => {
-      mockPage.goto.mockRejectedValue(new Error('Nav failed'));
-
+    it('should abort a production run with 422 before screenshots and submission', async () => {
       const response = await request(app)
         .post('/fill-rfq')
         .set(validHeaders)
-        .send(validPayload)
-        .expect(500);
+        .send({ ...validPayload, isTestMode: false })
+        .expect(422);
 
-      expect(response.body.error).toContain('Failed to navigate after 3 attempts');
-      expect(mockMarkFailed).toHaveBeenCalled();
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('Strict fill aborted: 1 part(s) without a form row, 1 field(s) not filled');
+      expect(response.body.missing).toEqual(missing);
+      expect(response.body.fill_report).toBeDefined();
+      expect(mockCaptureAndUploadScreenshot).not.toHaveBeenCalled();
+      expect(mockSubmitForm).not.toHaveBeenCalled();
+      expect(mockMarkFailed).toHaveBeenCalledWith('test-key', response.body.error);
+      expect(mockReleaseBrowserContext).toHaveBeenCalledWith(mockLease);
     });
 
-    it('should handle network idle timeout gracefully', async () => {
-      mockPage.waitForNetworkIdle.mockRejectedValue(new Error('Timeout'));
-
-      const response = await request(app)
+    it('should not be strict in test mode by default', async () => {
+      await request(app)
         .post('/fill-rfq')
         .set(validHeaders)
         .send(validPayload)
         .expect(200);
 
-      expect(response.body.success).toBe(true);
+      expect(mockFindMissingTargets).not.toHaveBeenCalled();
     });
 
-    it('should handle null navigation response', async () => {
-      mockPage.goto.mockResolvedValue(null);
-
-      const response = await request(app)
+    it('should honour an explicit strict flag in test mode', async () => {
+      await request(app)
         .post('/fill-rfq')
         .set(validHeaders)
-        .send(validPayload)
-        .expect(200);
+        .send({ ...validPayload, strict: true })
+        .expect(422);
 
-      expect(response.body.success).toBe(true);
+      expect(mockCancelFormSubmission).not.toHaveBeenCalled();
     });
-  });
-
-  describe('conditionCode integration', () => {
-    it('should pass items with conditionCode to fillRfqForm', async () => {
-      const payload = {
-        rfq_details: { quote_submission_url: 'https://example.com/rfq-form' },
-        quote_details: {
-          items: [
-            { conditionCode: 'NE', qty_available: '10', price_usd: '25.00' },
-            { conditionCode: 'SV', qty_available: '5', price_usd: '900.00' }
-          ]
-        }
-      };
 
+    it('should let a production run opt out of strict mode', async () => {
       await request(app)
         .post('/fill-rfq')
         .set(validHeaders)
-        .send(payload)
+        .send({ ...validPayload, isTestMode: false, strict: false })
         .expect(200);
 
-      expect(mockFillRfqForm).toHaveBeenCalledWith(
-        expect.anything(),
-        payload.quote_details,
-        expect.any(String)
-      );
+      expect(mockSubmitForm).toHaveBeenCalled();
     });
 
-    it('should accept items without conditionCode (defaults to NE)', async () => {
+    it('should submit a complete production fill', async () => {
+      mockFindMissingTargets.mockReturnValue({ parts: [], fields: [] });
+
       await request(app)
         .post('/fill-rfq')
         .set(validHeaders)
-        .send(validPayload)
+        .send({ ...validPayload, isTestMode: false })
         .expect(200);
 
-      expect(mockFillRfqForm).toHaveBeenCalled();
+      expect(mockSubmitForm).toHaveBeenCalled();
     });
 
-    it('should return 400 for invalid conditionCode in items', async () => {
+    it('should reject a non-boolean strict flag', async () => {
       const response = await request(app)
         .post('/fill-rfq')
         .set(validHeaders)
-        .send({
-          rfq_details: { quote_submission_url: 'https://example.com/rfq-form' },
-          quote_details: {
-            items: [{ conditionCode: 'XX', qty_available: '10' }]
-          }
-        })
+        .send({ ...validPayload, strict: 'yes' })
         .expect(400);
 
-      expect(response.body.errors[0]).toContain('must be one of');
+      expect(response.body.errors).toContain('strict must be a boolean');
     });
+  });
 
-    it('should accept all valid condition codes in items', async () => {
-      const payload = {
-        rfq_details: { quote_submission_url: 'https://example.com/rfq-form' },
-        quote_details: {
-          items: [
-            { conditionCode: 'NE', qty_available: '1' },
-            { conditionCode: 'NS', qty_available: '2' },
-            { conditionCode: 'OH', qty_available: '3' },
-            { conditionCode: 'SV', qty_available: '4' },
-            { conditionCode: 'AR', qty_available: '5' }
-          ]
-        }
+  describe('form validation', () => {
+    const clientError = {
+      message: 'Price is required',
+      validator_id: 'rfvPrice',
+      element_id: 'rptParts_ctl01_txtNEPrice1',
+      field: 'price_usd',
+      suffix: 'txtNEPrice1',
+      condition_code: 'NE',
+      row_index: 0,
+      part_no: 'TEST-001'
+    };
+
+    function failedReport(overrides) {
+      return {
+        status: 'fail',
+        source: 'payload',
+        items_validated: 1,
+        fields_checked: 9,
+        mismatches_found: [],
+        correction_attempts: 0,
+        client_validation: { ran: true, errors: [], summary: [] },
+        duration_ms: 50,
+        ...overrides
       };
+    }
 
-      await request(app)
+    it('should block production submission on uncorrected mismatches', async () => {
+      mockValidateAndCorrect.mockResolvedValue(failedReport({
+        mismatches_found: [{ item_index: 0, part_no: 'TEST-001', field: 'qty_available', expected: '100', actual: '1' }],
+        correction_attempts: 2
+      }));
+
+      const response = await request(app)
         .post('/fill-rfq')
         .set(validHeaders)
-        .send(payload)
-        .expect(200);
+        .send({ ...validPayload, isTestMode: false })
+        .expect(500);
 
-      expect(mockFillRfqForm).toHaveBeenCalled();
+      expect(response.body.error).toBe('Form validation failed - data mismatch could not be corrected');
+      expect(mockSubmitForm).not.toHaveBeenCalled();
     });
-  });
 
-  describe('error handling', () => {
-    it('should return 500 when browser launch fails', async () => {
-      mockLaunchBrowser.mockRejectedValue(new Error('Launch failed'));
+    it('should block production submission on client-side validation errors', async () => {
+      mockValidateAndCorrect.mockResolvedValue(failedReport({
+        client_validation: { ran: true, errors: [clientError], summary: ['Price is required'] }
+      }));
 
       const response = await request(app)
         .post('/fill-rfq')
         .set(validHeaders)
-        .send(validPayload)
+        .send({ ...validPayload, isTestMode: false })
         .expect(500);
 
-      expect(response.body.error).toBe('Launch failed');
-      expect(mockMarkFailed).toHaveBeenCalled();
+      expect(response.body.error).toBe('Form validation failed - the form reported client-side validation errors');
+      expect(response.body.validation.client_validation.errors).toEqual([clientError]);
+      expect(mockMarkFailed).toHaveBeenCalledWith('test-key', response.body.error);
+      expect(mockMarkSubmitting).not.toHaveBeenCalled();
+      expect(mockSubmitForm).not.toHaveBeenCalled();
     });
 
-    it('should return 500 when form fill fails', async () => {
-      mockFillRfqForm.mockRejectedValue(new Error('Fill failed'));
+    it('should report client-side validation errors without blocking in test mode', async () => {
+      mockValidateAndCorrect.mockResolvedValue(failedReport({
+        client_validation: { ran: true, errors: [clientError], summary: [] }
+      }));
 
       const response = await request(app)
         .post('/fill-rfq')
         .set(validHeaders)
-        .send(validPayload)
-        .expect(500);
+        .send({ ...validPayload, isTestMode: true })
+        .expect(200);
 
-      expect(response.body.error).toBe('Fill failed');
+      expect(response.body.validation.client_validation.errors).toEqual([clientError]);
+      expect(mockCancelFormSubmission).toHaveBeenCalled();
     });
+  });
 
-    it('should close browser in finally block', async () => {
-      mockFillRfqForm.mockRejectedValue(new Error('Fill failed'));
+  describe('page archives', () => {
+    it('should archive HTML and MHTML at every screenshot checkpoint', async () => {
+      mockValidateAndCorrect.mockResolvedValue({
+        status: 'pass',
+        mismatches_found: [],
+        correction_attempts: 1,
+        client_validation: { ran: true, errors: [], summary: [] }
+      });
+      mockCaptureAndUploadArchives.mockImplementation((page, rfqId, type) => Promise.resolve([
+        { url: `https://test.supabase.co/rfq-${type}.html`, type, format: 'html' },
+        { url: `https://test.supabase.co/rfq-${type}.mhtml`, type, format: 'mhtml' }
+      ]));
 
-      await request(app)
+      const response = await request(app)
         .post('/fill-rfq')
         .set(validHeaders)
         .send(validPayload)
-        .expect(500);
+        .expect(200);
+
+      expect(mockCaptureAndUploadArchives.mock.calls.map((call) => call[2])).toEqual(['pre-validation', 'post-correction', 'filled']);
+      const archives = response.body.screenshot_data.filter((entry) => entry.format);
+      expect(archives).toHaveLength(6);
+      expect(archives[0]).toMatchObject({ type: 'pre-validation', format: 'html', form_url: validPayload.rfq_details.quote_submission_url });
+      expect(response.body.screenshot_data).toHaveLength(9);
+    });
+  });
+
+  describe('screenshot copies', () => {
+    beforeEach(() => {
+      mockBuildAnnotations.mockReturnValue([]);
+      mockCaptureAnnotatedScreenshot.mockResolvedValue({ url: 'https://test.supabase.co/annotated.png', type: 'filled', variant: 'annotated' });
+      mockCaptureRedactedScreenshot.mockResolvedValue({ url: 'https://test.supabase.co/redacted.png', type: 'filled', variant: 'redacted' });
+    });
+
+    it('should not capture copies unless asked', async () => {
+      await request(app).post('/fill-rfq').set(validHeaders).send(validPayload).expect(200);
+
+      expect(mockCaptureAnnotatedScreenshot).not.toHaveBeenCalled();
+      expect(mockCaptureRedactedScreenshot).not.toHaveBeenCalled();
+    });
+
+    it('should annotate the filled screenshot with the validator outcomes', async () => {
+      const annotations = [{ element_id: 'txtNEPrice1', part_no: 'TEST-001', field: 'price_usd', outcome: 'corrected' }];
+      mockBuildAnnotations.mockReturnValue(annotations);
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, annotate: true })
+        .expect(200);
+
+      expect(mockBuildAnnotations).toHaveBeenCalledWith(
+        expect.objectContaining({ fields: expect.any(Array) }),
+        expect.objectContaining({ status: 'pass' })
+      );
+      expect(mockCaptureAnnotatedScreenshot).toHaveBeenCalledTimes(1);
+      expect(mockCaptureAnnotatedScreenshot).toHaveBeenCalledWith(mockPage, 'test-rfq-123', 'filled', expect.any(String), annotations);
+      expect(response.body.screenshot_data.find((entry) => entry.variant === 'annotated'))
+        .toMatchObject({ type: 'filled', form_url: validPayload.rfq_details.quote_submission_url });
+    });
+
+    it('should redact the profile\'s fields when redact is true', async () => {
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, redact: true })
+        .expect(200);
+
+      const [, , type, , redaction] = mockCaptureRedactedScreenshot.mock.calls[0];
+      expect(type).toBe('filled');
+      expect(redaction.selectors).toContain('[id$="quotePreparedBy"]');
+      expect(redaction.regions).toEqual([]);
+    });
+
+    it('should redact the fields, selectors and regions given in the request', async () => {
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, redact: { fields: ['price_usd'], selectors: ['#contact'], regions: [{ x: 0, y: 0, width: 200, height: 80 }] } })
+        .expect(200);
+
+      const redaction = mockCaptureRedactedScreenshot.mock.calls[0][4];
+      expect(redaction.selectors).toEqual(expect.arrayContaining(['[id$="txtNEPrice1"]', '[id$="txtOHPrice1"]', '#contact']));
+      expect(redaction.selectors).not.toContain('[id$="quotePreparedBy"]');
+      expect(redaction.regions).toEqual([{ x: 0, y: 0, width: 200, height: 80 }]);
+    });
+
+    it('should leave out copies that fail', async () => {
+      const logger = require('../../../src/utils/logger');
+      mockCaptureRedactedScreenshot.mockRejectedValue(new Error('Execution context was destroyed'));
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, annotate: true, redact: true })
+        .expect(200);
+
+      expect(response.body.screenshot_data.map((entry) => entry.variant)).toEqual([undefined, undefined, 'annotated']);
+      expect(logger.warn).toHaveBeenCalledWith('Failed to capture redacted screenshot',
+        expect.objectContaining({ error: 'Execution context was destroyed' }));
+    });
+
+    it('should return 400 for redaction fields the portal does not have', async () => {
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, redact: { fields: ['buyer_email'] } })
+        .expect(400);
+
+      expect(response.body.errors).toEqual(['redact.fields contains unknown fields for portal ils: buyer_email']);
+      expect(mockStartProcessing).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('form snapshots', () => {
+    const qtyField = { key: 'txtNEQty1', id: 'txtNEQty1', name: 'qty', tag: 'input', type: 'text', value: '', checked: null, disabled: false, readonly: false };
+    const uomField = { key: 'txtNEUOM1', id: 'txtNEUOM1', name: 'uom', tag: 'input', type: 'text', value: 'EA', checked: null, disabled: false, readonly: false };
+
+    it('should snapshot after navigation and before submit, and return the diff', async () => {
+      const before = { captured_at: '2026-01-01T00:00:00.000Z', url: 'https://example.com/rfq-form', fields: [qtyField, uomField] };
+      const after = { ...before, fields: [{ ...qtyField, value: '100' }, uomField] };
+      mockCaptureFormSnapshot.mockResolvedValueOnce(before).mockResolvedValueOnce(after);
+      const uploaded = [
+        { type: 'form-before', url: 'https://test.supabase.co/before.json', storage_path: 'screenshots/test-rfq-123/before.json', field_count: 2 },
+        { type: 'form-after', url: 'https://test.supabase.co/after.json', storage_path: 'screenshots/test-rfq-123/after.json', field_count: 2 }
+      ];
+      mockUploadFormSnapshots.mockResolvedValue(uploaded);
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(200);
+
+      expect(mockCaptureFormSnapshot.mock.invocationCallOrder[0]).toBeLessThan(mockFillRfqForm.mock.invocationCallOrder[0]);
+      expect(mockCaptureFormSnapshot.mock.invocationCallOrder[1]).toBeLessThan(mockCancelFormSubmission.mock.invocationCallOrder[0]);
+      expect(mockUploadFormSnapshots).toHaveBeenCalledWith('test-rfq-123', { 'form-before': before, 'form-after': after }, expect.any(String));
+      expect(response.body.form_diff).toEqual({
+        changed: [{ key: 'txtNEQty1', id: 'txtNEQty1', name: 'qty', type: 'text', changes: { value: { before: '', after: '100' } } }],
+        added: [],
+        removed: [],
+        unchanged: 1
+      });
+      expect(response.body.form_snapshots).toEqual(uploaded);
+    });
+
+    it('should return the diff when validation blocks production submission', async () => {
+      mockValidateAndCorrect.mockResolvedValue({
+        status: 'fail',
+        mismatches_found: [],
+        correction_attempts: 2,
+        client_validation: { ran: true, errors: [], summary: [] }
+      });
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: false })
+        .expect(500);
+
+      expect(response.body.form_diff).toEqual({ changed: [], added: [], removed: [], unchanged: 0 });
+    });
+
+    it('should leave the diff out when a snapshot could not be taken', async () => {
+      mockCaptureFormSnapshot.mockResolvedValueOnce(null);
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(200);
+
+      expect(response.body.form_diff).toBeNull();
+      expect(response.body.success).toBe(true);
+    });
+  });
+
+  describe('successful form fill - production mode', () => {
+    it('should fill form and submit in production mode', async () => {
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: false })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.finalAction).toBe('FORM_SUBMITTED');
+      expect(response.body.isTestMode).toBe(false);
+      expect(mockSubmitForm).toHaveBeenCalled();
+      expect(mockCancelFormSubmission).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when submit fails in production', async () => {
+      mockSubmitForm.mockResolvedValue(false);
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: false })
+        .expect(500);
+
+      expect(response.body.finalAction).toBe('FORM_SUBMISSION_FAILED');
+      expect(mockMarkFailed).toHaveBeenCalled();
+      expect(mockConfirmSubmission).not.toHaveBeenCalled();
+    });
+
+    it('should not click Send when the submitting mark is not stored', async () => {
+      mockMarkSubmitting.mockRejectedValue(new Error('Redis command EVAL timed out after 5000ms'));
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: false })
+        .expect(500);
+
+      expect(mockSubmitForm).not.toHaveBeenCalled();
+      expect(response.body.submissionMayHaveOccurred).toBeUndefined();
+      expect(mockMarkFailed).toHaveBeenCalledWith('test-key', 'Redis command EVAL timed out after 5000ms');
+      expect(mockMarkUnconfirmed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('submission confirmation', () => {
+    it('should confirm the submission against the pre-submit baseline', async () => {
+      const baseline = [{ type: 'success', source: 'text', pattern: 'thank you', text: 'thank you' }];
+      mockReadEvidence.mockResolvedValue(baseline);
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: false })
+        .expect(200);
+
+      expect(mockReadEvidence.mock.invocationCallOrder[0]).toBeLessThan(mockSubmitForm.mock.invocationCallOrder[0]);
+      expect(mockConfirmSubmission).toHaveBeenCalledWith(mockPage, expect.any(String), expect.any(Object), baseline);
+      expect(response.body.submission_confirmed).toBe(true);
+      expect(response.body.confirmation.evidence[0].pattern).toBe('thank you');
+      expect(mockMarkCompleted).toHaveBeenCalledWith('test-key', response.body);
+      expect(mockMarkUnconfirmed).not.toHaveBeenCalled();
+    });
+
+    it('should capture a post-submit screenshot', async () => {
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: false })
+        .expect(200);
+
+      expect(mockCaptureAndUploadScreenshot).toHaveBeenCalledWith(mockPage, 'test-rfq-123', 'post-submit', expect.any(String));
+      expect(response.body.screenshot_data).toHaveLength(3);
+    });
+
+    it('should still respond when the post-submit screenshot fails', async () => {
+      mockCaptureAndUploadScreenshot.mockImplementation((page, rfqId, type) => (type === 'post-submit'
+        ? Promise.reject(new Error('Target closed'))
+        : Promise.resolve({ url: 'https://test.supabase.co/screenshot.png', type })));
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: false })
+        .expect(200);
+
+      expect(response.body.submission_confirmed).toBe(true);
+      expect(response.body.screenshot_data).toHaveLength(2);
+    });
+
+    it('should return 500 and mark failed when the portal reports an error', async () => {
+      mockConfirmSubmission.mockResolvedValue({
+        submission_confirmed: false,
+        evidence: [{ type: 'error', source: 'selector', pattern: '.validation-summary-errors', text: 'Price is required' }],
+        url: 'https://example.com/rfq-form',
+        duration_ms: 300
+      });
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: false })
+        .expect(500);
+
+      expect(response.body.finalAction).toBe('FORM_SUBMISSION_REJECTED');
+      expect(response.body.submission_confirmed).toBe(false);
+      expect(response.body.confirmation.evidence[0].text).toBe('Price is required');
+      expect(mockMarkFailed).toHaveBeenCalledWith('test-key', 'Form submission rejected by the portal');
+      expect(mockMarkCompleted).not.toHaveBeenCalled();
+    });
+
+    it('should not cache an unconfirmed submission as completed', async () => {
+      mockConfirmSubmission.mockResolvedValue({
+        submission_confirmed: 'unknown', evidence: [], url: 'https://example.com/rfq-form', duration_ms: 20000
+      });
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: false })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.submission_confirmed).toBe('unknown');
+      expect(response.body.message).toContain('did not confirm');
+      expect(mockMarkUnconfirmed).toHaveBeenCalledWith('test-key', response.body);
+      expect(mockMarkCompleted).not.toHaveBeenCalled();
+    });
+
+    it('should hold an error after Send for review instead of allowing a retry', async () => {
+      mockConfirmSubmission.mockRejectedValue(new Error('Target closed'));
+      mockMarkUnconfirmed.mockImplementation(async (key, result) => {
+        mockCheckIdempotency.mockResolvedValue({
+          status: 'unconfirmed', createdAt: Date.now(), result, submissionMayHaveOccurred: true
+        });
+      });
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: false })
+        .expect(500);
+
+      expect(response.body).toMatchObject({ success: false, error: 'Target closed', submissionMayHaveOccurred: true });
+      expect(mockMarkUnconfirmed).toHaveBeenCalledWith('test-key', response.body);
+      expect(mockMarkFailed).not.toHaveBeenCalled();
+
+      const retry = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: false })
+        .expect(409);
+
+      expect(retry.body.existingStatus).toBe('unconfirmed');
+      expect(mockSubmitForm).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not confirm in test mode', async () => {
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: true })
+        .expect(200);
+
+      expect(mockReadEvidence).not.toHaveBeenCalled();
+      expect(mockConfirmSubmission).not.toHaveBeenCalled();
+      expect(response.body).not.toHaveProperty('submission_confirmed');
+    });
+  });
+
+  describe('async mode', () => {
+    const { getJob } = require('../../../src/services/jobs');
+
+    async function waitForJob(jobId) {
+      for (let i = 0; i < 50; i++) {
+        const job = getJob(jobId);
+        if (job && job.finishedAt) return job;
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      throw new Error(`Job ${jobId} did not finish`);
+    }
+
+    it('should return 202 with a job id and status URL', async () => {
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, async: true })
+        .expect(202);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.jobId).toBeDefined();
+      expect(response.body.status).toBe('queued');
+      expect(response.body.statusUrl).toBe(`/jobs/${response.body.jobId}`);
+      expect(response.body.requestId).toBeDefined();
+    });
+
+    it('should store the synchronous response shape as the job result', async () => {
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, async: true })
+        .expect(202);
+
+      const job = await waitForJob(response.body.jobId);
+
+      expect(job.status).toBe('succeeded');
+      expect(job.phase).toBe('submitting');
+      expect(job.statusCode).toBe(200);
+      expect(job.result.success).toBe(true);
+      expect(job.result.finalAction).toBe('FORM_CANCELLED');
+      expect(job.result.validation.status).toBe('pass');
+      expect(job.result.screenshot_data.length).toBeGreaterThanOrEqual(1);
+      expect(mockMarkCompleted).toHaveBeenCalledWith('test-key', job.result);
+    });
+
+    it('should record the failing phase and error', async () => {
+      mockFillRfqForm.mockRejectedValue(new Error('Fill failed'));
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, async: true })
+        .expect(202);
+
+      const job = await waitForJob(response.body.jobId);
+
+      expect(job.status).toBe('failed');
+      expect(job.phase).toBe('filling');
+      expect(job.statusCode).toBe(500);
+      expect(job.error).toBe('Fill failed');
+      expect(mockMarkFailed).toHaveBeenCalled();
+      expect(mockReleaseBrowserContext).toHaveBeenCalled();
+    });
+
+    it('should fail the job when releasing the browser context rejects', async () => {
+      const logger = require('../../../src/utils/logger');
+      mockReleaseBrowserContext.mockRejectedValue(new Error('Context already closed'));
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, async: true })
+        .expect(202);
+
+      const job = await waitForJob(response.body.jobId);
+
+      expect(job.status).toBe('failed');
+      expect(job.statusCode).toBe(500);
+      expect(job.error).toBe('Context already closed');
+      expect(logger.error).toHaveBeenCalledWith('Fill job crashed', expect.objectContaining({
+        requestId: response.body.requestId, jobId: response.body.jobId, error: 'Context already closed'
+      }));
+    });
+
+    it('should still reject duplicates synchronously', async () => {
+      mockCheckIdempotency.mockReturnValue({ status: 'processing' });
+
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, async: true })
+        .expect(409);
+
+      expect(mockAcquireBrowserContext).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when async is not a boolean', async () => {
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, async: 'yes' })
+        .expect(400);
+
+      expect(response.body.errors).toContain('async must be a boolean');
+    });
+  });
+
+  describe('webhook callbacks', () => {
+    const callbackUrl = 'https://ingest.example.com/hooks/fill-rfq';
+
+    it('should deliver the response body to callback_url', async () => {
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, callback_url: callbackUrl })
+        .expect(200);
+
+      expect(mockDeliverCallback).toHaveBeenCalledWith(
+        callbackUrl,
+        response.body,
+        { requestId: response.body.requestId, rfqId: 'test-rfq-123' }
+      );
+    });
+
+    it('should deliver failed runs too', async () => {
+      mockAcquireBrowserContext.mockRejectedValue(new Error('Launch failed'));
+
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, callback_url: callbackUrl })
+        .expect(500);
+
+      expect(mockDeliverCallback).toHaveBeenCalledWith(
+        callbackUrl,
+        expect.objectContaining({ success: false, error: 'Launch failed' }),
+        expect.any(Object)
+      );
+    });
+
+    it('should deliver async job results once the job finishes', async () => {
+      const { getJob } = require('../../../src/services/jobs');
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, async: true, callback_url: callbackUrl })
+        .expect(202);
+
+      for (let i = 0; i < 50 && !getJob(response.body.jobId).finishedAt; i++) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+
+      expect(mockDeliverCallback).toHaveBeenCalledWith(
+        callbackUrl,
+        getJob(response.body.jobId).result,
+        expect.any(Object)
+      );
+    });
+
+    it('should not call back when callback_url is absent', async () => {
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(200);
+
+      expect(mockDeliverCallback).not.toHaveBeenCalled();
+    });
+
+    it('should return 503 when no webhook secret is configured', async () => {
+      mockIsWebhookConfigured.mockReturnValue(false);
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, callback_url: callbackUrl })
+        .expect(503);
+
+      expect(response.body.error).toContain('PUPPETEER_WEBHOOK_SECRET');
+      expect(mockStartProcessing).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid callback_url', async () => {
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, callback_url: 'not a url' })
+        .expect(400);
+
+      expect(response.body.errors).toContain('callback_url must be a valid URL');
+    });
+  });
+
+  describe('session queue', () => {
+    it('should run the browser session through the queue', async () => {
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .set('X-Request-ID', 'queued-request')
+        .send(validPayload)
+        .expect(200);
+
+      expect(mockEnqueueSession).toHaveBeenCalledWith('queued-request', expect.any(Function));
+      expect(mockAcquireBrowserContext).toHaveBeenCalled();
+    });
+
+    it('should return 503 with Retry-After when the queue is full', async () => {
+      mockIsQueueFull.mockReturnValue(true);
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(503);
+
+      expect(response.headers['retry-after']).toBe('120');
+      expect(response.body.success).toBe(false);
+      expect(response.body.retryAfter).toBe(120);
+      expect(mockStartProcessing).not.toHaveBeenCalled();
+      expect(mockEnqueueSession).not.toHaveBeenCalled();
+    });
+
+    it('should reject async requests before accepting a job when the queue is full', async () => {
+      mockIsQueueFull.mockReturnValue(true);
+
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, async: true })
+        .expect(503);
+
+      expect(mockAcquireBrowserContext).not.toHaveBeenCalled();
+    });
+
+    it('should still return cached production results when the queue is full', async () => {
+      mockIsQueueFull.mockReturnValue(true);
+      mockCheckIdempotency.mockReturnValue({
+        status: 'completed',
+        result: { success: true, finalAction: 'FORM_SUBMITTED' }
+      });
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: false })
+        .expect(200);
+
+      expect(response.body.cached).toBe(true);
+    });
+  });
+
+  describe('portal profiles', () => {
+    const ils = expect.objectContaining({ name: 'ils' });
+
+    it('should fall back to the default profile for an unknown host', async () => {
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(200);
+
+      expect(mockFillRfqForm).toHaveBeenCalledWith(mockPage, validPayload.quote_details, expect.any(String), ils);
+      expect(mockValidateAndCorrect).toHaveBeenCalledWith(mockPage, validPayload.quote_details, expect.any(String), undefined, ils, null);
+      expect(mockCancelFormSubmission).toHaveBeenCalledWith(mockPage, expect.any(String), ils);
+    });
+
+    it('should select the profile by URL host', async () => {
+      const logger = require('../../../src/utils/logger');
+
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, rfq_details: { quote_submission_url: 'https://www.ilsmart.com/rfq/quote?id=1' } })
+        .expect(200);
+
+      expect(logger.info).toHaveBeenCalledWith('Portal profile selected',
+        expect.objectContaining({ portal: 'ils', matchedBy: 'host' }));
+    });
+
+    it('should pass an explicitly requested profile to submitForm', async () => {
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, isTestMode: false, portal: 'ils' })
+        .expect(200);
+
+      expect(mockSubmitForm).toHaveBeenCalledWith(mockPage, expect.any(String), ils);
+    });
+
+    it('should return 400 for an unknown portal', async () => {
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, portal: 'aviall' })
+        .expect(400);
+
+      expect(response.body.errors).toEqual(['portal must be one of: ils']);
+      expect(mockStartProcessing).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for two offers on the same row of the portal\'s form', async () => {
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({
+          ...validPayload,
+          quote_details: {
+            items: [{ part_no: 'TEST-001', offers: [{ price_usd: '25.00', min_qty: 1 }, { price_usd: '20.00', conditionCode: 'NE' }] }]
+          }
+        })
+        .expect(400);
+
+      expect(response.body.errors).toEqual([
+        'quote_details.items[0].offers[1] is for the same NE row as offers[0]: the form has one row per product and condition code, so give each offer its own conditionCode'
+      ]);
+      expect(mockStartProcessing).not.toHaveBeenCalled();
+      expect(mockAcquireBrowserContext).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for a non-string portal', async () => {
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({ ...validPayload, portal: 42 })
+        .expect(400);
+
+      expect(response.body.errors).toContain('portal must be a non-empty string');
+    });
+  });
+
+  describe('navigation', () => {
+    it('should retry navigation on failure', async () => {
+      mockPage.goto
+        .mockRejectedValueOnce(new Error('Nav failed'))
+        .mockRejectedValueOnce(new Error('Nav failed'))
+        .mockResolvedValueOnce({ status: () => 200 });
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(mockSetupPage).toHaveBeenCalledTimes(3); // initial + 2 retries
+    });
+
+    it('should fail after 3 navigation attempts', async () => {
+      mockPage.goto.mockRejectedValue(new Error('Nav failed'));
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(500);
+
+      expect(response.body.error).toContain('Failed to navigate after 3 attempts');
+      expect(mockMarkFailed).toHaveBeenCalled();
+    });
+
+    it('should handle network idle timeout gracefully', async () => {
+      mockPage.waitForNetworkIdle.mockRejectedValue(new Error('Timeout'));
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+    });
+
+    it('should handle null navigation response', async () => {
+      mockPage.goto.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+    });
+  });
+
+  describe('conditionCode integration', () => {
+    it('should pass items with conditionCode to fillRfqForm', async () => {
+      const payload = {
+        rfq_details: { quote_submission_url: 'https://example.com/rfq-form' },
+        quote_details: {
+          items: [
+            { conditionCode: 'NE', qty_available: '10', price_usd: '25.00' },
+            { conditionCode: 'SV', qty_available: '5', price_usd: '900.00' }
+          ]
+        }
+      };
+
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(payload)
+        .expect(200);
+
+      expect(mockFillRfqForm).toHaveBeenCalledWith(
+        expect.anything(),
+        payload.quote_details,
+        expect.any(String),
+        expect.objectContaining({ name: 'ils' })
+      );
+    });
+
+    it('should accept items without conditionCode (defaults to NE)', async () => {
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(200);
+
+      expect(mockFillRfqForm).toHaveBeenCalled();
+    });
+
+    it('should return 400 for invalid conditionCode in items', async () => {
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send({
+          rfq_details: { quote_submission_url: 'https://example.com/rfq-form' },
+          quote_details: {
+            items: [{ conditionCode: 'XX', qty_available: '10' }]
+          }
+        })
+        .expect(400);
+
+      expect(response.body.errors[0]).toContain('must be one of');
+    });
+
+    it('should accept all valid condition codes in items', async () => {
+      const payload = {
+        rfq_details: { quote_submission_url: 'https://example.com/rfq-form' },
+        quote_details: {
+          items: [
+            { conditionCode: 'NE', qty_available: '1' },
+            { conditionCode: 'NS', qty_available: '2' },
+            { conditionCode: 'OH', qty_available: '3' },
+            { conditionCode: 'SV', qty_available: '4' },
+            { conditionCode: 'AR', qty_available: '5' }
+          ]
+        }
+      };
+
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(payload)
+        .expect(200);
+
+      expect(mockFillRfqForm).toHaveBeenCalled();
+    });
+  });
+
+  describe('error handling', () => {
+    it('should return 500 when browser launch fails', async () => {
+      mockAcquireBrowserContext.mockRejectedValue(new Error('Launch failed'));
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(500);
+
+      expect(response.body.error).toBe('Launch failed');
+      expect(mockMarkFailed).toHaveBeenCalled();
+    });
+
+    it('should return 500 when form fill fails', async () => {
+      mockFillRfqForm.mockRejectedValue(new Error('Fill failed'));
+
+      const response = await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(500);
+
+      expect(response.body.error).toBe('Fill failed');
+    });
+
+    it('should release the browser context in finally block', async () => {
+      mockFillRfqForm.mockRejectedValue(new Error('Fill failed'));
+
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(500);
+
+      expect(mockReleaseBrowserContext).toHaveBeenCalledWith(mockLease);
+    });
+
+    it('should open pages in the leased browser context', async () => {
+      await request(app)
+        .post('/fill-rfq')
+        .set(validHeaders)
+        .send(validPayload)
+        .expect(200);
 
-      expect(mockCloseBrowser).toHaveBeenCalledWith(mockBrowser, expect.any(String));
+      expect(mockAcquireBrowserContext).toHaveBeenCalledWith(expect.any(String));
+      expect(mockSetupPage).toHaveBeenCalledWith(mockLease.context, expect.any(String));
     });
 
-    it('should not close browser when keepOpen is true', async () => {
+    it('should not release the browser context when keepOpen is true', async () => {
       const _response = await request(app)
         .post('/fill-rfq')
         .set(validHeaders)
         .send({ ...validPayload, keepOpen: true })
         .expect(200);
 
-      expect(mockCloseBrowser).not.toHaveBeenCalled();
+      expect(mockReleaseBrowserContext).not.toHaveBeenCalled();
     });
 
-    it('should not close browser when browser is null (launch failed)', async () => {
-      mockLaunchBrowser.mockRejectedValue(new Error('Launch failed'));
+    it('should not release when no context was leased (launch failed)', async () => {
+      mockAcquireBrowserContext.mockRejectedValue(new Error('Launch failed'));
 
       await request(app)
         .post('/fill-rfq')
@@ -521,7 +1601,7 @@ describe('Fill RFQ Route', () => {
         .send(validPayload)
         .expect(500);
 
-      expect(mockCloseBrowser).not.toHaveBeenCalled();
+      expect(mockReleaseBrowserContext).not.toHaveBeenCalled();
     });
   });
 });
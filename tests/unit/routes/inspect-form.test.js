@@ -0,0 +1,256 @@
+/**
+ * Unit tests for inspect-form route
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockAcquireBrowserContext = jest.fn();
+const mockReleaseBrowserContext = jest.fn();
+const mockSetupPage = jest.fn();
+const mockGetShuttingDown = jest.fn();
+const mockDelay = jest.fn();
+const mockInspectForm = jest.fn();
+const mockCaptureAndUploadScreenshot = jest.fn();
+const mockIsConfigured = jest.fn();
+const mockEnqueueSession = jest.fn();
+const mockIsQueueFull = jest.fn();
+const mockGetRetryAfterSeconds = jest.fn();
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/middleware/rate-limiter', () => ({
+  rateLimit: () => (req, res, next) => next()
+}));
+
+jest.mock('../../../src/services/browser', () => ({
+  setupPage: (...args) => mockSetupPage(...args),
+  getShuttingDown: () => mockGetShuttingDown()
+}));
+
+jest.mock('../../../src/services/browser-pool', () => ({
+  acquireBrowserContext: (...args) => mockAcquireBrowserContext(...args),
+  releaseBrowserContext: (...args) => mockReleaseBrowserContext(...args)
+}));
+
+jest.mock('../../../src/services/form-filler', () => ({
+  delay: (...args) => mockDelay(...args)
+}));
+
+jest.mock('../../../src/services/form-inspector', () => ({
+  inspectForm: (...args) => mockInspectForm(...args)
+}));
+
+jest.mock('../../../src/services/screenshot', () => ({
+  captureAndUploadScreenshot: (...args) => mockCaptureAndUploadScreenshot(...args),
+  isConfigured: () => mockIsConfigured(),
+  getConfigError: () => 'Supabase not configured. Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables.'
+}));
+
+jest.mock('../../../src/services/session-queue', () => ({
+  enqueueSession: (...args) => mockEnqueueSession(...args),
+  isQueueFull: () => mockIsQueueFull(),
+  getRetryAfterSeconds: () => mockGetRetryAfterSeconds()
+}));
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/inspect-form', require('../../../src/routes/inspect-form'));
+  return app;
+}
+
+describe('Inspect Form Route', () => {
+  let app;
+  let mockPage;
+  let mockLease;
+
+  const validPayload = {
+    rfq_details: { quote_submission_url: 'https://example.com/rfq-form' }
+  };
+
+  const validHeaders = {
+    'Content-Type': 'application/json',
+    'X-RFQ-ID': 'test-rfq-123'
+  };
+
+  const inspection = {
+    portal: 'ils',
+    partNumbers: ['ABC-1', 'ABC-1'],
+    rows: [{ index: 0, part_no: 'ABC-1', conditions: { NE: ['txtNEQty1'] }, missingFields: [] }],
+    dropdownOptions: { traceability: [{ value: 'NEW', text: 'New' }] },
+    otherConditionsButtons: [{ id: 'btnOther0', value: 'Quote Other Conditions' }],
+    submitButton: { found: true, id: 'btnSend', text: 'Send' },
+    cancelButton: { found: true, id: 'btnCancel', text: 'Cancel' }
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    app = createApp();
+
+    mockPage = {
+      goto: jest.fn().mockResolvedValue({ status: () => 200 }),
+      waitForNetworkIdle: jest.fn().mockResolvedValue(undefined),
+      close: jest.fn().mockResolvedValue(undefined)
+    };
+    mockLease = { context: { newPage: jest.fn() }, browserId: 1 };
+
+    mockGetShuttingDown.mockReturnValue(false);
+    mockIsConfigured.mockReturnValue(true);
+    mockAcquireBrowserContext.mockResolvedValue(mockLease);
+    mockReleaseBrowserContext.mockResolvedValue(undefined);
+    mockSetupPage.mockResolvedValue(mockPage);
+    mockDelay.mockResolvedValue(undefined);
+    mockInspectForm.mockResolvedValue(inspection);
+    mockCaptureAndUploadScreenshot.mockResolvedValue({ url: 'https://test.supabase.co/inspection.png', type: 'inspection' });
+    mockEnqueueSession.mockImplementation((requestId, task) => task());
+    mockIsQueueFull.mockReturnValue(false);
+    mockGetRetryAfterSeconds.mockReturnValue(90);
+  });
+
+  it('should return the inspection report and a screenshot', async () => {
+    const response = await request(app)
+      .post('/inspect-form')
+      .set(validHeaders)
+      .send(validPayload)
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.matchedBy).toBe('default');
+    expect(response.body.inspection).toEqual(inspection);
+    expect(response.body.screenshot_data).toEqual([{
+      url: 'https://test.supabase.co/inspection.png',
+      type: 'inspection',
+      form_url: 'https://example.com/rfq-form'
+    }]);
+    expect(mockCaptureAndUploadScreenshot).toHaveBeenCalledWith(mockPage, 'test-rfq-123', 'inspection', expect.any(String));
+  });
+
+  it('should navigate and inspect with the resolved portal profile', async () => {
+    await request(app)
+      .post('/inspect-form')
+      .set(validHeaders)
+      .send({ ...validPayload, portal: 'ils' })
+      .expect(200);
+
+    expect(mockPage.goto).toHaveBeenCalledWith('https://example.com/rfq-form', expect.any(Object));
+    expect(mockInspectForm).toHaveBeenCalledWith(mockPage, expect.any(String), expect.objectContaining({ name: 'ils' }));
+  });
+
+  it('should release the browser context', async () => {
+    await request(app)
+      .post('/inspect-form')
+      .set(validHeaders)
+      .send(validPayload)
+      .expect(200);
+
+    expect(mockReleaseBrowserContext).toHaveBeenCalledWith(mockLease);
+  });
+
+  it('should run through the session queue', async () => {
+    await request(app)
+      .post('/inspect-form')
+      .set(validHeaders)
+      .set('X-Request-ID', 'inspect-request')
+      .send(validPayload)
+      .expect(200);
+
+    expect(mockEnqueueSession).toHaveBeenCalledWith('inspect-request', expect.any(Function));
+  });
+
+  it('should return 503 with Retry-After when the queue is full', async () => {
+    mockIsQueueFull.mockReturnValue(true);
+
+    const response = await request(app)
+      .post('/inspect-form')
+      .set(validHeaders)
+      .send(validPayload)
+      .expect(503);
+
+    expect(response.headers['retry-after']).toBe('90');
+    expect(mockAcquireBrowserContext).not.toHaveBeenCalled();
+  });
+
+  it('should return 503 when Supabase is not configured', async () => {
+    mockIsConfigured.mockReturnValue(false);
+
+    const response = await request(app)
+      .post('/inspect-form')
+      .set(validHeaders)
+      .send(validPayload)
+      .expect(503);
+
+    expect(response.body.error).toContain('Supabase not configured');
+  });
+
+  it('should return 503 when shutting down', async () => {
+    mockGetShuttingDown.mockReturnValue(true);
+
+    await request(app)
+      .post('/inspect-form')
+      .set(validHeaders)
+      .send(validPayload)
+      .expect(503);
+  });
+
+  it('should return 400 when X-RFQ-ID header is missing', async () => {
+    const response = await request(app)
+      .post('/inspect-form')
+      .send(validPayload)
+      .expect(400);
+
+    expect(response.body.error).toContain('X-RFQ-ID');
+  });
+
+  it('should return 400 for an invalid URL', async () => {
+    const response = await request(app)
+      .post('/inspect-form')
+      .set(validHeaders)
+      .send({ rfq_details: { quote_submission_url: 'not a url' } })
+      .expect(400);
+
+    expect(response.body.errors).toContain('rfq_details.quote_submission_url must be a valid URL');
+  });
+
+  it('should return 400 for an unknown portal', async () => {
+    const response = await request(app)
+      .post('/inspect-form')
+      .set(validHeaders)
+      .send({ ...validPayload, portal: 'unknown' })
+      .expect(400);
+
+    expect(response.body.errors).toEqual(['portal must be one of: ils']);
+  });
+
+  it('should return 500 when navigation fails', async () => {
+    mockPage.goto.mockRejectedValue(new Error('net::ERR_NAME_NOT_RESOLVED'));
+
+    const response = await request(app)
+      .post('/inspect-form')
+      .set(validHeaders)
+      .send(validPayload)
+      .expect(500);
+
+    expect(response.body.error).toContain('Failed to navigate after 3 attempts');
+    expect(mockInspectForm).not.toHaveBeenCalled();
+    expect(mockReleaseBrowserContext).toHaveBeenCalledWith(mockLease);
+  });
+
+  it('should return 500 when the browser cannot be leased', async () => {
+    mockAcquireBrowserContext.mockRejectedValue(new Error('Pool draining'));
+
+    const response = await request(app)
+      .post('/inspect-form')
+      .set(validHeaders)
+      .send(validPayload)
+      .expect(500);
+
+    expect(response.body.error).toBe('Pool draining');
+    expect(mockReleaseBrowserContext).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for jobs route
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockGetJob = jest.fn();
+
+jest.mock('../../../src/services/jobs', () => ({
+  getJob: (...args) => mockGetJob(...args)
+}));
+
+function createApp() {
+  const app = express();
+  app.use('/jobs', require('../../../src/routes/jobs'));
+  return app;
+}
+
+describe('Jobs Route', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    app = createApp();
+  });
+
+  it('should return 404 for unknown job', async () => {
+    mockGetJob.mockReturnValue(null);
+
+    const response = await request(app)
+      .get('/jobs/missing-id')
+      .expect(404);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.error).toBe('Job not found');
+    expect(response.body.jobId).toBe('missing-id');
+  });
+
+  it('should return a running job with its phase', async () => {
+    mockGetJob.mockReturnValue({
+      id: 'job-1',
+      requestId: 'req-1',
+      rfqId: 'rfq-1',
+      isTestMode: true,
+      status: 'running',
+      phase: 'filling',
+      statusCode: null,
+      result: null,
+      error: null,
+      createdAt: Date.UTC(2024, 0, 1),
+      updatedAt: Date.UTC(2024, 0, 1, 0, 1),
+      finishedAt: null
+    });
+
+    const response = await request(app)
+      .get('/jobs/job-1')
+      .expect(200);
+
+    expect(mockGetJob).toHaveBeenCalledWith('job-1');
+    expect(response.body.success).toBe(true);
+    expect(response.body.job).toEqual({
+      id: 'job-1',
+      requestId: 'req-1',
+      rfqId: 'rfq-1',
+      isTestMode: true,
+      status: 'running',
+      phase: 'filling',
+      statusCode: null,
+      result: null,
+      error: null,
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-01-01T00:01:00.000Z',
+      finishedAt: null
+    });
+  });
+
+  it('should return the final result of a finished job', async () => {
+    const result = { success: false, error: 'Launch failed', requestId: 'req-1' };
+    mockGetJob.mockReturnValue({
+      id: 'job-1',
+      requestId: 'req-1',
+      rfqId: 'rfq-1',
+      isTestMode: false,
+      status: 'failed',
+      phase: 'navigating',
+      statusCode: 500,
+      result,
+      error: 'Launch failed',
+      createdAt: Date.UTC(2024, 0, 1),
+      updatedAt: Date.UTC(2024, 0, 1, 0, 2),
+      finishedAt: Date.UTC(2024, 0, 1, 0, 2)
+    });
+
+    const response = await request(app)
+      .get('/jobs/job-1')
+      .expect(200);
+
+    expect(response.body.job.status).toBe('failed');
+    expect(response.body.job.statusCode).toBe(500);
+    expect(response.body.job.result).toEqual(result);
+    expect(response.body.job.error).toBe('Launch failed');
+    expect(response.body.job.finishedAt).toBe('2024-01-01T00:02:00.000Z');
+  });
+});
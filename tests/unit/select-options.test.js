@@ -0,0 +1,67 @@
+/**
+ * Unit tests for select option resolution
+ */
+
+const { normalizeOptionText, resolveSelectOption } = require('../../src/utils/select-options');
+
+describe('Select Option Resolution', () => {
+  const options = [
+    { value: '', text: '-- Select --' },
+    { value: '8130', text: 'FAA 8130-3' },
+    { value: 'COFC', text: 'Certificate of Conformance' },
+    { value: 'OEM', text: 'OEM Certs' }
+  ];
+
+  describe('normalizeOptionText', () => {
+    it('should lowercase and drop whitespace', () => {
+      expect(normalizeOptionText(' FAA  8130-3 ')).toBe('faa8130-3');
+    });
+
+    it('should treat null and undefined as empty', () => {
+      expect(normalizeOptionText(null)).toBe('');
+      expect(normalizeOptionText(undefined)).toBe('');
+    });
+  });
+
+  describe('resolveSelectOption', () => {
+    it('should match an option value', () => {
+      expect(resolveSelectOption(options, '8130')).toEqual({ option: options[1], method: 'value' });
+    });
+
+    it('should match values case- and whitespace-insensitively', () => {
+      expect(resolveSelectOption(options, ' cofc ')).toEqual({ option: options[2], method: 'value' });
+    });
+
+    it('should match option text when no value matches', () => {
+      expect(resolveSelectOption(options, 'faa 8130-3')).toEqual({ option: options[1], method: 'text' });
+      expect(resolveSelectOption(options, 'CertificateOfConformance')).toEqual({ option: options[2], method: 'text' });
+    });
+
+    it('should resolve aliases to an option value or text', () => {
+      const aliases = { CoC: 'COFC', 'Form 8130': 'FAA 8130-3' };
+
+      expect(resolveSelectOption(options, ' coc', aliases)).toEqual({ option: options[2], method: 'alias' });
+      expect(resolveSelectOption(options, 'FORM 8130', aliases)).toEqual({ option: options[1], method: 'alias' });
+    });
+
+    it('should prefer a direct match over an alias', () => {
+      expect(resolveSelectOption(options, 'OEM', { OEM: 'COFC' })).toEqual({ option: options[3], method: 'value' });
+    });
+
+    it('should return null when nothing matches', () => {
+      expect(resolveSelectOption(options, 'EASA Form 1', { 'C of C': 'COFC' })).toBeNull();
+    });
+
+    it('should return null for an alias whose target is not an option', () => {
+      expect(resolveSelectOption(options, 'EASA', { EASA: 'EASA1' })).toBeNull();
+    });
+
+    it('should never pick the empty placeholder option', () => {
+      expect(resolveSelectOption(options, '-- select --')).toBeNull();
+    });
+
+    it('should handle a select without options', () => {
+      expect(resolveSelectOption(undefined, '8130')).toBeNull();
+    });
+  });
+});
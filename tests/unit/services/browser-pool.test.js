@@ -0,0 +1,325 @@
+/**
+ * Unit tests for browser pool service
+ */
+
+const mockLaunchBrowser = jest.fn();
+const mockCloseBrowser = jest.fn();
+const mockReadFile = jest.fn();
+const mockReaddir = jest.fn();
+
+jest.mock('../../../src/services/browser', () => ({
+  launchBrowser: (...args) => mockLaunchBrowser(...args),
+  closeBrowser: (...args) => mockCloseBrowser(...args)
+}));
+
+jest.mock('fs/promises', () => ({
+  readFile: (...args) => mockReadFile(...args),
+  readdir: (...args) => mockReaddir(...args)
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Browser Pool Service', () => {
+  let pool;
+  let browsers;
+  const originalEnv = process.env;
+
+  function createMockBrowser(pid) {
+    const handlers = {};
+    const browser = {
+      connected: true,
+      on: jest.fn((event, handler) => { handlers[event] = handler; }),
+      createBrowserContext: jest.fn().mockImplementation(async () => ({
+        newPage: jest.fn(),
+        close: jest.fn().mockResolvedValue(undefined)
+      })),
+      close: jest.fn().mockResolvedValue(undefined),
+      process: () => (pid ? { pid } : null),
+      emit: (event) => handlers[event]()
+    };
+    browsers.push(browser);
+    return browser;
+  }
+
+  function deferLaunch() {
+    let finish;
+    mockLaunchBrowser.mockImplementationOnce(() => new Promise((resolve, reject) => {
+      finish = { resolve: () => resolve(createMockBrowser()), reject };
+    }));
+    return () => finish;
+  }
+
+  function loadService(env = {}) {
+    jest.resetModules();
+    process.env = {
+      ...originalEnv,
+      PUPPETEER_POOL_SIZE: '1',
+      PUPPETEER_POOL_MAX_JOBS_PER_BROWSER: '3',
+      PUPPETEER_POOL_MAX_BROWSER_MEMORY_MB: '100',
+      ...env
+    };
+    return require('../../../src/services/browser-pool');
+  }
+
+  beforeEach(() => {
+    browsers = [];
+    mockLaunchBrowser.mockImplementation(async () => createMockBrowser());
+    mockCloseBrowser.mockResolvedValue(undefined);
+    mockReadFile.mockRejectedValue(new Error('ENOENT'));
+    mockReaddir.mockRejectedValue(new Error('ENOENT'));
+    pool = loadService();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    jest.resetAllMocks();
+  });
+
+  describe('warmPool', () => {
+    it('should launch browsers up to the pool size', async () => {
+      const service = loadService({ PUPPETEER_POOL_SIZE: '2' });
+
+      await service.warmPool();
+
+      expect(mockLaunchBrowser).toHaveBeenCalledTimes(2);
+      expect(service.getPoolStats()).toEqual(expect.objectContaining({ size: 2, idle: 2, busy: 0 }));
+    });
+
+    it('should not launch more browsers once the pool is full', async () => {
+      await pool.warmPool();
+      await pool.warmPool();
+
+      expect(mockLaunchBrowser).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('acquireBrowserContext', () => {
+    it('should lease a new context from a warm browser', async () => {
+      await pool.warmPool();
+
+      const lease = await pool.acquireBrowserContext('req-1');
+
+      expect(mockLaunchBrowser).toHaveBeenCalledTimes(1);
+      expect(browsers[0].createBrowserContext).toHaveBeenCalled();
+      expect(lease).toEqual(expect.objectContaining({ browser: browsers[0], browserId: 1, requestId: 'req-1' }));
+      expect(pool.getPoolStats()).toEqual(expect.objectContaining({ busy: 1, activeContexts: 1 }));
+    });
+
+    it('should launch a browser when the pool is cold', async () => {
+      const lease = await pool.acquireBrowserContext('req-1');
+
+      expect(mockLaunchBrowser).toHaveBeenCalledWith('req-1');
+      expect(lease.browser).toBe(browsers[0]);
+    });
+
+    it('should give each request its own context on a shared browser', async () => {
+      const lease1 = await pool.acquireBrowserContext('req-1');
+      const lease2 = await pool.acquireBrowserContext('req-2');
+
+      expect(mockLaunchBrowser).toHaveBeenCalledTimes(1);
+      expect(lease1.context).not.toBe(lease2.context);
+      expect(pool.getPoolStats().activeContexts).toBe(2);
+    });
+
+    it('should retire the browser when context creation fails', async () => {
+      await pool.warmPool();
+      browsers[0].createBrowserContext.mockRejectedValueOnce(new Error('Target closed'));
+
+      await expect(pool.acquireBrowserContext('req-1')).rejects.toThrow('Target closed');
+
+      expect(mockCloseBrowser).toHaveBeenCalledWith(browsers[0], 'pool-1');
+    });
+
+    it('should wait for a launch in flight instead of launching past the pool size', async () => {
+      const launch = deferLaunch();
+      const warming = pool.warmPool();
+
+      const leasing = pool.acquireBrowserContext('req-1');
+      launch().resolve();
+      const lease = await leasing;
+      await warming;
+
+      expect(mockLaunchBrowser).toHaveBeenCalledTimes(1);
+      expect(lease.browser).toBe(browsers[0]);
+      expect(pool.getPoolStats()).toEqual(expect.objectContaining({ size: 1, activeContexts: 1 }));
+    });
+
+    it('should launch its own browser when the launch it waited for fails', async () => {
+      const launch = deferLaunch();
+      const warming = pool.warmPool();
+
+      const leasing = pool.acquireBrowserContext('req-1');
+      launch().reject(new Error('Chrome crashed'));
+      await expect(warming).rejects.toThrow('Chrome crashed');
+      const lease = await leasing;
+
+      expect(mockLaunchBrowser).toHaveBeenCalledTimes(2);
+      expect(mockLaunchBrowser).toHaveBeenLastCalledWith('req-1');
+      expect(lease.browser).toBe(browsers[0]);
+    });
+
+    it('should refuse leases while draining', async () => {
+      await pool.closeAllBrowsers();
+
+      await expect(pool.acquireBrowserContext('req-1')).rejects.toThrow('Browser pool is draining');
+    });
+  });
+
+  describe('releaseBrowserContext', () => {
+    it('should close the context and keep the browser warm', async () => {
+      const lease = await pool.acquireBrowserContext('req-1');
+
+      await pool.releaseBrowserContext(lease);
+
+      expect(lease.context.close).toHaveBeenCalled();
+      expect(mockCloseBrowser).not.toHaveBeenCalled();
+      expect(pool.getPoolStats()).toEqual(expect.objectContaining({ size: 1, idle: 1, activeContexts: 0 }));
+    });
+
+    it('should tolerate context close errors', async () => {
+      const lease = await pool.acquireBrowserContext('req-1');
+      lease.context.close.mockRejectedValueOnce(new Error('Already closed'));
+
+      await expect(pool.releaseBrowserContext(lease)).resolves.toBeUndefined();
+      expect(pool.getPoolStats().activeContexts).toBe(0);
+    });
+
+    it('should recycle a browser after max jobs', async () => {
+      for (let i = 0; i < 3; i++) {
+        const lease = await pool.acquireBrowserContext(`req-${i}`);
+        await pool.releaseBrowserContext(lease);
+      }
+
+      expect(mockCloseBrowser).toHaveBeenCalledWith(browsers[0], 'pool-1');
+      await new Promise(setImmediate);
+      expect(mockLaunchBrowser).toHaveBeenCalledTimes(2);
+      expect(pool.getPoolStats().size).toBe(1);
+    });
+
+    it('should recycle a browser over the memory threshold', async () => {
+      mockLaunchBrowser.mockImplementationOnce(async () => createMockBrowser(4242));
+      mockReadFile.mockImplementation(async (file) => {
+        if (file === '/proc/4242/task/4242/children') return '4243';
+        if (file.endsWith('/children')) return '';
+        return 'Name:\tchrome\nVmRSS:\t   61440 kB\n';
+      });
+
+      const lease = await pool.acquireBrowserContext('req-1');
+      await pool.releaseBrowserContext(lease);
+
+      expect(mockCloseBrowser).toHaveBeenCalledWith(browsers[0], 'pool-1');
+    });
+
+    it('should wait for active contexts before closing a retiring browser', async () => {
+      const lease1 = await pool.acquireBrowserContext('req-1');
+      const lease2 = await pool.acquireBrowserContext('req-2');
+      const lease3 = await pool.acquireBrowserContext('req-3');
+
+      await pool.releaseBrowserContext(lease1);
+      expect(mockCloseBrowser).not.toHaveBeenCalled();
+      expect(pool.getPoolStats().retiring).toBe(1);
+
+      await pool.releaseBrowserContext(lease2);
+      await pool.releaseBrowserContext(lease3);
+      expect(mockCloseBrowser).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ignore leases from browsers no longer in the pool', async () => {
+      const lease = await pool.acquireBrowserContext('req-1');
+      browsers[0].emit('disconnected');
+
+      await expect(pool.releaseBrowserContext(lease)).resolves.toBeUndefined();
+      expect(lease.context.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('disconnect handling', () => {
+    it('should drop a crashed browser from the pool', async () => {
+      await pool.warmPool();
+
+      browsers[0].emit('disconnected');
+
+      expect(pool.getPoolStats().size).toBe(0);
+    });
+  });
+
+  describe('closeAllBrowsers', () => {
+    it('should close every pooled browser', async () => {
+      const service = loadService({ PUPPETEER_POOL_SIZE: '2' });
+      await service.warmPool();
+
+      await service.closeAllBrowsers();
+
+      expect(browsers[0].close).toHaveBeenCalled();
+      expect(browsers[1].close).toHaveBeenCalled();
+      expect(service.getPoolStats().size).toBe(0);
+    });
+
+    it('should handle errors when closing browsers', async () => {
+      await pool.warmPool();
+      browsers[0].close.mockRejectedValueOnce(new Error('Close failed'));
+
+      await expect(pool.closeAllBrowsers()).resolves.toBeUndefined();
+    });
+
+    it('should close a browser whose launch finishes after draining started', async () => {
+      const launch = deferLaunch();
+      const warming = pool.warmPool();
+
+      const closing = pool.closeAllBrowsers();
+      launch().resolve();
+      await closing;
+
+      await expect(warming).rejects.toThrow('Browser pool is draining');
+      expect(mockCloseBrowser).toHaveBeenCalledWith(browsers[0], 'pool-warmup');
+      expect(pool.getPoolStats().size).toBe(0);
+    });
+
+    it('should stop warming once draining', async () => {
+      await pool.closeAllBrowsers();
+
+      await pool.warmPool();
+
+      expect(mockLaunchBrowser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getBrowserMemoryMb', () => {
+    it('should return null without a browser process', async () => {
+      expect(await pool.getBrowserMemoryMb(createMockBrowser())).toBeNull();
+    });
+
+    it('should sum resident memory across the process tree', async () => {
+      mockReadFile.mockImplementation(async (file) => {
+        if (file === '/proc/100/task/100/children') return '101 102';
+        if (file.endsWith('/children')) return '';
+        return 'VmRSS:\t   10240 kB\n';
+      });
+
+      expect(await pool.getBrowserMemoryMb(createMockBrowser(100))).toBe(30);
+    });
+
+    it('should count grandchildren and children forked by any thread', async () => {
+      const tasks = { 100: ['100', '105'], 101: ['101'] };
+      const children = { '100/100': '101', '100/105': '102', '101/101': '103 104' };
+      mockReaddir.mockImplementation(async (dir) => {
+        const pid = dir.match(/^\/proc\/(\d+)\/task$/)[1];
+        if (!tasks[pid]) throw new Error('ENOENT');
+        return tasks[pid];
+      });
+      mockReadFile.mockImplementation(async (file) => {
+        const task = file.match(/^\/proc\/(\d+\/task\/\d+)\/children$/);
+        if (task) return children[task[1].replace('/task/', '/')] || '';
+        return 'VmRSS:\t   10240 kB\n';
+      });
+
+      expect(await pool.getBrowserMemoryMb(createMockBrowser(100))).toBe(50);
+      expect(mockReadFile).toHaveBeenCalledWith('/proc/103/status', 'utf8');
+    });
+  });
+});
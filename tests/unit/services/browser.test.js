@@ -72,16 +72,6 @@ describe('Browser Service', () => {
       await browserService.launchBrowser('test-request-id');
       expect(mockBrowser.on).toHaveBeenCalledWith('disconnected', expect.any(Function));
     });
-
-    it('should remove browser from active set on disconnect', async () => {
-      await browserService.launchBrowser('test-request-id');
-      const disconnectHandler = mockBrowser.on.mock.calls.find(c => c[0] === 'disconnected')[1];
-      disconnectHandler();
-      // After disconnect, closeAllBrowsers should have nothing to close
-      mockBrowser.close.mockClear();
-      await browserService.closeAllBrowsers();
-      expect(mockBrowser.close).not.toHaveBeenCalled();
-    });
   });
 
   describe('setupPage', () => {
@@ -151,23 +141,6 @@ describe('Browser Service', () => {
     });
   });
 
-  describe('closeAllBrowsers', () => {
-    it('should close all active browsers', async () => {
-      await browserService.launchBrowser('test-request-1');
-
-      await browserService.closeAllBrowsers();
-
-      expect(mockBrowser.close).toHaveBeenCalled();
-    });
-
-    it('should handle errors when closing browsers', async () => {
-      await browserService.launchBrowser('test-request-1');
-      mockBrowser.close.mockRejectedValueOnce(new Error('Close failed'));
-
-      await expect(browserService.closeAllBrowsers()).resolves.toBeUndefined();
-    });
-  });
-
   describe('shutdown state management', () => {
     it('should track shutting down state', () => {
       const initialState = browserService.getShuttingDown();
@@ -175,7 +175,16 @@ describe('Form Filler Service', () => {
 
       await expect(
         formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id')
-      ).resolves.toBeUndefined();
+      ).resolves.toEqual({
+        fields: [
+          expect.objectContaining({ field: 'supplier_comments', status: 'skipped' }),
+          expect.objectContaining({ field: 'quote_prepared_by', status: 'skipped' })
+        ],
+        dropdowns: [],
+        errors: [],
+        unmatched_items: [],
+        row_plan: null
+      });
     });
 
     it('should handle missing items array', async () => {
@@ -183,7 +192,16 @@ describe('Form Filler Service', () => {
 
       await expect(
         formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id')
-      ).resolves.toBeUndefined();
+      ).resolves.toEqual({
+        fields: [
+          expect.objectContaining({ field: 'supplier_comments', status: 'skipped' }),
+          expect.objectContaining({ field: 'quote_prepared_by', status: 'skipped' })
+        ],
+        dropdowns: [],
+        errors: [],
+        unmatched_items: [],
+        row_plan: null
+      });
     });
 
     it('should format tag date correctly', async () => {
@@ -217,12 +235,14 @@ describe('Form Filler Service', () => {
       // Should not throw, just skip the field
       await expect(
         formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id')
-      ).resolves.toBeUndefined();
+      ).resolves.toMatchObject({ dropdowns: expect.any(Array), errors: expect.any(Array) });
     });
 
     it('should open other conditions for products with non-NE variants', async () => {
       // evaluate returns postback result, then waitForNavigation completes
-      mockPage.evaluate.mockResolvedValueOnce({ clicked: true, count: 1, ids: ['btn0'] });
+      mockPage.evaluate
+        .mockResolvedValueOnce([])  // readFormRowPartNumbers: payload order
+        .mockResolvedValueOnce({ clicked: true, count: 1, ids: ['btn0'] });
       mockPage.waitForNavigation.mockResolvedValueOnce(undefined);
       mockPage.waitForNetworkIdle.mockResolvedValueOnce(undefined);
 
@@ -339,7 +359,7 @@ describe('Form Filler Service', () => {
 
         await expect(
           formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id')
-        ).resolves.toBeUndefined();
+        ).resolves.toMatchObject({ dropdowns: expect.any(Array), errors: expect.any(Array) });
       });
 
       it('should handle undefined values', async () => {
@@ -351,7 +371,7 @@ describe('Form Filler Service', () => {
 
         await expect(
           formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id')
-        ).resolves.toBeUndefined();
+        ).resolves.toMatchObject({ dropdowns: expect.any(Array), errors: expect.any(Array) });
       });
 
       it('should handle numeric values by converting to string', async () => {
@@ -465,7 +485,10 @@ describe('Form Filler Service', () => {
       mockPage.evaluate
         .mockResolvedValueOnce(undefined)  // readFormRowPartNumbers (returns undefined → [])
         .mockResolvedValueOnce(undefined)  // fillRepeaterFieldBySuffix for qty
-        .mockResolvedValueOnce('ctl00_ddlNETraceability1')  // selectDropdownBySuffix - get actualId
+        .mockResolvedValueOnce({  // selectDropdownBySuffix - get actual id and options
+          id: 'ctl00_ddlNETraceability1',
+          options: [{ value: '', text: '-- Select --' }, { value: 'NEW', text: 'New' }]
+        })
         .mockResolvedValueOnce(undefined);  // next field
 
       const quoteDetails = {
@@ -474,7 +497,39 @@ describe('Form Filler Service', () => {
 
       await formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id');
 
-      expect(mockPage.select).toHaveBeenCalled();
+      expect(mockPage.select).toHaveBeenCalledWith('#ctl00_ddlNETraceability1', 'NEW');
+    });
+
+    it('should report a dropdown that disappears before it can be read', async () => {
+      mockPage.evaluate.mockResolvedValueOnce(null);
+
+      const result = await formFiller.selectDropdownBySuffix(mockPage, 'ddlNETraceability1', 0, 'NEW');
+
+      expect(result).toEqual({ status: 'not_found', error: 'select_not_found', options: [] });
+      expect(mockPage.select).not.toHaveBeenCalled();
+    });
+
+    it('should report a dropdown that never appears', async () => {
+      mockPage.waitForFunction.mockRejectedValueOnce(new Error('Waiting failed: 5000ms exceeded'));
+
+      const result = await formFiller.selectDropdownBySuffix(mockPage, 'ddlNETraceability1', 0, 'NEW');
+
+      expect(result).toMatchObject({ status: 'not_found', error: 'select_not_found' });
+    });
+
+    it('should report a dropdown that fails while selecting', async () => {
+      mockPage.evaluate.mockResolvedValueOnce({ id: 'ddl', options: [{ value: 'NEW', text: 'New' }] });
+      mockPage.select.mockRejectedValueOnce(new Error('Target closed'));
+
+      const result = await formFiller.selectDropdownBySuffix(mockPage, 'ddlNETraceability1', 0, 'NEW');
+
+      expect(result).toMatchObject({ status: 'error', error: 'select_failed', message: 'Target closed' });
+    });
+
+    it('should skip a dropdown with no value', async () => {
+      await expect(formFiller.selectDropdownBySuffix(mockPage, 'ddlNETraceability1', 0, ''))
+        .resolves.toEqual({ status: 'skipped' });
+      expect(mockPage.waitForFunction).not.toHaveBeenCalled();
     });
 
     it('should use exact ID match in fillInputBySuffix when element exists', async () => {
@@ -547,6 +602,7 @@ describe('Form Filler Service', () => {
         value: opts.value || '',
         textContent: opts.textContent || '',
         type: opts.type || '',
+        options: opts.options,
         removeAttribute: jest.fn(),
         dispatchEvent: jest.fn(),
         click: jest.fn(),
@@ -569,7 +625,13 @@ describe('Form Filler Service', () => {
         createMockElement('INPUT', 'quotePreparedBy', {})
       ];
       const selectElements = [
-        createMockElement('SELECT', 'ctl00_ddlNETraceability1', {})
+        createMockElement('SELECT', 'ctl00_ddlNETraceability1', {
+          options: [
+            { value: '', textContent: '-- Select --' },
+            { value: '8130', textContent: 'FAA 8130-3' },
+            { value: 'NEW', textContent: 'New' }
+          ]
+        })
       ];
       const textareaElements = [
         createMockElement('TEXTAREA', 'ctl00_txtComments', {})
@@ -633,6 +695,40 @@ describe('Form Filler Service', () => {
       expect(domPage.waitForFunction).toHaveBeenCalled();
     });
 
+    it('should mark a no_quote row with the profile\'s sentinel values and the reason', async () => {
+      const report = await formFiller.fillRfqForm(domPage, {
+        items: [{ part_no: 'TEST-001', qty_available: '100', no_quote: true, no_quote_reason: 'Obsolete' }]
+      }, 'test-request-id');
+
+      const rowFields = report.fields.filter((f) => f.row_index === 0);
+      expect(rowFields).toEqual([
+        expect.objectContaining({ field: 'qty_available', element_id: 'ctl00_txtNEQty1', value: '0', status: 'filled' }),
+        expect.objectContaining({ field: 'comments', element_id: 'ctl00_txtNEComments1', value: 'Obsolete', status: 'filled' })
+      ]);
+      expect(global.document.getElementById('ctl00_txtNEQty1').value).toBe('0');
+    });
+
+    it('should tick the no-quote checkbox once', async () => {
+      const { getDefaultProfile } = require('../../../src/portals');
+      const profile = { ...getDefaultProfile(), noQuote: { checkbox: 'chk{code}NoQuote1' } };
+      const checkbox = createMockElement('INPUT', 'ctl00_chkNENoQuote1', { type: 'checkbox' });
+      checkbox.click = jest.fn(() => { checkbox.checked = !checkbox.checked; });
+      const inputs = global.document.querySelectorAll('input');
+      inputs.push(checkbox);
+      // The post-fill check sees only the ticked checkbox
+      global.document.querySelectorAll = jest.fn((selector) => (selector === 'input' ? inputs : [checkbox]));
+      const quoteDetails = { items: [{ part_no: 'TEST-001', no_quote: true }] };
+
+      const report = await formFiller.fillRfqForm(domPage, quoteDetails, 'test-request-id', profile);
+      await formFiller.fillRfqForm(domPage, quoteDetails, 'test-request-id', profile);
+
+      expect(report.fields.filter((f) => f.row_index === 0)).toEqual([
+        expect.objectContaining({ field: 'no_quote', element_id: 'ctl00_chkNENoQuote1', value: 'checked', status: 'filled' })
+      ]);
+      expect(checkbox.checked).toBe(true);
+      expect(checkbox.click).toHaveBeenCalledTimes(1);
+    });
+
     it('should execute selectDropdownBySuffix evaluate callbacks', async () => {
       const quoteDetails = {
         items: [{ part_no: 'TEST-001', traceability: 'NEW', qty_available: '10' }]
@@ -643,6 +739,110 @@ describe('Form Filler Service', () => {
       expect(domPage.select).toHaveBeenCalled();
     });
 
+    it('should resolve a dropdown value by option text and report it', async () => {
+      const quoteDetails = {
+        items: [{ part_no: 'TEST-001', traceability: ' faa 8130-3 ', qty_available: '10' }]
+      };
+
+      const report = await formFiller.fillRfqForm(domPage, quoteDetails, 'test-request-id');
+
+      expect(domPage.select).toHaveBeenCalledWith('#ctl00_ddlNETraceability1', '8130');
+      expect(report.dropdowns).toEqual([{
+        part_no: 'TEST-001',
+        condition_code: 'NE',
+        row_index: 0,
+        field: 'traceability',
+        requested: ' faa 8130-3 ',
+        option: { value: '8130', text: 'FAA 8130-3' },
+        method: 'text'
+      }]);
+      expect(report.errors).toEqual([]);
+    });
+
+    it('should resolve a dropdown value through the profile alias table', async () => {
+      const quoteDetails = {
+        items: [{ part_no: 'TEST-001', traceability: '8130-3', qty_available: '10' }]
+      };
+
+      const report = await formFiller.fillRfqForm(domPage, quoteDetails, 'test-request-id');
+
+      expect(domPage.select).toHaveBeenCalledWith('#ctl00_ddlNETraceability1', '8130');
+      expect(report.dropdowns[0].method).toBe('alias');
+    });
+
+    it('should return a ledger entry per attempted field', async () => {
+      const quoteDetails = {
+        items: [{ part_no: 'TEST-001', qty_available: '100', price_type: 'OUTRIGHT', traceability: 'NEW' }],
+        supplier_comments: 'Thanks'
+      };
+
+      const report = await formFiller.fillRfqForm(domPage, quoteDetails, 'test-request-id');
+      const byField = Object.fromEntries(report.fields.map((f) => [f.field, f]));
+
+      expect(report.fields).toHaveLength(11);
+      expect(byField.qty_available).toEqual({
+        part_no: 'TEST-001',
+        condition_code: 'NE',
+        row_index: 0,
+        field: 'qty_available',
+        element_id: 'ctl00_txtNEQty1',
+        value: '100',
+        status: 'filled',
+        duration_ms: expect.any(Number)
+      });
+      expect(byField.traceability).toMatchObject({ element_id: 'ctl00_ddlNETraceability1', value: 'NEW', status: 'filled' });
+      expect(byField.price_type).toMatchObject({ element_id: 'ctl00_rbOutrightNE1', value: 'outright', status: 'filled' });
+      expect(byField.uom).toMatchObject({ element_id: null, value: null, status: 'skipped' });
+      expect(byField.supplier_comments).toMatchObject({
+        part_no: null, condition_code: null, element_id: 'ctl00_txtComments', value: 'Thanks', status: 'filled'
+      });
+      expect(byField.quote_prepared_by.status).toBe('skipped');
+    });
+
+    it('should record fields whose element is missing as not_found', async () => {
+      const inputs = global.document.querySelectorAll('input');
+      inputs.splice(inputs.findIndex((el) => el.id === 'ctl00_txtNEMinQuantity1'), 1);
+
+      const report = await formFiller.fillRfqForm(domPage, {
+        items: [{ part_no: 'TEST-001', qty_available: '10', min_qty: 5 }]
+      }, 'test-request-id');
+
+      expect(report.fields.find((f) => f.field === 'min_qty')).toMatchObject({
+        element_id: null,
+        status: 'not_found',
+        error: 'No input with id ending in txtNEMinQuantity1 at index 0'
+      });
+    });
+
+    it('should record an unknown radio value as an error', async () => {
+      const report = await formFiller.fillRfqForm(domPage, {
+        items: [{ part_no: 'TEST-001', qty_available: '10', price_type: 'LEASE' }]
+      }, 'test-request-id');
+
+      expect(report.fields.find((f) => f.field === 'price_type')).toMatchObject({
+        status: 'error',
+        error: 'no_matching_option'
+      });
+    });
+
+    it('should report an unresolvable dropdown value as a field error', async () => {
+      const quoteDetails = {
+        items: [{ part_no: 'TEST-001', traceability: 'EASA Form 1', qty_available: '10' }]
+      };
+
+      const report = await formFiller.fillRfqForm(domPage, quoteDetails, 'test-request-id');
+
+      expect(domPage.select).not.toHaveBeenCalled();
+      expect(report.dropdowns).toEqual([]);
+      expect(report.errors).toEqual([expect.objectContaining({
+        part_no: 'TEST-001',
+        field: 'traceability',
+        requested: 'EASA Form 1',
+        error: 'no_matching_option',
+        available_options: expect.arrayContaining([{ value: '8130', text: 'FAA 8130-3' }])
+      })]);
+    });
+
     it('should execute clickElementBySuffix for OUTRIGHT price type', async () => {
       const quoteDetails = {
         items: [{ part_no: 'TEST-001', price_type: 'OUTRIGHT', qty_available: '10' }]
@@ -974,7 +1174,7 @@ describe('Form Filler Service', () => {
       // Should not throw - error is caught and logged
       await expect(
         formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id')
-      ).resolves.toBeUndefined();
+      ).resolves.toMatchObject({ dropdowns: expect.any(Array), errors: expect.any(Array) });
     });
 
     it('should handle clickElementBySuffix error gracefully', async () => {
@@ -997,7 +1197,7 @@ describe('Form Filler Service', () => {
 
       await expect(
         formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id')
-      ).resolves.toBeUndefined();
+      ).resolves.toMatchObject({ dropdowns: expect.any(Array), errors: expect.any(Array) });
     });
 
     it('should handle fillTextareaBySuffix error gracefully', async () => {
@@ -1012,7 +1212,7 @@ describe('Form Filler Service', () => {
 
       await expect(
         formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id')
-      ).resolves.toBeUndefined();
+      ).resolves.toMatchObject({ dropdowns: expect.any(Array), errors: expect.any(Array) });
     });
 
     it('should handle fillInputBySuffix error gracefully', async () => {
@@ -1029,12 +1229,14 @@ describe('Form Filler Service', () => {
 
       await expect(
         formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id')
-      ).resolves.toBeUndefined();
+      ).resolves.toMatchObject({ dropdowns: expect.any(Array), errors: expect.any(Array) });
     });
 
     it('should handle openOtherConditionsForProducts when button not found', async () => {
       // evaluate returns { clicked: false } -> warn logged
-      mockPage.evaluate.mockResolvedValueOnce({ clicked: false, reason: 'no buttons found' });
+      mockPage.evaluate
+        .mockResolvedValueOnce([])  // readFormRowPartNumbers: payload order
+        .mockResolvedValueOnce({ clicked: false, reason: 'no buttons found' });
       mockPage.waitForFunction.mockResolvedValue(undefined);
 
       const quoteDetails = {
@@ -1043,7 +1245,7 @@ describe('Form Filler Service', () => {
 
       await expect(
         formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id')
-      ).resolves.toBeUndefined();
+      ).resolves.toMatchObject({ dropdowns: expect.any(Array), errors: expect.any(Array) });
     });
 
     it('should handle openOtherConditionsForProducts evaluate error', async () => {
@@ -1059,7 +1261,7 @@ describe('Form Filler Service', () => {
 
       await expect(
         formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id')
-      ).resolves.toBeUndefined();
+      ).resolves.toMatchObject({ dropdowns: expect.any(Array), errors: expect.any(Array) });
     });
   });
 
@@ -1069,6 +1271,8 @@ describe('Form Filler Service', () => {
     });
 
     it('should skip no_quote items when determining products needing other conditions', async () => {
+      const { getDefaultProfile } = require('../../../src/portals');
+      const { noQuote: _noQuote, ...profile } = getDefaultProfile();
       const quoteDetails = {
         items: [
           { part_no: 'TEST-001', conditionCode: 'SV', qty_available: '5', no_quote: true },
@@ -1076,14 +1280,46 @@ describe('Form Filler Service', () => {
         ]
       };
 
-      await formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id');
+      await formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id', profile);
 
       // SV item is no_quote, NE item doesn't need other conditions → no postback
       expect(mockPage.waitForNavigation).not.toHaveBeenCalled();
     });
 
+    it('should open other conditions for no_quote items the portal can mark', async () => {
+      mockPage.evaluate
+        .mockResolvedValueOnce([])  // readFormRowPartNumbers: payload order
+        .mockResolvedValueOnce({ clicked: true, count: 1, ids: ['btn0'] });
+      mockPage.waitForNavigation.mockResolvedValueOnce(undefined);
+      mockPage.waitForNetworkIdle.mockResolvedValueOnce(undefined);
+
+      await formFiller.fillRfqForm(mockPage, {
+        items: [{ part_no: 'TEST-001', conditionCode: 'SV', no_quote: true }]
+      }, 'test-request-id');
+
+      expect(mockPage.evaluate).toHaveBeenNthCalledWith(2, expect.any(Function), expect.objectContaining({ targetIndices: [0] }));
+      expect(mockPage.waitForNavigation).toHaveBeenCalled();
+    });
+
+    it('should open other conditions for a product with an offer on another condition code', async () => {
+      mockPage.evaluate
+        .mockResolvedValueOnce([])  // readFormRowPartNumbers: payload order
+        .mockResolvedValueOnce({ clicked: true, count: 1, ids: ['btn0'] });
+      mockPage.waitForNavigation.mockResolvedValueOnce(undefined);
+      mockPage.waitForNetworkIdle.mockResolvedValueOnce(undefined);
+
+      await formFiller.fillRfqForm(mockPage, {
+        items: [{ part_no: 'TEST-001', offers: [{ price_usd: '100' }, { price_usd: '60', conditionCode: 'OH' }] }]
+      }, 'test-request-id');
+
+      expect(mockPage.evaluate).toHaveBeenNthCalledWith(2, expect.any(Function), expect.objectContaining({ targetIndices: [0] }));
+      expect(mockPage.waitForNavigation).toHaveBeenCalled();
+    });
+
     it('should target multiple products needing other conditions', async () => {
-      mockPage.evaluate.mockResolvedValueOnce({ clicked: true, count: 2, ids: ['btn0', 'btn1'] });
+      mockPage.evaluate
+        .mockResolvedValueOnce([])  // readFormRowPartNumbers: payload order
+        .mockResolvedValueOnce({ clicked: true, count: 2, ids: ['btn0', 'btn1'] });
       mockPage.waitForNavigation.mockResolvedValueOnce(undefined);
       mockPage.waitForNetworkIdle.mockResolvedValueOnce(undefined);
 
@@ -1104,8 +1340,79 @@ describe('Form Filler Service', () => {
       expect(mockPage.waitForNavigation).toHaveBeenCalled();
     });
 
+    it('should target each product by its position on the form, not in the payload', async () => {
+      mockPage.evaluate
+        .mockResolvedValueOnce(['PART-A', 'PART-B', 'PART-C'])  // readFormRowPartNumbers
+        .mockResolvedValueOnce([                                // readConditionRows
+          { code: 'NE', index: 0, part_no: 'PART-A' },
+          { code: 'NE', index: 1, part_no: 'PART-B' },
+          { code: 'NE', index: 2, part_no: 'PART-C' }
+        ])
+        .mockResolvedValueOnce({ clicked: true, count: 1, ids: ['btn2'] });
+
+      await formFiller.fillRfqForm(mockPage, {
+        items: [
+          { part_no: 'PART-C', conditionCode: 'OH', qty_available: '1' },
+          { part_no: 'PART-A', qty_available: '2' }
+        ]
+      }, 'test-request-id');
+
+      expect(mockPage.evaluate).toHaveBeenNthCalledWith(3, expect.any(Function), expect.objectContaining({ targetIndices: [2] }));
+    });
+
+    it('should expand products matched by normalized or alternate part number', async () => {
+      mockPage.evaluate
+        .mockResolvedValueOnce(['PART-A', 'PN-100', 'PART-C'])  // readFormRowPartNumbers
+        .mockResolvedValueOnce([                                // readConditionRows
+          { code: 'NE', index: 0, part_no: 'PART-A' },
+          { code: 'NE', index: 1, part_no: 'PN-100' },
+          { code: 'NE', index: 2, part_no: 'PART-C' }
+        ])
+        .mockResolvedValueOnce({ clicked: true, count: 2, ids: ['btn1', 'btn2'] });
+
+      await formFiller.fillRfqForm(mockPage, {
+        items: [
+          { part_no: 'pn100', conditionCode: 'OH', qty_available: '1' },
+          { part_no: 'OTHER-1', alt_part_numbers: ['PART-C'], conditionCode: 'SV', qty_available: '1' }
+        ]
+      }, 'test-request-id');
+
+      expect(mockPage.evaluate).toHaveBeenNthCalledWith(3, expect.any(Function), expect.objectContaining({ targetIndices: [1, 2] }));
+    });
+
+    it('should not expand a part that matches several products', async () => {
+      mockPage.evaluate
+        .mockResolvedValueOnce(['PN-100', 'PN100'])  // readFormRowPartNumbers
+        .mockResolvedValueOnce([                     // readConditionRows
+          { code: 'NE', index: 0, part_no: 'PN-100' },
+          { code: 'NE', index: 1, part_no: 'PN100' }
+        ]);
+
+      await formFiller.fillRfqForm(mockPage, {
+        items: [{ part_no: 'pn 100', conditionCode: 'OH', qty_available: '1' }]
+      }, 'test-request-id');
+
+      expect(mockPage.evaluate).not.toHaveBeenCalledWith(expect.any(Function), expect.objectContaining({ targetIndices: expect.anything() }));
+      expect(mockPage.waitForNavigation).not.toHaveBeenCalled();
+    });
+
+    it('should not post back when no targeted product is on the form', async () => {
+      mockPage.evaluate
+        .mockResolvedValueOnce(['PART-A'])  // readFormRowPartNumbers
+        .mockResolvedValueOnce([]);         // readConditionRows: positional
+
+      await formFiller.fillRfqForm(mockPage, {
+        items: [{ part_no: 'PART-X', conditionCode: 'OH', qty_available: '1' }]
+      }, 'test-request-id');
+
+      expect(mockPage.evaluate).not.toHaveBeenCalledWith(expect.any(Function), expect.objectContaining({ targetIndices: expect.anything() }));
+      expect(mockPage.waitForNavigation).not.toHaveBeenCalled();
+    });
+
     it('should handle waitForNavigation timeout gracefully', async () => {
-      mockPage.evaluate.mockResolvedValueOnce({ clicked: true, count: 1, ids: ['btn0'] });
+      mockPage.evaluate
+        .mockResolvedValueOnce([])  // readFormRowPartNumbers: payload order
+        .mockResolvedValueOnce({ clicked: true, count: 1, ids: ['btn0'] });
       mockPage.waitForNavigation.mockRejectedValueOnce(new Error('Navigation timeout'));
       mockPage.waitForNetworkIdle.mockResolvedValueOnce(undefined);
 
@@ -1115,11 +1422,13 @@ describe('Form Filler Service', () => {
 
       await expect(
         formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id')
-      ).resolves.toBeUndefined();
+      ).resolves.toMatchObject({ dropdowns: expect.any(Array), errors: expect.any(Array) });
     });
 
     it('should handle waitForNetworkIdle timeout gracefully', async () => {
-      mockPage.evaluate.mockResolvedValueOnce({ clicked: true, count: 1, ids: ['btn0'] });
+      mockPage.evaluate
+        .mockResolvedValueOnce([])  // readFormRowPartNumbers: payload order
+        .mockResolvedValueOnce({ clicked: true, count: 1, ids: ['btn0'] });
       mockPage.waitForNavigation.mockResolvedValueOnce(undefined);
       mockPage.waitForNetworkIdle.mockRejectedValueOnce(new Error('Network idle timeout'));
 
@@ -1129,11 +1438,13 @@ describe('Form Filler Service', () => {
 
       await expect(
         formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id')
-      ).resolves.toBeUndefined();
+      ).resolves.toMatchObject({ dropdowns: expect.any(Array), errors: expect.any(Array) });
     });
 
     it('should handle items with missing part_no', async () => {
-      mockPage.evaluate.mockResolvedValueOnce({ clicked: true, count: 1, ids: ['btn0'] });
+      mockPage.evaluate
+        .mockResolvedValueOnce([])  // readFormRowPartNumbers: payload order
+        .mockResolvedValueOnce({ clicked: true, count: 1, ids: ['btn0'] });
       mockPage.waitForNavigation.mockResolvedValueOnce(undefined);
       mockPage.waitForNetworkIdle.mockResolvedValueOnce(undefined);
 
@@ -1148,7 +1459,9 @@ describe('Form Filler Service', () => {
     });
 
     it('should handle result with no matching buttons for target indices', async () => {
-      mockPage.evaluate.mockResolvedValueOnce({ clicked: false, reason: 'no matching buttons for target indices' });
+      mockPage.evaluate
+        .mockResolvedValueOnce([])  // readFormRowPartNumbers: payload order
+        .mockResolvedValueOnce({ clicked: false, reason: 'no matching buttons for target indices' });
       mockPage.waitForFunction.mockResolvedValue(undefined);
 
       const quoteDetails = {
@@ -1157,7 +1470,7 @@ describe('Form Filler Service', () => {
 
       await expect(
         formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id')
-      ).resolves.toBeUndefined();
+      ).resolves.toMatchObject({ dropdowns: expect.any(Array), errors: expect.any(Array) });
     });
 
     it('should default conditionCode to NE for items without conditionCode', async () => {
@@ -1175,26 +1488,30 @@ describe('Form Filler Service', () => {
     });
   });
 
-  describe('readFormRowPartNumbers', () => {
-    it('should return empty array when page.evaluate returns undefined', async () => {
-      jest.useRealTimers();
-      mockPage.evaluate.mockResolvedValueOnce(undefined);
-      const result = await formFiller.readFormRowPartNumbers(mockPage, 'test-request-id');
-      expect(result).toEqual([]);
-    });
+  describe('findMissingTargets', () => {
+    it('should list unmatched parts and fields that were not found or failed', () => {
+      const report = {
+        fields: [
+          { part_no: 'A-1', condition_code: 'NE', row_index: 0, field: 'qty_available', status: 'filled' },
+          { part_no: 'A-1', condition_code: 'NE', row_index: 0, field: 'uom', status: 'skipped' },
+          { part_no: 'A-1', condition_code: 'NE', row_index: 0, field: 'min_qty', status: 'not_found', error: 'No input' },
+          { part_no: 'A-1', condition_code: 'NE', row_index: 0, field: 'traceability', status: 'error', error: 'no_matching_option' }
+        ],
+        unmatched_items: [{ item_index: 1, part_no: 'B-2', condition_code: 'SV' }]
+      };
 
-    it('should return part numbers from page.evaluate', async () => {
-      jest.useRealTimers();
-      mockPage.evaluate.mockResolvedValueOnce(['2D2019-5', 'SAM 222-19', 'SAM222-19']);
-      const result = await formFiller.readFormRowPartNumbers(mockPage, 'test-request-id');
-      expect(result).toEqual(['2D2019-5', 'SAM 222-19', 'SAM222-19']);
+      expect(formFiller.findMissingTargets(report)).toEqual({
+        parts: [{ part_no: 'B-2', condition_code: 'SV' }],
+        fields: [
+          { part_no: 'A-1', condition_code: 'NE', field: 'min_qty', status: 'not_found', error: 'No input' },
+          { part_no: 'A-1', condition_code: 'NE', field: 'traceability', status: 'error', error: 'no_matching_option' }
+        ]
+      });
     });
 
-    it('should return empty array when page.evaluate throws', async () => {
-      jest.useRealTimers();
-      mockPage.evaluate.mockRejectedValueOnce(new Error('DOM error'));
-      const result = await formFiller.readFormRowPartNumbers(mockPage, 'test-request-id');
-      expect(result).toEqual([]);
+    it('should return empty lists for a complete fill', () => {
+      expect(formFiller.findMissingTargets({ fields: [{ status: 'filled' }], unmatched_items: [] }))
+        .toEqual({ parts: [], fields: [] });
     });
   });
 
@@ -1254,10 +1571,127 @@ describe('Form Filler Service', () => {
         ]
       };
 
-      await formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id');
+      const report = await formFiller.fillRfqForm(mockPage, quoteDetails, 'test-request-id');
 
-      // Should still succeed without error (PART-X silently skipped)
+      // Should still succeed without error; PART-X is reported as unmatched
       expect(mockPage.waitForFunction).toHaveBeenCalled();
+      expect(report.unmatched_items).toEqual([{ item_index: 1, part_no: 'PART-X', condition_code: 'NE' }]);
+    });
+
+    it('should fill each condition code at its own row', async () => {
+      const { getDefaultProfile } = require('../../../src/portals');
+      const { expandConditions: _expand, ...profile } = getDefaultProfile();
+      mockPage.evaluate
+        .mockResolvedValueOnce(['PART-A', 'PART-B'])  // readFormRowPartNumbers
+        .mockResolvedValueOnce([                      // readConditionRows: only PART-B expanded
+          { code: 'NE', index: 0, part_no: 'PART-A' },
+          { code: 'NE', index: 1, part_no: 'PART-B' },
+          { code: 'OH', index: 0, part_no: 'PART-B' }
+        ])
+        .mockResolvedValue('el');
+
+      const report = await formFiller.fillRfqForm(mockPage, {
+        items: [
+          { part_no: 'PART-B', conditionCode: 'OH', qty_available: '2' },
+          { part_no: 'PART-A', conditionCode: 'SV', qty_available: '3' }
+        ]
+      }, 'test-request-id', profile);
+
+      expect(mockPage.waitForFunction).toHaveBeenCalledWith(expect.any(Function), expect.anything(),
+        expect.objectContaining({ suffix: 'txtOHQty1', index: 0 }));
+      expect(report.fields.find((f) => f.field === 'qty_available')).toMatchObject({ part_no: 'PART-B', row_index: 0 });
+      expect(report.unmatched_items).toEqual([{ item_index: 1, part_no: 'PART-A', condition_code: 'SV' }]);
+      expect(report.row_plan).toMatchObject({ strategy: 'part_number', row_source: 'dom' });
+      expect(report.row_plan.items[1]).toMatchObject({ row_index: null, skip_reason: 'no_condition_row' });
+    });
+
+    it('should fill an item\'s price offer on the product\'s first row only', async () => {
+      const { getDefaultProfile } = require('../../../src/portals');
+      const { expandConditions: _expand, ...profile } = getDefaultProfile();
+      mockPage.evaluate
+        .mockResolvedValueOnce(['PART-A', 'PART-A'])  // readFormRowPartNumbers: product listed twice
+        .mockResolvedValueOnce([                      // readConditionRows
+          { code: 'NE', index: 0, part_no: 'PART-A' },
+          { code: 'NE', index: 1, part_no: 'PART-A' }
+        ])
+        .mockResolvedValue('el');
+
+      const report = await formFiller.fillRfqForm(mockPage, {
+        items: [{
+          part_no: 'PART-A',
+          qty_available: '20',
+          lead_time: '5 days',
+          offers: [{ price_usd: '90', min_qty: 10, lead_time: '10 days' }]
+        }]
+      }, 'test-request-id', profile);
+
+      const written = (field) => report.fields
+        .filter((f) => f.field === field)
+        .map(({ row_index }) => row_index);
+      expect(written('price_usd')).toEqual([0]);
+      expect(written('qty_available')).toEqual([0]);
+      expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function),
+        expect.objectContaining({ suffix: 'txtNELead1', index: 0, value: '10 days' }));
+      expect(report.unmatched_items).toEqual([]);
+    });
+
+    it('should fill each price offer on the row for its condition code', async () => {
+      const { getDefaultProfile } = require('../../../src/portals');
+      const { expandConditions: _expand, ...profile } = getDefaultProfile();
+      mockPage.evaluate
+        .mockResolvedValueOnce(['PART-A'])  // readFormRowPartNumbers
+        .mockResolvedValueOnce([            // readConditionRows
+          { code: 'NE', index: 0, part_no: 'PART-A' },
+          { code: 'OH', index: 0, part_no: 'PART-A' }
+        ])
+        .mockResolvedValue('el');
+
+      const report = await formFiller.fillRfqForm(mockPage, {
+        items: [{
+          part_no: 'PART-A',
+          qty_available: '20',
+          offers: [
+            { price_usd: '100', price_type: 'OUTRIGHT' },
+            { price_usd: '60', price_type: 'EXCHANGE', conditionCode: 'OH', lead_time: '3 days' }
+          ]
+        }]
+      }, 'test-request-id', profile);
+
+      expect(report.row_plan.items.map(({ offer_index, condition_code, row_index }) => [offer_index, condition_code, row_index])).toEqual([
+        [0, 'NE', 0],
+        [1, 'OH', 0]
+      ]);
+      expect(report.fields.filter((f) => f.field === 'qty_available').map((f) => f.condition_code)).toEqual(['NE', 'OH']);
+      expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function),
+        expect.objectContaining({ suffix: 'txtNEPrice1', index: 0, value: '100' }));
+      expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function),
+        expect.objectContaining({ suffix: 'txtOHPrice1', index: 0, value: '60' }));
+      expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function),
+        expect.objectContaining({ suffix: 'txtOHLead1', index: 0, value: '3 days' }));
+      expect(report.unmatched_items).toEqual([]);
+    });
+
+    it('should fill rows matched by normalized part number and skip contested rows', async () => {
+      mockPage.evaluate
+        .mockResolvedValueOnce(['14330232201', 'NAS1234'])  // readFormRowPartNumbers
+        .mockResolvedValueOnce([])                          // readConditionRows: positional
+        .mockResolvedValue('el');
+
+      const report = await formFiller.fillRfqForm(mockPage, {
+        items: [
+          { part_no: '14330-232-201 ', qty_available: '2' },
+          { part_no: 'nas-1234', qty_available: '3' },
+          { part_no: 'NAS1234', qty_available: '4' }
+        ]
+      }, 'test-request-id');
+
+      expect(report.row_plan.items[0]).toMatchObject({ form_part_no: '14330232201', match_method: 'normalized', row_index: 0, skip_reason: null });
+      expect(report.row_plan.conflicts).toEqual([{ condition_code: 'NE', row_index: 1, item_indexes: [1, 2] }]);
+      expect(report.fields.filter((f) => f.field === 'qty_available').map((f) => f.part_no)).toEqual(['14330-232-201 ']);
+      expect(report.unmatched_items).toEqual([
+        { item_index: 1, part_no: 'nas-1234', condition_code: 'NE' },
+        { item_index: 2, part_no: 'NAS1234', condition_code: 'NE' }
+      ]);
     });
 
     it('should fall back to sequential fill when form row detection returns empty', async () => {
@@ -1276,6 +1710,64 @@ describe('Form Filler Service', () => {
     });
   });
 
+  describe('portal profiles', () => {
+    const customProfile = {
+      name: 'acme',
+      hosts: ['rfq.acme.example'],
+      defaultConditionCode: 'NE',
+      rowDetection: { strategy: 'header-text', selector: 'li.part', pattern: '^Part (.+)$', flags: '' },
+      rowFields: {
+        qty_available: { control: 'input', suffix: 'qty-{code}' },
+        price_type: { control: 'radio', options: { firm: 'firm-{code}' } }
+      },
+      formFields: {
+        quote_prepared_by: { control: 'input', suffix: 'preparer' }
+      },
+      submit: { selector: 'a.btn', text: ['Submit Quote'], match: 'exact' },
+      cancel: { selector: 'a.btn', text: ['Discard'], match: 'contains' }
+    };
+
+    it('should fill the form using the profile selectors', async () => {
+      jest.useRealTimers();
+      mockPage.evaluate
+        .mockResolvedValueOnce([]) // readFormRowPartNumbers
+        .mockResolvedValue(1);
+
+      await formFiller.fillRfqForm(mockPage, {
+        items: [{ part_no: 'A-1', conditionCode: 'SV', qty_available: '4', price_type: 'FIRM' }],
+        quote_prepared_by: 'Jane Doe'
+      }, 'test-request-id', customProfile);
+
+      expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function),
+        { selector: 'li.part', pattern: '^Part (.+)$', flags: '' });
+      expect(mockPage.waitForFunction).toHaveBeenCalledWith(expect.any(Function), expect.anything(),
+        expect.objectContaining({ suffix: 'qty-SV', index: 0 }));
+      expect(mockPage.waitForFunction).toHaveBeenCalledWith(expect.any(Function), expect.anything(),
+        expect.objectContaining({ suffix: 'firm-SV', index: 0 }));
+      // No expandConditions block: the SV row cannot be revealed, so no postback is attempted
+      expect(mockPage.waitForNavigation).not.toHaveBeenCalled();
+    });
+
+    it('should locate the submit button from the profile', async () => {
+      mockPage.evaluate.mockResolvedValue({ success: true, buttonText: 'Submit Quote' });
+
+      await expect(formFiller.submitForm(mockPage, 'test-request-id', customProfile)).resolves.toBe(true);
+
+      expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function),
+        { selector: 'a.btn', text: ['submit quote'], match: 'exact' });
+    });
+
+    it('should not press a key when the profile has no cancel fallback', async () => {
+      mockPage.evaluate.mockResolvedValue(false);
+
+      await formFiller.cancelFormSubmission(mockPage, 'test-request-id', customProfile);
+
+      expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function),
+        { selector: 'a.btn', text: ['discard'], match: 'contains' });
+      expect(mockPage.keyboard.press).not.toHaveBeenCalled();
+    });
+  });
+
   describe('module exports', () => {
     it('should export fillRfqForm function', () => {
       expect(typeof formFiller.fillRfqForm).toBe('function');
@@ -1292,9 +1784,5 @@ describe('Form Filler Service', () => {
     it('should export submitForm function', () => {
       expect(typeof formFiller.submitForm).toBe('function');
     });
-
-    it('should export readFormRowPartNumbers function', () => {
-      expect(typeof formFiller.readFormRowPartNumbers).toBe('function');
-    });
   });
 });
@@ -0,0 +1,159 @@
+/**
+ * Unit tests for form-inspector service
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Form Inspector Service', () => {
+  let formInspector;
+  let profile;
+  let mockPage;
+
+  const noButton = { found: false, id: null, text: null };
+
+  /**
+   * Build the evaluate result with `rowsByCode[code]` elements for every
+   * suffix of that condition code, optionally overriding single fields.
+   */
+  function domResult(rowsByCode, overrides = {}) {
+    const table = formInspector.buildSuffixTable(profile);
+    const counts = {};
+    for (const [code, entries] of Object.entries(table)) {
+      counts[code] = entries.map((entry) => overrides[`${code}.${entry.field}`] ?? rowsByCode[code] ?? 0);
+    }
+    return {
+      counts,
+      dropdownOptions: { traceability: [{ value: 'NEW', text: 'New' }] },
+      otherConditionsButtons: [],
+      submitButton: { found: true, id: 'btnSend', text: 'Send' },
+      cancelButton: noButton
+    };
+  }
+
+  beforeEach(() => {
+    jest.resetModules();
+    mockPage = { evaluate: jest.fn() };
+    formInspector = require('../../../src/services/form-inspector');
+    profile = require('../../../src/portals').getDefaultProfile();
+  });
+
+  describe('buildSuffixTable', () => {
+    it('should resolve every row field for every condition code', () => {
+      const table = formInspector.buildSuffixTable(profile);
+
+      expect(Object.keys(table)).toEqual(['NE', 'NS', 'OH', 'SV', 'AR']);
+      expect(table.SV).toContainEqual({ field: 'qty_available', tagName: 'input', suffix: 'txtSVQty1' });
+      expect(table.SV).toContainEqual({ field: 'traceability', tagName: 'select', suffix: 'ddlSVTraceability1' });
+    });
+
+    it('should list one suffix per radio option', () => {
+      const table = formInspector.buildSuffixTable(profile);
+
+      expect(table.NE.filter((entry) => entry.field === 'price_type')).toEqual([
+        { field: 'price_type', tagName: 'input', suffix: 'rbOutrightNE1' },
+        { field: 'price_type', tagName: 'input', suffix: 'rbExchangeNE1' }
+      ]);
+    });
+  });
+
+  describe('inspectForm', () => {
+    it('should report part numbers and the suffixes present per row', async () => {
+      mockPage.evaluate
+        .mockResolvedValueOnce(['ABC-1', 'ABC-1', 'XYZ-2', 'XYZ-2'])
+        .mockResolvedValueOnce(domResult({ NE: 2, SV: 1 }));
+
+      const report = await formInspector.inspectForm(mockPage, 'test-request-id');
+
+      expect(report.portal).toBe('ils');
+      expect(report.partNumbers).toEqual(['ABC-1', 'ABC-1', 'XYZ-2', 'XYZ-2']);
+      expect(report.rows).toHaveLength(2);
+      expect(report.rows[0].part_no).toBe('ABC-1');
+      expect(Object.keys(report.rows[0].conditions)).toEqual(['NE', 'SV']);
+      expect(report.rows[0].conditions.SV).toContain('txtSVPrice1');
+      expect(report.rows[1].part_no).toBe('XYZ-2');
+      expect(Object.keys(report.rows[1].conditions)).toEqual(['NE']);
+      expect(report.rows[1].missingFields).toEqual([]);
+    });
+
+    it('should list default-condition fields missing from a row', async () => {
+      mockPage.evaluate
+        .mockResolvedValueOnce(['ABC-1', 'ABC-1', 'XYZ-2', 'XYZ-2'])
+        .mockResolvedValueOnce(domResult({ NE: 2 }, { 'NE.tag_date': 1, 'NE.traceability': 0 }));
+
+      const report = await formInspector.inspectForm(mockPage, 'test-request-id');
+
+      expect(report.rows[0].missingFields).toEqual(['traceability']);
+      expect(report.rows[1].missingFields).toEqual(['traceability', 'tag_date']);
+    });
+
+    it('should report rows with no detected part number', async () => {
+      mockPage.evaluate
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce(domResult({ NE: 1 }));
+
+      const report = await formInspector.inspectForm(mockPage, 'test-request-id');
+
+      expect(report.rows).toEqual([
+        expect.objectContaining({ index: 0, part_no: null, missingFields: [] })
+      ]);
+    });
+
+    it('should report part numbers with no fields found', async () => {
+      mockPage.evaluate
+        .mockResolvedValueOnce(['ABC-1'])
+        .mockResolvedValueOnce(domResult({}));
+
+      const report = await formInspector.inspectForm(mockPage, 'test-request-id');
+
+      expect(report.rows[0].conditions).toEqual({});
+      expect(report.rows[0].missingFields).toContain('qty_available');
+    });
+
+    it('should pass dropdown options and button results through', async () => {
+      const dom = {
+        ...domResult({ NE: 1 }),
+        otherConditionsButtons: [{ id: 'btnOther0', value: 'Quote Other Conditions' }]
+      };
+      mockPage.evaluate
+        .mockResolvedValueOnce(['ABC-1'])
+        .mockResolvedValueOnce(dom);
+
+      const report = await formInspector.inspectForm(mockPage, 'test-request-id');
+
+      expect(report.dropdownOptions).toEqual({ traceability: [{ value: 'NEW', text: 'New' }] });
+      expect(report.otherConditionsButtons).toEqual([{ id: 'btnOther0', value: 'Quote Other Conditions' }]);
+      expect(report.submitButton).toEqual({ found: true, id: 'btnSend', text: 'Send' });
+      expect(report.cancelButton).toEqual(noButton);
+    });
+
+    it('should hand the profile locators to the page', async () => {
+      mockPage.evaluate
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce(domResult({}));
+
+      await formInspector.inspectForm(mockPage, 'test-request-id');
+
+      const args = mockPage.evaluate.mock.calls[1][1];
+      expect(args.selectSuffixes).toEqual({ traceability: 'ddlNETraceability1' });
+      expect(args.expand.buttonText).toEqual(['quote other condition', 'other condition']);
+      expect(args.submit).toEqual({ selector: profile.submit.selector, text: ['send'], match: 'exact' });
+      expect(args.cancel.match).toBe('contains');
+    });
+
+    it('should skip the expand lookup for portals without one', async () => {
+      const { expandConditions: _expand, ...noExpand } = profile;
+      mockPage.evaluate
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce(domResult({}));
+
+      await formInspector.inspectForm(mockPage, 'test-request-id', noExpand);
+
+      expect(mockPage.evaluate.mock.calls[1][1].expand).toBeNull();
+    });
+  });
+});
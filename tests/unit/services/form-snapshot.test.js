@@ -0,0 +1,168 @@
+/**
+ * Unit tests for form-snapshot service
+ */
+
+const mockUploadArtifact = jest.fn();
+
+jest.mock('../../../src/services/screenshot', () => ({
+  uploadArtifact: (...args) => mockUploadArtifact(...args)
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { captureFormSnapshot, diffFormSnapshots, uploadFormSnapshots } = require('../../../src/services/form-snapshot');
+const logger = require('../../../src/utils/logger');
+
+function field(overrides) {
+  return {
+    key: 'txtNEQty1',
+    id: 'txtNEQty1',
+    name: 'qty',
+    tag: 'input',
+    type: 'text',
+    value: '',
+    checked: null,
+    disabled: false,
+    readonly: false,
+    ...overrides
+  };
+}
+
+describe('Form Snapshot Service', () => {
+  let mockPage;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPage = {
+      evaluate: jest.fn().mockResolvedValue([field()]),
+      url: jest.fn().mockReturnValue('https://example.com/rfq-form')
+    };
+  });
+
+  describe('captureFormSnapshot', () => {
+    it('should return the fields with the page URL and capture time', async () => {
+      const snapshot = await captureFormSnapshot(mockPage, 'req-1');
+
+      expect(snapshot.fields).toEqual([field()]);
+      expect(snapshot.url).toBe('https://example.com/rfq-form');
+      expect(snapshot.captured_at).toEqual(expect.any(String));
+    });
+
+    it('should return null when the page cannot be read', async () => {
+      mockPage.evaluate.mockRejectedValue(new Error('Execution context was destroyed'));
+
+      await expect(captureFormSnapshot(mockPage, 'req-1')).resolves.toBeNull();
+      expect(logger.warn).toHaveBeenCalledWith('Failed to capture form snapshot', expect.any(Object));
+    });
+
+    it('should read every control in the browser, skipping ASP.NET state fields', async () => {
+      const originalDocument = global.document;
+      global.document = {
+        querySelectorAll: () => [
+          { tagName: 'INPUT', type: 'hidden', name: '__VIEWSTATE', value: 'abc' },
+          { tagName: 'INPUT', type: 'radio', id: 'rbOutrightNE1', name: 'grp', value: 'rbOutright', checked: true },
+          { tagName: 'SELECT', id: 'ddlNETraceability1', name: 'ddl', value: '8130', disabled: true },
+          { tagName: 'TEXTAREA', name: 'notes', value: 'a', readOnly: true },
+          { tagName: 'TEXTAREA', name: 'notes', value: 'b' }
+        ]
+      };
+      mockPage.evaluate.mockImplementation((fn) => Promise.resolve(fn()));
+
+      try {
+        const snapshot = await captureFormSnapshot(mockPage, 'req-1');
+
+        expect(snapshot.fields.map((f) => f.key)).toEqual(['rbOutrightNE1', 'ddlNETraceability1', 'notes#0', 'notes#1']);
+        expect(snapshot.fields[0]).toMatchObject({ type: 'radio', checked: true });
+        expect(snapshot.fields[1]).toMatchObject({ type: 'select', checked: null, disabled: true });
+        expect(snapshot.fields[2]).toMatchObject({ id: null, type: 'textarea', readonly: true, value: 'a' });
+      } finally {
+        global.document = originalDocument;
+      }
+    });
+  });
+
+  describe('diffFormSnapshots', () => {
+    it('should list changed properties per field and count untouched ones', () => {
+      const before = { fields: [field(), field({ key: 'txtNEUOM1', id: 'txtNEUOM1', value: 'EA' })] };
+      const after = { fields: [field({ value: '100', readonly: true }), field({ key: 'txtNEUOM1', id: 'txtNEUOM1', value: 'EA' })] };
+
+      expect(diffFormSnapshots(before, after)).toEqual({
+        changed: [{
+          key: 'txtNEQty1',
+          id: 'txtNEQty1',
+          name: 'qty',
+          type: 'text',
+          changes: { value: { before: '', after: '100' }, readonly: { before: false, after: true } }
+        }],
+        added: [],
+        removed: [],
+        unchanged: 1
+      });
+    });
+
+    it('should report fields that appeared or disappeared', () => {
+      const before = { fields: [field(), field({ key: 'btnOld', id: 'btnOld' })] };
+      const after = { fields: [field(), field({ key: 'txtSVQty1', id: 'txtSVQty1' })] };
+
+      const diff = diffFormSnapshots(before, after);
+
+      expect(diff.added.map((f) => f.key)).toEqual(['txtSVQty1']);
+      expect(diff.removed.map((f) => f.key)).toEqual(['btnOld']);
+      expect(diff.unchanged).toBe(1);
+    });
+
+    it('should detect a radio selection moving', () => {
+      const outright = field({ key: 'rbOutrightNE1', id: 'rbOutrightNE1', type: 'radio', checked: true });
+      const exchange = field({ key: 'rbExchangeNE1', id: 'rbExchangeNE1', type: 'radio', checked: false });
+
+      const diff = diffFormSnapshots(
+        { fields: [outright, exchange] },
+        { fields: [{ ...outright, checked: false }, { ...exchange, checked: true }] }
+      );
+
+      expect(diff.changed.map((c) => [c.key, c.changes.checked.after])).toEqual([
+        ['rbOutrightNE1', false],
+        ['rbExchangeNE1', true]
+      ]);
+    });
+  });
+
+  describe('uploadFormSnapshots', () => {
+    const snapshot = { captured_at: '2026-01-01T00:00:00.000Z', url: 'https://example.com', fields: [field()] };
+
+    it('should upload each snapshot as JSON', async () => {
+      mockUploadArtifact.mockResolvedValue({
+        url: 'https://storage/x.json?token=t',
+        url_expires_at: '2026-01-01T01:00:00.000Z',
+        storage_path: 'screenshots/rfq-1/x.json'
+      });
+
+      const uploaded = await uploadFormSnapshots('rfq-1', { 'form-before': snapshot, 'form-after': null }, 'req-1');
+
+      expect(mockUploadArtifact).toHaveBeenCalledTimes(1);
+      expect(mockUploadArtifact).toHaveBeenCalledWith(
+        'rfq-1', expect.stringMatching(/^rfq-form-before-\d+\.json$/), JSON.stringify(snapshot), 'application/json', 'req-1'
+      );
+      expect(uploaded).toEqual([{
+        type: 'form-before',
+        url: 'https://storage/x.json?token=t',
+        url_expires_at: '2026-01-01T01:00:00.000Z',
+        captured_at: snapshot.captured_at,
+        storage_path: 'screenshots/rfq-1/x.json',
+        field_count: 1
+      }]);
+    });
+
+    it('should leave out snapshots that fail to upload', async () => {
+      mockUploadArtifact.mockRejectedValue(new Error('Supabase upload failed: 500'));
+
+      await expect(uploadFormSnapshots('rfq-1', { 'form-after': snapshot }, 'req-1')).resolves.toEqual([]);
+      expect(logger.warn).toHaveBeenCalledWith('Failed to upload form snapshot', expect.objectContaining({ type: 'form-after' }));
+    });
+  });
+});
@@ -6,13 +6,29 @@ jest.mock('../../../src/services/form-filler', () => ({
   fillRepeaterFieldBySuffix: jest.fn().mockResolvedValue(undefined),
   selectDropdownBySuffix: jest.fn().mockResolvedValue(undefined),
   clickElementBySuffix: jest.fn().mockResolvedValue(undefined),
-  readFormRowPartNumbers: jest.fn().mockResolvedValue([]),
+  checkBoxBySuffix: jest.fn().mockResolvedValue(undefined),
   fillRfqForm: jest.fn(),
   cancelFormSubmission: jest.fn(),
   submitForm: jest.fn(),
   delay: jest.fn(),
 }));
 
+jest.mock('../../../src/services/row-mapping', () => {
+  const actual = jest.requireActual('../../../src/services/row-mapping');
+  const mocked = {
+    ...actual,
+    readFormRowPartNumbers: jest.fn().mockResolvedValue([]),
+    // No condition rows detected: one row per product, in form order
+    mapFormRows: jest.fn((page, partNumbers, requestId, profile) =>
+      Promise.resolve(partNumbers.length > 0 ? actual.buildRowMap(partNumbers, [], profile) : null)),
+  };
+  mocked.resolveRowPlan = jest.fn(async (page, items, requestId, profile) => {
+    const partNumbers = await mocked.readFormRowPartNumbers(page, requestId, profile);
+    return actual.buildRowPlan(items, partNumbers, await mocked.mapFormRows(page, partNumbers, requestId, profile), profile);
+  });
+  return mocked;
+});
+
 jest.mock('../../../src/utils/logger', () => ({
   info: jest.fn(),
   warn: jest.fn(),
@@ -27,6 +43,8 @@ jest.mock('../../../src/utils/validation', () => ({
     if (!trimmed) return undefined;
     return trimmed;
   }),
+  VALID_CONDITION_CODES: jest.requireActual('../../../src/utils/validation').VALID_CONDITION_CODES,
+  validateRedactionSpec: jest.requireActual('../../../src/utils/validation').validateRedactionSpec,
 }));
 
 const {
@@ -35,17 +53,39 @@ const {
   readbackItemRow,
   compareFields,
   normalizePrice,
+  readClientValidationErrors,
 } = require('../../../src/services/form-validator');
 
 const {
   fillRepeaterFieldBySuffix,
   selectDropdownBySuffix,
   clickElementBySuffix,
-  readFormRowPartNumbers,
+  checkBoxBySuffix,
 } = require('../../../src/services/form-filler');
+const { readFormRowPartNumbers, mapFormRows, buildRowMap } = require('../../../src/services/row-mapping');
+const { getDefaultProfile } = require('../../../src/portals');
 
 const logger = require('../../../src/utils/logger');
 
+// page.evaluate arguments readbackItemRow sends for the ILS profile
+function readbackArgs(code, index) {
+  return expect.objectContaining({
+    index,
+    fields: expect.objectContaining({
+      qty: { control: 'input', suffix: `txt${code}Qty1` },
+      price_type: {
+        control: 'radio',
+        options: { OUTRIGHT: `rbOutright${code}1`, EXCHANGE: `rbExchange${code}1` }
+      }
+    })
+  });
+}
+
+// page.evaluate calls made by readbackItemRow, leaving out the client-side validation pass
+function readbackCalls(page) {
+  return page.evaluate.mock.calls.filter(([, args]) => args && args.fields);
+}
+
 describe('Form Validator Service', () => {
   let mockPage;
   const originalFetch = global.fetch;
@@ -346,6 +386,32 @@ describe('Form Validator Service', () => {
       );
     });
 
+    it('should compare traceability against the option the payload value resolves to', () => {
+      const expected = { ...baseExpected, traceability: 'FAA 8130-3' };
+      const actual = {
+        ...baseActual,
+        traceability: '8130',
+        selectOptions: { traceability: [{ value: '', text: '-- Select --' }, { value: '8130', text: '8130' }] }
+      };
+
+      expect(compareFields(expected, actual).find((m) => m.field === 'traceability')).toBeUndefined();
+    });
+
+    it('should report the raw traceability value when it resolves to no option', () => {
+      const expected = { ...baseExpected, traceability: 'EASA Form 1' };
+      const actual = {
+        ...baseActual,
+        traceability: '8130',
+        selectOptions: { traceability: [{ value: '8130', text: '8130' }] }
+      };
+
+      expect(compareFields(expected, actual)).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ field: 'traceability', expected: 'EASA Form 1', actual: '8130' }),
+        ])
+      );
+    });
+
     it('should detect tag_date mismatch', () => {
       const actual = { ...baseActual, tag_date: '12-31-2024' };
       const result = compareFields(baseExpected, actual);
@@ -440,13 +506,13 @@ describe('Form Validator Service', () => {
       await readbackItemRow(mockPage, 'ne', 0);
       expect(mockPage.evaluate).toHaveBeenCalledTimes(1);
       const callArgs = mockPage.evaluate.mock.calls[0];
-      expect(callArgs[1]).toEqual({ code: 'NE', index: 0 });
+      expect(callArgs[1]).toEqual(readbackArgs('NE', 0));
     });
 
     it('should pass correct index for different rows', async () => {
       await readbackItemRow(mockPage, 'SV', 3);
       const callArgs = mockPage.evaluate.mock.calls[0];
-      expect(callArgs[1]).toEqual({ code: 'SV', index: 3 });
+      expect(callArgs[1]).toEqual(readbackArgs('SV', 3));
     });
 
     it('should return the result from page.evaluate', async () => {
@@ -469,7 +535,7 @@ describe('Form Validator Service', () => {
     it('should uppercase mixed-case condition codes', async () => {
       await readbackItemRow(mockPage, 'oH', 0);
       const callArgs = mockPage.evaluate.mock.calls[0];
-      expect(callArgs[1]).toEqual({ code: 'OH', index: 0 });
+      expect(callArgs[1]).toEqual(readbackArgs('OH', 0));
     });
 
     it('should pass a function as first argument to page.evaluate', async () => {
@@ -706,6 +772,9 @@ describe('Form Validator Service', () => {
       comments: '',
     });
 
+    // A portal that leaves no_quote rows blank
+    const { noQuote: _noQuote, ...unmarkedProfile } = getDefaultProfile();
+
     beforeEach(() => {
       // Default: validate-quote endpoint fails -> fallback to payload
       global.fetch.mockRejectedValue(new Error('not available'));
@@ -744,6 +813,18 @@ describe('Form Validator Service', () => {
       );
     });
 
+    it('should fail the validation report when validators show messages', async () => {
+      mockPage.evaluate.mockImplementation((fn, args) => Promise.resolve(args.routine
+        ? { ran: true, errors: [], summary: ['Please correct the following'] }
+        : makeMatchingActual()));
+
+      const report = await validateAndCorrect(mockPage, { items: [makeItem()] }, 'req-1');
+
+      expect(report.mismatches_found).toEqual([]);
+      expect(report.client_validation.summary).toEqual(['Please correct the following']);
+      expect(report.status).toBe('fail');
+    });
+
     it('should detect mismatches and attempt correction', async () => {
       const item = makeItem();
 
@@ -821,10 +902,10 @@ describe('Form Validator Service', () => {
       ];
       mockPage.evaluate.mockResolvedValue(makeMatchingActual());
 
-      const report = await validateAndCorrect(mockPage, { items }, 'req-1');
+      const report = await validateAndCorrect(mockPage, { items }, 'req-1', undefined, unmarkedProfile);
       expect(report.status).toBe('pass');
       // Only the quotable item should trigger a readback
-      expect(mockPage.evaluate).toHaveBeenCalledTimes(1);
+      expect(readbackCalls(mockPage)).toHaveLength(1);
     });
 
     it('should sort items by item_number before processing', async () => {
@@ -836,7 +917,7 @@ describe('Form Validator Service', () => {
       mockPage.evaluate.mockResolvedValue(makeMatchingActual());
 
       await validateAndCorrect(mockPage, { items }, 'req-1');
-      expect(mockPage.evaluate).toHaveBeenCalledTimes(3);
+      expect(readbackCalls(mockPage)).toHaveLength(3);
     });
 
     it('should track form index per condition code', async () => {
@@ -851,9 +932,9 @@ describe('Form Validator Service', () => {
 
       // First NE item at index 0, second NE at index 1, SV at index 0
       const calls = mockPage.evaluate.mock.calls;
-      expect(calls[0][1]).toEqual({ code: 'NE', index: 0 });
-      expect(calls[1][1]).toEqual({ code: 'NE', index: 1 });
-      expect(calls[2][1]).toEqual({ code: 'SV', index: 0 });
+      expect(calls[0][1]).toEqual(readbackArgs('NE', 0));
+      expect(calls[1][1]).toEqual(readbackArgs('NE', 1));
+      expect(calls[2][1]).toEqual(readbackArgs('SV', 0));
     });
 
     it('should default conditionCode to NE when not provided', async () => {
@@ -861,7 +942,7 @@ describe('Form Validator Service', () => {
       mockPage.evaluate.mockResolvedValue(makeMatchingActual());
 
       await validateAndCorrect(mockPage, { items: [item] }, 'req-1');
-      expect(mockPage.evaluate.mock.calls[0][1]).toEqual({ code: 'NE', index: 0 });
+      expect(mockPage.evaluate.mock.calls[0][1]).toEqual(readbackArgs('NE', 0));
     });
 
     it('should correct price_usd mismatch by calling fillRepeaterFieldBySuffix', async () => {
@@ -894,7 +975,8 @@ describe('Form Validator Service', () => {
         mockPage,
         'ddlNETraceability1',
         0,
-        'TRACE_NEW'
+        'TRACE_NEW',
+        { aliases: expect.objectContaining({ 'FAA 8130-3': '8130' }) }
       );
     });
 
@@ -1082,11 +1164,11 @@ describe('Form Validator Service', () => {
       ];
       mockPage.evaluate.mockResolvedValue(makeMatchingActual());
 
-      await validateAndCorrect(mockPage, { items }, 'req-1');
+      await validateAndCorrect(mockPage, { items }, 'req-1', undefined, unmarkedProfile);
 
       // The second NE item should use index 1 (because no_quote item took index 0)
-      expect(mockPage.evaluate).toHaveBeenCalledTimes(1);
-      expect(mockPage.evaluate.mock.calls[0][1]).toEqual({ code: 'NE', index: 1 });
+      expect(readbackCalls(mockPage)).toHaveLength(1);
+      expect(mockPage.evaluate.mock.calls[0][1]).toEqual(readbackArgs('NE', 1));
     });
 
     it('should handle validated data with no_quote items excluded from lookup', async () => {
@@ -1106,10 +1188,10 @@ describe('Form Validator Service', () => {
       });
       mockPage.evaluate.mockResolvedValue(makeMatchingActual());
 
-      const report = await validateAndCorrect(mockPage, { items }, 'req-1');
+      const report = await validateAndCorrect(mockPage, { items }, 'req-1', undefined, unmarkedProfile);
       expect(report.source).toBe('ingest_service');
       // Only 1 readback (BBB is no_quote)
-      expect(mockPage.evaluate).toHaveBeenCalledTimes(1);
+      expect(readbackCalls(mockPage)).toHaveLength(1);
     });
 
     it('should use maxAttempts parameter to limit corrections', async () => {
@@ -1161,7 +1243,7 @@ describe('Form Validator Service', () => {
         // After correction: match
         .mockResolvedValueOnce({ ...makeMatchingActual(), uom: 'LB' });
 
-      const report = await validateAndCorrect(mockPage, { items }, 'req-1');
+      const report = await validateAndCorrect(mockPage, { items }, 'req-1', undefined, unmarkedProfile);
 
       expect(report.status).toBe('pass');
       expect(report.correction_attempts).toBe(1);
@@ -1180,7 +1262,7 @@ describe('Form Validator Service', () => {
 
       const report = await validateAndCorrect(mockPage, { items }, 'req-1');
       expect(report.status).toBe('pass');
-      expect(mockPage.evaluate).toHaveBeenCalledTimes(2);
+      expect(readbackCalls(mockPage)).toHaveLength(2);
     });
 
     it('should record part_no as unknown when item has no part_no and mismatch occurs', async () => {
@@ -1451,7 +1533,7 @@ describe('Form Validator Service', () => {
         expect(report.status).toBe('pass');
         expect(report.items_validated).toBe(1);
         expect(report.fields_checked).toBe(9);
-        expect(readFormRowPartNumbers).toHaveBeenCalledWith(mockPage, 'req-1');
+        expect(readFormRowPartNumbers).toHaveBeenCalledWith(mockPage, 'req-1', expect.objectContaining({ name: 'ils' }));
       });
 
       it('should match multiple items to correct form rows by part number', async () => {
@@ -1486,6 +1568,50 @@ describe('Form Validator Service', () => {
         );
       });
 
+      it('should read back and correct each condition code at its own row', async () => {
+        const items = [
+          makeItem({ part_no: 'PART-A' }),
+          makeItem({ part_no: 'PART-B', item_number: '2' }),
+          makeItem({ part_no: 'PART-B', item_number: '3', conditionCode: 'OH' }),
+        ];
+        readFormRowPartNumbers.mockResolvedValue(['PART-A', 'PART-B']);
+        // Only PART-B was expanded, so its OH row is the first OH row on the page
+        mapFormRows.mockResolvedValueOnce(buildRowMap(['PART-A', 'PART-B'], [
+          { code: 'NE', index: 0, part_no: 'PART-A' },
+          { code: 'NE', index: 1, part_no: 'PART-B' },
+          { code: 'OH', index: 0, part_no: 'PART-B' },
+        ], getDefaultProfile()));
+        mockPage.evaluate
+          .mockResolvedValueOnce(makeMatchingActual())
+          .mockResolvedValueOnce(makeMatchingActual())
+          .mockResolvedValueOnce({ ...makeMatchingActual(), qty: '99' })
+          .mockResolvedValue(makeMatchingActual());
+
+        const report = await validateAndCorrect(mockPage, { items }, 'req-1');
+
+        expect(readbackCalls(mockPage).slice(0, 3).map(([, args]) => args)).toEqual([
+          readbackArgs('NE', 0),
+          readbackArgs('NE', 1),
+          readbackArgs('OH', 0),
+        ]);
+        expect(fillRepeaterFieldBySuffix).toHaveBeenCalledWith(mockPage, 'txtOHQty1', 0, '10');
+        expect(report.status).toBe('pass');
+      });
+
+      it('should skip a condition code the product has no row for', async () => {
+        readFormRowPartNumbers.mockResolvedValue(['PART-A']);
+        mapFormRows.mockResolvedValueOnce(buildRowMap(['PART-A'], [
+          { code: 'NE', index: 0, part_no: 'PART-A' },
+        ], getDefaultProfile()));
+        mockPage.evaluate.mockResolvedValue(makeMatchingActual());
+
+        await validateAndCorrect(mockPage, { items: [makeItem({ part_no: 'PART-A', conditionCode: 'SV' })] }, 'req-1');
+
+        expect(readbackCalls(mockPage)).toHaveLength(0);
+        expect(logger.warn).toHaveBeenCalledWith('Validator: no form row for part',
+          expect.objectContaining({ partNo: 'PART-A', conditionCode: 'SV' }));
+      });
+
       it('should detect mismatches and correct using part-number matching', async () => {
         const item = makeItem({ part_no: 'PART-A' });
         readFormRowPartNumbers.mockResolvedValue(['PART-A']);
@@ -1549,7 +1675,7 @@ describe('Form Validator Service', () => {
         // Item has empty part_no so no form row match
         expect(logger.warn).toHaveBeenCalledWith(
           'Validator: no form row for part',
-          expect.objectContaining({ partNo: '' })
+          expect.objectContaining({ partNo: null })
         );
       });
 
@@ -1561,7 +1687,7 @@ describe('Form Validator Service', () => {
         readFormRowPartNumbers.mockResolvedValue(['PART-A', 'PART-B']);
         mockPage.evaluate.mockResolvedValue(makeMatchingActual());
 
-        const report = await validateAndCorrect(mockPage, { items }, 'req-1');
+        const report = await validateAndCorrect(mockPage, { items }, 'req-1', undefined, unmarkedProfile);
 
         expect(report.status).toBe('pass');
         // Only PART-B should be validated (PART-A is no_quote)
@@ -1580,5 +1706,254 @@ describe('Form Validator Service', () => {
         expect(report.items_validated).toBe(1);
       });
     });
+
+    describe('no-quote marking', () => {
+      const items = [
+        makeItem({ part_no: 'AAA', item_number: '1', no_quote: true, no_quote_reason: 'Out of stock' }),
+        makeItem({ part_no: 'BBB', item_number: '2' }),
+      ];
+
+      beforeEach(() => {
+        readFormRowPartNumbers.mockResolvedValue([]);
+      });
+
+      it('should verify a no_quote row holds the sentinel values and reason', async () => {
+        mockPage.evaluate
+          .mockResolvedValueOnce({ qty: '0', comments: 'Out of stock' })
+          .mockResolvedValue(makeMatchingActual());
+
+        const report = await validateAndCorrect(mockPage, { items }, 'req-1');
+
+        expect(report.status).toBe('pass');
+        expect(report.items_validated).toBe(2);
+        expect(readbackCalls(mockPage)[0][1]).toEqual(readbackArgs('NE', 0));
+      });
+
+      it('should correct a no_quote row that was not marked', async () => {
+        mockPage.evaluate
+          .mockResolvedValueOnce({ qty: '', comments: '' })
+          .mockResolvedValueOnce(makeMatchingActual())
+          .mockResolvedValue({ ...makeMatchingActual(), qty: '0', comments: 'Out of stock' });
+
+        const report = await validateAndCorrect(mockPage, { items: [items[0]] }, 'req-1');
+
+        expect(report.mismatches_found).toEqual([
+          expect.objectContaining({ item_index: 0, field: 'qty_available', expected: '0', corrected: true }),
+          expect.objectContaining({ item_index: 0, field: 'comments', expected: 'Out of stock', corrected: true })
+        ]);
+        expect(fillRepeaterFieldBySuffix).toHaveBeenCalledWith(mockPage, 'txtNEQty1', 0, '0');
+        expect(fillRepeaterFieldBySuffix).toHaveBeenCalledWith(mockPage, 'txtNEComments1', 0, 'Out of stock');
+      });
+
+      it('should read back and tick the profile\'s no-quote checkbox', async () => {
+        const profile = { ...getDefaultProfile(), noQuote: { checkbox: 'chk{code}NoQuote1' } };
+        mockPage.evaluate
+          .mockResolvedValueOnce({ no_quote: false })
+          .mockResolvedValue({ no_quote: true });
+
+        const report = await validateAndCorrect(mockPage, { items: [items[0]] }, 'req-1', 2, profile);
+
+        expect(readbackCalls(mockPage)[0][1]).toEqual(expect.objectContaining({
+          fields: expect.objectContaining({ no_quote: { control: 'checkbox', suffix: 'chkNENoQuote1' } })
+        }));
+        expect(report.mismatches_found).toEqual([
+          expect.objectContaining({ field: 'no_quote', expected: 'checked', actual: '(unchecked)', corrected: true })
+        ]);
+        expect(checkBoxBySuffix).toHaveBeenCalledWith(mockPage, 'chkNENoQuote1', 0);
+      });
+    });
+
+    describe('row plan', () => {
+      it('should check the rows in the fill\'s plan without reading the form again', async () => {
+        const items = [makeItem({ part_no: 'PART-A' }), makeItem({ part_no: 'PART-B' })];
+        const rowPlan = {
+          strategy: 'part_number',
+          row_source: 'dom',
+          part_numbers: ['PART-B', 'PART-A'],
+          items: [
+            { item_index: 0, part_no: 'PART-A', condition_code: 'NE', row_index: 1, skip_reason: null },
+            { item_index: 1, part_no: 'PART-B', condition_code: 'NE', row_index: null, skip_reason: 'no_form_row' }
+          ]
+        };
+        mockPage.evaluate
+          .mockResolvedValueOnce({ ...makeMatchingActual(), price: '90' })
+          .mockResolvedValue(makeMatchingActual());
+
+        const report = await validateAndCorrect(mockPage, { items }, 'req-1', 2, getDefaultProfile(), rowPlan);
+
+        expect(readFormRowPartNumbers).not.toHaveBeenCalled();
+        expect(report.items_validated).toBe(1);
+        expect(report.mismatches_found).toEqual([expect.objectContaining({ item_index: 0, part_no: 'PART-A', field: 'price_usd', corrected: true })]);
+        expect(fillRepeaterFieldBySuffix).toHaveBeenCalledWith(mockPage, 'txtNEPrice1', 1, '100');
+        expect(logger.warn).toHaveBeenCalledWith('Validator: no form row for part', { requestId: 'req-1', partNo: 'PART-B', conditionCode: 'NE' });
+      });
+
+      it('should verify and correct every offer on its own row', async () => {
+        const item = makeItem({
+          part_no: 'PART-A',
+          offers: [{ price_usd: '90', min_qty: '10' }, { price_usd: '60', price_type: 'EXCHANGE', conditionCode: 'OH' }]
+        });
+        const rowPlan = {
+          strategy: 'part_number',
+          row_source: 'dom',
+          part_numbers: ['PART-B', 'PART-A'],
+          items: [
+            { item_index: 0, offer_index: 0, part_no: 'PART-A', condition_code: 'NE', row_index: 1, skip_reason: null },
+            { item_index: 0, offer_index: 1, part_no: 'PART-A', condition_code: 'OH', row_index: 0, skip_reason: null }
+          ]
+        };
+        const exchangeRow = { ...makeMatchingActual(), price: '60', price_type: 'EXCHANGE' };
+        mockPage.evaluate
+          .mockResolvedValueOnce(makeMatchingActual())                                    // NE row, first pass
+          .mockResolvedValueOnce({ ...exchangeRow, price: '90' })                         // OH row, first pass
+          .mockResolvedValueOnce({ ...makeMatchingActual(), price: '90', min_qty: '10' })  // NE row, corrected
+          .mockResolvedValueOnce(exchangeRow);                                            // OH row, corrected
+
+        const report = await validateAndCorrect(mockPage, { items: [item] }, 'req-1', 2, getDefaultProfile(), rowPlan);
+
+        expect(report.status).toBe('pass');
+        expect(report.items_validated).toBe(2);
+        expect(report.mismatches_found).toEqual([
+          expect.objectContaining({ item_index: 0, offer_index: 0, field: 'min_qty', expected: '10', corrected: true }),
+          expect.objectContaining({ item_index: 0, offer_index: 0, field: 'price_usd', expected: '90', corrected: true }),
+          expect.objectContaining({ item_index: 0, offer_index: 1, field: 'price_usd', expected: '60', actual: '90', corrected: true })
+        ]);
+        expect(fillRepeaterFieldBySuffix).toHaveBeenCalledWith(mockPage, 'txtNEPrice1', 1, '90');
+        expect(fillRepeaterFieldBySuffix).toHaveBeenCalledWith(mockPage, 'txtNEMinQuantity1', 1, '10');
+        expect(fillRepeaterFieldBySuffix).toHaveBeenCalledWith(mockPage, 'txtOHPrice1', 0, '60');
+        expect(fillRepeaterFieldBySuffix).not.toHaveBeenCalledWith(mockPage, 'txtOHMinQuantity1', 0, expect.anything());
+      });
+    });
+  });
+
+  describe('readClientValidationErrors', () => {
+
+    it('should map validator messages to their field, condition code and part', async () => {
+      mockPage.evaluate.mockResolvedValue({
+        ran: true,
+        errors: [
+          { message: 'Qty is required', validator_id: 'rfvQty', element_id: 'rpt_ctl01_txtNEQty1', suffix: 'txtNEQty1', index: 1 },
+          { message: 'Price is required', validator_id: 'rfvPrice', element_id: 'rpt_ctl00_txtSVPrice1', suffix: 'txtSVPrice1', index: 0 },
+          { message: 'Name is required', validator_id: 'rfvName', element_id: 'quotePreparedBy', suffix: 'quotePreparedBy', index: 0 },
+          { message: 'Captcha', validator_id: 'cv1', element_id: null, suffix: null, index: -1 }
+        ],
+        summary: ['Qty is required']
+      });
+
+      mapFormRows.mockResolvedValueOnce(buildRowMap(['PART-A', 'PART-B'], [
+        { code: 'NE', index: 0, part_no: 'PART-A' },
+        { code: 'NE', index: 1, part_no: 'PART-B' },
+        { code: 'SV', index: 0, part_no: 'PART-B' }
+      ], getDefaultProfile()));
+
+      const result = await readClientValidationErrors(mockPage, 'req-1', getDefaultProfile(), ['PART-A', 'PART-A', 'PART-B', 'PART-B']);
+
+      expect(mapFormRows).toHaveBeenCalledWith(mockPage, ['PART-A', 'PART-A', 'PART-B', 'PART-B'], 'req-1', expect.any(Object));
+      expect(result.ran).toBe(true);
+      expect(result.summary).toEqual(['Qty is required']);
+      expect(result.errors).toEqual([
+        expect.objectContaining({ field: 'qty_available', condition_code: 'NE', row_index: 1, part_no: 'PART-B' }),
+        expect.objectContaining({ field: 'price_usd', condition_code: 'SV', row_index: 0, part_no: 'PART-B' }),
+        expect.objectContaining({ field: 'quote_prepared_by', condition_code: null, row_index: null, part_no: null }),
+        expect.objectContaining({ message: 'Captcha', field: null, row_index: null })
+      ]);
+    });
+
+    it('should name the product of a repeated product\'s row but not guess other codes\' rows by position', async () => {
+      const errors = [
+        { message: 'Qty is required', validator_id: 'rfvQty', element_id: 'a', suffix: 'txtNEQty1', index: 2 },
+        { message: 'Price is required', validator_id: 'rfvPrice', element_id: 'b', suffix: 'txtOHPrice1', index: 0 }
+      ];
+      mockPage.evaluate.mockResolvedValue({ ran: true, errors, summary: [] });
+      mapFormRows.mockResolvedValueOnce(buildRowMap(['PART-A', 'PART-B', 'PART-A'], [
+        { code: 'NE', index: 0, part_no: 'PART-A' },
+        { code: 'NE', index: 1, part_no: 'PART-B' },
+        { code: 'NE', index: 2, part_no: 'PART-A' }
+      ], getDefaultProfile()));
+
+      const dom = await readClientValidationErrors(mockPage, 'req-1', getDefaultProfile(), ['PART-A', 'PART-B', 'PART-A']);
+      const positional = await readClientValidationErrors(mockPage, 'req-1', getDefaultProfile(), ['PART-A', 'PART-B']);
+
+      expect(dom.errors.map((e) => e.part_no)).toEqual(['PART-A', null]);
+      expect(positional.errors.map((e) => e.part_no)).toEqual([null, null]);
+    });
+
+    it('should pass the routine, summary selector and longest suffixes first to the page', async () => {
+      mockPage.evaluate.mockResolvedValue({ ran: true, errors: [], summary: [] });
+
+      await readClientValidationErrors(mockPage, 'req-1');
+
+      const args = mockPage.evaluate.mock.calls[0][1];
+      expect(args.routine).toBe('Page_ClientValidate');
+      expect(args.summarySelector).toContain('.validation-summary-errors');
+      expect(args.suffixes).toContainEqual({ tagName: 'select', suffix: 'ddlNETraceability1' });
+      expect(args.suffixes).toContainEqual({ tagName: 'textarea', suffix: 'txtComments' });
+      const lengths = args.suffixes.map((entry) => entry.suffix.length);
+      expect(lengths).toEqual([...lengths].sort((a, b) => b - a));
+    });
+
+    it('should skip profiles without client validation', async () => {
+      const { clientValidation: _clientValidation, ...profile } = getDefaultProfile();
+
+      const result = await readClientValidationErrors(mockPage, 'req-1', profile);
+
+      expect(result).toEqual({ ran: false, errors: [], summary: [] });
+      expect(mockPage.evaluate).not.toHaveBeenCalled();
+    });
+
+    it('should return an empty result when the page cannot be read', async () => {
+      mockPage.evaluate.mockRejectedValue(new Error('Execution context was destroyed'));
+
+      const result = await readClientValidationErrors(mockPage, 'req-1');
+
+      expect(result).toEqual({ ran: false, errors: [], summary: [] });
+      expect(logger.warn).toHaveBeenCalledWith('Client-side validation check failed', expect.any(Object));
+    });
+
+    it('should run validators and read their messages in the browser', async () => {
+      const originalWindow = global.window;
+      const originalDocument = global.document;
+      const routine = jest.fn();
+      const qty = { id: 'rpt_ctl01_txtNEQty1' };
+      global.window = {
+        Page_ClientValidate: routine,
+        Page_Validators: [
+          { id: 'rfvQty', isvalid: false, errormessage: 'Qty is required', controltovalidate: qty.id },
+          { id: 'rfvUom', isvalid: true, errormessage: 'UOM is required', controltovalidate: 'x_txtNEUOM1', getClientRects: () => [] }
+        ]
+      };
+      global.document = {
+        querySelectorAll: (selector) => {
+          if (selector === 'input') return [{ id: 'rpt_ctl00_txtNEQty1' }, qty];
+          if (selector === '.summary') {
+            return [{ getClientRects: () => [{}], querySelectorAll: () => [{ textContent: ' Qty is required ' }] }];
+          }
+          return [];
+        }
+      };
+      mockPage.evaluate.mockImplementation((fn, args) => Promise.resolve(fn(args)));
+
+      try {
+        const profile = { ...getDefaultProfile(), clientValidation: { routine: 'Page_ClientValidate', summarySelector: '.summary' } };
+        const result = await readClientValidationErrors(mockPage, 'req-1', profile, ['PART-A', 'PART-B']);
+
+        expect(routine).toHaveBeenCalled();
+        expect(result.ran).toBe(true);
+        expect(result.summary).toEqual(['Qty is required']);
+        expect(result.errors).toEqual([{
+          message: 'Qty is required',
+          validator_id: 'rfvQty',
+          element_id: 'rpt_ctl01_txtNEQty1',
+          field: 'qty_available',
+          suffix: 'txtNEQty1',
+          condition_code: 'NE',
+          row_index: 1,
+          part_no: 'PART-B'
+        }]);
+      } finally {
+        global.window = originalWindow;
+        global.document = originalDocument;
+      }
+    });
   });
 });
@@ -0,0 +1,634 @@
+/**
+ * Unit tests for idempotency store backends
+ *
+ * Every backend runs the same contract suite. The Redis backend talks to a
+ * small in-process RESP server standing in for redis-server.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { createMemoryStore } = require('../../../src/services/idempotency-stores/memory');
+const { createFileStore } = require('../../../src/services/idempotency-stores/file');
+const {
+  createRedisStore,
+  createRedisClient,
+  encodeCommand,
+  parseReply,
+  KEY_PREFIX
+} = require('../../../src/services/idempotency-stores/redis');
+
+/**
+ * Minimal Redis stand-in: GET/SET (PX, NX)/DEL/MGET/SCAN/AUTH/SELECT/QUIT,
+ * and EVAL of the store's compare-and-set script
+ */
+function startRedisStandIn({ password } = {}) {
+  const data = new Map();
+  const commands = [];
+  const sockets = new Set();
+  // command name -> callback run once just before that command executes
+  const intercepts = new Map();
+
+  const reply = {
+    ok: () => '+OK\r\n',
+    error: (message) => `-${message}\r\n`,
+    int: (n) => `:${n}\r\n`,
+    bulk: (value) => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`),
+    array: (items) => `*${items.length}\r\n${items.join('')}`
+  };
+
+  function read(key) {
+    const entry = data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  function execute(args, state) {
+    const [name, ...rest] = args;
+    const command = name.toUpperCase();
+    commands.push(args);
+    if (intercepts.has(command)) {
+      intercepts.get(command)();
+      intercepts.delete(command);
+    }
+
+    if (password && !state.authed && command !== 'AUTH') {
+      return reply.error('NOAUTH Authentication required.');
+    }
+
+    switch (command) {
+      case 'AUTH':
+        if (rest[rest.length - 1] !== password) return reply.error('WRONGPASS invalid password');
+        state.authed = true;
+        return reply.ok();
+      case 'SELECT':
+      case 'QUIT':
+        return reply.ok();
+      case 'GET':
+        return reply.bulk(read(rest[0]));
+      case 'SET': {
+        const [key, value, ...options] = rest;
+        const upper = options.map((o) => String(o).toUpperCase());
+        if (upper.includes('NX') && read(key) !== null) return reply.bulk(null);
+        const pxIndex = upper.indexOf('PX');
+        const expiresAt = pxIndex >= 0 ? Date.now() + parseInt(options[pxIndex + 1], 10) : null;
+        data.set(key, { value, expiresAt });
+        return reply.ok();
+      }
+      case 'EVAL': {
+        const [, , key, expected, value, px] = rest;
+        if (read(key) !== expected) return reply.int(0);
+        data.set(key, { value, expiresAt: Date.now() + parseInt(px, 10) });
+        return reply.int(1);
+      }
+      case 'DEL':
+        return reply.int(rest.filter((key) => data.delete(key)).length);
+      case 'MGET':
+        return reply.array(rest.map((key) => reply.bulk(read(key))));
+      case 'SCAN': {
+        const prefix = rest[rest.indexOf('MATCH') + 1].replace(/\*$/, '');
+        const keys = Array.from(data.keys()).filter((key) => key.startsWith(prefix) && read(key) !== null);
+        return reply.array([reply.bulk('0'), reply.array(keys.map(reply.bulk))]);
+      }
+      default:
+        return reply.error(`ERR unknown command '${name}'`);
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    const state = { authed: false };
+    let buffer = Buffer.alloc(0);
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseReply(buffer))) {
+        buffer = buffer.subarray(parsed.offset);
+        socket.write(execute(parsed.value, state));
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `redis://127.0.0.1:${server.address().port}`,
+        port: server.address().port,
+        data,
+        commands,
+        intercept: (command, callback) => intercepts.set(command, callback),
+        dropConnections: () => sockets.forEach((socket) => socket.destroy()),
+        close: () => new Promise((done) => {
+          sockets.forEach((socket) => socket.destroy());
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+const record = (status = 'processing') => ({ status, createdAt: Date.now(), result: null, error: null });
+const inOneDay = () => Date.now() + 24 * 60 * 60 * 1000;
+
+describe('Idempotency Stores', () => {
+  let tmpDir;
+  let redis;
+
+  beforeAll(async () => {
+    redis = await startRedisStandIn();
+  });
+
+  afterAll(async () => {
+    await redis.close();
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+    redis.data.clear();
+    redis.commands.length = 0;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const backends = [
+    ['memory', () => createMemoryStore()],
+    ['file', () => createFileStore(path.join(tmpDir, 'idempotency.log'))],
+    ['redis', () => createRedisStore(redis.url)]
+  ];
+
+  describe.each(backends)('%s store contract', (name, create) => {
+    let store;
+
+    beforeEach(() => {
+      store = create();
+    });
+
+    afterEach(async () => {
+      await store.close();
+    });
+
+    it('should report its name', () => {
+      expect(store.name).toBe(name);
+    });
+
+    it('should return null for a missing key', async () => {
+      expect(await store.get('missing')).toBeNull();
+    });
+
+    it('should add a record only once', async () => {
+      expect(await store.add('key-1', record(), inOneDay())).toBe(true);
+      expect(await store.add('key-1', record('failed'), inOneDay())).toBe(false);
+      expect((await store.get('key-1')).status).toBe('processing');
+    });
+
+    it('should overwrite a record with set', async () => {
+      await store.add('key-1', record(), inOneDay());
+      await store.set('key-1', { ...record('completed'), result: { success: true } }, inOneDay());
+
+      const stored = await store.get('key-1');
+      expect(stored.status).toBe('completed');
+      expect(stored.result).toEqual({ success: true });
+    });
+
+    it('should only compare-and-set a record that is unchanged since it was read', async () => {
+      await store.add('key-1', record(), inOneDay());
+      const read = await store.get('key-1');
+      const stale = JSON.parse(JSON.stringify(read));
+
+      expect(await store.compareAndSet('key-1', read, { ...read, heartbeatAt: 1 }, inOneDay())).toBe(true);
+      expect(await store.compareAndSet('key-1', stale, { ...stale, heartbeatAt: 2 }, inOneDay())).toBe(false);
+      expect(await store.compareAndSet('missing', stale, stale, inOneDay())).toBe(false);
+      expect((await store.get('key-1')).heartbeatAt).toBe(1);
+    });
+
+    it('should delete a record', async () => {
+      await store.add('key-1', record(), inOneDay());
+      await store.delete('key-1');
+
+      expect(await store.get('key-1')).toBeNull();
+      expect(await store.add('key-1', record(), inOneDay())).toBe(true);
+    });
+
+    it('should list all entries', async () => {
+      await store.add('key-1', record(), inOneDay());
+      await store.add('key-2', record('failed'), inOneDay());
+
+      const entries = await store.entries();
+      expect(entries.map(([key]) => key).sort()).toEqual(['key-1', 'key-2']);
+      expect(Object.fromEntries(entries)['key-2'].status).toBe('failed');
+    });
+  });
+
+  describe('file store', () => {
+    const logPath = () => path.join(tmpDir, 'nested', 'idempotency.log');
+
+    it('should create the log directory', async () => {
+      const store = createFileStore(logPath());
+      await store.close();
+
+      expect(fs.existsSync(logPath())).toBe(true);
+    });
+
+    it('should keep records across restarts', async () => {
+      const first = createFileStore(logPath());
+      await first.add('prod-key', record(), inOneDay());
+      await first.set('prod-key', { ...record('completed'), result: { finalAction: 'FORM_SUBMITTED' } }, inOneDay());
+      await first.add('removed-key', record(), inOneDay());
+      await first.delete('removed-key');
+      await first.close();
+
+      const second = createFileStore(logPath());
+
+      expect((await second.get('prod-key')).result).toEqual({ finalAction: 'FORM_SUBMITTED' });
+      expect(await second.get('removed-key')).toBeNull();
+      await second.close();
+    });
+
+    it('should skip a truncated last line', async () => {
+      fs.mkdirSync(path.dirname(logPath()), { recursive: true });
+      fs.writeFileSync(logPath(),
+        JSON.stringify({ op: 'set', key: 'good', record: record() }) + '\n{"op":"set","key":"bad","rec');
+
+      const store = createFileStore(logPath());
+
+      expect(await store.get('good')).not.toBeNull();
+      expect(await store.get('bad')).toBeNull();
+      await store.close();
+    });
+
+    it('should compact the log on startup', async () => {
+      const first = createFileStore(logPath());
+      for (let i = 0; i < 5; i++) {
+        await first.set('key', record(), inOneDay());
+      }
+      await first.close();
+      expect(fs.readFileSync(logPath(), 'utf8').trim().split('\n')).toHaveLength(5);
+
+      const second = createFileStore(logPath());
+      await second.close();
+
+      expect(fs.readFileSync(logPath(), 'utf8').trim().split('\n')).toHaveLength(1);
+    });
+
+    it('should compact once the log outgrows the live records', async () => {
+      const store = createFileStore(logPath());
+      for (let i = 0; i < 1000; i++) {
+        await store.set('key', record(), inOneDay());
+      }
+      await store.close();
+
+      expect(fs.readFileSync(logPath(), 'utf8').trim().split('\n')).toHaveLength(1);
+    });
+  });
+
+  describe('redis store', () => {
+    it('should namespace keys and set a TTL', async () => {
+      const store = createRedisStore(redis.url);
+      await store.add('key-1', record(), Date.now() + 60000);
+      await store.close();
+
+      const setCommand = redis.commands.find(([name]) => name === 'SET');
+      expect(setCommand[1]).toBe(`${KEY_PREFIX}key-1`);
+      expect(setCommand).toContain('NX');
+      expect(parseInt(setCommand[setCommand.indexOf('PX') + 1], 10)).toBeGreaterThan(59000);
+    });
+
+    it('should let the server expire records', async () => {
+      const store = createRedisStore(redis.url);
+      await store.add('short-lived', record(), Date.now() + 20);
+
+      await new Promise((resolve) => setTimeout(resolve, 40));
+
+      expect(await store.get('short-lived')).toBeNull();
+      await store.close();
+    });
+
+    it('should return no entries when the keyspace is empty', async () => {
+      const store = createRedisStore(redis.url);
+
+      expect(await store.entries()).toEqual([]);
+      await store.close();
+    });
+
+    it('should reconnect after the connection drops', async () => {
+      const store = createRedisStore(redis.url);
+      await store.add('key-1', record(), inOneDay());
+
+      redis.dropConnections();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect((await store.get('key-1')).status).toBe('processing');
+      await store.close();
+    });
+
+    it('should reject when the server is unreachable', async () => {
+      const probe = net.createServer();
+      await new Promise((resolve) => probe.listen(0, '127.0.0.1', resolve));
+      const { port } = probe.address();
+      await new Promise((resolve) => probe.close(resolve));
+
+      const store = createRedisStore(`redis://127.0.0.1:${port}`);
+
+      await expect(store.get('key-1')).rejects.toThrow();
+    });
+  });
+
+  describe('redis client', () => {
+    let secured;
+
+    beforeAll(async () => {
+      secured = await startRedisStandIn({ password: 's3cret' });
+    });
+
+    afterAll(async () => {
+      await secured.close();
+    });
+
+    it('should authenticate and select the database from the URL', async () => {
+      const client = createRedisClient(`redis://:s3cret@127.0.0.1:${secured.port}/2`);
+
+      expect(await client.command('GET', 'anything')).toBeNull();
+      await client.quit();
+
+      expect(secured.commands[0]).toEqual(['AUTH', 's3cret']);
+      expect(secured.commands[1]).toEqual(['SELECT', '2']);
+    });
+
+    it('should reject commands with error replies', async () => {
+      const client = createRedisClient(`redis://127.0.0.1:${secured.port}`);
+
+      await expect(client.command('GET', 'anything')).rejects.toThrow('NOAUTH');
+      await client.quit();
+    });
+
+    it('should time out a command the server never answers and drop the connection', async () => {
+      const sockets = new Set();
+      const silent = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.resume();  // read and ignore every command
+      });
+      await new Promise((resolve) => silent.listen(0, '127.0.0.1', resolve));
+      const client = createRedisClient(`redis://127.0.0.1:${silent.address().port}`, { commandTimeoutMs: 50 });
+
+      try {
+        const first = client.command('GET', 'a');
+        const second = client.command('GET', 'b');
+
+        await expect(first).rejects.toThrow('Redis command GET timed out after 50ms');
+        await expect(second).rejects.toThrow();
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        expect(sockets.size).toBe(0);
+      } finally {
+        await new Promise((resolve) => silent.close(resolve));
+      }
+    });
+
+    it('should reject a command whose connection closed after connecting, then reconnect', async () => {
+      const open = await startRedisStandIn();
+      const createConnection = net.createConnection;
+      const clientSockets = [];
+      const spy = jest.spyOn(net, 'createConnection').mockImplementation((...args) => {
+        const socket = createConnection(...args);
+        clientSockets.push(socket);
+        return socket;
+      });
+      const client = createRedisClient(`redis://127.0.0.1:${open.port}`, { commandTimeoutMs: 50 });
+
+      try {
+        expect(await client.command('GET', 'a')).toBeNull();
+
+        const command = client.command('GET', 'b');
+        // The close lands between connect() resolving and the write
+        clientSockets[0].destroy();
+        clientSockets[0].emit('close', false);
+
+        await expect(command).rejects.toThrow('Redis connection closed');
+        await new Promise((resolve) => setTimeout(resolve, 80));  // past any stray timeout
+        expect(await client.command('GET', 'c')).toBeNull();
+        expect(clientSockets).toHaveLength(2);
+      } finally {
+        spy.mockRestore();
+        await client.quit();
+        await open.close();
+      }
+    });
+  });
+
+  describe('RESP encoding', () => {
+    it('should encode commands as arrays of bulk strings', () => {
+      expect(encodeCommand(['SET', 'k', 'é'])).toBe('*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$2\r\né\r\n');
+    });
+
+    it('should parse every reply type', () => {
+      const buffer = Buffer.from('*5\r\n+OK\r\n:42\r\n$3\r\nfoo\r\n$-1\r\n*-1\r\n');
+
+      expect(parseReply(buffer)).toEqual({ value: ['OK', 42, 'foo', null, null], offset: buffer.length });
+    });
+
+    it('should return error replies as Error values', () => {
+      expect(parseReply(Buffer.from('-ERR boom\r\n')).value).toEqual(new Error('ERR boom'));
+    });
+
+    it('should wait for incomplete replies', () => {
+      expect(parseReply(Buffer.from('$10\r\nabc'))).toBeNull();
+      expect(parseReply(Buffer.from('*2\r\n+OK\r\n'))).toBeNull();
+      expect(parseReply(Buffer.from('+OK'))).toBeNull();
+    });
+
+    it('should reject unknown reply types', () => {
+      expect(() => parseReply(Buffer.from('?\r\n'))).toThrow('Unexpected RESP reply type');
+    });
+  });
+
+  describe('createStore', () => {
+    const originalEnv = process.env;
+
+    afterEach(() => {
+      process.env = originalEnv;
+      jest.resetModules();
+    });
+
+    function loadFactory(env) {
+      jest.resetModules();
+      process.env = { ...originalEnv, ...env };
+      return require('../../../src/services/idempotency-stores');
+    }
+
+    it('should default to the memory store', () => {
+      const { createStore } = loadFactory({ PUPPETEER_IDEMPOTENCY_STORE: '' });
+      expect(createStore().name).toBe('memory');
+    });
+
+    it('should create a file store at the configured path', async () => {
+      const file = path.join(tmpDir, 'custom.log');
+      const { createStore } = loadFactory({ PUPPETEER_IDEMPOTENCY_STORE: 'file', PUPPETEER_IDEMPOTENCY_FILE: file });
+
+      const store = createStore();
+      await store.close();
+
+      expect(store.name).toBe('file');
+      expect(fs.existsSync(file)).toBe(true);
+    });
+
+    it('should create a redis store for the configured URL', async () => {
+      const { createStore } = loadFactory({ PUPPETEER_IDEMPOTENCY_STORE: 'redis', PUPPETEER_REDIS_URL: redis.url });
+
+      const store = createStore();
+      await store.add('key-1', record(), inOneDay());
+      await store.close();
+
+      expect(store.name).toBe('redis');
+      expect(redis.data.has(`${KEY_PREFIX}key-1`)).toBe(true);
+    });
+
+    it('should reject unknown store types', () => {
+      const { createStore } = loadFactory({});
+      expect(() => createStore('sqlite')).toThrow('Unknown idempotency store "sqlite"');
+    });
+  });
+
+  describe('idempotency service with a persistent store', () => {
+    const originalEnv = process.env;
+
+    afterEach(() => {
+      process.env = originalEnv;
+      jest.resetModules();
+    });
+
+    it('should still block a production resubmission after a restart', async () => {
+      const env = {
+        ...originalEnv,
+        PUPPETEER_IDEMPOTENCY_STORE: 'file',
+        PUPPETEER_IDEMPOTENCY_FILE: path.join(tmpDir, 'service.log')
+      };
+
+      jest.resetModules();
+      process.env = env;
+      const before = require('../../../src/services/idempotency');
+      const key = before.generateIdempotencyKey('rfq-1', 'https://form.example.com', false);
+      expect(await before.startProcessing(key)).toBe(true);
+      await before.markCompleted(key, { success: true, finalAction: 'FORM_SUBMITTED' });
+      await before.closeStore();
+
+      jest.resetModules();
+      process.env = env;
+      const after = require('../../../src/services/idempotency');
+
+      const existing = await after.checkIdempotency(key);
+      expect(existing.status).toBe('completed');
+      expect(existing.result.finalAction).toBe('FORM_SUBMITTED');
+      expect(await after.startProcessing(key)).toBe(false);
+      await after.closeStore();
+    });
+
+    it('should not let a heartbeat overwrite a record changed since it read it', async () => {
+      jest.resetModules();
+      process.env = {
+        ...originalEnv,
+        PUPPETEER_IDEMPOTENCY_STORE: 'redis',
+        PUPPETEER_REDIS_URL: redis.url,
+        PUPPETEER_HEARTBEAT_INTERVAL_MS: '10'
+      };
+      const service = require('../../../src/services/idempotency');
+      const key = service.generateIdempotencyKey('rfq-3', 'https://form.example.com', false);
+      await service.startProcessing(key);
+
+      // markSubmitting lands between the heartbeat's read and its write
+      redis.intercept('EVAL', () => {
+        const entry = redis.data.get(KEY_PREFIX + key);
+        entry.value = JSON.stringify({ ...JSON.parse(entry.value), submittingAt: 123 });
+      });
+      const stopHeartbeat = service.startHeartbeat(key);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      stopHeartbeat();
+
+      expect(redis.commands.some(([name]) => name === 'EVAL')).toBe(true);
+      expect((await service.getRecord(key)).submittingAt).toBe(123);
+      await service.closeStore();
+    });
+
+    it('should not let a reaper abandon a record its owner completed after the read', async () => {
+      jest.resetModules();
+      process.env = {
+        ...originalEnv,
+        PUPPETEER_IDEMPOTENCY_STORE: 'redis',
+        PUPPETEER_REDIS_URL: redis.url,
+        PUPPETEER_STALE_PROCESSING_MS: '1'
+      };
+      const service = require('../../../src/services/idempotency');
+      const key = service.generateIdempotencyKey('rfq-4', 'https://form.example.com', false);
+      await service.startProcessing(key);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      // The owner completes between the reaper's read and its write
+      redis.intercept('EVAL', () => {
+        const entry = redis.data.get(KEY_PREFIX + key);
+        entry.value = JSON.stringify({ ...JSON.parse(entry.value), status: 'completed' });
+      });
+
+      expect(await service.reapStale()).toBe(0);
+      expect((await service.getRecord(key)).status).toBe('completed');
+      await service.closeStore();
+    });
+
+    it('should retry the submitting mark when a heartbeat lands in between', async () => {
+      jest.resetModules();
+      process.env = { ...originalEnv, PUPPETEER_IDEMPOTENCY_STORE: 'redis', PUPPETEER_REDIS_URL: redis.url };
+      const service = require('../../../src/services/idempotency');
+      const key = service.generateIdempotencyKey('rfq-5', 'https://form.example.com', false);
+      await service.startProcessing(key);
+
+      redis.intercept('EVAL', () => {
+        const entry = redis.data.get(KEY_PREFIX + key);
+        entry.value = JSON.stringify({ ...JSON.parse(entry.value), heartbeatAt: 1 });
+      });
+      await service.markSubmitting(key);
+
+      expect(redis.commands.filter(([name]) => name === 'EVAL')).toHaveLength(2);
+      expect((await service.getRecord(key)).submittingAt).toEqual(expect.any(Number));
+      await service.closeStore();
+    });
+
+    it('should refuse to mark submitting when the store cannot be written', async () => {
+      jest.resetModules();
+      process.env = { ...originalEnv, PUPPETEER_IDEMPOTENCY_STORE: 'redis', PUPPETEER_REDIS_URL: redis.url };
+      const service = require('../../../src/services/idempotency');
+      const key = service.generateIdempotencyKey('rfq-6', 'https://form.example.com', false);
+      await service.startProcessing(key);
+
+      redis.intercept('EVAL', () => redis.dropConnections());
+      await expect(service.markSubmitting(key)).rejects.toThrow();
+      await service.closeStore();
+    });
+
+    it('should keep a processing record when a status update cannot be written', async () => {
+      jest.resetModules();
+      process.env = { ...originalEnv, PUPPETEER_IDEMPOTENCY_STORE: 'redis', PUPPETEER_REDIS_URL: redis.url };
+      const service = require('../../../src/services/idempotency');
+      const key = service.generateIdempotencyKey('rfq-2', 'https://form.example.com', false);
+      await service.startProcessing(key);
+
+      await redis.close();
+      await expect(service.markCompleted(key, { success: true })).resolves.toBeUndefined();
+
+      redis = await startRedisStandIn();
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Unit tests for jobs service
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Jobs Service', () => {
+  let jobs;
+
+  beforeEach(() => {
+    jest.resetModules();
+    jobs = require('../../../src/services/jobs');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('createJob', () => {
+    it('should create a queued job with a unique id', () => {
+      const job1 = jobs.createJob({ requestId: 'req-1', rfqId: 'rfq-1', isTestMode: true });
+      const job2 = jobs.createJob({ requestId: 'req-2', rfqId: 'rfq-1', isTestMode: true });
+
+      expect(job1.id).toBeDefined();
+      expect(job1.id).not.toBe(job2.id);
+      expect(job1.status).toBe('queued');
+      expect(job1.phase).toBe('queued');
+      expect(job1.result).toBeNull();
+      expect(job1.finishedAt).toBeNull();
+    });
+
+    it('should make the job retrievable by id', () => {
+      const job = jobs.createJob({ requestId: 'req-1', rfqId: 'rfq-1', isTestMode: false });
+
+      expect(jobs.getJob(job.id)).toBe(job);
+    });
+  });
+
+  describe('getJob', () => {
+    it('should return null for unknown id', () => {
+      expect(jobs.getJob('does-not-exist')).toBeNull();
+    });
+
+    it('should return null for finished jobs past their TTL', () => {
+      jest.useFakeTimers();
+      const job = jobs.createJob({ requestId: 'req-1', rfqId: 'rfq-1', isTestMode: true });
+      jobs.completeJob(job.id, 200, { success: true });
+
+      jest.advanceTimersByTime(24 * 60 * 60 * 1000 + 1);
+
+      expect(jobs.getJob(job.id)).toBeNull();
+    });
+
+    it('should keep running jobs regardless of age', () => {
+      jest.useFakeTimers();
+      const job = jobs.createJob({ requestId: 'req-1', rfqId: 'rfq-1', isTestMode: true });
+      jobs.setJobPhase(job.id, 'filling');
+
+      jest.advanceTimersByTime(24 * 60 * 60 * 1000 + 1);
+
+      expect(jobs.getJob(job.id)).not.toBeNull();
+    });
+  });
+
+  describe('setJobPhase', () => {
+    it('should move the job to running with the given phase', () => {
+      const job = jobs.createJob({ requestId: 'req-1', rfqId: 'rfq-1', isTestMode: true });
+
+      jobs.setJobPhase(job.id, 'navigating');
+
+      expect(job.status).toBe('running');
+      expect(job.phase).toBe('navigating');
+    });
+
+    it('should ignore unknown jobs', () => {
+      expect(() => jobs.setJobPhase('missing', 'filling')).not.toThrow();
+    });
+
+    it('should not change a finished job', () => {
+      const job = jobs.createJob({ requestId: 'req-1', rfqId: 'rfq-1', isTestMode: true });
+      jobs.setJobPhase(job.id, 'submitting');
+      jobs.completeJob(job.id, 200, { success: true });
+
+      jobs.setJobPhase(job.id, 'filling');
+
+      expect(job.status).toBe('succeeded');
+      expect(job.phase).toBe('submitting');
+    });
+  });
+
+  describe('completeJob', () => {
+    it('should store a successful result', () => {
+      const job = jobs.createJob({ requestId: 'req-1', rfqId: 'rfq-1', isTestMode: true });
+      const body = { success: true, finalAction: 'FORM_CANCELLED' };
+
+      jobs.completeJob(job.id, 200, body);
+
+      expect(job.status).toBe('succeeded');
+      expect(job.statusCode).toBe(200);
+      expect(job.result).toEqual(body);
+      expect(job.error).toBeNull();
+      expect(job.finishedAt).not.toBeNull();
+    });
+
+    it('should store a failed result with its error', () => {
+      const job = jobs.createJob({ requestId: 'req-1', rfqId: 'rfq-1', isTestMode: true });
+
+      jobs.completeJob(job.id, 500, { success: false, error: 'Launch failed' });
+
+      expect(job.status).toBe('failed');
+      expect(job.statusCode).toBe(500);
+      expect(job.error).toBe('Launch failed');
+    });
+
+    it('should fall back to a generic error message', () => {
+      const job = jobs.createJob({ requestId: 'req-1', rfqId: 'rfq-1', isTestMode: true });
+
+      jobs.completeJob(job.id, 500, { success: false });
+
+      expect(job.error).toBe('An unexpected error occurred');
+    });
+
+    it('should ignore unknown jobs', () => {
+      expect(() => jobs.completeJob('missing', 200, { success: true })).not.toThrow();
+    });
+  });
+
+  describe('getJobStats', () => {
+    it('should count jobs by status', () => {
+      const queued = jobs.createJob({ requestId: 'a', rfqId: 'rfq', isTestMode: true });
+      const running = jobs.createJob({ requestId: 'b', rfqId: 'rfq', isTestMode: true });
+      const succeeded = jobs.createJob({ requestId: 'c', rfqId: 'rfq', isTestMode: true });
+      const failed = jobs.createJob({ requestId: 'd', rfqId: 'rfq', isTestMode: true });
+
+      jobs.setJobPhase(running.id, 'filling');
+      jobs.completeJob(succeeded.id, 200, { success: true });
+      jobs.completeJob(failed.id, 500, { success: false, error: 'boom' });
+
+      expect(queued.status).toBe('queued');
+      expect(jobs.getJobStats()).toEqual({
+        totalJobs: 4,
+        queued: 1,
+        running: 1,
+        succeeded: 1,
+        failed: 1
+      });
+    });
+  });
+
+  describe('cleanup', () => {
+    it('should remove only finished jobs past their TTL', () => {
+      jest.useFakeTimers();
+      const finished = jobs.createJob({ requestId: 'a', rfqId: 'rfq', isTestMode: true });
+      const active = jobs.createJob({ requestId: 'b', rfqId: 'rfq', isTestMode: true });
+      jobs.completeJob(finished.id, 200, { success: true });
+
+      jest.advanceTimersByTime(24 * 60 * 60 * 1000 + 1);
+      jobs.cleanup();
+
+      expect(jobs.getJobStats().totalJobs).toBe(1);
+      expect(jobs.getJob(active.id)).not.toBeNull();
+    });
+
+    it('should leave fresh jobs in place', () => {
+      const job = jobs.createJob({ requestId: 'a', rfqId: 'rfq', isTestMode: true });
+      jobs.completeJob(job.id, 200, { success: true });
+
+      jobs.cleanup();
+
+      expect(jobs.getJob(job.id)).not.toBeNull();
+    });
+  });
+
+  describe('JOB_PHASES', () => {
+    it('should list phases in pipeline order', () => {
+      expect(jobs.JOB_PHASES).toEqual([
+        'queued', 'navigating', 'filling', 'validating', 'screenshotting', 'submitting', 'confirming'
+      ]);
+    });
+  });
+});
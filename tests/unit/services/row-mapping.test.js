@@ -0,0 +1,383 @@
+/**
+ * Unit tests for row mapping
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const {
+  readFormRowPartNumbers,
+  readConditionRows,
+  buildRowMap,
+  mapFormRows,
+  findRow,
+  resolveOfferItem,
+  normalizePartNumber,
+  matchPartNumber,
+  buildRowPlan,
+  resolveRowPlan
+} = require('../../../src/services/row-mapping');
+const { getDefaultProfile } = require('../../../src/portals');
+const logger = require('../../../src/utils/logger');
+
+describe('Row Mapping', () => {
+  const profile = getDefaultProfile();
+  let mockPage;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPage = { evaluate: jest.fn() };
+  });
+
+  describe('readFormRowPartNumbers', () => {
+    it('should return empty array when page.evaluate returns undefined', async () => {
+      mockPage.evaluate.mockResolvedValueOnce(undefined);
+      const result = await readFormRowPartNumbers(mockPage, 'test-request-id');
+      expect(result).toEqual([]);
+    });
+
+    it('should return part numbers from page.evaluate', async () => {
+      mockPage.evaluate.mockResolvedValueOnce(['2D2019-5', 'SAM 222-19', 'SAM222-19']);
+      const result = await readFormRowPartNumbers(mockPage, 'test-request-id');
+      expect(result).toEqual(['2D2019-5', 'SAM 222-19', 'SAM222-19']);
+    });
+
+    it('should return empty array when page.evaluate throws', async () => {
+      mockPage.evaluate.mockRejectedValueOnce(new Error('DOM error'));
+      const result = await readFormRowPartNumbers(mockPage, 'test-request-id');
+      expect(result).toEqual([]);
+    });
+  });
+
+  describe('readConditionRows', () => {
+    const originalDocument = global.document;
+
+    afterEach(() => {
+      global.document = originalDocument;
+    });
+
+    // Elements in document order; compareDocumentPosition reports FOLLOWING (4) for later ones
+    function fakeDocument(nodes) {
+      nodes.forEach((node, position) => {
+        node.compareDocumentPosition = (other) => (nodes.indexOf(other) > position ? 4 : 2);
+      });
+      return {
+        querySelectorAll: (selector) => (selector === 'input'
+          ? nodes.filter((node) => node.id)
+          : nodes.filter((node) => node.textContent))
+      };
+    }
+
+    it('should assign each code\'s rows to the product header before them', async () => {
+      global.document = fakeDocument([
+        { textContent: 'Requested: PART-A' },
+        { id: 'rpt_ctl00_txtNEQty1' },
+        { textContent: 'Requested: PART-B' },
+        { textContent: 'Requested: PART-B' },
+        { id: 'rpt_ctl01_txtNEQty1' },
+        { id: 'rpt_ctl01_txtOHQty1' },
+        { textContent: 'Requested: PART-C' },
+        { id: 'rpt_ctl02_txtNEQty1' },
+        { id: 'rpt_ctl02_txtOHQty1' }
+      ]);
+      mockPage.evaluate.mockImplementation((fn, args) => Promise.resolve(fn(args)));
+
+      const rows = await readConditionRows(mockPage, 'req-1', profile);
+
+      expect(rows).toEqual([
+        { code: 'NE', index: 0, part_no: 'PART-A' },
+        { code: 'NE', index: 1, part_no: 'PART-B' },
+        { code: 'NE', index: 2, part_no: 'PART-C' },
+        { code: 'OH', index: 0, part_no: 'PART-B' },
+        { code: 'OH', index: 1, part_no: 'PART-C' }
+      ]);
+      expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function), expect.objectContaining({
+        tagName: 'input',
+        probes: expect.arrayContaining([{ code: 'OH', suffix: 'txtOHQty1' }])
+      }));
+    });
+
+    it('should return no rows when the page cannot be read', async () => {
+      mockPage.evaluate.mockRejectedValue(new Error('Execution context was destroyed'));
+
+      await expect(readConditionRows(mockPage, 'req-1', profile)).resolves.toEqual([]);
+      expect(logger.warn).toHaveBeenCalledWith('Failed to read condition rows', expect.any(Object));
+
+      mockPage.evaluate.mockResolvedValue(undefined);
+      await expect(readConditionRows(mockPage, 'req-1', profile)).resolves.toEqual([]);
+    });
+
+    it('should need a row field addressed by a single suffix', async () => {
+      const radiosOnly = { ...profile, rowFields: { price_type: profile.rowFields.price_type } };
+
+      await expect(readConditionRows(mockPage, 'req-1', radiosOnly)).resolves.toEqual([]);
+      expect(mockPage.evaluate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildRowMap / findRow', () => {
+    it('should index each condition code separately', () => {
+      const rowMap = buildRowMap(['PART-A', 'PART-B'], [
+        { code: 'NE', index: 0, part_no: 'PART-A' },
+        { code: 'NE', index: 1, part_no: 'PART-B' },
+        { code: 'OH', index: 0, part_no: 'PART-B' },
+        { code: 'OH', index: 1, part_no: 'PART-B' },
+        { code: 'SV', index: 0, part_no: null }
+      ], profile);
+
+      expect(rowMap.source).toBe('dom');
+      expect(rowMap.rows).toEqual({ 'PART-A': { NE: 0 }, 'PART-B': { NE: 1, OH: 0 } });
+      expect(rowMap.repeatedRows).toEqual({ 'PART-B': { OH: [1] } });
+      expect(findRow(rowMap, 'PART-B', 'OH')).toBe(0);
+      expect(findRow(rowMap, 'PART-A', 'OH')).toBeNull();
+      expect(findRow(rowMap, 'PART-X', 'NE')).toBeNull();
+    });
+
+    it('should fall back to one row per product in form order', () => {
+      const rowMap = buildRowMap(['PART-A', 'PART-A', 'PART-B'], [], profile);
+
+      expect(rowMap.source).toBe('positional');
+      expect(findRow(rowMap, 'PART-B', 'NE')).toBe(1);
+      expect(findRow(rowMap, 'PART-B', 'OH')).toBe(1);
+    });
+  });
+
+  describe('mapFormRows', () => {
+    it('should skip the DOM when the form has no product rows', async () => {
+      await expect(mapFormRows(mockPage, [], 'req-1', profile)).resolves.toBeNull();
+      expect(mockPage.evaluate).not.toHaveBeenCalled();
+    });
+
+    it('should warn when it falls back to positional rows', async () => {
+      mockPage.evaluate.mockResolvedValue([]);
+
+      const rowMap = await mapFormRows(mockPage, ['PART-A'], 'req-1', profile);
+
+      expect(rowMap.source).toBe('positional');
+      expect(logger.warn).toHaveBeenCalledWith('Condition rows not detected, assuming one row per product for every code', { requestId: 'req-1' });
+    });
+  });
+
+  describe('buildRowPlan', () => {
+    it('should give every item its row, code and skip reason in payload order', () => {
+      const rowMap = buildRowMap(['PART-A', 'PART-B'], [
+        { code: 'NE', index: 0, part_no: 'PART-A' },
+        { code: 'NE', index: 1, part_no: 'PART-B' },
+        { code: 'OH', index: 0, part_no: 'PART-B' }
+      ], profile);
+
+      const plan = buildRowPlan([
+        { part_no: 'PART-B', conditionCode: 'oh' },
+        { part_no: 'PART-A', no_quote: true },
+        { part_no: 'PART-A', conditionCode: 'SV' },
+        { part_no: 'PART-X' }
+      ], ['PART-A', 'PART-B'], rowMap, profile);
+
+      const exact = { offer_index: null, form_part_no: null, match_method: 'exact', candidates: [] };
+      expect(plan).toEqual({
+        strategy: 'part_number',
+        row_source: 'dom',
+        part_numbers: ['PART-A', 'PART-B'],
+        conflicts: [],
+        items: [
+          { ...exact, item_index: 0, part_no: 'PART-B', form_part_no: 'PART-B', condition_code: 'OH', row_index: 0, skip_reason: null },
+          { ...exact, item_index: 1, part_no: 'PART-A', form_part_no: 'PART-A', condition_code: 'NE', row_index: 0, skip_reason: 'no_quote' },
+          { ...exact, item_index: 2, part_no: 'PART-A', form_part_no: 'PART-A', condition_code: 'SV', row_index: null, skip_reason: 'no_condition_row' },
+          { ...exact, item_index: 3, part_no: 'PART-X', match_method: null, condition_code: 'NE', row_index: null, skip_reason: 'no_form_row' }
+        ]
+      });
+    });
+
+    it('should refuse to fill items that resolve to the same row', () => {
+      const rowMap = buildRowMap(['14330232201'], [], profile);
+
+      const plan = buildRowPlan([
+        { part_no: '14330-232-201' },
+        { part_no: '14330232201' },
+        { part_no: '14330232201', conditionCode: 'OH' }
+      ], ['14330232201'], rowMap, profile);
+
+      expect(plan.conflicts).toEqual([{ condition_code: 'NE', row_index: 0, item_indexes: [0, 1] }]);
+      expect(plan.items.map((entry) => entry.skip_reason)).toEqual(['row_conflict', 'row_conflict', null]);
+    });
+
+    it('should not fill an ambiguous match', () => {
+      const rowMap = buildRowMap(['ABC-123', 'ABC/123'], [], profile);
+
+      const [entry] = buildRowPlan([{ part_no: 'abc 123' }], [], rowMap, profile).items;
+
+      expect(entry).toMatchObject({
+        form_part_no: null, match_method: 'ambiguous', candidates: ['ABC-123', 'ABC/123'], row_index: null, skip_reason: 'ambiguous_match'
+      });
+    });
+
+    it('should fill an item\'s offer on its own row, never on a repeated product\'s', () => {
+      const rowMap = buildRowMap(['PART-A', 'PART-B', 'PART-A'], [
+        { code: 'NE', index: 0, part_no: 'PART-A' },
+        { code: 'NE', index: 1, part_no: 'PART-B' },
+        { code: 'NE', index: 2, part_no: 'PART-A' }
+      ], profile);
+      const offers = [{ price_usd: '90', min_qty: 10 }];
+
+      const plan = buildRowPlan([
+        { part_no: 'PART-A', offers },
+        { part_no: 'PART-B', no_quote: true, offers },
+        { part_no: 'PART-A', conditionCode: 'NE' }
+      ], ['PART-A', 'PART-B', 'PART-A'], rowMap, profile);
+
+      expect(plan.items.map(({ item_index, offer_index, row_index, skip_reason }) => [item_index, offer_index, row_index, skip_reason])).toEqual([
+        [0, 0, 0, 'row_conflict'],
+        [1, null, 1, 'no_quote'],
+        [2, null, 0, 'row_conflict']
+      ]);
+      expect(plan.conflicts).toEqual([{ condition_code: 'NE', row_index: 0, item_indexes: [0, 2] }]);
+    });
+
+    it('should plan each offer on the product\'s row for the offer\'s condition code', () => {
+      const rowMap = buildRowMap(['PART-A', 'PART-B'], [
+        { code: 'NE', index: 0, part_no: 'PART-A' },
+        { code: 'NE', index: 1, part_no: 'PART-B' },
+        { code: 'OH', index: 0, part_no: 'PART-A' }
+      ], profile);
+
+      const plan = buildRowPlan([
+        { part_no: 'PART-A', offers: [{ price_usd: '100', price_type: 'OUTRIGHT' }, { price_usd: '60', price_type: 'EXCHANGE', conditionCode: 'oh' }] },
+        { part_no: 'PART-B', conditionCode: 'OH', offers: [{ price_usd: '90', conditionCode: 'NE' }, { price_usd: '80' }] }
+      ], ['PART-A', 'PART-B'], rowMap, profile);
+
+      expect(plan.items.map(({ item_index, offer_index, condition_code, row_index, skip_reason }) => (
+        [item_index, offer_index, condition_code, row_index, skip_reason]
+      ))).toEqual([
+        [0, 0, 'NE', 0, null],
+        [0, 1, 'OH', 0, null],
+        [1, 0, 'NE', 1, null],
+        [1, 1, 'OH', null, 'no_condition_row']
+      ]);
+      expect(plan.conflicts).toEqual([]);
+    });
+
+    it('should give each offer a sequential row for its condition code', () => {
+      const plan = buildRowPlan([
+        { part_no: 'PART-B', item_number: '2' },
+        { part_no: 'PART-A', item_number: '1', offers: [{ price_usd: '90' }, { price_usd: '80', conditionCode: 'OH' }] }
+      ], [], null, profile);
+
+      expect(plan.items.map(({ item_index, offer_index, condition_code, row_index }) => [item_index, offer_index, condition_code, row_index])).toEqual([
+        [0, null, 'NE', 1],
+        [1, 0, 'NE', 0],
+        [1, 1, 'OH', 0]
+      ]);
+    });
+
+    it('should count no_quote items when assigning sequential rows', () => {
+      const plan = buildRowPlan([
+        { part_no: 'PART-C', item_number: '3' },
+        { part_no: 'PART-A', item_number: '1', no_quote: true },
+        { part_no: 'PART-B', item_number: '2' },
+        { part_no: 'PART-D', item_number: '4', conditionCode: 'OH' }
+      ], [], null, profile);
+
+      expect(plan.strategy).toBe('sequential');
+      expect(plan.row_source).toBeNull();
+      expect(plan.items.map(({ row_index, skip_reason }) => [row_index, skip_reason])).toEqual([
+        [2, null],
+        [0, 'no_quote'],
+        [1, null],
+        [0, null]
+      ]);
+    });
+  });
+
+  describe('resolveOfferItem', () => {
+    it('should lay the offer over the item', () => {
+      const item = { part_no: 'PART-A', price_usd: '100', lead_time: '5 days', offers: [{ price_usd: '90', min_qty: 10 }] };
+
+      expect(resolveOfferItem(item, null)).toBe(item);
+      expect(resolveOfferItem(item, 0)).toEqual({ ...item, price_usd: '90', min_qty: 10 });
+    });
+
+    it('should move the item to the offer\'s condition code', () => {
+      const item = { part_no: 'PART-A', conditionCode: 'NE', offers: [{ price_usd: '90' }, { price_usd: '60', conditionCode: 'OH' }] };
+
+      expect(resolveOfferItem(item, 0).conditionCode).toBe('NE');
+      expect(resolveOfferItem(item, 1)).toEqual({ ...item, price_usd: '60', conditionCode: 'OH' });
+    });
+  });
+
+  describe('normalizePartNumber / matchPartNumber', () => {
+    it('should ignore case, whitespace, dashes, slashes and leading zeros', () => {
+      expect(normalizePartNumber(' 014330-232/201 ')).toBe('14330232201');
+      expect(normalizePartNumber('nas 1234-3')).toBe('NAS12343');
+      expect(normalizePartNumber('000')).toBe('0');
+      expect(normalizePartNumber(undefined)).toBe('');
+    });
+
+    it('should try part_no, then each alternate, exactly before normalized', () => {
+      const rowMap = buildRowMap(['14330232201', 'NAS1234', 'MS-20995'], [], profile);
+
+      expect(matchPartNumber(rowMap, { part_no: '14330232201' }))
+        .toEqual({ form_part_no: '14330232201', match_method: 'exact', candidates: [] });
+      expect(matchPartNumber(rowMap, { part_no: '14330-232-201 ' }))
+        .toEqual({ form_part_no: '14330232201', match_method: 'normalized', candidates: [] });
+      expect(matchPartNumber(rowMap, { part_no: 'X-1', alt_part_numbers: ['NAS1234'] }))
+        .toEqual({ form_part_no: 'NAS1234', match_method: 'alternate', candidates: [] });
+      expect(matchPartNumber(rowMap, { part_no: 'X-1', alt_part_numbers: ['', 'ms20995'] }))
+        .toEqual({ form_part_no: 'MS-20995', match_method: 'alternate_normalized', candidates: [] });
+      expect(matchPartNumber(rowMap, { alt_part_numbers: ['X-2'] }))
+        .toEqual({ form_part_no: null, match_method: null, candidates: [] });
+    });
+  });
+
+  describe('resolveRowPlan', () => {
+    it('should read the form and plan by part number', async () => {
+      mockPage.evaluate
+        .mockResolvedValueOnce(['PART-A', 'PART-A'])
+        .mockResolvedValueOnce([{ code: 'NE', index: 0, part_no: 'PART-A' }]);
+
+      const plan = await resolveRowPlan(mockPage, [{ part_no: 'PART-A' }], 'req-1', profile);
+
+      expect(plan.items).toEqual([{
+        item_index: 0,
+        offer_index: null,
+        part_no: 'PART-A',
+        form_part_no: 'PART-A',
+        match_method: 'exact',
+        candidates: [],
+        condition_code: 'NE',
+        row_index: 0,
+        skip_reason: null
+      }]);
+      expect(logger.info).toHaveBeenCalledWith('Row plan resolved', expect.objectContaining({ strategy: 'part_number', rowSource: 'dom' }));
+    });
+
+    it('should log loose matches and contested rows', async () => {
+      mockPage.evaluate.mockResolvedValueOnce(['PART-A']).mockResolvedValueOnce([]);
+
+      await resolveRowPlan(mockPage, [{ part_no: 'part a' }, { part_no: 'PART-A' }], 'req-1', profile);
+
+      expect(logger.error).toHaveBeenCalledWith('Payload items resolve to the same form row, not filling them', {
+        requestId: 'req-1',
+        conflicts: [{ condition_code: 'NE', row_index: 0, item_indexes: [0, 1] }]
+      });
+      expect(logger.info).toHaveBeenCalledWith('Row plan resolved', expect.objectContaining({
+        inexact: [{ part_no: 'part a', form_part_no: 'PART-A', match_method: 'normalized' }]
+      }));
+    });
+
+    it('should fall back to sequential rows when the form shows no part numbers', async () => {
+      mockPage.evaluate.mockRejectedValueOnce(new Error('Execution context was destroyed'));
+
+      const plan = await resolveRowPlan(mockPage, [{ part_no: 'PART-A', no_quote: true }], 'req-1');
+
+      expect(plan.strategy).toBe('sequential');
+      expect(logger.warn).toHaveBeenCalledWith('Could not detect form row part numbers, falling back to sequential fill', { requestId: 'req-1' });
+      expect(logger.info).toHaveBeenCalledWith('Row plan resolved', expect.objectContaining({
+        skipped: [{ part_no: 'PART-A', condition_code: 'NE', skip_reason: 'no_quote' }]
+      }));
+    });
+  });
+});
@@ -2,21 +2,32 @@
  * Unit tests for screenshot service
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
 describe('Screenshot Service', () => {
   let screenshotService;
   let mockPage;
+  let spoolDir;
   const originalEnv = process.env;
   const originalFetch = global.fetch;
 
+  const spooled = () => fs.readdirSync(spoolDir).sort();
+
   beforeEach(() => {
     jest.resetModules();
+    spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-spool-'));
 
     // Set up environment for tests
     process.env = {
       ...originalEnv,
       NODE_ENV: 'test',
       SUPABASE_URL: 'https://test-project.supabase.co',
-      SUPABASE_SERVICE_ROLE_KEY: 'test-service-role-key'
+      SUPABASE_SERVICE_ROLE_KEY: 'test-service-role-key',
+      PUPPETEER_ARTIFACT_URL_MODE: 'public',
+      PUPPETEER_UPLOAD_RETRY_DELAY_MS: '1',
+      PUPPETEER_UPLOAD_SPOOL_DIR: spoolDir
     };
 
     mockPage = {
@@ -33,6 +44,7 @@ describe('Screenshot Service', () => {
   afterEach(() => {
     process.env = originalEnv;
     global.fetch = originalFetch;
+    fs.rmSync(spoolDir, { recursive: true, force: true });
     jest.clearAllMocks();
   });
 
@@ -68,7 +80,7 @@ describe('Screenshot Service', () => {
     });
   });
 
-  describe('uploadScreenshotToSupabase', () => {
+  describe('uploadScreenshot', () => {
     const testBuffer = Buffer.from('test-image-data');
     const rfqId = 'test-rfq-123';
     const screenshotType = 'filled';
@@ -80,7 +92,7 @@ describe('Screenshot Service', () => {
         status: 200
       });
 
-      const result = await screenshotService.uploadScreenshotToSupabase(
+      const result = await screenshotService.uploadScreenshot(
         rfqId,
         testBuffer,
         screenshotType,
@@ -96,7 +108,7 @@ describe('Screenshot Service', () => {
     it('should call fetch with correct URL', async () => {
       global.fetch.mockResolvedValue({ ok: true, status: 200 });
 
-      await screenshotService.uploadScreenshotToSupabase(
+      await screenshotService.uploadScreenshot(
         rfqId,
         testBuffer,
         screenshotType,
@@ -113,7 +125,7 @@ describe('Screenshot Service', () => {
     it('should include correct headers', async () => {
       global.fetch.mockResolvedValue({ ok: true, status: 200 });
 
-      await screenshotService.uploadScreenshotToSupabase(
+      await screenshotService.uploadScreenshot(
         rfqId,
         testBuffer,
         screenshotType,
@@ -132,7 +144,7 @@ describe('Screenshot Service', () => {
     it('should use POST method', async () => {
       global.fetch.mockResolvedValue({ ok: true, status: 200 });
 
-      await screenshotService.uploadScreenshotToSupabase(
+      await screenshotService.uploadScreenshot(
         rfqId,
         testBuffer,
         screenshotType,
@@ -146,7 +158,7 @@ describe('Screenshot Service', () => {
     it('should send buffer as body', async () => {
       global.fetch.mockResolvedValue({ ok: true, status: 200 });
 
-      await screenshotService.uploadScreenshotToSupabase(
+      await screenshotService.uploadScreenshot(
         rfqId,
         testBuffer,
         screenshotType,
@@ -157,16 +169,49 @@ describe('Screenshot Service', () => {
       expect(fetchCall[1].body).toBe(testBuffer);
     });
 
-    it('should throw error when upload fails', async () => {
+    it('should spool the screenshot when every upload attempt fails', async () => {
       global.fetch.mockResolvedValue({
         ok: false,
         status: 500,
         text: jest.fn().mockResolvedValue('Internal Server Error')
       });
 
-      await expect(
-        screenshotService.uploadScreenshotToSupabase(rfqId, testBuffer, screenshotType, requestId)
-      ).rejects.toThrow('Supabase upload failed');
+      const result = await screenshotService.uploadScreenshot(rfqId, testBuffer, screenshotType, requestId);
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(result).toEqual({
+        url: null,
+        url_expires_at: null,
+        type: screenshotType,
+        captured_at: expect.any(String),
+        storage_path: expect.stringMatching(/^screenshots\/test-rfq-123\/rfq-filled-\d+\.png$/),
+        pending_upload: true
+      });
+
+      const [bin, json] = spooled();
+      expect(fs.readFileSync(path.join(spoolDir, bin))).toEqual(testBuffer);
+      expect(JSON.parse(fs.readFileSync(path.join(spoolDir, json), 'utf8'))).toEqual(expect.objectContaining({
+        rfqId,
+        storagePath: result.storage_path,
+        contentType: 'image/png',
+        requestId,
+        attempts: 0,
+        uploaded: null
+      }));
+    });
+
+    it('should retry with backoff and succeed once the store recovers', async () => {
+      global.fetch
+        .mockRejectedValueOnce(new Error('fetch failed'))
+        .mockResolvedValueOnce({ ok: false, status: 503, text: jest.fn().mockResolvedValue('Service Unavailable') })
+        .mockResolvedValueOnce({ ok: true });
+
+      const result = await screenshotService.uploadScreenshot(rfqId, testBuffer, screenshotType, requestId);
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(result.url).toContain('public');
+      expect(result.pending_upload).toBeUndefined();
+      expect(spooled()).toEqual([]);
     });
 
     it('should throw error when Supabase not configured', async () => {
@@ -181,14 +226,14 @@ describe('Screenshot Service', () => {
       const service = require('../../../src/services/screenshot');
 
       await expect(
-        service.uploadScreenshotToSupabase(rfqId, testBuffer, screenshotType, requestId)
-      ).rejects.toThrow('Supabase credentials not configured');
+        service.uploadScreenshot(rfqId, testBuffer, screenshotType, requestId)
+      ).rejects.toThrow('Supabase not configured');
     });
 
     it('should return correct public URL format', async () => {
       global.fetch.mockResolvedValue({ ok: true, status: 200 });
 
-      const result = await screenshotService.uploadScreenshotToSupabase(
+      const result = await screenshotService.uploadScreenshot(
         rfqId,
         testBuffer,
         screenshotType,
@@ -203,7 +248,7 @@ describe('Screenshot Service', () => {
     it('should include timestamp in storage path', async () => {
       global.fetch.mockResolvedValue({ ok: true, status: 200 });
 
-      const result = await screenshotService.uploadScreenshotToSupabase(
+      const result = await screenshotService.uploadScreenshot(
         rfqId,
         testBuffer,
         screenshotType,
@@ -213,11 +258,13 @@ describe('Screenshot Service', () => {
       expect(result.storage_path).toMatch(/screenshots\/.*\/rfq-filled-\d+\.png/);
     });
 
-    it('should handle network errors', async () => {
+    it('should throw the upload error when the artifact cannot be spooled either', async () => {
       global.fetch.mockRejectedValue(new Error('Network error'));
+      fs.rmSync(spoolDir, { recursive: true });
+      fs.writeFileSync(spoolDir, 'not a directory');
 
       await expect(
-        screenshotService.uploadScreenshotToSupabase(rfqId, testBuffer, screenshotType, requestId)
+        screenshotService.uploadScreenshot(rfqId, testBuffer, screenshotType, requestId)
       ).rejects.toThrow('Network error');
     });
   });
@@ -303,7 +350,7 @@ describe('Screenshot Service', () => {
 
       await expect(
         service.captureAndUploadScreenshot(mockPage, rfqId, screenshotType, requestId)
-      ).rejects.toThrow('Supabase credentials not configured');
+      ).rejects.toThrow('Supabase not configured');
     });
   });
 
@@ -349,13 +396,405 @@ describe('Screenshot Service', () => {
     });
   });
 
+  describe('uploadArtifact', () => {
+    it('should upload to the RFQ screenshot folder with the given content type', async () => {
+      global.fetch.mockResolvedValue({ ok: true });
+
+      const result = await screenshotService.uploadArtifact('rfq-123', 'rfq-form-before-1.json', '{}', 'application/json', 'req-1');
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://test-project.supabase.co/storage/v1/object/rfq-artifacts/screenshots/rfq-123/rfq-form-before-1.json',
+        expect.objectContaining({
+          method: 'POST',
+          body: '{}',
+          headers: expect.objectContaining({ 'Content-Type': 'application/json' })
+        })
+      );
+      expect(result.url).toBe('https://test-project.supabase.co/storage/v1/object/public/rfq-artifacts/screenshots/rfq-123/rfq-form-before-1.json');
+      expect(result.storage_path).toBe('screenshots/rfq-123/rfq-form-before-1.json');
+    });
+
+    it('should mark a failed upload as pending', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 413, text: jest.fn().mockResolvedValue('Payload too large') });
+
+      const result = await screenshotService.uploadArtifact('rfq-123', 'big.json', '{}', 'application/json', 'req-1');
+
+      expect(result).toEqual(expect.objectContaining({ url: null, storage_path: 'screenshots/rfq-123/big.json', pending_upload: true }));
+    });
+  });
+
+  describe('storage configuration', () => {
+    const loadWith = (env) => {
+      jest.resetModules();
+      process.env = { ...originalEnv, NODE_ENV: 'test', SUPABASE_URL: '', SUPABASE_SERVICE_ROLE_KEY: '', ...env };
+      return require('../../../src/services/screenshot');
+    };
+
+    it('should report why storage is not configured', () => {
+      expect(screenshotService.getConfigError()).toBeNull();
+      expect(loadWith({}).getConfigError()).toContain('Supabase not configured');
+    });
+
+    it('should write artifacts to disk with the filesystem store', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-'));
+      try {
+        const service = loadWith({ PUPPETEER_ARTIFACT_STORE: 'filesystem', PUPPETEER_ARTIFACT_DIR: dir });
+        expect(service.isConfigured()).toBe(true);
+
+        const result = await service.uploadArtifact('rfq-123', 'snap.json', '{}', 'application/json', 'req-1');
+
+        expect(fs.readFileSync(path.join(dir, 'screenshots', 'rfq-123', 'snap.json'), 'utf8')).toBe('{}');
+        expect(result.url).toMatch(/^file:\/\/.*\/screenshots\/rfq-123\/snap\.json$/);
+        expect(result.url_expires_at).toBeNull();
+        expect(global.fetch).not.toHaveBeenCalled();
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should apply the bucket and path template', async () => {
+      global.fetch.mockResolvedValue({ ok: true });
+      const service = loadWith({
+        SUPABASE_URL: 'https://test-project.supabase.co',
+        SUPABASE_SERVICE_ROLE_KEY: 'key',
+        PUPPETEER_ARTIFACT_BUCKET: 'quotes',
+        PUPPETEER_ARTIFACT_URL_MODE: 'public',
+        PUPPETEER_ARTIFACT_PATH_TEMPLATE: 'rfq/{rfqId}/{fileName}'
+      });
+
+      const result = await service.uploadArtifact('rfq-123', 'a.png', 'x', 'image/png', 'req-1');
+
+      expect(global.fetch.mock.calls[0][0]).toBe('https://test-project.supabase.co/storage/v1/object/quotes/rfq/rfq-123/a.png');
+      expect(result.storage_path).toBe('rfq/rfq-123/a.png');
+    });
+
+    it('should return signed URLs by default', async () => {
+      global.fetch
+        .mockResolvedValueOnce({ ok: true })
+        .mockResolvedValueOnce({ ok: true, json: jest.fn().mockResolvedValue({ signedURL: '/object/sign/rfq-artifacts/a.png?token=t' }) });
+      const service = loadWith({
+        SUPABASE_URL: 'https://test-project.supabase.co',
+        SUPABASE_SERVICE_ROLE_KEY: 'key',
+        PUPPETEER_ARTIFACT_SIGNED_URL_TTL_SECONDS: '600'
+      });
+
+      const before = Date.now();
+      const result = await service.uploadArtifact('rfq-123', 'a.png', 'x', 'image/png', 'req-1');
+      const expiresAt = Date.parse(result.url_expires_at);
+
+      expect(expiresAt).toBeGreaterThanOrEqual(before + 600000);
+      expect(expiresAt).toBeLessThanOrEqual(Date.now() + 600000);
+
+      expect(global.fetch).toHaveBeenLastCalledWith(
+        'https://test-project.supabase.co/storage/v1/object/sign/rfq-artifacts/screenshots/rfq-123/a.png',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ expiresIn: 600 }) })
+      );
+      expect(result.url).toBe('https://test-project.supabase.co/storage/v1/object/sign/rfq-artifacts/a.png?token=t');
+    });
+  });
+
+  describe('refreshArtifactUrl', () => {
+    it('should mint a URL for the stored path without uploading', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: jest.fn().mockResolvedValue({ signedURL: '/object/sign/x?token=new' }) });
+      jest.resetModules();
+      process.env = { ...process.env, PUPPETEER_ARTIFACT_URL_MODE: 'signed', PUPPETEER_ARTIFACT_PATH_TEMPLATE: '{date}/{rfqId}/{fileName}' };
+      const service = require('../../../src/services/screenshot');
+
+      const result = await service.refreshArtifactUrl('rfq-123', 'rfq-filled-1.png', '2026-01-02');
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(global.fetch.mock.calls[0]).toEqual([
+        'https://test-project.supabase.co/storage/v1/object/rfq-artifacts/2026-01-02/rfq-123/rfq-filled-1.png',
+        expect.objectContaining({ method: 'HEAD' })
+      ]);
+      expect(global.fetch.mock.calls[1][0]).toBe(
+        'https://test-project.supabase.co/storage/v1/object/sign/rfq-artifacts/2026-01-02/rfq-123/rfq-filled-1.png'
+      );
+      expect(result).toEqual({
+        url: 'https://test-project.supabase.co/storage/v1/object/sign/x?token=new',
+        url_expires_at: expect.any(String),
+        storage_path: '2026-01-02/rfq-123/rfq-filled-1.png'
+      });
+    });
+
+    it('should not sign a path that holds no artifact', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 400 });
+      jest.resetModules();
+      process.env = { ...process.env, PUPPETEER_ARTIFACT_URL_MODE: 'signed' };
+      const service = require('../../../src/services/screenshot');
+
+      await expect(service.refreshArtifactUrl('rfq-123', 'rfq-filled-9.png')).resolves.toBeNull();
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw when storage is not configured', async () => {
+      jest.resetModules();
+      process.env = { ...originalEnv, NODE_ENV: 'test', SUPABASE_URL: '', SUPABASE_SERVICE_ROLE_KEY: '' };
+      const service = require('../../../src/services/screenshot');
+
+      await expect(service.refreshArtifactUrl('rfq-123', 'a.png')).rejects.toThrow('Supabase not configured');
+    });
+  });
+
+  describe('captureAndUploadArchives', () => {
+    let mockSession;
+
+    beforeEach(() => {
+      mockSession = {
+        send: jest.fn().mockResolvedValue({ data: 'MIME-Version: 1.0' }),
+        detach: jest.fn().mockResolvedValue(undefined)
+      };
+      mockPage.evaluate.mockResolvedValue('<!DOCTYPE html>\n<html></html>');
+      mockPage.createCDPSession = jest.fn().mockResolvedValue(mockSession);
+      global.fetch.mockResolvedValue({ ok: true });
+    });
+
+    it('should upload an HTML and an MHTML archive next to the screenshots', async () => {
+      const archives = await screenshotService.captureAndUploadArchives(mockPage, 'rfq-123', 'filled', 'req-1');
+
+      expect(mockSession.send).toHaveBeenCalledWith('Page.captureSnapshot', { format: 'mhtml' });
+      expect(mockSession.detach).toHaveBeenCalled();
+      expect(archives).toHaveLength(2);
+      expect(archives[0]).toMatchObject({ type: 'filled', format: 'html' });
+      expect(archives[0].storage_path).toMatch(/^screenshots\/rfq-123\/rfq-filled-\d+\.html$/);
+      expect(archives[1]).toMatchObject({ type: 'filled', format: 'mhtml' });
+      expect(archives[1].storage_path).toMatch(/^screenshots\/rfq-123\/rfq-filled-\d+\.mhtml$/);
+
+      const [, htmlUpload] = global.fetch.mock.calls[0];
+      expect(htmlUpload.body).toBe('<!DOCTYPE html>\n<html></html>');
+      expect(htmlUpload.headers['Content-Type']).toBe('text/html; charset=utf-8');
+      const [, mhtmlUpload] = global.fetch.mock.calls[1];
+      expect(mhtmlUpload.body).toBe('MIME-Version: 1.0');
+      expect(mhtmlUpload.headers['Content-Type']).toBe('multipart/related');
+    });
+
+    it('should leave out an archive that fails without failing the other', async () => {
+      mockSession.send.mockRejectedValue(new Error('Protocol error'));
+
+      const archives = await screenshotService.captureAndUploadArchives(mockPage, 'rfq-123', 'filled', 'req-1');
+
+      expect(archives.map((archive) => archive.format)).toEqual(['html']);
+      expect(mockSession.detach).toHaveBeenCalled();
+    });
+
+    it('should retry an archive upload that fails once', async () => {
+      global.fetch
+        .mockResolvedValueOnce({ ok: false, status: 500, text: jest.fn().mockResolvedValue('boom') })
+        .mockResolvedValue({ ok: true });
+
+      const archives = await screenshotService.captureAndUploadArchives(mockPage, 'rfq-123', 'filled', 'req-1');
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(archives.map((archive) => archive.format)).toEqual(['html', 'mhtml']);
+    });
+
+    it('should inline current form values into the serialized HTML', async () => {
+      const originalDocument = global.document;
+      const attrs = () => {
+        const values = {};
+        return {
+          values,
+          setAttribute: (name, value) => { values[name] = value; },
+          toggleAttribute: (name, on) => { values[name] = on; }
+        };
+      };
+      const copies = [
+        attrs(),
+        attrs(),
+        { ...attrs(), textContent: '' },
+        { options: [attrs(), attrs()] }
+      ];
+      global.document = {
+        doctype: { name: 'html' },
+        querySelectorAll: () => [
+          { tagName: 'INPUT', type: 'text', value: '100' },
+          { tagName: 'INPUT', type: 'radio', checked: true },
+          { tagName: 'TEXTAREA', value: 'Ships in 5 days' },
+          { tagName: 'SELECT', options: [{ selected: false }, { selected: true }] }
+        ],
+        documentElement: {
+          cloneNode: () => ({ querySelectorAll: () => copies, outerHTML: '<html></html>' })
+        }
+      };
+      mockPage.evaluate.mockImplementation((fn) => Promise.resolve(fn()));
+
+      try {
+        const html = await screenshotService.captureHtmlArchive(mockPage);
+
+        expect(html).toBe('<!DOCTYPE html>\n<html></html>');
+        expect(copies[0].values).toEqual({ value: '100' });
+        expect(copies[1].values).toEqual({ checked: true });
+        expect(copies[2].textContent).toBe('Ships in 5 days');
+        expect(copies[3].options.map((option) => option.values.selected)).toEqual([false, true]);
+      } finally {
+        global.document = originalDocument;
+      }
+    });
+  });
+
+  describe('buildAnnotations', () => {
+    it('should color each filled item field by the validator outcome', () => {
+      const fillReport = {
+        fields: [
+          { part_no: 'P-1', condition_code: 'NE', row_index: 0, field: 'qty_available', element_id: 'txtNEQty1', status: 'filled' },
+          { part_no: 'P-1', condition_code: 'NE', row_index: 0, field: 'price_usd', element_id: 'txtNEPrice1', status: 'filled' },
+          { part_no: 'P-2', condition_code: 'NE', row_index: 1, field: 'price_usd', element_id: 'txtNEPrice2', status: 'filled' },
+          { part_no: 'P-2', condition_code: 'NE', row_index: 1, field: 'lead_time', element_id: null, status: 'skipped' },
+          { part_no: null, condition_code: null, row_index: null, field: 'supplier_comments', element_id: 'txtComments', status: 'filled' }
+        ],
+        row_plan: {
+          items: [
+            { item_index: 0, offer_index: null, condition_code: 'NE', row_index: 0 },
+            { item_index: 1, offer_index: null, condition_code: 'NE', row_index: 1 }
+          ]
+        }
+      };
+      const validation = {
+        mismatches_found: [
+          { item_index: 0, part_no: 'P-1', field: 'price_usd', corrected: true },
+          { item_index: 1, part_no: 'P-2', field: 'price_usd', corrected: false }
+        ]
+      };
+
+      expect(screenshotService.buildAnnotations(fillReport, validation)).toEqual([
+        { element_id: 'txtNEQty1', part_no: 'P-1', field: 'qty_available', outcome: 'match' },
+        { element_id: 'txtNEPrice1', part_no: 'P-1', field: 'price_usd', outcome: 'corrected' },
+        { element_id: 'txtNEPrice2', part_no: 'P-2', field: 'price_usd', outcome: 'mismatch' }
+      ]);
+      expect(screenshotService.buildAnnotations(fillReport).map((a) => a.outcome)).toEqual(['match', 'match', 'match']);
+    });
+
+    it('should only flag the row of a part quoted under several condition codes that mismatched', () => {
+      const fillReport = {
+        fields: [
+          { part_no: 'P-1', condition_code: 'NE', row_index: 0, field: 'price_usd', element_id: 'NE_price', status: 'filled' },
+          { part_no: 'P-1', condition_code: 'OH', row_index: 0, field: 'price_usd', element_id: 'OH_price', status: 'filled' }
+        ],
+        row_plan: {
+          items: [
+            { item_index: 0, offer_index: null, condition_code: 'NE', row_index: 0 },
+            { item_index: 1, offer_index: 0, condition_code: 'OH', row_index: 0 },
+            { item_index: 2, offer_index: null, condition_code: 'SV', row_index: null }
+          ]
+        }
+      };
+      const validation = {
+        mismatches_found: [
+          { item_index: 1, offer_index: 0, part_no: 'P-1', field: 'price_usd', corrected: false },
+          { item_index: 2, part_no: 'P-1', field: 'price_usd', corrected: false },
+          { item_index: 3, part_no: 'P-1', field: 'price_usd', corrected: false }
+        ]
+      };
+
+      expect(screenshotService.buildAnnotations(fillReport, validation).map(({ element_id, outcome }) => [element_id, outcome])).toEqual([
+        ['NE_price', 'match'],
+        ['OH_price', 'mismatch']
+      ]);
+    });
+  });
+
+  describe('overlay screenshots', () => {
+    const originalDocument = global.document;
+    const originalWindow = global.window;
+    let layers;
+    let elements;
+
+    function fakeNode() {
+      return {
+        style: {},
+        children: [],
+        setAttribute: jest.fn(),
+        appendChild(child) { this.children.push(child); }
+      };
+    }
+
+    beforeEach(() => {
+      global.fetch.mockResolvedValue({ ok: true, status: 200 });
+      layers = [];
+      elements = {
+        txtNEPrice1: { getBoundingClientRect: () => ({ left: 10, top: 20, width: 100, height: 18 }) },
+        hidden: { getBoundingClientRect: () => ({ left: 0, top: 0, width: 0, height: 0 }) }
+      };
+      global.window = { scrollX: 0, scrollY: 50, scrollTo: jest.fn() };
+      global.document = {
+        createElement: () => fakeNode(),
+        getElementById: (id) => elements[id] || null,
+        querySelectorAll: (selector) => {
+          if (selector === '[data-rfq-overlay]') return layers.map((layer) => ({ remove: () => layers.splice(layers.indexOf(layer), 1) }));
+          return selector === '.contact' ? [elements.txtNEPrice1, elements.hidden] : [];
+        },
+        documentElement: { appendChild: (layer) => layers.push(layer) }
+      };
+      mockPage.evaluate.mockImplementation((fn, arg) => Promise.resolve(fn(arg)));
+    });
+
+    afterEach(() => {
+      global.document = originalDocument;
+      global.window = originalWindow;
+    });
+
+    it('should outline and label annotated fields, then remove the overlay', async () => {
+      let layerAtCapture;
+      mockPage.screenshot.mockImplementation(() => {
+        layerAtCapture = layers[0];
+        return Promise.resolve(Buffer.from('png'));
+      });
+
+      const result = await screenshotService.captureAnnotatedScreenshot(mockPage, 'rfq-123', 'filled', 'req-1', [
+        { element_id: 'txtNEPrice1', part_no: 'P-1', field: 'price_usd', outcome: 'mismatch' },
+        { element_id: 'gone', part_no: 'P-2', field: 'price_usd', outcome: 'match' }
+      ]);
+
+      const [box] = layerAtCapture.children;
+      expect(layerAtCapture.children).toHaveLength(1);
+      expect(box.style.cssText).toContain('left:10px;top:70px;');
+      expect(box.style.outline).toBe('3px solid #dc2626');
+      expect(box.children[0].textContent).toBe('P-1');
+      expect(layers).toEqual([]);
+      expect(result).toMatchObject({ type: 'filled', variant: 'annotated', overlays: 1 });
+      expect(result.storage_path).toMatch(/^screenshots\/rfq-123\/rfq-filled-annotated-\d+\.png$/);
+    });
+
+    it('should blur redacted selectors and regions', async () => {
+      let layerAtCapture;
+      mockPage.screenshot.mockImplementation(() => {
+        layerAtCapture = layers[0];
+        return Promise.resolve(Buffer.from('png'));
+      });
+
+      const result = await screenshotService.captureRedactedScreenshot(mockPage, 'rfq-123', 'filled', 'req-1', {
+        selectors: ['.contact'],
+        regions: [{ x: 0, y: 400, width: 300, height: 120 }]
+      });
+
+      expect(layerAtCapture.children.map((box) => box.style.backdropFilter)).toEqual(['blur(12px)', 'blur(12px)']);
+      expect(layerAtCapture.children[1].style.cssText).toContain('left:0px;top:400px;width:300px;height:120px;');
+      expect(result).toMatchObject({ variant: 'redacted', overlays: 2 });
+      expect(layers).toEqual([]);
+    });
+
+    it('should upload nothing when the overlay cannot be drawn', async () => {
+      global.document.querySelectorAll = (selector) => {
+        if (selector === '[data-rfq-overlay]') return [];
+        throw new Error(`'${selector}' is not a valid selector`);
+      };
+
+      await expect(screenshotService.captureRedactedScreenshot(mockPage, 'rfq-123', 'filled', 'req-1', {
+        selectors: ['[id$='],
+        regions: []
+      })).rejects.toThrow('is not a valid selector');
+      expect(mockPage.screenshot).not.toHaveBeenCalled();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
   describe('module exports', () => {
     it('should export isConfigured function', () => {
       expect(typeof screenshotService.isConfigured).toBe('function');
     });
 
-    it('should export uploadScreenshotToSupabase function', () => {
-      expect(typeof screenshotService.uploadScreenshotToSupabase).toBe('function');
+    it('should export uploadScreenshot function', () => {
+      expect(typeof screenshotService.uploadScreenshot).toBe('function');
     });
 
     it('should export captureAndUploadScreenshot function', () => {
@@ -0,0 +1,173 @@
+/**
+ * Unit tests for session queue service
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Session Queue Service', () => {
+  let queue;
+  const originalEnv = process.env;
+
+  function loadService(env = {}) {
+    jest.resetModules();
+    process.env = {
+      ...originalEnv,
+      PUPPETEER_MAX_CONCURRENT_SESSIONS: '1',
+      PUPPETEER_MAX_QUEUE_DEPTH: '2',
+      ...env
+    };
+    return require('../../../src/services/session-queue');
+  }
+
+  function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  }
+
+  const flush = () => new Promise(setImmediate);
+
+  beforeEach(() => {
+    queue = loadService();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    jest.useRealTimers();
+  });
+
+  describe('enqueueSession', () => {
+    it('should run a session immediately when a slot is free', async () => {
+      const result = await queue.enqueueSession('req-1', async () => 'done');
+
+      expect(result).toBe('done');
+    });
+
+    it('should hold sessions until the active one finishes', async () => {
+      const first = deferred();
+      const secondTask = jest.fn().mockResolvedValue('second');
+
+      const firstRun = queue.enqueueSession('req-1', () => first.promise);
+      const secondRun = queue.enqueueSession('req-2', secondTask);
+      await flush();
+
+      expect(secondTask).not.toHaveBeenCalled();
+      expect(queue.getQueueStats()).toEqual(expect.objectContaining({ activeSessions: 1, queueDepth: 1 }));
+
+      first.resolve('first');
+      await expect(firstRun).resolves.toBe('first');
+      await expect(secondRun).resolves.toBe('second');
+      expect(queue.getQueueStats()).toEqual(expect.objectContaining({ activeSessions: 0, queueDepth: 0 }));
+    });
+
+    it('should run up to the concurrency limit in parallel', async () => {
+      const service = loadService({ PUPPETEER_MAX_CONCURRENT_SESSIONS: '2' });
+      const first = deferred();
+      const second = deferred();
+
+      service.enqueueSession('req-1', () => first.promise);
+      service.enqueueSession('req-2', () => second.promise);
+      await flush();
+
+      expect(service.getQueueStats()).toEqual(expect.objectContaining({ activeSessions: 2, queueDepth: 0 }));
+      first.resolve();
+      second.resolve();
+    });
+
+    it('should free the slot when a session rejects', async () => {
+      await expect(queue.enqueueSession('req-1', async () => {
+        throw new Error('Chrome crashed');
+      })).rejects.toThrow('Chrome crashed');
+
+      await expect(queue.enqueueSession('req-2', async () => 'ok')).resolves.toBe('ok');
+    });
+  });
+
+  describe('isQueueFull', () => {
+    it('should be false while sessions can still be queued', async () => {
+      const first = deferred();
+      queue.enqueueSession('req-1', () => first.promise);
+      queue.enqueueSession('req-2', () => Promise.resolve());
+
+      expect(queue.isQueueFull()).toBe(false);
+      first.resolve();
+    });
+
+    it('should be true once the queue reaches its maximum depth', async () => {
+      const first = deferred();
+      queue.enqueueSession('req-1', () => first.promise);
+      queue.enqueueSession('req-2', () => Promise.resolve());
+      queue.enqueueSession('req-3', () => Promise.resolve());
+
+      expect(queue.isQueueFull()).toBe(true);
+
+      first.resolve();
+      await flush();
+      expect(queue.isQueueFull()).toBe(false);
+    });
+  });
+
+  describe('getRetryAfterSeconds', () => {
+    it('should use the default session duration before any session finishes', () => {
+      expect(queue.getRetryAfterSeconds()).toBe(60);
+    });
+
+    it('should scale with measured session duration and queue position', async () => {
+      jest.useFakeTimers();
+      const first = deferred();
+      const run = queue.enqueueSession('req-1', () => first.promise);
+      await Promise.resolve();
+
+      jest.advanceTimersByTime(10000);
+      first.resolve();
+      await run;
+      await Promise.resolve();
+
+      const blocker = deferred();
+      queue.enqueueSession('req-2', () => blocker.promise);
+      queue.enqueueSession('req-3', () => Promise.resolve());
+
+      // One session waiting plus the new caller, each ~10s
+      expect(queue.getRetryAfterSeconds()).toBe(20);
+      blocker.resolve();
+    });
+  });
+
+  describe('getQueueStats', () => {
+    it('should report limits and an empty queue', () => {
+      expect(queue.getQueueStats()).toEqual({
+        activeSessions: 0,
+        maxConcurrentSessions: 1,
+        queueDepth: 0,
+        maxQueueDepth: 2,
+        oldestWaitMs: 0,
+        averageWaitMs: null,
+        averageSessionMs: null
+      });
+    });
+
+    it('should report how long queued sessions have waited', async () => {
+      jest.useFakeTimers();
+      const first = deferred();
+      queue.enqueueSession('req-1', () => first.promise);
+      const second = queue.enqueueSession('req-2', () => Promise.resolve());
+
+      jest.advanceTimersByTime(3000);
+      expect(queue.getQueueStats().oldestWaitMs).toBe(3000);
+
+      first.resolve();
+      await second;
+
+      expect(queue.getQueueStats().averageWaitMs).toBe(1500);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit tests for submission-confirmation service
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Submission Confirmation Service', () => {
+  let confirmation;
+  let profile;
+  let mockPage;
+
+  const thanks = { type: 'success', source: 'text', pattern: 'thank you', text: 'Thank you' };
+  const summary = { type: 'error', source: 'selector', pattern: '.validation-summary-errors', text: 'Price is required' };
+
+  beforeEach(() => {
+    jest.resetModules();
+    confirmation = require('../../../src/services/submission-confirmation');
+    profile = require('../../../src/portals').getDefaultProfile();
+    mockPage = {
+      evaluate: jest.fn().mockResolvedValue(null),
+      waitForNavigation: jest.fn().mockResolvedValue(null),
+      waitForFunction: jest.fn().mockReturnValue(new Promise(() => {})),
+      url: jest.fn().mockReturnValue('https://example.com/thanks')
+    };
+  });
+
+  describe('readEvidence', () => {
+    it('should return the evidence already on the page', async () => {
+      mockPage.evaluate.mockResolvedValue([thanks]);
+
+      await expect(confirmation.readEvidence(mockPage, profile)).resolves.toEqual([thanks]);
+      expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function), expect.objectContaining({
+        successPatterns: profile.confirmation.successPatterns,
+        ignore: []
+      }));
+    });
+
+    it('should return an empty baseline when nothing matches or the read fails', async () => {
+      await expect(confirmation.readEvidence(mockPage, profile)).resolves.toEqual([]);
+
+      mockPage.evaluate.mockRejectedValue(new Error('Execution context was destroyed'));
+      await expect(confirmation.readEvidence(mockPage, profile)).resolves.toEqual([]);
+    });
+
+    it('should skip profiles without a confirmation block', async () => {
+      const { confirmation: _confirmation, ...bare } = profile;
+
+      await expect(confirmation.readEvidence(mockPage, bare)).resolves.toEqual([]);
+      expect(mockPage.evaluate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirmSubmission', () => {
+    it('should confirm when success text appears', async () => {
+      mockPage.evaluate.mockResolvedValue([thanks]);
+
+      const result = await confirmation.confirmSubmission(mockPage, 'req-1', profile);
+
+      expect(result.submission_confirmed).toBe(true);
+      expect(result.evidence).toEqual([thanks]);
+      expect(result.url).toBe('https://example.com/thanks');
+      expect(result.duration_ms).toEqual(expect.any(Number));
+    });
+
+    it('should let error evidence win over success', async () => {
+      mockPage.evaluate.mockResolvedValue([thanks, summary]);
+
+      const result = await confirmation.confirmSubmission(mockPage, 'req-1', profile);
+
+      expect(result.submission_confirmed).toBe(false);
+    });
+
+    it('should report unknown when nothing new appears before the timeout', async () => {
+      mockPage.waitForNavigation.mockRejectedValue(new Error('Navigation timeout'));
+      mockPage.waitForFunction.mockRejectedValue(new Error('Waiting failed: timeout'));
+
+      const result = await confirmation.confirmSubmission(mockPage, 'req-1', profile);
+
+      expect(result.submission_confirmed).toBe('unknown');
+      expect(result.evidence).toEqual([]);
+    });
+
+    it('should wait on the profile timeout and ignore the baseline', async () => {
+      await confirmation.confirmSubmission(mockPage, 'req-1', profile, [thanks]);
+
+      const timeout = profile.confirmation.timeoutMs;
+      expect(mockPage.waitForNavigation).toHaveBeenCalledWith({ waitUntil: 'load', timeout });
+      expect(mockPage.waitForFunction).toHaveBeenCalledWith(expect.any(Function), { timeout, polling: 500 },
+        expect.objectContaining({ ignore: ['success|thank you|Thank you'] }));
+    });
+
+    it('should read again once an in-flight navigation lands', async () => {
+      mockPage.evaluate
+        .mockRejectedValueOnce(new Error('Execution context was destroyed'))
+        .mockResolvedValueOnce([thanks]);
+
+      const result = await confirmation.confirmSubmission(mockPage, 'req-1', profile);
+
+      expect(mockPage.waitForNavigation).toHaveBeenCalledTimes(2);
+      expect(result.submission_confirmed).toBe(true);
+    });
+
+    it('should report unknown when the page cannot be read at all', async () => {
+      mockPage.evaluate.mockRejectedValue(new Error('Target closed'));
+      mockPage.url.mockImplementation(() => {
+        throw new Error('Target closed');
+      });
+
+      const result = await confirmation.confirmSubmission(mockPage, 'req-1', profile);
+
+      expect(result.submission_confirmed).toBe('unknown');
+      expect(result.url).toBeNull();
+    });
+
+    it('should report unknown for profiles without a confirmation block', async () => {
+      const { confirmation: _confirmation, ...bare } = profile;
+
+      const result = await confirmation.confirmSubmission(mockPage, 'req-1', bare);
+
+      expect(result.submission_confirmed).toBe('unknown');
+      expect(mockPage.waitForNavigation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('browser-side evidence collection', () => {
+    const originalDocument = global.document;
+
+    afterEach(() => {
+      global.document = originalDocument;
+    });
+
+    it('should match error selectors and text patterns, minus ignored evidence', async () => {
+      global.document = {
+        body: { innerText: 'Thank you. An error occurred while saving.' },
+        querySelectorAll: (selector) => (selector === '.validation-summary-errors'
+          ? [{ innerText: ' Price is required ', getClientRects: () => [{}] }]
+          : [{ innerText: 'hidden', getClientRects: () => [] }])
+      };
+      mockPage.evaluate.mockImplementation((fn, args) => Promise.resolve(fn(args)));
+
+      const result = await confirmation.confirmSubmission(mockPage, 'req-1', profile, [thanks]);
+
+      expect(result.evidence).toEqual([
+        summary,
+        { type: 'error', source: 'text', pattern: 'an error (has )?occurred', text: 'An error occurred' }
+      ]);
+    });
+  });
+});
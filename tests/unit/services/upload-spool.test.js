@@ -0,0 +1,173 @@
+/**
+ * Unit tests for upload spool
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockListRecords = jest.fn();
+const mockUpdateStoredResult = jest.fn();
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/services/idempotency', () => ({
+  listRecords: (...args) => mockListRecords(...args),
+  updateStoredResult: (...args) => mockUpdateStoredResult(...args)
+}));
+
+describe('Upload Spool', () => {
+  const originalEnv = process.env;
+  let spool;
+  let spoolDir;
+  let upload;
+
+  const artifact = {
+    rfqId: 'rfq-1',
+    fileName: 'rfq-filled-1.png',
+    storagePath: 'screenshots/rfq-1/rfq-filled-1.png',
+    contentType: 'image/png',
+    requestId: 'req-1'
+  };
+
+  function completedRecord() {
+    return {
+      key: 'rfq-1:test:https://portal.example.com/rfq',
+      record: {
+        status: 'completed',
+        result: {
+          success: true,
+          screenshot_data: [
+            { url: null, url_expires_at: null, storage_path: artifact.storagePath, pending_upload: true },
+            { url: 'https://storage/other.png', url_expires_at: null, storage_path: 'screenshots/rfq-1/other.png' }
+          ]
+        }
+      }
+    };
+  }
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.clearAllMocks();
+    spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-spool-'));
+    process.env = { ...originalEnv, PUPPETEER_UPLOAD_SPOOL_DIR: spoolDir, PUPPETEER_UPLOAD_SPOOL_INTERVAL_MS: '1000' };
+    spool = require('../../../src/services/upload-spool');
+    upload = jest.fn().mockResolvedValue({ url: 'https://storage/signed.png?token=t', url_expires_at: '2026-01-01T01:00:00.000Z' });
+    mockListRecords.mockResolvedValue([completedRecord()]);
+    mockUpdateStoredResult.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    spool.stopSpoolWorker();
+    jest.useRealTimers();
+    process.env = originalEnv;
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+  });
+
+  describe('spoolArtifact / listSpooled', () => {
+    it('should keep the body and its destination on disk', async () => {
+      const id = await spool.spoolArtifact(artifact, Buffer.from('png'));
+
+      expect(fs.readFileSync(path.join(spoolDir, `${id}.bin`), 'utf8')).toBe('png');
+      expect(await spool.listSpooled()).toEqual([expect.objectContaining({ id, ...artifact, attempts: 0, uploaded: null })]);
+    });
+
+    it('should skip unreadable entries and a missing spool directory', async () => {
+      fs.writeFileSync(path.join(spoolDir, 'broken.json'), '{');
+      await expect(spool.listSpooled()).resolves.toEqual([]);
+
+      fs.rmSync(spoolDir, { recursive: true });
+      await expect(spool.listSpooled()).resolves.toEqual([]);
+    });
+  });
+
+  describe('drainSpool', () => {
+    it('should upload, fill in the stored result and remove the entry', async () => {
+      await spool.spoolArtifact(artifact, Buffer.from('png'));
+
+      const stats = await spool.drainSpool(upload);
+
+      expect(stats).toEqual({ uploaded: 1, failed: 0, resolved: 1 });
+      expect(upload).toHaveBeenCalledWith(expect.objectContaining(artifact), Buffer.from('png'));
+      expect(mockListRecords).toHaveBeenCalledWith({ rfqId: 'rfq-1' });
+      expect(mockUpdateStoredResult).toHaveBeenCalledWith('rfq-1:test:https://portal.example.com/rfq', {
+        success: true,
+        screenshot_data: [
+          { url: 'https://storage/signed.png?token=t', url_expires_at: '2026-01-01T01:00:00.000Z', storage_path: artifact.storagePath },
+          { url: 'https://storage/other.png', url_expires_at: null, storage_path: 'screenshots/rfq-1/other.png' }
+        ]
+      });
+      expect(fs.readdirSync(spoolDir)).toEqual([]);
+    });
+
+    it('should keep an uploaded entry until the run has stored its result', async () => {
+      mockListRecords.mockResolvedValue([{ key: 'k', record: { status: 'processing', result: null } }]);
+      await spool.spoolArtifact(artifact, Buffer.from('png'));
+
+      await spool.drainSpool(upload);
+      const [entry] = await spool.listSpooled();
+      expect(entry.uploaded).toEqual({ url: 'https://storage/signed.png?token=t', url_expires_at: '2026-01-01T01:00:00.000Z' });
+      expect(fs.readdirSync(spoolDir)).toEqual([`${entry.id}.json`]);
+
+      mockListRecords.mockResolvedValue([completedRecord()]);
+      const stats = await spool.drainSpool(upload);
+
+      expect(upload).toHaveBeenCalledTimes(1);
+      expect(stats).toEqual({ uploaded: 0, failed: 0, resolved: 1 });
+      expect(mockUpdateStoredResult).toHaveBeenCalledTimes(1);
+    });
+
+    it('should count failed attempts and keep the body for the next drain', async () => {
+      upload.mockRejectedValue(new Error('Supabase upload failed: 503 - Service Unavailable'));
+      const id = await spool.spoolArtifact(artifact, Buffer.from('png'));
+
+      const stats = await spool.drainSpool(upload);
+
+      expect(stats).toEqual({ uploaded: 0, failed: 1, resolved: 0 });
+      expect(await spool.listSpooled()).toEqual([expect.objectContaining({
+        attempts: 1,
+        lastError: 'Supabase upload failed: 503 - Service Unavailable',
+        uploaded: null
+      })]);
+      expect(fs.existsSync(path.join(spoolDir, `${id}.bin`))).toBe(true);
+    });
+
+    it('should resolve entries whose run stored no result', async () => {
+      mockListRecords.mockResolvedValue([{ key: 'k', record: { status: 'failed', result: null } }]);
+      await spool.spoolArtifact(artifact, Buffer.from('png'));
+
+      await expect(spool.drainSpool(upload)).resolves.toEqual({ uploaded: 1, failed: 0, resolved: 1 });
+      expect(mockUpdateStoredResult).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyUploads', () => {
+    it('should leave results without matching pending artifacts alone', () => {
+      const { record } = completedRecord();
+      const uploaded = new Map([['screenshots/rfq-1/other.png', { url: 'x', url_expires_at: null }]]);
+
+      expect(spool.applyUploads(record.result, uploaded)).toBe(false);
+      expect(record.result.screenshot_data[0].pending_upload).toBe(true);
+    });
+  });
+
+  describe('startSpoolWorker', () => {
+    it('should drain on the configured interval', async () => {
+      jest.useFakeTimers();
+      await spool.spoolArtifact(artifact, Buffer.from('png'));
+
+      spool.startSpoolWorker(upload);
+      spool.startSpoolWorker(upload);
+      jest.advanceTimersByTime(1000);
+      jest.useRealTimers();
+
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(upload).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Unit tests for webhook service
+ */
+
+const crypto = require('crypto');
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Webhook Service', () => {
+  let webhook;
+  const originalEnv = process.env;
+  const originalFetch = global.fetch;
+  const context = { requestId: 'req-123', rfqId: 'rfq-456' };
+  const payload = { success: true, finalAction: 'FORM_SUBMITTED', requestId: 'req-123' };
+
+  function loadService(env = {}) {
+    jest.resetModules();
+    process.env = {
+      ...originalEnv,
+      PUPPETEER_WEBHOOK_SECRET: 'test-secret',
+      PUPPETEER_WEBHOOK_MAX_ATTEMPTS: '3',
+      PUPPETEER_WEBHOOK_RETRY_BASE_MS: '1',
+      ...env
+    };
+    return require('../../../src/services/webhook');
+  }
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    webhook = loadService();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    global.fetch = originalFetch;
+    jest.clearAllMocks();
+  });
+
+  describe('isConfigured', () => {
+    it('should return true when a secret is set', () => {
+      expect(webhook.isConfigured()).toBe(true);
+    });
+
+    it('should return false when the secret is missing', () => {
+      const service = loadService({ PUPPETEER_WEBHOOK_SECRET: '' });
+      expect(service.isConfigured()).toBe(false);
+    });
+  });
+
+  describe('signPayload', () => {
+    it('should sign timestamp and body with HMAC-SHA256', () => {
+      const expected = crypto.createHmac('sha256', 'test-secret')
+        .update('1700000000.{"a":1}')
+        .digest('hex');
+
+      expect(webhook.signPayload('{"a":1}', '1700000000')).toBe(`sha256=${expected}`);
+    });
+  });
+
+  describe('deliverCallback', () => {
+    it('should POST the payload with signature headers', async () => {
+      global.fetch.mockResolvedValue({ ok: true, status: 200 });
+
+      const result = await webhook.deliverCallback('https://ingest.example.com/hook', payload, context);
+
+      expect(result).toEqual({ delivered: true, attempts: 1, status: 200 });
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://ingest.example.com/hook');
+      expect(options.method).toBe('POST');
+      expect(options.body).toBe(JSON.stringify(payload));
+      expect(options.headers['Content-Type']).toBe('application/json');
+      expect(options.headers['X-Request-ID']).toBe('req-123');
+      expect(options.headers['X-RFQ-ID']).toBe('rfq-456');
+
+      const timestamp = options.headers[webhook.TIMESTAMP_HEADER];
+      expect(options.headers[webhook.SIGNATURE_HEADER]).toBe(webhook.signPayload(options.body, timestamp));
+    });
+
+    it('should retry on server errors and succeed', async () => {
+      global.fetch
+        .mockResolvedValueOnce({ ok: false, status: 502 })
+        .mockResolvedValueOnce({ ok: true, status: 204 });
+
+      const result = await webhook.deliverCallback('https://ingest.example.com/hook', payload, context);
+
+      expect(result).toEqual({ delivered: true, attempts: 2, status: 204 });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should retry on network errors', async () => {
+      global.fetch
+        .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+        .mockResolvedValueOnce({ ok: true, status: 200 });
+
+      const result = await webhook.deliverCallback('https://ingest.example.com/hook', payload, context);
+
+      expect(result.delivered).toBe(true);
+      expect(result.attempts).toBe(2);
+    });
+
+    it('should give up after max attempts', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 503 });
+
+      const result = await webhook.deliverCallback('https://ingest.example.com/hook', payload, context);
+
+      expect(result).toEqual({ delivered: false, attempts: 3, status: 503 });
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should retry on 429 responses', async () => {
+      global.fetch
+        .mockResolvedValueOnce({ ok: false, status: 429 })
+        .mockResolvedValueOnce({ ok: true, status: 200 });
+
+      const result = await webhook.deliverCallback('https://ingest.example.com/hook', payload, context);
+
+      expect(result.delivered).toBe(true);
+    });
+
+    it('should not retry on permanent client errors', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 404 });
+
+      const result = await webhook.deliverCallback('https://ingest.example.com/hook', payload, context);
+
+      expect(result).toEqual({ delivered: false, attempts: 1, status: 404 });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should back off exponentially between attempts', async () => {
+      const service = loadService({ PUPPETEER_WEBHOOK_RETRY_BASE_MS: '100' });
+      const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+      global.fetch.mockResolvedValue({ ok: false, status: 500 });
+
+      await service.deliverCallback('https://ingest.example.com/hook', payload, context);
+
+      const delays = setTimeoutSpy.mock.calls.map((call) => call[1]).filter((ms) => ms >= 100);
+      expect(delays).toEqual([100, 200]);
+      setTimeoutSpy.mockRestore();
+    });
+
+    it('should skip delivery when no secret is configured', async () => {
+      const service = loadService({ PUPPETEER_WEBHOOK_SECRET: '' });
+
+      const result = await service.deliverCallback('https://ingest.example.com/hook', payload, context);
+
+      expect(result).toEqual({ delivered: false, attempts: 0, status: null });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should log each attempt against requestId and rfqId', async () => {
+      const logger = require('../../../src/utils/logger');
+      global.fetch
+        .mockResolvedValueOnce({ ok: false, status: 500 })
+        .mockResolvedValueOnce({ ok: true, status: 200 });
+
+      await webhook.deliverCallback('https://ingest.example.com/hook', payload, context);
+
+      expect(logger.warn).toHaveBeenCalledWith('Webhook callback rejected',
+        expect.objectContaining({ requestId: 'req-123', rfqId: 'rfq-456', attempt: 1, status: 500 }));
+      expect(logger.info).toHaveBeenCalledWith('Webhook callback delivered',
+        expect.objectContaining({ requestId: 'req-123', rfqId: 'rfq-456', attempt: 2 }));
+    });
+  });
+});
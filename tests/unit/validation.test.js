@@ -2,7 +2,13 @@
  * Unit tests for validation utility
  */
 
-const { validateRfqRequest, formatTagDate, VALID_CONDITION_CODES } = require('../../src/utils/validation');
+const {
+  validateRfqRequest,
+  validateInspectRequest,
+  validateOfferRows,
+  formatTagDate,
+  VALID_CONDITION_CODES
+} = require('../../src/utils/validation');
 
 describe('Validation Utility', () => {
   describe('validateRfqRequest', () => {
@@ -204,6 +210,160 @@ describe('Validation Utility', () => {
       });
     });
 
+    describe('alt_part_numbers validation', () => {
+      const validBase = {
+        rfq_details: { quote_submission_url: 'https://example.com/form' }
+      };
+
+      it('should accept a list of alternate part numbers', () => {
+        const errors = validateRfqRequest({
+          ...validBase,
+          quote_details: { items: [{ part_no: '14330-232-201', alt_part_numbers: ['14330232201', 'NAS1234'] }] }
+        });
+        expect(errors).toHaveLength(0);
+      });
+
+      it('should reject anything but an array of non-empty strings', () => {
+        const errors = validateRfqRequest({
+          ...validBase,
+          quote_details: { items: [{ alt_part_numbers: 'NAS1234' }, { alt_part_numbers: ['NAS1234', ' '] }] }
+        });
+        expect(errors).toEqual([
+          'quote_details.items[0].alt_part_numbers must be an array of non-empty strings',
+          'quote_details.items[1].alt_part_numbers must be an array of non-empty strings'
+        ]);
+      });
+    });
+
+    describe('no_quote_reason validation', () => {
+      it('should accept a reason and reject an empty one', () => {
+        const base = { rfq_details: { quote_submission_url: 'https://example.com/form' } };
+
+        expect(validateRfqRequest({ ...base, quote_details: { items: [{ no_quote: true, no_quote_reason: 'Obsolete' }] } }))
+          .toHaveLength(0);
+        expect(validateRfqRequest({ ...base, quote_details: { items: [{ no_quote: true, no_quote_reason: ' ' }] } }))
+          .toEqual(['quote_details.items[0].no_quote_reason must be a non-empty string']);
+      });
+    });
+
+    describe('offers validation', () => {
+      const base = { rfq_details: { quote_submission_url: 'https://example.com/form' } };
+
+      it('should accept several price offers', () => {
+        const offers = [
+          { price_usd: '100', price_type: 'OUTRIGHT', min_qty: 1, lead_time: '5 days' },
+          { price_usd: '60', price_type: 'EXCHANGE', conditionCode: 'oh' }
+        ];
+        expect(validateRfqRequest({ ...base, quote_details: { items: [{ part_no: 'PART-A', offers }] } })).toHaveLength(0);
+      });
+
+      it('should reject an empty list, non-objects, missing prices and unknown fields', () => {
+        const errors = validateRfqRequest({
+          ...base,
+          quote_details: { items: [{ offers: [] }, { offers: ['100'] }, { offers: [{ min_qty: 5 }] }, { offers: [{ price_usd: '90', price: '90' }] }] }
+        });
+        expect(errors).toEqual([
+          'quote_details.items[0].offers must be a non-empty array',
+          'quote_details.items[1].offers[0] must be an object',
+          'quote_details.items[2].offers[0].price_usd is required',
+          'quote_details.items[3].offers[0] has unknown fields: price (allowed: price_usd, price_type, min_qty, lead_time, conditionCode)'
+        ]);
+      });
+
+      it('should reject an offer with an invalid conditionCode', () => {
+        const offers = [{ price_usd: '100', conditionCode: 'XX' }, { price_usd: '90', conditionCode: 5 }];
+        expect(validateRfqRequest({ ...base, quote_details: { items: [{ part_no: 'PART-A', offers }] } })).toEqual([
+          'quote_details.items[0].offers[0].conditionCode must be one of: NE, NS, OH, SV, AR',
+          'quote_details.items[0].offers[1].conditionCode must be one of: NE, NS, OH, SV, AR'
+        ]);
+      });
+    });
+
+    describe('callback_url validation', () => {
+      const base = {
+        rfq_details: { quote_submission_url: 'https://example.com/form' },
+        quote_details: {}
+      };
+
+      it('should accept an https callback_url', () => {
+        expect(validateRfqRequest({ ...base, callback_url: 'https://ingest.example.com/hook' })).toHaveLength(0);
+      });
+
+      it('should return error for an invalid callback_url', () => {
+        const errors = validateRfqRequest({ ...base, callback_url: 'not a url' });
+        expect(errors).toContain('callback_url must be a valid URL');
+      });
+
+      it('should return error for a non-http callback_url', () => {
+        const errors = validateRfqRequest({ ...base, callback_url: 'ftp://ingest.example.com/hook' });
+        expect(errors).toContain('callback_url must use http or https protocol');
+      });
+    });
+
+    describe('async flag validation', () => {
+      const base = {
+        rfq_details: { quote_submission_url: 'https://example.com/form' },
+        quote_details: {}
+      };
+
+      it('should accept boolean async flag', () => {
+        expect(validateRfqRequest({ ...base, async: true })).toHaveLength(0);
+        expect(validateRfqRequest({ ...base, async: false })).toHaveLength(0);
+      });
+
+      it('should return error when async is not a boolean', () => {
+        const errors = validateRfqRequest({ ...base, async: 'yes' });
+        expect(errors).toContain('async must be a boolean');
+      });
+
+      it('should return error when strict is not a boolean', () => {
+        expect(validateRfqRequest({ ...base, strict: 'yes' })).toContain('strict must be a boolean');
+        expect(validateRfqRequest({ ...base, strict: false })).toHaveLength(0);
+      });
+    });
+
+    describe('screenshot options validation', () => {
+      const base = {
+        rfq_details: { quote_submission_url: 'https://example.com/form' },
+        quote_details: {}
+      };
+
+      it('should accept annotate and redact flags or a redaction spec', () => {
+        expect(validateRfqRequest({ ...base, annotate: true, redact: true })).toHaveLength(0);
+        expect(validateRfqRequest({
+          ...base,
+          redact: { fields: ['price_usd'], selectors: ['#contact'], regions: [{ x: 0, y: 10, width: 200, height: 40 }] }
+        })).toHaveLength(0);
+      });
+
+      it('should reject malformed screenshot options', () => {
+        expect(validateRfqRequest({ ...base, annotate: 'yes' })).toContain('annotate must be a boolean');
+        expect(validateRfqRequest({ ...base, redact: ['price_usd'] })).toContain('redact must be an object');
+        expect(validateRfqRequest({ ...base, redact: { fields: [''], selectors: [1] } })).toEqual([
+          'redact.fields must be an array of non-empty strings',
+          'redact.selectors must be an array of non-empty strings'
+        ]);
+        expect(validateRfqRequest({ ...base, redact: { regions: [{ x: 0, y: 0, width: 10 }] } }))
+          .toContain('redact.regions must be an array of { x, y, width, height } with a positive width and height');
+      });
+    });
+
+    describe('portal validation', () => {
+      const base = {
+        rfq_details: { quote_submission_url: 'https://example.com/form' },
+        quote_details: {}
+      };
+
+      it('should accept a portal name', () => {
+        expect(validateRfqRequest({ ...base, portal: 'ils' })).toHaveLength(0);
+      });
+
+      it('should return error for an empty or non-string portal', () => {
+        expect(validateRfqRequest({ ...base, portal: ' ' })).toContain('portal must be a non-empty string');
+        expect(validateRfqRequest({ ...base, portal: 7 })).toContain('portal must be a non-empty string');
+      });
+    });
+
     describe('valid request', () => {
       it('should return empty array for valid complete request', () => {
         const errors = validateRfqRequest({
@@ -233,6 +393,52 @@ describe('Validation Utility', () => {
     });
   });
 
+  describe('validateOfferRows', () => {
+    it('should accept offers on different condition codes', () => {
+      expect(validateOfferRows([
+        { part_no: 'PART-A', offers: [{ price_usd: '100' }, { price_usd: '60', conditionCode: 'OH' }] },
+        { part_no: 'PART-B', conditionCode: 'SV', offers: [{ price_usd: '90' }, { price_usd: '80', conditionCode: 'NE' }] },
+        { part_no: 'PART-C' }
+      ], 'NE')).toEqual([]);
+    });
+
+    it('should reject two offers for the same row, counting the default code', () => {
+      expect(validateOfferRows([
+        { part_no: 'PART-A', offers: [{ price_usd: '100', min_qty: 1 }, { price_usd: '90', min_qty: 10 }] },
+        { part_no: 'PART-B', offers: [{ price_usd: '100' }, { price_usd: '90', conditionCode: 'ne' }] }
+      ], 'NE')).toEqual([
+        'quote_details.items[0].offers[1] is for the same NE row as offers[0]: the form has one row per product and condition code, so give each offer its own conditionCode',
+        'quote_details.items[1].offers[1] is for the same NE row as offers[0]: the form has one row per product and condition code, so give each offer its own conditionCode'
+      ]);
+    });
+
+    it('should ignore the offers of no_quote items', () => {
+      expect(validateOfferRows([
+        { part_no: 'PART-A', no_quote: true, offers: [{ price_usd: '100' }, { price_usd: '90' }] }
+      ], 'NE')).toEqual([]);
+      expect(validateOfferRows(undefined, 'NE')).toEqual([]);
+    });
+  });
+
+  describe('validateInspectRequest', () => {
+    it('should accept a URL without quote_details', () => {
+      expect(validateInspectRequest({ rfq_details: { quote_submission_url: 'https://example.com/form' } })).toEqual([]);
+    });
+
+    it('should require a valid form URL', () => {
+      expect(validateInspectRequest({})).toContain('rfq_details is required');
+      expect(validateInspectRequest({ rfq_details: { quote_submission_url: 'nope' } }))
+        .toContain('rfq_details.quote_submission_url must be a valid URL');
+    });
+
+    it('should validate the portal name', () => {
+      expect(validateInspectRequest({
+        rfq_details: { quote_submission_url: 'https://example.com/form' },
+        portal: ''
+      })).toEqual(['portal must be a non-empty string']);
+    });
+  });
+
   describe('VALID_CONDITION_CODES', () => {
     it('should export the expected condition codes', () => {
       expect(VALID_CONDITION_CODES).toEqual(['NE', 'NS', 'OH', 'SV', 'AR']);